@@ -17,6 +17,10 @@ import {
     CashDollarIcon,
     SettingsIcon,
     ChartVerticalFilledIcon,
+    OrderIcon,
+    ChartHorizontalIcon,
+    DeliveryIcon,
+    CreditCardIcon,
 } from '@shopify/polaris-icons';
 import ptBR from '@shopify/polaris/locales/pt-BR.json';
 
@@ -25,6 +29,11 @@ import Dashboard from './components/Dashboard';
 import COGSManager from './components/COGSManager';
 import AdPlatforms from './components/AdPlatforms';
 import FixedCosts from './components/FixedCosts';
+import RevenueSettings from './components/RevenueSettings';
+import GatewayFeeSettings from './components/GatewayFeeSettings';
+import OrdersExplorer from './components/OrdersExplorer';
+import ProductProfits from './components/ProductProfits';
+import PurchaseOrders from './components/PurchaseOrders';
 import { AuthProvider } from './hooks/useAuth';
 
 // Navigation items
@@ -35,11 +44,26 @@ const navigationItems = [
         icon: HomeIcon,
         exactMatch: true,
     },
+    {
+        url: '/orders',
+        label: 'Pedidos',
+        icon: OrderIcon,
+    },
+    {
+        url: '/products',
+        label: 'Lucro por Produto',
+        icon: ChartHorizontalIcon,
+    },
     {
         url: '/cogs',
         label: 'Custos de Produtos',
         icon: ProductIcon,
     },
+    {
+        url: '/purchase-orders',
+        label: 'Pedidos de Compra',
+        icon: DeliveryIcon,
+    },
     {
         url: '/ads',
         label: 'Plataformas de Anúncios',
@@ -50,6 +74,16 @@ const navigationItems = [
         label: 'Custos Fixos',
         icon: CashDollarIcon,
     },
+    {
+        url: '/settings/gateway-fees',
+        label: 'Taxas de Pagamento',
+        icon: CreditCardIcon,
+    },
+    {
+        url: '/settings/revenue',
+        label: 'Configurações',
+        icon: SettingsIcon,
+    },
 ];
 
 function AppNavigation() {
@@ -98,7 +132,10 @@ function AppFrame() {
         >
             <Routes>
                 <Route path="/" element={<Dashboard />} />
+                <Route path="/orders" element={<OrdersExplorer />} />
+                <Route path="/products" element={<ProductProfits />} />
                 <Route path="/cogs" element={<COGSManager />} />
+                <Route path="/purchase-orders" element={<PurchaseOrders />} />
                 <Route path="/ads" element={<AdPlatforms />} />
                 <Route path="/fixed-costs" element={<FixedCosts />} />
                 <Route path="/settings/*" element={<SettingsRoutes />} />
@@ -112,6 +149,8 @@ function SettingsRoutes() {
         <Routes>
             <Route path="/billing" element={<BillingPage />} />
             <Route path="/ads" element={<AdPlatforms />} />
+            <Route path="/revenue" element={<RevenueSettings />} />
+            <Route path="/gateway-fees" element={<GatewayFeeSettings />} />
         </Routes>
     );
 }
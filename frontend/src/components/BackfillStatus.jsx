@@ -0,0 +1,122 @@
+/**
+ * Backfill Status Component
+ * Shows historical import progress on the dashboard
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Banner,
+    BlockStack,
+    ProgressBar,
+    Text,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { clearProfitCache } from '../hooks/useProfit';
+
+// Polling interval while a backfill is running
+const POLL_INTERVAL = 5000;
+
+export default function BackfillStatus() {
+    const [status, setStatus] = useState(null);
+    const [starting, setStarting] = useState(false);
+
+    const fetchStatus = useCallback(async () => {
+        try {
+            const getBackfillStatus = callFunction('getBackfillStatus');
+            const result = await getBackfillStatus({});
+            setStatus((previous) => {
+                // Cached ranges are stale once the import finishes
+                if (previous?.status === 'running' && result.data.status === 'completed') {
+                    clearProfitCache();
+                }
+                return result.data;
+            });
+        } catch (error) {
+            console.error('Fetch backfill status error:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchStatus();
+    }, [fetchStatus]);
+
+    const isActive = status?.status === 'queued' || status?.status === 'running';
+
+    useEffect(() => {
+        if (!isActive) return undefined;
+
+        const interval = setInterval(fetchStatus, POLL_INTERVAL);
+        return () => clearInterval(interval);
+    }, [isActive, fetchStatus]);
+
+    const handleStart = async () => {
+        setStarting(true);
+        try {
+            const startBackfill = callFunction('startBackfill');
+            await startBackfill({});
+            await fetchStatus();
+        } catch (error) {
+            console.error('Start backfill error:', error);
+        } finally {
+            setStarting(false);
+        }
+    };
+
+    if (!status) {
+        return null;
+    }
+
+    if (isActive) {
+        const progress = status.daysTotal > 0
+            ? Math.round((status.daysDone / status.daysTotal) * 100)
+            : 0;
+
+        return (
+            <Banner title="Importando histórico de pedidos">
+                <BlockStack gap="200">
+                    <Text variant="bodySm">
+                        {status.daysDone} de {status.daysTotal || '...'} dias calculados
+                    </Text>
+                    <ProgressBar progress={progress} size="small" />
+                </BlockStack>
+            </Banner>
+        );
+    }
+
+    if (status.status === 'failed') {
+        return (
+            <Banner
+                status="critical"
+                title="Falha ao importar histórico"
+                action={{ content: 'Tentar novamente', onAction: handleStart, loading: starting }}
+            >
+                <p>{status.error}</p>
+            </Banner>
+        );
+    }
+
+    if (status.status === 'completed' && status.errors.length > 0) {
+        return (
+            <Banner
+                status="warning"
+                title={`Histórico importado com ${status.errors.length} dia(s) com erro`}
+                action={{ content: 'Importar novamente', onAction: handleStart, loading: starting }}
+            >
+                <p>Dias com erro: {status.errors.map((e) => e.date).join(', ')}</p>
+            </Banner>
+        );
+    }
+
+    if (!status.exists) {
+        return (
+            <Banner
+                title="Histórico não importado"
+                action={{ content: 'Importar histórico', onAction: handleStart, loading: starting }}
+            >
+                <p>Calcule o lucro dos dias anteriores à instalação do app.</p>
+            </Banner>
+        );
+    }
+
+    return null;
+}
@@ -14,7 +14,7 @@ import {
     TextField,
     Button,
     Modal,
-    DropZone,
+    Checkbox,
     Banner,
     BlockStack,
     InlineStack,
@@ -24,25 +24,39 @@ import {
     PageActions,
     Toast,
     Frame,
+    Tabs,
 } from '@shopify/polaris';
 import { callFunction } from '../firebase';
-import { formatCurrency } from '../utils/formatters';
+import CatalogCosts from './CatalogCosts';
+import CogsRules from './CogsRules';
+import CsvImportModal from './CsvImportModal';
+import ImportHistory from './ImportHistory';
+import CostSourceSettings from './CostSourceSettings';
+import CostComponentsEditor, {
+    DEFAULT_COMPONENTS,
+    toEditableComponents,
+    toCostComponents,
+} from './CostComponentsEditor';
+import { formatCurrency, formatDate } from '../utils/formatters';
 
 export default function COGSManager() {
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchValue, setSearchValue] = useState('');
+    const [selectedTab, setSelectedTab] = useState(0);
+    const [catalogVersion, setCatalogVersion] = useState(0);
 
     // Modal states
     const [editModalOpen, setEditModalOpen] = useState(false);
     const [importModalOpen, setImportModalOpen] = useState(false);
     const [selectedProduct, setSelectedProduct] = useState(null);
     const [editCogs, setEditCogs] = useState('');
+    const [editEffectiveFrom, setEditEffectiveFrom] = useState('');
+    const [editComponents, setEditComponents] = useState(null);
 
-    // Import states
-    const [importFile, setImportFile] = useState(null);
-    const [importLoading, setImportLoading] = useState(false);
-    const [importResult, setImportResult] = useState(null);
+    // SKU resolution
+    const [resolving, setResolving] = useState(false);
+    const [resolveResult, setResolveResult] = useState(null);
 
     // Toast
     const [toastActive, setToastActive] = useState(false);
@@ -82,11 +96,14 @@ export default function COGSManager() {
     const handleEdit = (product) => {
         setSelectedProduct(product);
         setEditCogs(product.cogs?.toString() || '');
+        setEditEffectiveFrom('');
+        setEditComponents(product.components?.length ? toEditableComponents(product.components) : null);
         setEditModalOpen(true);
     };
 
     const handleSaveCogs = async () => {
-        if (!selectedProduct || !editCogs) return;
+        const components = editComponents ? toCostComponents(editComponents) : null;
+        if (!selectedProduct || (components ? components.length === 0 : !editCogs)) return;
 
         try {
             const setCogs = callFunction('setCogs');
@@ -94,8 +111,9 @@ export default function COGSManager() {
                 variantId: selectedProduct.variantId || selectedProduct.id,
                 productId: selectedProduct.productId,
                 sku: selectedProduct.sku,
-                cogs: parseFloat(editCogs),
+                ...(components ? { components } : { cogs: parseFloat(editCogs) }),
                 productTitle: selectedProduct.productTitle,
+                effectiveFrom: editEffectiveFrom || undefined,
             });
 
             showToast('Custo atualizado com sucesso');
@@ -103,7 +121,7 @@ export default function COGSManager() {
             fetchCogs();
         } catch (error) {
             console.error('Save COGS error:', error);
-            showToast('Erro ao salvar custo');
+            showToast(error.message || 'Erro ao salvar custo');
         }
     };
 
@@ -120,64 +138,51 @@ export default function COGSManager() {
         }
     };
 
-    // CSV Import
-    const handleDropZoneDrop = useCallback((_dropFiles, acceptedFiles) => {
-        setImportFile(acceptedFiles[0]);
-        setImportResult(null);
-    }, []);
+    // Delete one entry of the cost history
+    const handleDeleteEntry = async (effectiveFrom) => {
+        if (!selectedProduct) return;
 
-    const handleImport = async () => {
-        if (!importFile) return;
+        try {
+            const deleteCogsEntry = callFunction('deleteCogsEntry');
+            const result = await deleteCogsEntry({
+                variantId: selectedProduct.variantId || selectedProduct.id,
+                effectiveFrom,
+            });
 
-        setImportLoading(true);
-        setImportResult(null);
+            setSelectedProduct({ ...selectedProduct, costHistory: result.data.costHistory });
+            showToast('Custo removido do histórico');
+            fetchCogs();
+        } catch (error) {
+            console.error('Delete COGS entry error:', error);
+            showToast('Erro ao remover custo');
+        }
+    };
 
+    // Link SKU-imported costs to Shopify variants
+    const handleResolveSkus = async () => {
+        setResolving(true);
         try {
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                const csvContent = e.target.result;
-
-                // Validate first
-                const validateCsv = callFunction('validateCogsCsv');
-                const validation = await validateCsv({ csvContent });
-
-                if (!validation.data.valid) {
-                    setImportResult({
-                        success: false,
-                        message: validation.data.message,
-                    });
-                    setImportLoading(false);
-                    return;
-                }
-
-                // Import
-                const importFromCsv = callFunction('importCogsFromCsv');
-                const result = await importFromCsv({
-                    csvContent,
-                    mapping: validation.data.mapping,
-                });
-
-                setImportResult({
-                    success: true,
-                    message: result.data.message,
-                    results: result.data.results,
-                });
-
-                fetchCogs();
-            };
-
-            reader.readAsText(importFile);
+            const resolveSkuCosts = callFunction('resolveSkuCosts');
+            const result = await resolveSkuCosts({});
+            setResolveResult(result.data);
+            fetchCogs();
         } catch (error) {
-            console.error('Import error:', error);
-            setImportResult({
-                success: false,
-                message: 'Erro ao importar arquivo',
-            });
+            console.error('Resolve SKUs error:', error);
+            showToast('Erro ao vincular SKUs');
         } finally {
-            setImportLoading(false);
+            setResolving(false);
         }
     };
 
+    const tabs = [
+        { id: 'catalog', content: 'Catálogo' },
+        { id: 'costs', content: 'Custos cadastrados' },
+        { id: 'rules', content: 'Regras' },
+        { id: 'imports', content: 'Importações' },
+    ];
+
+    const skuOnlyCount = products.filter((p) => p.id?.startsWith('sku:')).length;
+
     // Export COGS
     const handleExport = async () => {
         try {
@@ -213,66 +218,128 @@ export default function COGSManager() {
                 ]}
             >
                 <Layout>
+                    {skuOnlyCount > 0 && (
+                        <Layout.Section>
+                            <Banner
+                                title={`${skuOnlyCount} custos importados apenas por SKU`}
+                                status="info"
+                                action={{
+                                    content: 'Vincular SKUs aos produtos',
+                                    onAction: handleResolveSkus,
+                                    loading: resolving,
+                                }}
+                            >
+                                <p>Esses custos já entram no cálculo pelo SKU. Vincule-os às variantes da Shopify para que cada custo fique associado ao produto certo.</p>
+                            </Banner>
+                        </Layout.Section>
+                    )}
+
+                    {resolveResult && (
+                        <Layout.Section>
+                            <Banner
+                                title={`${resolveResult.resolved} SKUs vinculados`}
+                                status={resolveResult.unmatched.length > 0 ? 'warning' : 'success'}
+                                onDismiss={() => setResolveResult(null)}
+                            >
+                                {resolveResult.unmatched.length > 0 && (
+                                    <p>
+                                        SKUs sem produto correspondente na Shopify: {resolveResult.unmatched.join(', ')}
+                                    </p>
+                                )}
+                            </Banner>
+                        </Layout.Section>
+                    )}
+
                     <Layout.Section>
-                        <Card>
-                            <BlockStack gap="400">
-                                <TextField
-                                    label=""
-                                    labelHidden
-                                    placeholder="Buscar por SKU ou nome do produto..."
-                                    value={searchValue}
-                                    onChange={setSearchValue}
-                                    clearButton
-                                    onClearButtonClick={() => setSearchValue('')}
-                                />
+                        <CostSourceSettings
+                            onImported={() => {
+                                setCatalogVersion(catalogVersion + 1);
+                                fetchCogs();
+                            }}
+                            showToast={showToast}
+                        />
+                    </Layout.Section>
 
-                                {loading ? (
-                                    <InlineStack align="center">
-                                        <Spinner />
-                                    </InlineStack>
-                                ) : filteredProducts.length === 0 ? (
-                                    <EmptyState
-                                        heading="Nenhum custo cadastrado"
-                                        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
-                                        action={{
-                                            content: 'Importar CSV',
-                                            onAction: () => setImportModalOpen(true),
-                                        }}
-                                    >
-                                        <p>Importe um arquivo CSV com os custos dos seus produtos ou adicione manualmente.</p>
-                                    </EmptyState>
-                                ) : (
-                                    <ResourceList
-                                        resourceName={{ singular: 'produto', plural: 'produtos' }}
-                                        items={filteredProducts}
-                                        renderItem={(product) => (
-                                            <ResourceItem
-                                                id={product.id}
-                                                name={product.productTitle || product.sku}
-                                                shortcutActions={[
-                                                    { content: 'Editar', onAction: () => handleEdit(product) },
-                                                    { content: 'Remover', onAction: () => handleDelete(product.variantId || product.id) },
-                                                ]}
+                    <Layout.Section>
+                        <BlockStack gap="400">
+                            <Tabs tabs={tabs} selected={selectedTab} onSelect={setSelectedTab} />
+
+                            {selectedTab === 0 ? (
+                                <CatalogCosts key={catalogVersion} onSaved={fetchCogs} showToast={showToast} />
+                            ) : selectedTab === 2 ? (
+                                <CogsRules onSaved={() => setCatalogVersion(catalogVersion + 1)} showToast={showToast} />
+                            ) : selectedTab === 3 ? (
+                                <ImportHistory onRolledBack={fetchCogs} showToast={showToast} />
+                            ) : (
+                                <Card>
+                                    <BlockStack gap="400">
+                                        <TextField
+                                            label=""
+                                            labelHidden
+                                            placeholder="Buscar por SKU ou nome do produto..."
+                                            value={searchValue}
+                                            onChange={setSearchValue}
+                                            clearButton
+                                            onClearButtonClick={() => setSearchValue('')}
+                                        />
+
+                                        {loading ? (
+                                            <InlineStack align="center">
+                                                <Spinner />
+                                            </InlineStack>
+                                        ) : filteredProducts.length === 0 ? (
+                                            <EmptyState
+                                                heading="Nenhum custo cadastrado"
+                                                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                                                action={{
+                                                    content: 'Importar CSV',
+                                                    onAction: () => setImportModalOpen(true),
+                                                }}
                                             >
-                                                <InlineStack align="space-between" blockAlign="center">
-                                                    <BlockStack gap="100">
-                                                        <Text variant="bodyMd" fontWeight="semibold">
-                                                            {product.productTitle || 'Produto sem nome'}
-                                                        </Text>
-                                                        <Text variant="bodySm" tone="subdued">
-                                                            SKU: {product.sku || 'N/A'}
-                                                        </Text>
-                                                    </BlockStack>
-                                                    <Badge tone="success">
-                                                        {formatCurrency(product.cogs || 0)}
-                                                    </Badge>
-                                                </InlineStack>
-                                            </ResourceItem>
+                                                <p>Importe um arquivo CSV com os custos dos seus produtos ou adicione manualmente.</p>
+                                            </EmptyState>
+                                        ) : (
+                                            <ResourceList
+                                                resourceName={{ singular: 'produto', plural: 'produtos' }}
+                                                items={filteredProducts}
+                                                renderItem={(product) => (
+                                                    <ResourceItem
+                                                        id={product.id}
+                                                        name={product.productTitle || product.sku}
+                                                        shortcutActions={[
+                                                            { content: 'Editar', onAction: () => handleEdit(product) },
+                                                            { content: 'Remover', onAction: () => handleDelete(product.variantId || product.id) },
+                                                        ]}
+                                                    >
+                                                        <InlineStack align="space-between" blockAlign="center">
+                                                            <BlockStack gap="100">
+                                                                <Text variant="bodyMd" fontWeight="semibold">
+                                                                    {product.productTitle || 'Produto sem nome'}
+                                                                </Text>
+                                                                <Text variant="bodySm" tone="subdued">
+                                                                    SKU: {product.sku || 'N/A'}
+                                                                </Text>
+                                                                {product.id?.startsWith('sku:') && (
+                                                                    <Badge tone="info">Somente SKU</Badge>
+                                                                )}
+                                                                {product.costHistory?.length > 1 && (
+                                                                    <Text variant="bodySm" tone="subdued">
+                                                                        {product.costHistory.length} custos no histórico
+                                                                    </Text>
+                                                                )}
+                                                            </BlockStack>
+                                                            <Badge tone="success">
+                                                                {formatCurrency(product.cogs || 0)}
+                                                            </Badge>
+                                                        </InlineStack>
+                                                    </ResourceItem>
+                                                )}
+                                            />
                                         )}
-                                    />
-                                )}
-                            </BlockStack>
-                        </Card>
+                                    </BlockStack>
+                                </Card>
+                            )}
+                        </BlockStack>
                     </Layout.Section>
                 </Layout>
 
@@ -281,6 +348,7 @@ export default function COGSManager() {
                     open={editModalOpen}
                     onClose={() => setEditModalOpen(false)}
                     title="Editar Custo"
+                    size="large"
                     primaryAction={{
                         content: 'Salvar',
                         onAction: handleSaveCogs,
@@ -294,74 +362,86 @@ export default function COGSManager() {
                             <Text variant="bodyMd">
                                 Produto: {selectedProduct?.productTitle || selectedProduct?.sku}
                             </Text>
+                            <Checkbox
+                                label="Detalhar custo por componente (produto, frete, impostos, embalagem)"
+                                checked={!!editComponents}
+                                onChange={(checked) => setEditComponents(checked ? DEFAULT_COMPONENTS : null)}
+                            />
+                            {editComponents ? (
+                                <CostComponentsEditor
+                                    components={editComponents}
+                                    onChange={setEditComponents}
+                                />
+                            ) : (
+                                <TextField
+                                    label="Custo (COGS)"
+                                    type="number"
+                                    value={editCogs}
+                                    onChange={setEditCogs}
+                                    prefix="R$"
+                                    autoComplete="off"
+                                />
+                            )}
                             <TextField
-                                label="Custo (COGS)"
-                                type="number"
-                                value={editCogs}
-                                onChange={setEditCogs}
-                                prefix="R$"
+                                label="Válido a partir de"
+                                type="date"
+                                value={editEffectiveFrom}
+                                onChange={setEditEffectiveFrom}
+                                helpText="Em branco, vale a partir de hoje (o primeiro custo vale para todo o histórico). Use uma data passada para corrigir vendas anteriores."
                                 autoComplete="off"
                             />
                         </BlockStack>
                     </Modal.Section>
+
+                    {selectedProduct?.costHistory?.length > 0 && (
+                        <Modal.Section>
+                            <BlockStack gap="200">
+                                <Text variant="headingSm" as="h3">Histórico de custos</Text>
+                                {[...selectedProduct.costHistory].reverse().map((entry) => (
+                                    <InlineStack
+                                        key={entry.effectiveFrom || 'initial'}
+                                        align="space-between"
+                                        blockAlign="center"
+                                    >
+                                        <BlockStack gap="050">
+                                            <Text variant="bodySm">
+                                                {entry.effectiveFrom
+                                                    ? `A partir de ${formatDate(entry.effectiveFrom)}`
+                                                    : 'Custo inicial'}
+                                            </Text>
+                                            {entry.components?.length > 0 && (
+                                                <Text variant="bodySm" tone="subdued">
+                                                    {entry.components
+                                                        .map((component) => `${component.name}: ${formatCurrency(component.cost)}`)
+                                                        .join(' • ')}
+                                                </Text>
+                                            )}
+                                        </BlockStack>
+                                        <InlineStack gap="200" blockAlign="center">
+                                            <Text variant="bodyMd" fontWeight="semibold">
+                                                {formatCurrency(entry.cogs)}
+                                            </Text>
+                                            <Button
+                                                variant="plain"
+                                                tone="critical"
+                                                onClick={() => handleDeleteEntry(entry.effectiveFrom)}
+                                            >
+                                                Remover
+                                            </Button>
+                                        </InlineStack>
+                                    </InlineStack>
+                                ))}
+                            </BlockStack>
+                        </Modal.Section>
+                    )}
                 </Modal>
 
                 {/* Import Modal */}
-                <Modal
+                <CsvImportModal
                     open={importModalOpen}
-                    onClose={() => {
-                        setImportModalOpen(false);
-                        setImportFile(null);
-                        setImportResult(null);
-                    }}
-                    title="Importar Custos via CSV"
-                    primaryAction={{
-                        content: 'Importar',
-                        onAction: handleImport,
-                        loading: importLoading,
-                        disabled: !importFile,
-                    }}
-                    secondaryActions={[
-                        { content: 'Cancelar', onAction: () => setImportModalOpen(false) },
-                    ]}
-                >
-                    <Modal.Section>
-                        <BlockStack gap="400">
-                            <Text variant="bodyMd">
-                                Faça upload de um arquivo CSV com as colunas: <strong>SKU</strong> (ou Variant ID) e <strong>Custo</strong>.
-                            </Text>
-
-                            <DropZone
-                                accept=".csv"
-                                type="file"
-                                onDrop={handleDropZoneDrop}
-                            >
-                                {importFile ? (
-                                    <BlockStack gap="200" inlineAlign="center">
-                                        <Text variant="bodySm">Arquivo selecionado:</Text>
-                                        <Text variant="bodyMd" fontWeight="semibold">{importFile.name}</Text>
-                                    </BlockStack>
-                                ) : (
-                                    <DropZone.FileUpload actionHint="ou arraste um arquivo CSV" />
-                                )}
-                            </DropZone>
-
-                            {importResult && (
-                                <Banner
-                                    title={importResult.success ? 'Importação concluída' : 'Erro na importação'}
-                                    status={importResult.success ? 'success' : 'critical'}
-                                >
-                                    <p>{importResult.message}</p>
-                                    {importResult.results && (
-                                        <Text variant="bodySm">
-                                            Importados: {importResult.results.success} | Ignorados: {importResult.results.skipped}
-                                        </Text>
-                                    )}
-                                </Banner>
-                            )}
-                        </BlockStack>
-                    </Modal.Section>
-                </Modal>
+                    onClose={() => setImportModalOpen(false)}
+                    onImported={fetchCogs}
+                />
 
                 {/* Toast */}
                 {toastActive && (
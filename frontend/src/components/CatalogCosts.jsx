@@ -0,0 +1,386 @@
+/**
+ * Catalog Costs Component
+ * Every Shopify variant with its cost status and margin, with inline cost editing
+ * and kit (bill of materials) definition
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Card,
+    DataTable,
+    Text,
+    TextField,
+    Button,
+    Select,
+    Modal,
+    Badge,
+    Thumbnail,
+    BlockStack,
+    InlineStack,
+    Spinner,
+    EmptyState,
+} from '@shopify/polaris';
+import { ImageIcon } from '@shopify/polaris-icons';
+import { callFunction } from '../firebase';
+import { formatCurrency, formatPercent, formatDate } from '../utils/formatters';
+
+const FILTER_OPTIONS = [
+    { label: 'Todas as variantes', value: 'all' },
+    { label: 'Sem custo (COGS)', value: 'missing_cogs' },
+];
+
+// Where each cost came from
+const SOURCE_LABELS = {
+    manual: 'Manual',
+    csv: 'CSV',
+    shopify: 'Shopify',
+    bom: 'Kit',
+    purchase_orders: 'Pedidos de compra',
+    rule: 'Regra',
+};
+
+const getVariantLabel = (variant) =>
+    variant.variantTitle && variant.variantTitle !== 'Default Title'
+        ? `${variant.productTitle} - ${variant.variantTitle}`
+        : variant.productTitle;
+
+export default function CatalogCosts({ onSaved, showToast }) {
+    const [filter, setFilter] = useState('all');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [syncing, setSyncing] = useState(false);
+
+    // Inline edits: { variantId: cost typed by the user }
+    const [edits, setEdits] = useState({});
+    const [saving, setSaving] = useState(null);
+
+    // Kit editor: the kit variant and its components [{ variantId, quantity }]
+    const [kit, setKit] = useState(null);
+    const [kitComponents, setKitComponents] = useState([]);
+    const [kitSaving, setKitSaving] = useState(false);
+
+    // Fetch catalog with costs
+    const fetchCatalog = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getCatalogCosts = callFunction('getCatalogCosts');
+            const response = await getCatalogCosts({ filter });
+            setResult(response.data);
+        } catch (error) {
+            console.error('Fetch catalog error:', error);
+            showToast('Erro ao carregar catálogo');
+        } finally {
+            setLoading(false);
+        }
+    }, [filter]);
+
+    useEffect(() => {
+        fetchCatalog();
+    }, [fetchCatalog]);
+
+    // Sync catalog from Shopify
+    const handleSync = async () => {
+        setSyncing(true);
+        try {
+            const syncProductCatalog = callFunction('syncProductCatalog');
+            const response = await syncProductCatalog({});
+            showToast(`${response.data.count} variantes sincronizadas`);
+            fetchCatalog();
+        } catch (error) {
+            console.error('Sync catalog error:', error);
+            showToast('Erro ao sincronizar catálogo');
+        } finally {
+            setSyncing(false);
+        }
+    };
+
+    // Save an inline cost
+    const handleSave = async (variant) => {
+        const value = edits[variant.variantId];
+        if (value === undefined || value === '' || isNaN(parseFloat(value))) return;
+
+        setSaving(variant.variantId);
+        try {
+            const setCogs = callFunction('setCogs');
+            await setCogs({
+                variantId: variant.variantId,
+                productId: variant.productId,
+                sku: variant.sku,
+                cogs: parseFloat(value),
+                productTitle: getVariantLabel(variant),
+            });
+
+            const { [variant.variantId]: _saved, ...rest } = edits;
+            setEdits(rest);
+            showToast('Custo atualizado com sucesso');
+            fetchCatalog();
+            onSaved?.();
+        } catch (error) {
+            console.error('Save COGS error:', error);
+            showToast('Erro ao salvar custo');
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    // Open the kit editor
+    const openKit = (variant) => {
+        setKit(variant);
+        setKitComponents(
+            variant.bom?.map((component) => ({
+                variantId: component.variantId,
+                quantity: component.quantity.toString(),
+            })) || [{ variantId: '', quantity: '1' }]
+        );
+    };
+
+    const updateKitComponent = (index, changes) => {
+        setKitComponents(kitComponents.map((component, i) =>
+            i === index ? { ...component, ...changes } : component
+        ));
+    };
+
+    // Save the kit's bill of materials
+    const handleSaveKit = async () => {
+        const components = kitComponents
+            .filter((component) => component.variantId)
+            .map((component) => ({
+                variantId: component.variantId,
+                quantity: parseFloat(component.quantity),
+            }));
+
+        if (components.length === 0) return;
+
+        setKitSaving(true);
+        try {
+            const setBom = callFunction('setBom');
+            await setBom({
+                variantId: kit.variantId,
+                productId: kit.productId,
+                sku: kit.sku,
+                productTitle: getVariantLabel(kit),
+                components,
+            });
+
+            setKit(null);
+            showToast('Kit salvo com sucesso');
+            fetchCatalog();
+            onSaved?.();
+        } catch (error) {
+            console.error('Save kit error:', error);
+            showToast(error.message || 'Erro ao salvar kit');
+        } finally {
+            setKitSaving(false);
+        }
+    };
+
+    // Turn a kit back into a regular variant
+    const handleDeleteKit = async () => {
+        setKitSaving(true);
+        try {
+            const deleteBom = callFunction('deleteBom');
+            await deleteBom({ variantId: kit.variantId });
+
+            setKit(null);
+            showToast('Kit removido');
+            fetchCatalog();
+            onSaved?.();
+        } catch (error) {
+            console.error('Delete kit error:', error);
+            showToast('Erro ao remover kit');
+        } finally {
+            setKitSaving(false);
+        }
+    };
+
+    // Components can be any other catalog variant
+    const componentOptions = [
+        { label: 'Selecione um componente', value: '' },
+        ...(result?.variants || [])
+            .filter((variant) => kit && variant.variantId !== kit.variantId)
+            .map((variant) => ({
+                label: `${getVariantLabel(variant)}${variant.sku ? ` (${variant.sku})` : ''}`,
+                value: variant.variantId.toString(),
+            })),
+    ];
+
+    const rows = (result?.variants || []).map((variant) => {
+        const edited = edits[variant.variantId] !== undefined;
+        const isKit = variant.source === 'bom';
+
+        return [
+            <InlineStack gap="300" blockAlign="center" wrap={false} key={variant.variantId}>
+                <Thumbnail
+                    source={variant.imageUrl || ImageIcon}
+                    alt={variant.productTitle}
+                    size="small"
+                />
+                <BlockStack gap="100">
+                    <Text as="span" fontWeight="semibold">{variant.productTitle}</Text>
+                    {variant.variantTitle && variant.variantTitle !== 'Default Title' && (
+                        <Text as="span" variant="bodySm">{variant.variantTitle}</Text>
+                    )}
+                    <Text as="span" variant="bodySm" tone="subdued">SKU: {variant.sku || 'N/A'}</Text>
+                </BlockStack>
+            </InlineStack>,
+            formatCurrency(variant.price),
+            <InlineStack gap="200" blockAlign="center" wrap={false} key={`cogs-${variant.variantId}`}>
+                <div style={{ width: '110px' }}>
+                    <TextField
+                        label="Custo"
+                        labelHidden
+                        type="number"
+                        prefix="R$"
+                        value={edited ? edits[variant.variantId] : variant.cogs?.toString() || ''}
+                        onChange={(value) => setEdits({ ...edits, [variant.variantId]: value })}
+                        disabled={isKit || variant.source === 'purchase_orders'}
+                        autoComplete="off"
+                    />
+                </div>
+                {edited && (
+                    <Button
+                        size="slim"
+                        onClick={() => handleSave(variant)}
+                        loading={saving === variant.variantId}
+                    >
+                        Salvar
+                    </Button>
+                )}
+                <Button size="slim" variant="plain" onClick={() => openKit(variant)}>
+                    {isKit ? 'Editar kit' : 'Kit'}
+                </Button>
+            </InlineStack>,
+            variant.margin !== null ? formatPercent(variant.margin) : '—',
+            variant.hasCogs ? (
+                <Badge tone="success" key={`status-${variant.variantId}`}>
+                    {SOURCE_LABELS[variant.source] || 'Com custo'}
+                    {variant.matchedBy === 'sku' ? ' (por SKU)' : ''}
+                    {variant.rule?.name ? `: ${variant.rule.name}` : ''}
+                </Badge>
+            ) : (
+                <Badge tone="warning" key={`status-${variant.variantId}`}>Sem custo</Badge>
+            ),
+        ];
+    });
+
+    return (
+        <Card>
+            <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="end">
+                    <InlineStack gap="400" blockAlign="end">
+                        <Select
+                            label="Mostrar"
+                            options={FILTER_OPTIONS}
+                            value={filter}
+                            onChange={setFilter}
+                        />
+                        {result?.summary && (
+                            <Text variant="bodySm" tone="subdued">
+                                {result.summary.total} variantes • {result.summary.missingCogs} sem custo
+                            </Text>
+                        )}
+                    </InlineStack>
+                    <BlockStack gap="100" inlineAlign="end">
+                        <Button onClick={handleSync} loading={syncing}>
+                            Sincronizar catálogo
+                        </Button>
+                        {result?.catalogSync?.lastSyncAt && (
+                            <Text variant="bodySm" tone="subdued">
+                                Última sincronização: {formatDate(result.catalogSync.lastSyncAt)}
+                            </Text>
+                        )}
+                    </BlockStack>
+                </InlineStack>
+
+                {loading ? (
+                    <InlineStack align="center">
+                        <Spinner />
+                    </InlineStack>
+                ) : rows.length === 0 ? (
+                    <EmptyState
+                        heading={filter === 'missing_cogs' ? 'Todas as variantes têm custo' : 'Catálogo vazio'}
+                        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                        action={filter === 'all' ? { content: 'Sincronizar catálogo', onAction: handleSync } : undefined}
+                    >
+                        <p>
+                            {filter === 'missing_cogs'
+                                ? 'Nenhuma variante do catálogo está sem custo.'
+                                : 'Sincronize o catálogo da Shopify para ver todas as suas variantes.'}
+                        </p>
+                    </EmptyState>
+                ) : (
+                    <DataTable
+                        columnContentTypes={['text', 'numeric', 'text', 'numeric', 'text']}
+                        headings={['Variante', 'Preço', 'Custo (COGS)', 'Margem', 'Status']}
+                        rows={rows}
+                    />
+                )}
+            </BlockStack>
+
+            {/* Kit Modal */}
+            <Modal
+                open={!!kit}
+                onClose={() => setKit(null)}
+                title={kit ? `Kit: ${getVariantLabel(kit)}` : 'Kit'}
+                primaryAction={{
+                    content: 'Salvar kit',
+                    onAction: handleSaveKit,
+                    loading: kitSaving,
+                }}
+                secondaryActions={[
+                    ...(kit?.bom ? [{
+                        content: 'Remover kit',
+                        destructive: true,
+                        onAction: handleDeleteKit,
+                        disabled: kitSaving,
+                    }] : []),
+                    { content: 'Cancelar', onAction: () => setKit(null) },
+                ]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        <Text variant="bodySm" tone="subdued">
+                            O custo do kit é a soma dos custos dos componentes multiplicados pela quantidade, e é atualizado automaticamente quando o custo de um componente muda.
+                        </Text>
+                        {kitComponents.map((component, index) => (
+                            <InlineStack gap="200" blockAlign="end" wrap={false} key={index}>
+                                <div style={{ flex: 1 }}>
+                                    <Select
+                                        label="Componente"
+                                        labelHidden={index > 0}
+                                        options={componentOptions}
+                                        value={component.variantId}
+                                        onChange={(value) => updateKitComponent(index, { variantId: value })}
+                                    />
+                                </div>
+                                <div style={{ width: '90px' }}>
+                                    <TextField
+                                        label="Quantidade"
+                                        labelHidden={index > 0}
+                                        type="number"
+                                        value={component.quantity}
+                                        onChange={(value) => updateKitComponent(index, { quantity: value })}
+                                        autoComplete="off"
+                                    />
+                                </div>
+                                <Button
+                                    variant="plain"
+                                    tone="critical"
+                                    onClick={() => setKitComponents(kitComponents.filter((_, i) => i !== index))}
+                                    disabled={kitComponents.length === 1}
+                                >
+                                    Remover
+                                </Button>
+                            </InlineStack>
+                        ))}
+                        <InlineStack>
+                            <Button onClick={() => setKitComponents([...kitComponents, { variantId: '', quantity: '1' }])}>
+                                Adicionar componente
+                            </Button>
+                        </InlineStack>
+                    </BlockStack>
+                </Modal.Section>
+            </Modal>
+        </Card>
+    );
+}
@@ -0,0 +1,410 @@
+/**
+ * COGS Rules Component
+ * Bulk cost rules by vendor, product type, tag, collection or SKU prefix,
+ * with a preview of the variants each rule costs
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Card,
+    ResourceList,
+    ResourceItem,
+    Text,
+    TextField,
+    Button,
+    Modal,
+    Select,
+    Badge,
+    Banner,
+    BlockStack,
+    InlineStack,
+    EmptyState,
+    Spinner,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatCurrency } from '../utils/formatters';
+
+const TYPE_OPTIONS = [
+    { label: 'Percentual do preço', value: 'percentage' },
+    { label: 'Valor fixo', value: 'fixed' },
+];
+
+const SCOPE_OPTIONS = [
+    { label: 'Todos os produtos', value: 'all' },
+    { label: 'Fornecedor (vendor)', value: 'vendor' },
+    { label: 'Tipo de produto', value: 'product_type' },
+    { label: 'Tag', value: 'tag' },
+    { label: 'Coleção', value: 'collection' },
+    { label: 'Prefixo de SKU', value: 'sku_prefix' },
+];
+
+const SCOPE_LABELS = {
+    all: 'Todos os produtos',
+    vendor: 'Fornecedor',
+    product_type: 'Tipo',
+    tag: 'Tag',
+    collection: 'Coleção',
+    sku_prefix: 'SKU começa com',
+};
+
+const EMPTY_RULE = {
+    name: '',
+    type: 'percentage',
+    value: '',
+    scope: 'vendor',
+    scopeValue: '',
+    priority: '100',
+};
+
+export default function CogsRules({ onSaved, showToast }) {
+    const [rules, setRules] = useState([]);
+    const [collections, setCollections] = useState([]);
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    // Modal states
+    const [modalOpen, setModalOpen] = useState(false);
+    const [editingRule, setEditingRule] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_RULE);
+    const [draftPreview, setDraftPreview] = useState(null);
+    const [previewing, setPreviewing] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    // Fetch rules with the variants each one costs
+    const fetchRules = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getCogsRules = callFunction('getCogsRules');
+            const previewCogsRules = callFunction('previewCogsRules');
+            const [rulesResult, previewResult] = await Promise.all([
+                getCogsRules({}),
+                previewCogsRules({}),
+            ]);
+            setRules(rulesResult.data.rules || []);
+            setCollections(rulesResult.data.collections || []);
+            setPreview(previewResult.data);
+        } catch (error) {
+            console.error('Fetch COGS rules error:', error);
+            showToast('Erro ao carregar regras');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    const toRule = () => ({
+        ...(editingRule ? { id: editingRule.id } : {}),
+        name: formData.name,
+        type: formData.type,
+        value: parseFloat(formData.value),
+        scope: formData.scope,
+        scopeValue: formData.scope === 'all' ? null : formData.scopeValue,
+        priority: parseInt(formData.priority, 10) || 0,
+    });
+
+    // Open add modal
+    const handleAdd = () => {
+        setEditingRule(null);
+        setFormData(EMPTY_RULE);
+        setDraftPreview(null);
+        setModalOpen(true);
+    };
+
+    // Open edit modal
+    const handleEdit = (rule) => {
+        setEditingRule(rule);
+        setFormData({
+            name: rule.name || '',
+            type: rule.type,
+            value: rule.value.toString(),
+            scope: rule.scope,
+            scopeValue: rule.scopeValue || '',
+            priority: rule.priority.toString(),
+        });
+        setDraftPreview(null);
+        setModalOpen(true);
+    };
+
+    // Preview the rule being edited alongside the saved ones
+    const handlePreview = async () => {
+        setPreviewing(true);
+        try {
+            const previewCogsRules = callFunction('previewCogsRules');
+            const result = await previewCogsRules({ rule: toRule() });
+            const id = editingRule?.id || 'draft';
+            setDraftPreview(result.data.rules.find((rule) => rule.id === id) || null);
+        } catch (error) {
+            console.error('Preview COGS rule error:', error);
+            showToast(error.message || 'Erro ao pré-visualizar regra');
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    // Save rule
+    const handleSave = async () => {
+        if (!formData.value || (formData.scope !== 'all' && !formData.scopeValue)) {
+            showToast('Preencha todos os campos');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            if (editingRule) {
+                const updateCogsRule = callFunction('updateCogsRule');
+                await updateCogsRule(toRule());
+                showToast('Regra atualizada');
+            } else {
+                const createCogsRule = callFunction('createCogsRule');
+                await createCogsRule(toRule());
+                showToast('Regra adicionada');
+            }
+
+            setModalOpen(false);
+            fetchRules();
+            onSaved?.();
+        } catch (error) {
+            console.error('Save COGS rule error:', error);
+            showToast(error.message || 'Erro ao salvar regra');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Pause or resume a rule
+    const handleToggle = async (rule) => {
+        try {
+            const updateCogsRule = callFunction('updateCogsRule');
+            await updateCogsRule({ ...rule, active: !rule.active });
+            showToast(rule.active ? 'Regra pausada' : 'Regra ativada');
+            fetchRules();
+            onSaved?.();
+        } catch (error) {
+            console.error('Toggle COGS rule error:', error);
+            showToast('Erro ao atualizar regra');
+        }
+    };
+
+    // Delete rule
+    const handleDelete = async (id) => {
+        try {
+            const deleteCogsRule = callFunction('deleteCogsRule');
+            await deleteCogsRule({ id });
+            showToast('Regra removida');
+            fetchRules();
+            onSaved?.();
+        } catch (error) {
+            console.error('Delete COGS rule error:', error);
+            showToast('Erro ao remover regra');
+        }
+    };
+
+    const describeRule = (rule) => {
+        const amount = rule.type === 'percentage'
+            ? `${rule.value}% do preço`
+            : formatCurrency(rule.value);
+        const scopeValue = rule.scope === 'collection'
+            ? collections.find((c) => c.id.toString() === rule.scopeValue)?.title || rule.scopeValue
+            : rule.scopeValue;
+        const scope = rule.scope === 'all'
+            ? SCOPE_LABELS.all
+            : `${SCOPE_LABELS[rule.scope]}: ${scopeValue}`;
+
+        return `${amount} • ${scope} • Prioridade ${rule.priority}`;
+    };
+
+    const countByRule = Object.fromEntries((preview?.rules || []).map((rule) => [rule.id, rule.count]));
+
+    const collectionOptions = [
+        { label: 'Selecione uma coleção', value: '' },
+        ...collections.map((collection) => ({
+            label: collection.title,
+            value: collection.id.toString(),
+        })),
+    ];
+
+    return (
+        <Card>
+            <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                        <Text variant="headingMd" as="h2">Regras de custo</Text>
+                        <Text variant="bodySm" tone="subdued">
+                            Aplicadas às variantes sem custo cadastrado, na ordem de prioridade (menor número primeiro).
+                        </Text>
+                    </BlockStack>
+                    <Button variant="primary" onClick={handleAdd}>Adicionar regra</Button>
+                </InlineStack>
+
+                {preview?.summary && (
+                    <Text variant="bodySm" tone="subdued">
+                        {preview.summary.total} variantes • {preview.summary.explicit} com custo cadastrado • {preview.summary.byRules} custeadas por regras • {preview.summary.uncovered} sem custo
+                    </Text>
+                )}
+
+                {loading ? (
+                    <InlineStack align="center">
+                        <Spinner />
+                    </InlineStack>
+                ) : rules.length === 0 ? (
+                    <EmptyState
+                        heading="Nenhuma regra cadastrada"
+                        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                        action={{ content: 'Adicionar regra', onAction: handleAdd }}
+                    >
+                        <p>Ex: todos os produtos do fornecedor X custam 40% do preço.</p>
+                    </EmptyState>
+                ) : (
+                    <ResourceList
+                        resourceName={{ singular: 'regra', plural: 'regras' }}
+                        items={rules}
+                        renderItem={(rule) => (
+                            <ResourceItem
+                                id={rule.id}
+                                name={rule.name}
+                                shortcutActions={[
+                                    { content: 'Editar', onAction: () => handleEdit(rule) },
+                                    { content: rule.active ? 'Pausar' : 'Ativar', onAction: () => handleToggle(rule) },
+                                    { content: 'Remover', onAction: () => handleDelete(rule.id) },
+                                ]}
+                            >
+                                <InlineStack align="space-between" blockAlign="center">
+                                    <BlockStack gap="100">
+                                        <Text variant="bodyMd" fontWeight="semibold">
+                                            {rule.name || 'Regra sem nome'}
+                                        </Text>
+                                        <Text variant="bodySm" tone="subdued">{describeRule(rule)}</Text>
+                                    </BlockStack>
+                                    {rule.active ? (
+                                        <Badge tone="info">{`${countByRule[rule.id] || 0} variantes`}</Badge>
+                                    ) : (
+                                        <Badge>Pausada</Badge>
+                                    )}
+                                </InlineStack>
+                            </ResourceItem>
+                        )}
+                    />
+                )}
+            </BlockStack>
+
+            {/* Add/Edit Modal */}
+            <Modal
+                open={modalOpen}
+                onClose={() => setModalOpen(false)}
+                title={editingRule ? 'Editar Regra' : 'Adicionar Regra'}
+                primaryAction={{
+                    content: 'Salvar',
+                    onAction: handleSave,
+                    loading: saving,
+                }}
+                secondaryActions={[
+                    { content: 'Pré-visualizar', onAction: handlePreview, loading: previewing },
+                    { content: 'Cancelar', onAction: () => setModalOpen(false) },
+                ]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        <TextField
+                            label="Nome"
+                            value={formData.name}
+                            onChange={(value) => setFormData({ ...formData, name: value })}
+                            placeholder="Ex: Fornecedor Acme"
+                            autoComplete="off"
+                        />
+                        <InlineStack gap="400" wrap={false}>
+                            <div style={{ flex: 1 }}>
+                                <Select
+                                    label="Tipo"
+                                    options={TYPE_OPTIONS}
+                                    value={formData.type}
+                                    onChange={(value) => setFormData({ ...formData, type: value })}
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                <TextField
+                                    label="Valor"
+                                    type="number"
+                                    value={formData.value}
+                                    onChange={(value) => setFormData({ ...formData, value })}
+                                    prefix={formData.type === 'fixed' ? 'R$' : undefined}
+                                    suffix={formData.type === 'percentage' ? '%' : undefined}
+                                    autoComplete="off"
+                                />
+                            </div>
+                        </InlineStack>
+                        <InlineStack gap="400" wrap={false}>
+                            <div style={{ flex: 1 }}>
+                                <Select
+                                    label="Aplicar a"
+                                    options={SCOPE_OPTIONS}
+                                    value={formData.scope}
+                                    onChange={(value) => setFormData({ ...formData, scope: value, scopeValue: '' })}
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                {formData.scope === 'collection' ? (
+                                    <Select
+                                        label="Coleção"
+                                        options={collectionOptions}
+                                        value={formData.scopeValue}
+                                        onChange={(value) => setFormData({ ...formData, scopeValue: value })}
+                                    />
+                                ) : (
+                                    <TextField
+                                        label={SCOPE_LABELS[formData.scope]}
+                                        value={formData.scopeValue}
+                                        onChange={(value) => setFormData({ ...formData, scopeValue: value })}
+                                        disabled={formData.scope === 'all'}
+                                        autoComplete="off"
+                                    />
+                                )}
+                            </div>
+                        </InlineStack>
+                        <TextField
+                            label="Prioridade"
+                            type="number"
+                            value={formData.priority}
+                            onChange={(value) => setFormData({ ...formData, priority: value })}
+                            helpText="Quando mais de uma regra se aplica, vale a de menor número."
+                            autoComplete="off"
+                        />
+                    </BlockStack>
+                </Modal.Section>
+
+                {draftPreview && (
+                    <Modal.Section>
+                        <BlockStack gap="200">
+                            <Banner status={draftPreview.count > 0 ? 'info' : 'warning'}>
+                                <p>
+                                    {draftPreview.count > 0
+                                        ? `Esta regra definirá o custo de ${draftPreview.count} variantes.`
+                                        : 'Nenhuma variante sem custo seria afetada por esta regra.'}
+                                </p>
+                            </Banner>
+                            {draftPreview.variants.map((variant) => (
+                                <InlineStack key={variant.variantId} align="space-between">
+                                    <Text variant="bodySm">
+                                        {variant.productTitle}
+                                        {variant.variantTitle && variant.variantTitle !== 'Default Title' ? ` - ${variant.variantTitle}` : ''}
+                                        {variant.sku ? ` (${variant.sku})` : ''}
+                                    </Text>
+                                    <Text variant="bodySm" fontWeight="semibold">
+                                        {formatCurrency(variant.cogs)}
+                                    </Text>
+                                </InlineStack>
+                            ))}
+                            {draftPreview.count > draftPreview.variants.length && (
+                                <Text variant="bodySm" tone="subdued">
+                                    e mais {draftPreview.count - draftPreview.variants.length} variantes
+                                </Text>
+                            )}
+                        </BlockStack>
+                    </Modal.Section>
+                )}
+            </Modal>
+        </Card>
+    );
+}
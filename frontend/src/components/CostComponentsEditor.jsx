@@ -0,0 +1,136 @@
+/**
+ * Cost Components Editor
+ * Unit cost broken into named parts (product, freight, duties, packaging),
+ * each optionally in a supplier currency with its exchange rate
+ */
+
+import React from 'react';
+import {
+    Text,
+    TextField,
+    Select,
+    Button,
+    BlockStack,
+    InlineStack,
+} from '@shopify/polaris';
+import { formatCurrency } from '../utils/formatters';
+
+export const DEFAULT_COMPONENTS = [
+    { name: 'Produto', amount: '', currency: '', exchangeRate: '' },
+    { name: 'Frete', amount: '', currency: '', exchangeRate: '' },
+    { name: 'Impostos de importação', amount: '', currency: '', exchangeRate: '' },
+    { name: 'Embalagem', amount: '', currency: '', exchangeRate: '' },
+];
+
+const CURRENCY_OPTIONS = [
+    { label: 'R$ (loja)', value: '' },
+    { label: 'USD', value: 'USD' },
+    { label: 'EUR', value: 'EUR' },
+    { label: 'CNY', value: 'CNY' },
+    { label: 'GBP', value: 'GBP' },
+    { label: 'CAD', value: 'CAD' },
+    { label: 'AUD', value: 'AUD' },
+];
+
+/**
+ * Components as typed in the editor, from saved components
+ */
+export const toEditableComponents = (components) =>
+    components.map((component) => ({
+        name: component.name,
+        amount: component.amount.toString(),
+        currency: component.currency || '',
+        exchangeRate: component.currency ? component.exchangeRate.toString() : '',
+    }));
+
+/**
+ * Components to send to setCogs, skipping rows left blank
+ */
+export const toCostComponents = (components) =>
+    components
+        .filter((component) => component.name.trim() && component.amount !== '')
+        .map((component) => ({
+            name: component.name.trim(),
+            amount: parseFloat(component.amount),
+            currency: component.currency || null,
+            exchangeRate: component.currency ? parseFloat(component.exchangeRate) : null,
+        }));
+
+/**
+ * Total in the shop currency
+ */
+const getTotal = (components) =>
+    toCostComponents(components).reduce((sum, component) =>
+        sum + component.amount * (component.currency ? component.exchangeRate || 0 : 1), 0);
+
+export default function CostComponentsEditor({ components, onChange }) {
+    const updateComponent = (index, changes) => {
+        onChange(components.map((component, i) =>
+            i === index ? { ...component, ...changes } : component
+        ));
+    };
+
+    return (
+        <BlockStack gap="300">
+            {components.map((component, index) => (
+                <InlineStack gap="200" blockAlign="end" wrap={false} key={index}>
+                    <div style={{ flex: 1 }}>
+                        <TextField
+                            label="Componente"
+                            labelHidden={index > 0}
+                            value={component.name}
+                            onChange={(value) => updateComponent(index, { name: value })}
+                            autoComplete="off"
+                        />
+                    </div>
+                    <div style={{ width: '100px' }}>
+                        <TextField
+                            label="Valor"
+                            labelHidden={index > 0}
+                            type="number"
+                            value={component.amount}
+                            onChange={(value) => updateComponent(index, { amount: value })}
+                            autoComplete="off"
+                        />
+                    </div>
+                    <div style={{ width: '100px' }}>
+                        <Select
+                            label="Moeda"
+                            labelHidden={index > 0}
+                            options={CURRENCY_OPTIONS}
+                            value={component.currency}
+                            onChange={(value) => updateComponent(index, { currency: value })}
+                        />
+                    </div>
+                    <div style={{ width: '90px' }}>
+                        <TextField
+                            label="Câmbio"
+                            labelHidden={index > 0}
+                            type="number"
+                            value={component.exchangeRate}
+                            onChange={(value) => updateComponent(index, { exchangeRate: value })}
+                            disabled={!component.currency}
+                            autoComplete="off"
+                        />
+                    </div>
+                    <Button
+                        variant="plain"
+                        tone="critical"
+                        onClick={() => onChange(components.filter((_, i) => i !== index))}
+                        disabled={components.length === 1}
+                    >
+                        Remover
+                    </Button>
+                </InlineStack>
+            ))}
+            <InlineStack align="space-between" blockAlign="center">
+                <Button onClick={() => onChange([...components, { name: '', amount: '', currency: '', exchangeRate: '' }])}>
+                    Adicionar componente
+                </Button>
+                <Text variant="bodyMd" fontWeight="semibold">
+                    Total: {formatCurrency(getTotal(components))}
+                </Text>
+            </InlineStack>
+        </BlockStack>
+    );
+}
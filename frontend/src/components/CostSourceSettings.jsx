@@ -0,0 +1,111 @@
+/**
+ * Cost Source Settings Component
+ * Choose whether product costs come from Shopify's "Cost per item"
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Card,
+    Text,
+    Select,
+    Button,
+    BlockStack,
+    InlineStack,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatDate } from '../utils/formatters';
+
+const POLICY_OPTIONS = [
+    { label: 'Usar custo da Shopify, exceto quando informado manualmente', value: 'shopify_default' },
+    { label: 'Sempre usar o custo da Shopify', value: 'shopify_always' },
+    { label: 'Não importar custos da Shopify', value: 'manual_only' },
+];
+
+export default function CostSourceSettings({ onImported, showToast }) {
+    const [policy, setPolicy] = useState('shopify_default');
+    const [lastSync, setLastSync] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [importing, setImporting] = useState(false);
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const getCostSourceSettings = callFunction('getCostSourceSettings');
+                const result = await getCostSourceSettings({});
+                setPolicy(result.data.policy);
+                setLastSync(result.data.lastSync);
+            } catch (error) {
+                console.error('Fetch cost source settings error:', error);
+            }
+        };
+
+        fetchSettings();
+    }, []);
+
+    const handlePolicyChange = async (value) => {
+        setPolicy(value);
+        setSaving(true);
+        try {
+            const updateCostSourceSettings = callFunction('updateCostSourceSettings');
+            const result = await updateCostSourceSettings({ policy: value });
+            if (result.data.results) {
+                setLastSync({ ...result.data.results, lastSyncAt: new Date().toISOString() });
+            }
+            showToast('Origem dos custos atualizada');
+            onImported?.();
+        } catch (error) {
+            console.error('Update cost source settings error:', error);
+            showToast('Erro ao salvar configuração');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setImporting(true);
+        try {
+            const syncShopifyCosts = callFunction('syncShopifyCosts');
+            const result = await syncShopifyCosts({});
+            setLastSync({ ...result.data.results, lastSyncAt: new Date().toISOString() });
+            showToast(`${result.data.results.imported} custos importados da Shopify`);
+            onImported?.();
+        } catch (error) {
+            console.error('Import Shopify costs error:', error);
+            showToast('Erro ao importar custos da Shopify');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    return (
+        <Card>
+            <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Custo por item da Shopify</Text>
+                <Text variant="bodySm" tone="subdued">
+                    Importe automaticamente o "Custo por item" cadastrado na Shopify. Os custos são atualizados diariamente.
+                </Text>
+                <InlineStack gap="400" blockAlign="end">
+                    <Select
+                        label="Origem dos custos"
+                        options={POLICY_OPTIONS}
+                        value={policy}
+                        onChange={handlePolicyChange}
+                        disabled={saving}
+                    />
+                    <Button
+                        onClick={handleImport}
+                        loading={importing}
+                        disabled={policy === 'manual_only' || saving}
+                    >
+                        Importar agora
+                    </Button>
+                </InlineStack>
+                {lastSync?.lastSyncAt && (
+                    <Text variant="bodySm" tone="subdued">
+                        Última importação: {formatDate(lastSync.lastSyncAt)} • {lastSync.imported} atualizados • {lastSync.overridden} com custo manual mantido • {lastSync.withoutCost} sem custo na Shopify
+                    </Text>
+                )}
+            </BlockStack>
+        </Card>
+    );
+}
@@ -0,0 +1,294 @@
+/**
+ * CSV Import Modal
+ * Checks the whole file first (dry run), shows what each row would change,
+ * and only writes after confirmation. Accepts CSV and XLSX files.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    Modal,
+    Text,
+    DropZone,
+    Banner,
+    BlockStack,
+    InlineStack,
+    Badge,
+    DataTable,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatCurrency } from '../utils/formatters';
+
+const ACTION_BADGES = {
+    create: { tone: 'success', label: 'Novo' },
+    update: { tone: 'attention', label: 'Alterado' },
+    unchanged: { tone: undefined, label: 'Sem alteração' },
+    error: { tone: 'critical', label: 'Erro' },
+};
+
+// Rows listed in the preview; the summary covers the whole file
+const PREVIEW_ROWS = 200;
+
+const DELIMITER_LABELS = {
+    ',': 'vírgula',
+    ';': 'ponto e vírgula',
+    '\t': 'tabulação',
+    '|': 'barra vertical',
+};
+
+// Files go as base64 so the server can detect their encoding
+const readFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result.split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const describeFormat = (format) => {
+    if (!format) return '';
+    if (format.type === 'xlsx') return 'planilha Excel (XLSX)';
+
+    const encoding = format.encoding === 'latin1' ? 'Latin-1' : 'UTF-8';
+    const decimal = format.decimalSeparator === ',' ? 'decimais com vírgula' : 'decimais com ponto';
+    return `CSV separado por ${DELIMITER_LABELS[format.delimiter] || format.delimiter}, ${encoding}, ${decimal}`;
+};
+
+export default function CsvImportModal({ open, onClose, onImported }) {
+    const [importFile, setImportFile] = useState(null);
+    const [fileContent, setFileContent] = useState(null);
+    const [mapping, setMapping] = useState(null);
+    const [dryRun, setDryRun] = useState(null);
+    const [importLoading, setImportLoading] = useState(false);
+    const [importResult, setImportResult] = useState(null);
+
+    const reset = () => {
+        setImportFile(null);
+        setFileContent(null);
+        setMapping(null);
+        setDryRun(null);
+        setImportResult(null);
+    };
+
+    const handleClose = () => {
+        reset();
+        onClose();
+    };
+
+    const handleDropZoneDrop = useCallback((_dropFiles, acceptedFiles) => {
+        setImportFile(acceptedFiles[0]);
+        setFileContent(null);
+        setMapping(null);
+        setDryRun(null);
+        setImportResult(null);
+    }, []);
+
+    // Check every row without writing anything
+    const handlePreview = async () => {
+        if (!importFile) return;
+
+        setImportLoading(true);
+        setImportResult(null);
+
+        try {
+            const content = await readFile(importFile);
+
+            const validateCsv = callFunction('validateCogsCsv');
+            const validation = await validateCsv({ fileContent: content, fileName: importFile.name });
+
+            if (!validation.data.valid) {
+                setImportResult({
+                    success: false,
+                    message: validation.data.message,
+                });
+                return;
+            }
+
+            const importFromCsv = callFunction('importCogsFromCsv');
+            const result = await importFromCsv({
+                fileContent: content,
+                fileName: importFile.name,
+                mapping: validation.data.mapping,
+                dryRun: true,
+            });
+
+            setFileContent(content);
+            setMapping(validation.data.mapping);
+            setDryRun(result.data);
+        } catch (error) {
+            console.error('Import preview error:', error);
+            setImportResult({
+                success: false,
+                message: error.message || 'Erro ao ler arquivo',
+            });
+        } finally {
+            setImportLoading(false);
+        }
+    };
+
+    // Write the previewed file
+    const handleImport = async () => {
+        setImportLoading(true);
+
+        try {
+            const importFromCsv = callFunction('importCogsFromCsv');
+            const result = await importFromCsv({
+                fileContent,
+                mapping,
+                fileName: importFile.name,
+            });
+
+            setDryRun(null);
+            setImportResult({
+                success: true,
+                message: result.data.message,
+                results: result.data.results,
+                importId: result.data.importId,
+            });
+
+            onImported();
+        } catch (error) {
+            console.error('Import error:', error);
+            setImportResult({
+                success: false,
+                message: 'Erro ao importar arquivo',
+            });
+        } finally {
+            setImportLoading(false);
+        }
+    };
+
+    const summary = dryRun?.summary;
+    const hasChanges = dryRun && (summary ? summary.created + summary.updated > 0 : dryRun.kits > 0);
+
+    const previewRows = (dryRun?.rows || []).slice(0, PREVIEW_ROWS).map((row) => {
+        const badge = ACTION_BADGES[row.action];
+        return [
+            row.row,
+            row.variantId || row.sku,
+            row.productTitle || '—',
+            row.oldCogs !== null ? formatCurrency(row.oldCogs) : '—',
+            row.newCogs !== null ? formatCurrency(row.newCogs) : '—',
+            row.effectiveFrom || '—',
+            <InlineStack gap="100" key={`action-${row.row}`}>
+                <Badge tone={badge.tone}>{badge.label}</Badge>
+                {row.error && <Text variant="bodySm" tone="critical">{row.error}</Text>}
+            </InlineStack>,
+        ];
+    });
+
+    return (
+        <Modal
+            open={open}
+            onClose={handleClose}
+            size={dryRun ? 'large' : undefined}
+            title="Importar Custos via CSV ou Excel"
+            primaryAction={dryRun ? {
+                content: 'Confirmar importação',
+                onAction: handleImport,
+                loading: importLoading,
+                disabled: !hasChanges,
+            } : {
+                content: 'Pré-visualizar',
+                onAction: handlePreview,
+                loading: importLoading,
+                disabled: !importFile || importResult?.success,
+            }}
+            secondaryActions={[
+                dryRun
+                    ? { content: 'Escolher outro arquivo', onAction: reset }
+                    : { content: 'Fechar', onAction: handleClose },
+            ]}
+        >
+            <Modal.Section>
+                <BlockStack gap="400">
+                    {!dryRun && (
+                        <>
+                            <Text variant="bodyMd">
+                                Faça upload de um arquivo CSV ou Excel (XLSX) com as colunas: <strong>SKU</strong> (ou Variant ID) e <strong>Custo</strong>. A coluna opcional <strong>effective_from</strong> (AAAA-MM-DD) define a partir de quando o custo vale.
+                            </Text>
+                            <Text variant="bodySm" tone="subdued">
+                                Para kits, envie uma linha por componente com as colunas <strong>kit_sku</strong> (ou kit_variant_id), <strong>component_sku</strong> (ou component_variant_id) e <strong>quantity</strong>. O custo do kit passa a ser a soma dos componentes.
+                            </Text>
+
+                            <DropZone
+                                accept=".csv,.xlsx"
+                                type="file"
+                                onDrop={handleDropZoneDrop}
+                            >
+                                {importFile ? (
+                                    <BlockStack gap="200" inlineAlign="center">
+                                        <Text variant="bodySm">Arquivo selecionado:</Text>
+                                        <Text variant="bodyMd" fontWeight="semibold">{importFile.name}</Text>
+                                    </BlockStack>
+                                ) : (
+                                    <DropZone.FileUpload actionHint="ou arraste um arquivo CSV ou XLSX" />
+                                )}
+                            </DropZone>
+                        </>
+                    )}
+
+                    {summary && (
+                        <BlockStack gap="200">
+                            <Text variant="bodyMd">
+                                Nada foi gravado ainda. Confira o que a importação de <strong>{importFile.name}</strong> vai alterar:
+                            </Text>
+                            <Text variant="bodySm" tone="subdued">
+                                {`Formato detectado: ${describeFormat(dryRun.fileFormat)}`}
+                            </Text>
+                            <InlineStack gap="200">
+                                <Badge tone="success">{`${summary.created} novos`}</Badge>
+                                <Badge tone="attention">{`${summary.updated} alterados`}</Badge>
+                                <Badge>{`${summary.unchanged} sem alteração`}</Badge>
+                                <Badge tone="critical">{`${summary.errors} com erro`}</Badge>
+                            </InlineStack>
+                        </BlockStack>
+                    )}
+
+                    {dryRun && !summary && (
+                        <Banner status="info">
+                            <p>{`A composição de ${dryRun.kits} kits será substituída.`}</p>
+                            {dryRun.results.skipped > 0 && (
+                                <p>{`${dryRun.results.skipped} linhas com erro serão ignoradas.`}</p>
+                            )}
+                        </Banner>
+                    )}
+
+                    {importResult && (
+                        <Banner
+                            title={importResult.success ? 'Importação concluída' : 'Erro na importação'}
+                            status={importResult.success ? 'success' : 'critical'}
+                        >
+                            <p>{importResult.message}</p>
+                            {importResult.results && (
+                                <Text variant="bodySm">
+                                    Importados: {importResult.results.success} | Sem alteração: {importResult.results.unchanged || 0} | Ignorados: {importResult.results.skipped}
+                                </Text>
+                            )}
+                            {importResult.importId && (
+                                <Text variant="bodySm">
+                                    A importação pode ser desfeita na aba Importações.
+                                </Text>
+                            )}
+                        </Banner>
+                    )}
+                </BlockStack>
+            </Modal.Section>
+
+            {previewRows.length > 0 && (
+                <Modal.Section>
+                    <BlockStack gap="200">
+                        <DataTable
+                            columnContentTypes={['numeric', 'text', 'text', 'numeric', 'numeric', 'text', 'text']}
+                            headings={['Linha', 'SKU / Variante', 'Produto', 'Custo atual', 'Novo custo', 'A partir de', 'Resultado']}
+                            rows={previewRows}
+                        />
+                        {dryRun.rows.length > PREVIEW_ROWS && (
+                            <Text variant="bodySm" tone="subdued">
+                                {`Mostrando ${PREVIEW_ROWS} de ${dryRun.rows.length} linhas.`}
+                            </Text>
+                        )}
+                    </BlockStack>
+                </Modal.Section>
+            )}
+        </Modal>
+    );
+}
@@ -29,14 +29,18 @@ import {
 import { useProfit, useDashboardSummary } from '../hooks/useProfit';
 import { formatCurrency, formatPercent, getProfitTone, getDateRange } from '../utils/formatters';
 import ProfitChart from './ProfitChart';
+import BackfillStatus from './BackfillStatus';
 
 export default function Dashboard() {
     const [dateRange, setDateRange] = useState('today');
-    const { label, startDate, endDate } = getDateRange(dateRange);
+    const { data: summaryData } = useDashboardSummary();
+
+    // Days are the shop's local days once its timezone is known
+    const timezone = summaryData?.timezone;
+    const { label, startDate, endDate } = getDateRange(dateRange, timezone);
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDateRange('today', timezone).startDate;
     const { data, loading, error, refetch } = useProfit(today);
-    const { data: summaryData } = useDashboardSummary();
 
     const dateOptions = [
         { label: 'Hoje', value: 'today' },
@@ -74,6 +78,20 @@ export default function Dashboard() {
             }}
         >
             <Layout>
+                {/* Historical import */}
+                <Layout.Section>
+                    <BackfillStatus />
+                </Layout.Section>
+
+                {/* Cost changes being applied to past days */}
+                {summaryData?.recalculating && (
+                    <Layout.Section>
+                        <Banner title="Recalculando dias anteriores">
+                            <p>Os custos foram alterados. Os totais da semana e do mês serão atualizados em instantes.</p>
+                        </Banner>
+                    </Layout.Section>
+                )}
+
                 {/* Alerts */}
                 {data?.alerts?.length > 0 && (
                     <Layout.Section>
@@ -127,13 +145,21 @@ export default function Dashboard() {
                 <Layout.Section variant="oneHalf">
                     <Card>
                         <BlockStack gap="200">
-                            <Text variant="headingMd" as="h3">Receita Bruta</Text>
+                            <Text variant="headingMd" as="h3">Receita</Text>
                             <Text variant="headingXl" as="p">
                                 {formatCurrency(data?.revenue || 0)}
                             </Text>
                             <Text variant="bodySm" tone="subdued">
                                 {data?.orderCount || 0} pedidos • {data?.itemsSold || 0} itens
                             </Text>
+                            <Text variant="bodySm" tone="subdued">
+                                Impostos: {formatCurrency(data?.taxes || 0)} • Frete: {formatCurrency(data?.shipping || 0)}
+                            </Text>
+                            {parseFloat(data?.refunds || 0) > 0 && (
+                                <Text variant="bodySm" tone="subdued">
+                                    Receita líquida: {formatCurrency(data.netRevenue)} ({data.refundCount} reembolsos)
+                                </Text>
+                            )}
                         </BlockStack>
                     </Card>
                 </Layout.Section>
@@ -159,6 +185,13 @@ export default function Dashboard() {
                             <Text variant="headingMd" as="h2">Distribuição de Custos</Text>
                             <Divider />
 
+                            <InlineStack align="space-between">
+                                <Text>Reembolsos</Text>
+                                <Text variant="bodyMd" fontWeight="semibold">
+                                    {formatCurrency(data?.refunds || 0)}
+                                </Text>
+                            </InlineStack>
+
                             <InlineStack align="space-between">
                                 <Text>Custo de Produtos (COGS)</Text>
                                 <Text variant="bodyMd" fontWeight="semibold">
@@ -166,6 +199,17 @@ export default function Dashboard() {
                                 </Text>
                             </InlineStack>
 
+                            {parseFloat(data?.refundedCogs || 0) > 0 && (
+                                <Box paddingInlineStart="400">
+                                    <InlineStack align="space-between">
+                                        <Text variant="bodySm" tone="subdued">Estornado (itens devolvidos ao estoque)</Text>
+                                        <Text variant="bodySm" tone="subdued">
+                                            -{formatCurrency(data.refundedCogs)}
+                                        </Text>
+                                    </InlineStack>
+                                </Box>
+                            )}
+
                             {parseFloat(data?.cogsMatchRate || 0) < 100 && (
                                 <Banner status="warning" hideIcon>
                                     <Text variant="bodySm">
@@ -205,6 +249,30 @@ export default function Dashboard() {
                                 </Text>
                             </InlineStack>
 
+                            <InlineStack align="space-between">
+                                <Text>Custos Variáveis</Text>
+                                <Text variant="bodyMd" fontWeight="semibold">
+                                    {formatCurrency(data?.variableCosts || 0)}
+                                </Text>
+                            </InlineStack>
+
+                            {data?.variableCostBreakdown && Object.keys(data.variableCostBreakdown).length > 0 && (
+                                <Box paddingInlineStart="400">
+                                    <BlockStack gap="100">
+                                        {Object.entries(data.variableCostBreakdown).map(([ruleId, entry]) => (
+                                            <InlineStack key={ruleId} align="space-between">
+                                                <Text variant="bodySm" tone="subdued">
+                                                    {entry.name}
+                                                </Text>
+                                                <Text variant="bodySm" tone="subdued">
+                                                    {formatCurrency(entry.amount)}
+                                                </Text>
+                                            </InlineStack>
+                                        ))}
+                                    </BlockStack>
+                                </Box>
+                            )}
+
                             <InlineStack align="space-between">
                                 <Text>Custos Fixos (diário)</Text>
                                 <Text variant="bodyMd" fontWeight="semibold">
@@ -249,7 +317,7 @@ export default function Dashboard() {
 
                 {/* Chart */}
                 <Layout.Section>
-                    <ProfitChart />
+                    <ProfitChart timezone={timezone} />
                 </Layout.Section>
             </Layout>
         </Page>
@@ -1,6 +1,7 @@
 /**
  * Fixed Costs Component
- * Manage monthly recurring costs
+ * Manage recurring costs and one-time expenses, and the period each one
+ * applies to, alongside the variable costs charged on each sale
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -25,13 +26,16 @@ import {
     Divider,
 } from '@shopify/polaris';
 import { callFunction } from '../firebase';
-import { formatCurrency } from '../utils/formatters';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import VariableCosts from './VariableCosts';
 
 const FREQUENCY_OPTIONS = [
     { label: 'Diário', value: 'daily' },
     { label: 'Semanal', value: 'weekly' },
     { label: 'Mensal', value: 'monthly' },
     { label: 'Anual', value: 'yearly' },
+    { label: 'Despesa única (em uma data)', value: 'one_off' },
+    { label: 'Despesa amortizada (em meses)', value: 'amortized' },
 ];
 
 const CATEGORY_OPTIONS = [
@@ -47,22 +51,46 @@ const FREQUENCY_LABELS = {
     weekly: 'Semanal',
     monthly: 'Mensal',
     yearly: 'Anual',
+    one_off: 'Despesa única',
+    amortized: 'Amortizada',
+};
+
+const ONE_TIME_FREQUENCIES = ['one_off', 'amortized'];
+
+const EMPTY_FORM = {
+    description: '',
+    amount: '',
+    frequency: 'monthly',
+    category: 'operational',
+    startDate: '',
+    endDate: '',
+    months: '12',
+};
+
+const describePeriod = (cost) => {
+    if (cost.frequency === 'one_off') return `Em ${formatDate(cost.startDate)}`;
+    if (cost.frequency === 'amortized') {
+        return `${cost.months} meses, de ${formatDate(cost.startDate)} a ${formatDate(cost.endDate)}`;
+    }
+
+    if (cost.startDate && cost.endDate) {
+        return `${formatDate(cost.startDate)} a ${formatDate(cost.endDate)}`;
+    }
+    if (cost.endDate) return `Até ${formatDate(cost.endDate)}`;
+    if (cost.startDate) return `Desde ${formatDate(cost.startDate)}`;
+    return '';
 };
 
 export default function FixedCosts() {
     const [costs, setCosts] = useState([]);
     const [totals, setTotals] = useState({ daily: 0, monthly: 0, yearly: 0 });
+    const [today, setToday] = useState(null);
     const [loading, setLoading] = useState(true);
 
     // Modal states
     const [modalOpen, setModalOpen] = useState(false);
     const [editingCost, setEditingCost] = useState(null);
-    const [formData, setFormData] = useState({
-        description: '',
-        amount: '',
-        frequency: 'monthly',
-        category: 'operational',
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM);
     const [saving, setSaving] = useState(false);
 
     // Toast
@@ -82,6 +110,7 @@ export default function FixedCosts() {
             const result = await getFixedCosts({});
             setCosts(result.data.costs || []);
             setTotals(result.data.totals || { daily: 0, monthly: 0, yearly: 0 });
+            setToday(result.data.today || null);
         } catch (error) {
             console.error('Fetch costs error:', error);
             showToast('Erro ao carregar custos');
@@ -97,12 +126,7 @@ export default function FixedCosts() {
     // Open add modal
     const handleAdd = () => {
         setEditingCost(null);
-        setFormData({
-            description: '',
-            amount: '',
-            frequency: 'monthly',
-            category: 'operational',
-        });
+        setFormData({ ...EMPTY_FORM, startDate: today || '' });
         setModalOpen(true);
     };
 
@@ -114,6 +138,10 @@ export default function FixedCosts() {
             amount: cost.amount?.toString() || '',
             frequency: cost.frequency || 'monthly',
             category: cost.category || 'operational',
+            startDate: cost.startDate || '',
+            // One-time costs derive their end date, so it is not carried into a recurring one
+            endDate: ONE_TIME_FREQUENCIES.includes(cost.frequency) ? '' : cost.endDate || '',
+            months: cost.months?.toString() || '12',
         });
         setModalOpen(true);
     };
@@ -125,6 +153,17 @@ export default function FixedCosts() {
             return;
         }
 
+        if (formData.frequency === 'amortized' && !(parseInt(formData.months, 10) > 0)) {
+            showToast('Informe em quantos meses amortizar');
+            return;
+        }
+
+        const recurring = !ONE_TIME_FREQUENCIES.includes(formData.frequency);
+        if (recurring && formData.endDate && formData.startDate && formData.endDate < formData.startDate) {
+            showToast('O fim não pode ser antes do início');
+            return;
+        }
+
         setSaving(true);
         try {
             if (editingCost) {
@@ -133,6 +172,9 @@ export default function FixedCosts() {
                     id: editingCost.id,
                     ...formData,
                     amount: parseFloat(formData.amount),
+                    startDate: formData.startDate || undefined,
+                    endDate: recurring ? formData.endDate || null : null,
+                    months: formData.frequency === 'amortized' ? parseInt(formData.months, 10) : undefined,
                 });
                 showToast('Custo atualizado');
             } else {
@@ -140,6 +182,9 @@ export default function FixedCosts() {
                 await addFixedCost({
                     ...formData,
                     amount: parseFloat(formData.amount),
+                    startDate: formData.startDate || undefined,
+                    endDate: recurring ? formData.endDate || null : null,
+                    months: formData.frequency === 'amortized' ? parseInt(formData.months, 10) : undefined,
                 });
                 showToast('Custo adicionado');
             }
@@ -148,7 +193,7 @@ export default function FixedCosts() {
             fetchCosts();
         } catch (error) {
             console.error('Save cost error:', error);
-            showToast('Erro ao salvar');
+            showToast(error.message || 'Erro ao salvar');
         } finally {
             setSaving(false);
         }
@@ -185,18 +230,21 @@ export default function FixedCosts() {
                                 <Text variant="headingMd">Resumo de Custos</Text>
                                 <InlineStack gap="800" align="start">
                                     <BlockStack gap="100">
-                                        <Text variant="bodySm" tone="subdued">Custo Diário</Text>
+                                        <Text variant="bodySm" tone="subdued">Custo de Hoje</Text>
                                         <Text variant="headingLg">{formatCurrency(totals.daily)}</Text>
                                     </BlockStack>
                                     <BlockStack gap="100">
-                                        <Text variant="bodySm" tone="subdued">Custo Mensal</Text>
+                                        <Text variant="bodySm" tone="subdued">Custo Neste Mês</Text>
                                         <Text variant="headingLg">{formatCurrency(totals.monthly)}</Text>
                                     </BlockStack>
                                     <BlockStack gap="100">
-                                        <Text variant="bodySm" tone="subdued">Custo Anual</Text>
+                                        <Text variant="bodySm" tone="subdued">Custo Neste Ano</Text>
                                         <Text variant="headingLg">{formatCurrency(totals.yearly)}</Text>
                                     </BlockStack>
                                 </InlineStack>
+                                <Text variant="bodySm" tone="subdued">
+                                    Custos mensais são divididos pelos dias de cada mês e anuais pelos dias de cada ano.
+                                </Text>
                             </BlockStack>
                         </Card>
                     </Layout.Section>
@@ -239,9 +287,18 @@ export default function FixedCosts() {
                                                     </Text>
                                                     <Text variant="bodySm" tone="subdued">
                                                         {FREQUENCY_LABELS[cost.frequency] || cost.frequency}
+                                                        {describePeriod(cost) ? ` • ${describePeriod(cost)}` : ''}
                                                     </Text>
                                                 </BlockStack>
-                                                <Badge>{formatCurrency(cost.amount)}</Badge>
+                                                <InlineStack gap="200">
+                                                    {today && cost.endDate && cost.endDate < today && (
+                                                        <Badge tone="info">Encerrado</Badge>
+                                                    )}
+                                                    {today && cost.startDate && cost.startDate > today && (
+                                                        <Badge tone="attention">Agendado</Badge>
+                                                    )}
+                                                    <Badge>{formatCurrency(cost.amount)}</Badge>
+                                                </InlineStack>
                                             </InlineStack>
                                         </ResourceItem>
                                     )}
@@ -249,6 +306,11 @@ export default function FixedCosts() {
                             )}
                         </Card>
                     </Layout.Section>
+
+                    {/* Variable Costs */}
+                    <Layout.Section>
+                        <VariableCosts showToast={showToast} />
+                    </Layout.Section>
                 </Layout>
 
                 {/* Add/Edit Modal */}
@@ -276,7 +338,7 @@ export default function FixedCosts() {
                             />
 
                             <TextField
-                                label="Valor"
+                                label={ONE_TIME_FREQUENCIES.includes(formData.frequency) ? 'Valor total' : 'Valor'}
                                 type="number"
                                 value={formData.amount}
                                 onChange={(value) => setFormData({ ...formData, amount: value })}
@@ -297,6 +359,54 @@ export default function FixedCosts() {
                                 value={formData.category}
                                 onChange={(value) => setFormData({ ...formData, category: value })}
                             />
+
+                            {formData.frequency === 'one_off' ? (
+                                <TextField
+                                    label="Data"
+                                    type="date"
+                                    value={formData.startDate}
+                                    onChange={(value) => setFormData({ ...formData, startDate: value })}
+                                    helpText="Dia em que a despesa entra no lucro"
+                                    autoComplete="off"
+                                />
+                            ) : (
+                                <InlineStack gap="400" wrap={false}>
+                                    <div style={{ flex: 1 }}>
+                                        <TextField
+                                            label="Início"
+                                            type="date"
+                                            value={formData.startDate}
+                                            onChange={(value) => setFormData({ ...formData, startDate: value })}
+                                            helpText="Primeiro dia em que o custo é cobrado"
+                                            autoComplete="off"
+                                        />
+                                    </div>
+                                    <div style={{ flex: 1 }}>
+                                        {formData.frequency === 'amortized' ? (
+                                            <TextField
+                                                label="Amortizar em"
+                                                type="number"
+                                                min={1}
+                                                max={120}
+                                                value={formData.months}
+                                                onChange={(value) => setFormData({ ...formData, months: value })}
+                                                suffix="meses"
+                                                helpText="Cada mês recebe uma parte igual"
+                                                autoComplete="off"
+                                            />
+                                        ) : (
+                                            <TextField
+                                                label="Fim (opcional)"
+                                                type="date"
+                                                value={formData.endDate}
+                                                onChange={(value) => setFormData({ ...formData, endDate: value })}
+                                                helpText="Deixe em branco se o custo continua"
+                                                autoComplete="off"
+                                            />
+                                        )}
+                                    </div>
+                                </InlineStack>
+                            )}
                         </BlockStack>
                     </Modal.Section>
                 </Modal>
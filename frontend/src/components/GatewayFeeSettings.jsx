@@ -0,0 +1,361 @@
+/**
+ * Gateway Fee Settings Component
+ * The shop's negotiated rate for each payment gateway: a percentage of the
+ * order plus a fixed fee, optionally charged in another currency, and the
+ * higher percentages charged on purchases split into installments
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Page,
+    Layout,
+    Card,
+    Text,
+    TextField,
+    Select,
+    Button,
+    Badge,
+    Banner,
+    BlockStack,
+    InlineStack,
+    Spinner,
+    Toast,
+    Frame,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { clearProfitCache } from '../hooks/useProfit';
+
+const GATEWAY_LABELS = {
+    shopify_payments: 'Shopify Payments',
+    stripe: 'Stripe',
+    paypal: 'PayPal',
+    mercadopago: 'Mercado Pago',
+    manual: 'Manual',
+    unknown: 'Desconhecido',
+};
+
+const CURRENCY_OPTIONS = [
+    { label: 'Moeda da loja', value: '' },
+    { label: 'USD', value: 'USD' },
+    { label: 'EUR', value: 'EUR' },
+    { label: 'BRL', value: 'BRL' },
+    { label: 'GBP', value: 'GBP' },
+    { label: 'CAD', value: 'CAD' },
+    { label: 'AUD', value: 'AUD' },
+    { label: 'CNY', value: 'CNY' },
+];
+
+const EMPTY_RATE = {
+    gateway: '',
+    percentage: '',
+    fixed: '',
+    fixedCurrency: '',
+    exchangeRate: '',
+    installmentRates: [],
+};
+
+const EMPTY_INSTALLMENT_RATE = { installments: '', percentage: '' };
+
+const toPercentText = (fraction) => parseFloat((fraction * 100).toFixed(4)).toString();
+
+const getGatewayLabel = (gateway) => GATEWAY_LABELS[gateway] || gateway;
+
+/**
+ * Rates as typed in the form (percentages in %), from the saved table
+ */
+const toEditableRates = (rates) =>
+    Object.entries(rates).map(([gateway, rate]) => ({
+        gateway,
+        percentage: toPercentText(rate.percentage),
+        fixed: rate.fixed.toString(),
+        fixedCurrency: rate.fixedCurrency || '',
+        exchangeRate: rate.fixedCurrency ? rate.exchangeRate.toString() : '',
+        installmentRates: (rate.installmentRates || []).map((tier) => ({
+            installments: tier.installments.toString(),
+            percentage: toPercentText(tier.percentage),
+        })),
+    }));
+
+/**
+ * Rate table to send to updateGatewayFeeSettings, skipping blank rows
+ */
+const toFeeRates = (rows) =>
+    Object.fromEntries(rows
+        .filter((row) => row.gateway.trim())
+        .map((row) => [row.gateway.trim(), {
+            percentage: (parseFloat(row.percentage) || 0) / 100,
+            fixed: parseFloat(row.fixed) || 0,
+            fixedCurrency: row.fixedCurrency || null,
+            exchangeRate: row.fixedCurrency ? parseFloat(row.exchangeRate) : null,
+            installmentRates: row.installmentRates
+                .filter((tier) => tier.installments)
+                .map((tier) => ({
+                    installments: parseInt(tier.installments, 10),
+                    percentage: (parseFloat(tier.percentage) || 0) / 100,
+                })),
+        }]));
+
+export default function GatewayFeeSettings() {
+    const [rows, setRows] = useState([]);
+    const [seenGateways, setSeenGateways] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    // Toast
+    const [toastActive, setToastActive] = useState(false);
+    const [toastMessage, setToastMessage] = useState('');
+
+    const showToast = (message) => {
+        setToastMessage(message);
+        setToastActive(true);
+    };
+
+    // Fetch settings
+    const fetchSettings = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getGatewayFeeSettings = callFunction('getGatewayFeeSettings');
+            const result = await getGatewayFeeSettings({});
+            setRows(toEditableRates(result.data.rates || {}));
+            setSeenGateways(result.data.seenGateways || []);
+        } catch (error) {
+            console.error('Fetch gateway fee settings error:', error);
+            showToast('Erro ao carregar configurações');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSettings();
+    }, [fetchSettings]);
+
+    const updateRow = (index, changes) => {
+        setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    };
+
+    const updateInstallmentRates = (index, installmentRates) => {
+        updateRow(index, { installmentRates });
+    };
+
+    // Save settings
+    const handleSave = async () => {
+        if (rows.some((row) => row.fixedCurrency && !(parseFloat(row.exchangeRate) > 0))) {
+            showToast('Informe o câmbio das taxas fixas em outra moeda');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const updateGatewayFeeSettings = callFunction('updateGatewayFeeSettings');
+            const result = await updateGatewayFeeSettings({ rates: toFeeRates(rows) });
+            setRows(toEditableRates(result.data.rates));
+            setSeenGateways(seenGateways.map((seen) => ({
+                ...seen,
+                configured: !!result.data.rates[seen.gateway],
+            })));
+            clearProfitCache();
+            showToast('Taxas salvas');
+        } catch (error) {
+            console.error('Save gateway fee settings error:', error);
+            showToast(error.message || 'Erro ao salvar');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const configured = new Set(rows.map((row) => row.gateway.trim()));
+    const missing = seenGateways.filter((seen) => !seen.configured && !configured.has(seen.gateway));
+
+    return (
+        <Frame>
+            <Page
+                title="Taxas de Pagamento"
+                subtitle="Informe as taxas negociadas com cada gateway de pagamento"
+                primaryAction={{
+                    content: 'Salvar',
+                    onAction: handleSave,
+                    loading: saving,
+                    disabled: loading,
+                }}
+            >
+                <Layout>
+                    {missing.length > 0 && (
+                        <Layout.Section>
+                            <Banner title="Gateways sem taxa configurada" status="warning">
+                                <BlockStack gap="200">
+                                    <p>
+                                        Pedidos pagos por estes gateways usam uma taxa padrão (ou nenhuma) até você informar a sua.
+                                    </p>
+                                    <InlineStack gap="200">
+                                        {missing.map((seen) => (
+                                            <Button
+                                                key={seen.gateway}
+                                                onClick={() => setRows([...rows, { ...EMPTY_RATE, gateway: seen.gateway }])}
+                                            >
+                                                {`${getGatewayLabel(seen.gateway)} (${seen.orderCount} pedidos)`}
+                                            </Button>
+                                        ))}
+                                    </InlineStack>
+                                </BlockStack>
+                            </Banner>
+                        </Layout.Section>
+                    )}
+
+                    <Layout.Section>
+                        <Card>
+                            {loading ? (
+                                <InlineStack align="center">
+                                    <Spinner />
+                                </InlineStack>
+                            ) : (
+                                <BlockStack gap="300">
+                                    {rows.length === 0 && (
+                                        <Text variant="bodyMd" tone="subdued">
+                                            Nenhuma taxa cadastrada. Enquanto isso, são usadas as taxas padrão de Shopify Payments, Stripe, PayPal e Mercado Pago.
+                                        </Text>
+                                    )}
+
+                                    {rows.map((row, index) => (
+                                        <BlockStack gap="200" key={index}>
+                                            <InlineStack gap="200" blockAlign="end" wrap={false}>
+                                                <div style={{ flex: 1 }}>
+                                                    <TextField
+                                                        label="Gateway"
+                                                        labelHidden={index > 0}
+                                                        value={row.gateway}
+                                                        onChange={(value) => updateRow(index, { gateway: value })}
+                                                        placeholder="Ex: Pagar.me"
+                                                        connectedRight={GATEWAY_LABELS[row.gateway]
+                                                            ? <Badge>{GATEWAY_LABELS[row.gateway]}</Badge>
+                                                            : undefined}
+                                                        autoComplete="off"
+                                                    />
+                                                </div>
+                                                <div style={{ width: '100px' }}>
+                                                    <TextField
+                                                        label="Percentual"
+                                                        labelHidden={index > 0}
+                                                        type="number"
+                                                        value={row.percentage}
+                                                        onChange={(value) => updateRow(index, { percentage: value })}
+                                                        suffix="%"
+                                                        autoComplete="off"
+                                                    />
+                                                </div>
+                                                <div style={{ width: '100px' }}>
+                                                    <TextField
+                                                        label="Taxa fixa"
+                                                        labelHidden={index > 0}
+                                                        type="number"
+                                                        value={row.fixed}
+                                                        onChange={(value) => updateRow(index, { fixed: value })}
+                                                        autoComplete="off"
+                                                    />
+                                                </div>
+                                                <div style={{ width: '130px' }}>
+                                                    <Select
+                                                        label="Moeda da taxa fixa"
+                                                        labelHidden={index > 0}
+                                                        options={CURRENCY_OPTIONS}
+                                                        value={row.fixedCurrency}
+                                                        onChange={(value) => updateRow(index, { fixedCurrency: value })}
+                                                    />
+                                                </div>
+                                                <div style={{ width: '90px' }}>
+                                                    <TextField
+                                                        label="Câmbio"
+                                                        labelHidden={index > 0}
+                                                        type="number"
+                                                        value={row.exchangeRate}
+                                                        onChange={(value) => updateRow(index, { exchangeRate: value })}
+                                                        disabled={!row.fixedCurrency}
+                                                        autoComplete="off"
+                                                    />
+                                                </div>
+                                                <Button
+                                                    variant="plain"
+                                                    tone="critical"
+                                                    onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                                                >
+                                                    Remover
+                                                </Button>
+                                            </InlineStack>
+
+                                            {row.installmentRates.map((tier, tierIndex) => (
+                                                <InlineStack gap="200" blockAlign="center" wrap={false} key={tierIndex}>
+                                                    <Text variant="bodySm" tone="subdued">A partir de</Text>
+                                                    <div style={{ width: '90px' }}>
+                                                        <TextField
+                                                            label="Parcelas"
+                                                            labelHidden
+                                                            type="number"
+                                                            value={tier.installments}
+                                                            onChange={(value) => updateInstallmentRates(index, row.installmentRates
+                                                                .map((t, i) => (i === tierIndex ? { ...t, installments: value } : t)))}
+                                                            suffix="x"
+                                                            min={2}
+                                                            max={24}
+                                                            autoComplete="off"
+                                                        />
+                                                    </div>
+                                                    <div style={{ width: '100px' }}>
+                                                        <TextField
+                                                            label="Percentual parcelado"
+                                                            labelHidden
+                                                            type="number"
+                                                            value={tier.percentage}
+                                                            onChange={(value) => updateInstallmentRates(index, row.installmentRates
+                                                                .map((t, i) => (i === tierIndex ? { ...t, percentage: value } : t)))}
+                                                            suffix="%"
+                                                            autoComplete="off"
+                                                        />
+                                                    </div>
+                                                    <Button
+                                                        variant="plain"
+                                                        tone="critical"
+                                                        onClick={() => updateInstallmentRates(index, row.installmentRates
+                                                            .filter((_, i) => i !== tierIndex))}
+                                                    >
+                                                        Remover
+                                                    </Button>
+                                                </InlineStack>
+                                            ))}
+
+                                            <InlineStack>
+                                                <Button
+                                                    variant="plain"
+                                                    onClick={() => updateInstallmentRates(index, [
+                                                        ...row.installmentRates,
+                                                        EMPTY_INSTALLMENT_RATE,
+                                                    ])}
+                                                >
+                                                    Adicionar taxa parcelada
+                                                </Button>
+                                            </InlineStack>
+                                        </BlockStack>
+                                    ))}
+
+                                    <InlineStack>
+                                        <Button onClick={() => setRows([...rows, EMPTY_RATE])}>
+                                            Adicionar gateway
+                                        </Button>
+                                    </InlineStack>
+
+                                    <Text variant="bodySm" tone="subdued">
+                                        A taxa de cada pedido é o percentual sobre o total mais a taxa fixa. Compras parceladas usam o percentual da maior faixa atingida, com o número de parcelas lido do recibo do pagamento; sem recibo, vale o percentual à vista. A mudança vale também para os dias já calculados.
+                                    </Text>
+                                </BlockStack>
+                            )}
+                        </Card>
+                    </Layout.Section>
+                </Layout>
+
+                {/* Toast */}
+                {toastActive && (
+                    <Toast content={toastMessage} onDismiss={() => setToastActive(false)} />
+                )}
+            </Page>
+        </Frame>
+    );
+}
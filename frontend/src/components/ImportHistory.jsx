@@ -0,0 +1,148 @@
+/**
+ * Import History Component
+ * Past CSV cost imports, each of which can be undone
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Card,
+    ResourceList,
+    ResourceItem,
+    Text,
+    Badge,
+    Modal,
+    BlockStack,
+    InlineStack,
+    EmptyState,
+    Spinner,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatDate } from '../utils/formatters';
+
+export default function ImportHistory({ onRolledBack, showToast }) {
+    const [imports, setImports] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [confirming, setConfirming] = useState(null);
+    const [rollingBack, setRollingBack] = useState(false);
+
+    const fetchImports = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getCogsCsvImports = callFunction('getCogsCsvImports');
+            const result = await getCogsCsvImports({});
+            setImports(result.data.imports || []);
+        } catch (error) {
+            console.error('Fetch imports error:', error);
+            showToast('Erro ao carregar importações');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchImports();
+    }, [fetchImports]);
+
+    const handleRollback = async () => {
+        setRollingBack(true);
+        try {
+            const rollbackCogsCsvImport = callFunction('rollbackCogsCsvImport');
+            const result = await rollbackCogsCsvImport({ id: confirming.id });
+            const { restored, conflicts } = result.data;
+
+            showToast(conflicts.length > 0
+                ? `${restored} custos restaurados, ${conflicts.length} mantidos por terem sido alterados depois`
+                : `${restored} custos restaurados`);
+
+            setConfirming(null);
+            fetchImports();
+            onRolledBack?.();
+        } catch (error) {
+            console.error('Rollback import error:', error);
+            showToast(error.message || 'Erro ao desfazer importação');
+        } finally {
+            setRollingBack(false);
+        }
+    };
+
+    return (
+        <Card>
+            <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Importações de CSV</Text>
+
+                {loading ? (
+                    <InlineStack align="center">
+                        <Spinner />
+                    </InlineStack>
+                ) : imports.length === 0 ? (
+                    <EmptyState
+                        heading="Nenhuma importação ainda"
+                        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                    >
+                        <p>As importações de custos por CSV aparecerão aqui e poderão ser desfeitas.</p>
+                    </EmptyState>
+                ) : (
+                    <ResourceList
+                        resourceName={{ singular: 'importação', plural: 'importações' }}
+                        items={imports}
+                        renderItem={(item) => {
+                            const rolledBack = item.status === 'rolled_back';
+
+                            return (
+                                <ResourceItem
+                                    id={item.id}
+                                    name={item.fileName}
+                                    shortcutActions={rolledBack ? [] : [
+                                        { content: 'Desfazer', onAction: () => setConfirming(item) },
+                                    ]}
+                                >
+                                    <InlineStack align="space-between" blockAlign="center">
+                                        <BlockStack gap="100">
+                                            <Text variant="bodyMd" fontWeight="semibold">
+                                                {item.fileName || 'Arquivo CSV'}
+                                            </Text>
+                                            <Text variant="bodySm" tone="subdued">
+                                                {item.createdAt ? formatDate(item.createdAt) : ''} • {item.created} novos • {item.updated} alterados • {item.unchanged} sem alteração • {item.skipped} com erro
+                                            </Text>
+                                            {rolledBack && item.conflicts?.length > 0 && (
+                                                <Text variant="bodySm" tone="subdued">
+                                                    {`${item.conflicts.length} custos alterados depois da importação foram mantidos`}
+                                                </Text>
+                                            )}
+                                        </BlockStack>
+                                        {rolledBack ? (
+                                            <Badge>Desfeita</Badge>
+                                        ) : (
+                                            <Badge tone="success">Aplicada</Badge>
+                                        )}
+                                    </InlineStack>
+                                </ResourceItem>
+                            );
+                        }}
+                    />
+                )}
+            </BlockStack>
+
+            <Modal
+                open={!!confirming}
+                onClose={() => setConfirming(null)}
+                title="Desfazer importação"
+                primaryAction={{
+                    content: 'Desfazer',
+                    destructive: true,
+                    onAction: handleRollback,
+                    loading: rollingBack,
+                }}
+                secondaryActions={[
+                    { content: 'Cancelar', onAction: () => setConfirming(null) },
+                ]}
+            >
+                <Modal.Section>
+                    <Text variant="bodyMd">
+                        Os custos alterados por <strong>{confirming?.fileName || 'esta importação'}</strong> voltarão ao que eram antes dela. Custos editados depois da importação serão mantidos.
+                    </Text>
+                </Modal.Section>
+            </Modal>
+        </Card>
+    );
+}
@@ -0,0 +1,242 @@
+/**
+ * Orders Explorer Component
+ * Per-order profit with sorting and filters to spot loss-making orders
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    Select,
+    Badge,
+    BlockStack,
+    InlineStack,
+    Pagination,
+    Spinner,
+    EmptyState,
+    Toast,
+    Frame,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { useDashboardSummary } from '../hooks/useProfit';
+import { formatCurrency, formatPercent, formatDateShort, getDateRange } from '../utils/formatters';
+
+const PAGE_SIZE = 50;
+
+const RANGE_OPTIONS = [
+    { label: 'Hoje', value: 'today' },
+    { label: 'Esta Semana', value: 'week' },
+    { label: 'Este Mês', value: 'month' },
+    { label: 'Últimos 30 Dias', value: 'last30' },
+];
+
+const FILTER_OPTIONS = [
+    { label: 'Todos os pedidos', value: 'all' },
+    { label: 'Pedidos com prejuízo', value: 'unprofitable' },
+    { label: 'Sem custo de produto', value: 'missing_cogs' },
+    { label: 'Gateway sem taxa configurada', value: 'missing_fee_rate' },
+];
+
+// DataTable column index -> backend sort field
+const SORT_COLUMNS = {
+    1: 'createdAt',
+    2: 'revenue',
+    3: 'cogs',
+    4: 'fees',
+    5: 'variableCosts',
+    6: 'adSpend',
+    7: 'netProfit',
+    8: 'margin',
+};
+
+export default function OrdersExplorer() {
+    const { data: summaryData } = useDashboardSummary();
+    const timezone = summaryData?.timezone;
+
+    const [range, setRange] = useState('last30');
+    const [filter, setFilter] = useState('all');
+    const [sortColumn, setSortColumn] = useState(1);
+    const [sortDirection, setSortDirection] = useState('descending');
+    const [page, setPage] = useState(1);
+
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    // Toast
+    const [toastActive, setToastActive] = useState(false);
+    const [toastMessage, setToastMessage] = useState('');
+
+    const showToast = (message) => {
+        setToastMessage(message);
+        setToastActive(true);
+    };
+
+    const { startDate, endDate } = getDateRange(range, timezone);
+
+    // Fetch orders
+    const fetchOrders = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getOrderProfits = callFunction('getOrderProfits');
+            const response = await getOrderProfits({
+                startDate,
+                endDate,
+                filter,
+                sortBy: SORT_COLUMNS[sortColumn],
+                sortDirection: sortDirection === 'ascending' ? 'asc' : 'desc',
+                page,
+                pageSize: PAGE_SIZE,
+            });
+            setResult(response.data);
+        } catch (error) {
+            console.error('Fetch order profits error:', error);
+            showToast('Erro ao carregar pedidos');
+        } finally {
+            setLoading(false);
+        }
+    }, [startDate, endDate, filter, sortColumn, sortDirection, page]);
+
+    useEffect(() => {
+        fetchOrders();
+    }, [fetchOrders]);
+
+    const handleSort = (index, direction) => {
+        setSortColumn(index);
+        setSortDirection(direction);
+        setPage(1);
+    };
+
+    const handleRangeChange = (value) => {
+        setRange(value);
+        setPage(1);
+    };
+
+    const handleFilterChange = (value) => {
+        setFilter(value);
+        setPage(1);
+    };
+
+    const rows = (result?.orders || []).map((order) => [
+        <InlineStack gap="200" blockAlign="center" key={order.orderId}>
+            <Text as="span" fontWeight="semibold">{order.name || order.orderId}</Text>
+            {order.missingCogs && <Badge tone="warning">Sem custo</Badge>}
+            {!order.feeConfigured && <Badge tone="attention">Taxa não configurada</Badge>}
+            {order.installments > 1 && <Badge>{`${order.installments}x`}</Badge>}
+        </InlineStack>,
+        formatDateShort(order.date),
+        formatCurrency(order.netRevenue),
+        formatCurrency(order.cogs),
+        formatCurrency(order.fees),
+        formatCurrency(order.variableCosts),
+        formatCurrency(order.adSpend),
+        <Text as="span" tone={order.isProfitable ? 'success' : 'critical'} key={`profit-${order.orderId}`}>
+            {formatCurrency(order.netProfit)}
+        </Text>,
+        formatPercent(order.margin),
+    ]);
+
+    return (
+        <Frame>
+            <Page
+                title="Pedidos"
+                subtitle="Lucro de cada pedido, com taxas e anúncios rateados"
+            >
+                <Layout>
+                    <Layout.Section>
+                        <Card>
+                            <BlockStack gap="400">
+                                <InlineStack gap="400" blockAlign="end">
+                                    <Select
+                                        label="Período"
+                                        options={RANGE_OPTIONS}
+                                        value={range}
+                                        onChange={handleRangeChange}
+                                    />
+                                    <Select
+                                        label="Filtro"
+                                        options={FILTER_OPTIONS}
+                                        value={filter}
+                                        onChange={handleFilterChange}
+                                    />
+                                </InlineStack>
+
+                                {result?.summary && (
+                                    <Text variant="bodySm" tone="subdued">
+                                        {result.summary.orders} pedidos • {result.summary.unprofitable} com prejuízo • {result.summary.missingCogs} sem custo de produto • {result.summary.unconfiguredFees} sem taxa de gateway configurada
+                                    </Text>
+                                )}
+                            </BlockStack>
+                        </Card>
+                    </Layout.Section>
+
+                    <Layout.Section>
+                        <Card padding="0">
+                            {loading ? (
+                                <InlineStack align="center">
+                                    <Spinner />
+                                </InlineStack>
+                            ) : rows.length === 0 ? (
+                                <EmptyState
+                                    heading="Nenhum pedido encontrado"
+                                    image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                                >
+                                    <p>Tente outro período ou filtro.</p>
+                                </EmptyState>
+                            ) : (
+                                <DataTable
+                                    columnContentTypes={[
+                                        'text',
+                                        'text',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                    ]}
+                                    headings={[
+                                        'Pedido',
+                                        'Data',
+                                        'Receita',
+                                        'CMV',
+                                        'Taxas',
+                                        'Custos var.',
+                                        'Anúncios',
+                                        'Lucro',
+                                        'Margem',
+                                    ]}
+                                    rows={rows}
+                                    sortable={[false, true, true, true, true, true, true, true, true]}
+                                    defaultSortDirection="descending"
+                                    initialSortColumnIndex={sortColumn}
+                                    onSort={handleSort}
+                                />
+                            )}
+                        </Card>
+                    </Layout.Section>
+
+                    <Layout.Section>
+                        <InlineStack align="center">
+                            <Pagination
+                                hasPrevious={page > 1}
+                                onPrevious={() => setPage(page - 1)}
+                                hasNext={!!result?.hasNext}
+                                onNext={() => setPage(page + 1)}
+                                label={`Página ${page}`}
+                            />
+                        </InlineStack>
+                    </Layout.Section>
+                </Layout>
+
+                {/* Toast */}
+                {toastActive && (
+                    <Toast content={toastMessage} onDismiss={() => setToastActive(false)} />
+                )}
+            </Page>
+        </Frame>
+    );
+}
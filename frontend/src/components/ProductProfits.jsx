@@ -0,0 +1,249 @@
+/**
+ * Product Profits Component
+ * Profit and loss per variant or product to find which SKUs make money
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Page,
+    Layout,
+    Card,
+    DataTable,
+    Text,
+    Select,
+    Badge,
+    BlockStack,
+    InlineStack,
+    Spinner,
+    EmptyState,
+    Toast,
+    Frame,
+} from '@shopify/polaris';
+import { ExportIcon } from '@shopify/polaris-icons';
+import { callFunction } from '../firebase';
+import { useDashboardSummary } from '../hooks/useProfit';
+import { formatCurrency, formatPercent, getDateRange } from '../utils/formatters';
+
+const RANGE_OPTIONS = [
+    { label: 'Esta Semana', value: 'week' },
+    { label: 'Este Mês', value: 'month' },
+    { label: 'Últimos 30 Dias', value: 'last30' },
+];
+
+const GROUP_OPTIONS = [
+    { label: 'Por variante', value: 'variant' },
+    { label: 'Por produto', value: 'product' },
+];
+
+// DataTable column index -> row field (numeric columns only)
+const SORT_FIELDS = {
+    1: 'unitsSold',
+    2: 'netRevenue',
+    3: 'cogs',
+    4: 'grossMargin',
+    5: 'fees',
+    6: 'variableCosts',
+    7: 'refundRate',
+    8: 'profit',
+};
+
+export default function ProductProfits() {
+    const { data: summaryData } = useDashboardSummary();
+    const timezone = summaryData?.timezone;
+
+    const [range, setRange] = useState('last30');
+    const [groupBy, setGroupBy] = useState('variant');
+    const [sortColumn, setSortColumn] = useState(8);
+    const [sortDirection, setSortDirection] = useState('descending');
+
+    const [rows, setRows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [exporting, setExporting] = useState(false);
+
+    // Toast
+    const [toastActive, setToastActive] = useState(false);
+    const [toastMessage, setToastMessage] = useState('');
+
+    const showToast = (message) => {
+        setToastMessage(message);
+        setToastActive(true);
+    };
+
+    const { startDate, endDate } = getDateRange(range, timezone);
+
+    // Fetch report
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getProductProfits = callFunction('getProductProfits');
+            const result = await getProductProfits({ startDate, endDate, groupBy });
+            setRows(result.data.rows || []);
+        } catch (error) {
+            console.error('Fetch product profits error:', error);
+            showToast('Erro ao carregar relatório');
+        } finally {
+            setLoading(false);
+        }
+    }, [startDate, endDate, groupBy]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    // Export CSV
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const exportProductReport = callFunction('exportProductReport');
+            const result = await exportProductReport({ startDate, endDate, groupBy });
+
+            const blob = new Blob([result.data.content], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = result.data.filename;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            showToast('Exportação concluída');
+        } catch (error) {
+            console.error('Export error:', error);
+            showToast('Erro ao exportar');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleSort = (index, direction) => {
+        setSortColumn(index);
+        setSortDirection(direction);
+    };
+
+    const sortField = SORT_FIELDS[sortColumn];
+    const sortedRows = [...rows].sort((a, b) => {
+        const diff = parseFloat(a[sortField]) - parseFloat(b[sortField]);
+        return sortDirection === 'ascending' ? diff : -diff;
+    });
+
+    const tableRows = sortedRows.map((row) => [
+        <BlockStack gap="100" key={row.key}>
+            <InlineStack gap="200" blockAlign="center">
+                <Text as="span" fontWeight="semibold">{row.title || row.key}</Text>
+                {row.missingCogs && <Badge tone="warning">Sem custo</Badge>}
+            </InlineStack>
+            {row.sku && (
+                <Text as="span" variant="bodySm" tone="subdued">SKU: {row.sku}</Text>
+            )}
+        </BlockStack>,
+        row.unitsSold,
+        formatCurrency(row.netRevenue),
+        Object.keys(row.cogsBreakdown || {}).length > 0 ? (
+            <BlockStack gap="050" inlineAlign="end" key={`cogs-${row.key}`}>
+                <Text as="span">{formatCurrency(row.cogs)}</Text>
+                {Object.entries(row.cogsBreakdown).map(([name, cost]) => (
+                    <Text as="span" variant="bodySm" tone="subdued" key={name}>
+                        {name}: {formatCurrency(cost)}
+                    </Text>
+                ))}
+            </BlockStack>
+        ) : (
+            formatCurrency(row.cogs)
+        ),
+        formatPercent(row.grossMargin),
+        formatCurrency(row.fees),
+        formatCurrency(row.variableCosts),
+        formatPercent(row.refundRate),
+        <Text as="span" tone={row.isProfitable ? 'success' : 'critical'} key={`profit-${row.key}`}>
+            {formatCurrency(row.profit)}
+        </Text>,
+    ]);
+
+    return (
+        <Frame>
+            <Page
+                title="Lucro por Produto"
+                subtitle="Descubra quais SKUs realmente dão lucro"
+                primaryAction={{
+                    content: 'Exportar CSV',
+                    icon: ExportIcon,
+                    onAction: handleExport,
+                    loading: exporting,
+                    disabled: loading || rows.length === 0,
+                }}
+            >
+                <Layout>
+                    <Layout.Section>
+                        <Card>
+                            <InlineStack gap="400" blockAlign="end">
+                                <Select
+                                    label="Período"
+                                    options={RANGE_OPTIONS}
+                                    value={range}
+                                    onChange={setRange}
+                                />
+                                <Select
+                                    label="Agrupar"
+                                    options={GROUP_OPTIONS}
+                                    value={groupBy}
+                                    onChange={setGroupBy}
+                                />
+                            </InlineStack>
+                        </Card>
+                    </Layout.Section>
+
+                    <Layout.Section>
+                        <Card padding="0">
+                            {loading ? (
+                                <InlineStack align="center">
+                                    <Spinner />
+                                </InlineStack>
+                            ) : tableRows.length === 0 ? (
+                                <EmptyState
+                                    heading="Nenhuma venda no período"
+                                    image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                                >
+                                    <p>Tente um período maior.</p>
+                                </EmptyState>
+                            ) : (
+                                <DataTable
+                                    columnContentTypes={[
+                                        'text',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                        'numeric',
+                                    ]}
+                                    headings={[
+                                        groupBy === 'product' ? 'Produto' : 'Variante',
+                                        'Unidades',
+                                        'Receita',
+                                        'CMV',
+                                        'Margem Bruta',
+                                        'Taxas',
+                                        'Custos var.',
+                                        'Reembolsos',
+                                        'Lucro',
+                                    ]}
+                                    rows={tableRows}
+                                    sortable={[false, true, true, true, true, true, true, true, true]}
+                                    defaultSortDirection="descending"
+                                    initialSortColumnIndex={sortColumn}
+                                    onSort={handleSort}
+                                />
+                            )}
+                        </Card>
+                    </Layout.Section>
+                </Layout>
+
+                {/* Toast */}
+                {toastActive && (
+                    <Toast content={toastMessage} onDismiss={() => setToastActive(false)} />
+                )}
+            </Page>
+        </Frame>
+    );
+}
@@ -26,9 +26,9 @@ import {
 import { useProfitRange } from '../hooks/useProfit';
 import { formatCurrency, formatDateShort, getDateRange } from '../utils/formatters';
 
-export default function ProfitChart() {
+export default function ProfitChart({ timezone }) {
     const [range, setRange] = useState('week');
-    const { startDate, endDate } = getDateRange(range);
+    const { startDate, endDate } = getDateRange(range, timezone);
     const { data, loading, error } = useProfitRange(startDate, endDate);
 
     const rangeOptions = [
@@ -0,0 +1,446 @@
+/**
+ * Purchase Orders Component
+ * Stock bought in lots and the costing mode that turns lots into COGS
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Page,
+    Layout,
+    Card,
+    ResourceList,
+    ResourceItem,
+    Text,
+    TextField,
+    Button,
+    Modal,
+    Select,
+    Badge,
+    BlockStack,
+    InlineStack,
+    EmptyState,
+    Spinner,
+    Toast,
+    Frame,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatCurrency, formatDate } from '../utils/formatters';
+
+const COSTING_OPTIONS = [
+    { label: 'Custo cadastrado por produto', value: 'standard' },
+    { label: 'Custo médio ponderado', value: 'weighted_average' },
+    { label: 'PEPS (primeiro a entrar, primeiro a sair)', value: 'fifo' },
+];
+
+const EMPTY_LINE = { variantId: '', quantity: '', unitCost: '' };
+
+const getVariantLabel = (variant) =>
+    variant.variantTitle && variant.variantTitle !== 'Default Title'
+        ? `${variant.productTitle} - ${variant.variantTitle}`
+        : variant.productTitle;
+
+export default function PurchaseOrders() {
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [variants, setVariants] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [costingMode, setCostingMode] = useState('standard');
+    const [savingMode, setSavingMode] = useState(false);
+
+    // Modal states
+    const [modalOpen, setModalOpen] = useState(false);
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [formData, setFormData] = useState({});
+    const [lines, setLines] = useState([EMPTY_LINE]);
+    const [saving, setSaving] = useState(false);
+
+    // Toast
+    const [toastActive, setToastActive] = useState(false);
+    const [toastMessage, setToastMessage] = useState('');
+
+    const showToast = (message) => {
+        setToastMessage(message);
+        setToastActive(true);
+    };
+
+    // Fetch purchase orders
+    const fetchPurchaseOrders = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getPurchaseOrders = callFunction('getPurchaseOrders');
+            const result = await getPurchaseOrders({});
+            setPurchaseOrders(result.data.purchaseOrders || []);
+        } catch (error) {
+            console.error('Fetch purchase orders error:', error);
+            showToast('Erro ao carregar pedidos de compra');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchPurchaseOrders();
+    }, [fetchPurchaseOrders]);
+
+    // Costing mode and catalog variants for the line picker
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const getCostingSettings = callFunction('getCostingSettings');
+                const getCatalogCosts = callFunction('getCatalogCosts');
+                const [settings, catalog] = await Promise.all([
+                    getCostingSettings({}),
+                    getCatalogCosts({ filter: 'all' }),
+                ]);
+                setCostingMode(settings.data.mode);
+                setVariants(catalog.data.variants || []);
+            } catch (error) {
+                console.error('Fetch costing settings error:', error);
+            }
+        };
+
+        fetchSettings();
+    }, []);
+
+    const handleModeChange = async (value) => {
+        setCostingMode(value);
+        setSavingMode(true);
+        try {
+            const updateCostingSettings = callFunction('updateCostingSettings');
+            await updateCostingSettings({ mode: value });
+            showToast('Método de custeio atualizado');
+        } catch (error) {
+            console.error('Update costing settings error:', error);
+            showToast('Erro ao salvar método de custeio');
+        } finally {
+            setSavingMode(false);
+        }
+    };
+
+    // Open add modal
+    const handleAdd = () => {
+        setEditingOrder(null);
+        setFormData({
+            supplier: '',
+            reference: '',
+            orderDate: new Date().toISOString().slice(0, 10),
+            receivedDate: '',
+        });
+        setLines([EMPTY_LINE]);
+        setModalOpen(true);
+    };
+
+    // Open edit modal
+    const handleEdit = (order) => {
+        setEditingOrder(order);
+        setFormData({
+            supplier: order.supplier || '',
+            reference: order.reference || '',
+            orderDate: order.orderDate || '',
+            receivedDate: order.receivedDate || '',
+        });
+        setLines(order.lines.map((line) => ({
+            variantId: line.variantId,
+            quantity: line.quantity.toString(),
+            unitCost: line.unitCost.toString(),
+        })));
+        setModalOpen(true);
+    };
+
+    const updateLine = (index, changes) => {
+        setLines(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+    };
+
+    // Save purchase order
+    const handleSave = async () => {
+        const filledLines = lines.filter((line) => line.variantId && line.quantity && line.unitCost !== '');
+        if (!formData.supplier || !formData.orderDate || filledLines.length === 0) {
+            showToast('Preencha fornecedor, data e ao menos um item');
+            return;
+        }
+
+        const payload = {
+            ...formData,
+            receivedDate: formData.receivedDate || null,
+            lines: filledLines.map((line) => {
+                const variant = variants.find((v) => v.variantId.toString() === line.variantId);
+                return {
+                    variantId: line.variantId,
+                    sku: variant?.sku || '',
+                    productTitle: variant ? getVariantLabel(variant) : '',
+                    quantity: parseInt(line.quantity, 10),
+                    unitCost: parseFloat(line.unitCost),
+                };
+            }),
+        };
+
+        setSaving(true);
+        try {
+            if (editingOrder) {
+                const updatePurchaseOrder = callFunction('updatePurchaseOrder');
+                await updatePurchaseOrder({ id: editingOrder.id, ...payload });
+                showToast('Pedido de compra atualizado');
+            } else {
+                const createPurchaseOrder = callFunction('createPurchaseOrder');
+                await createPurchaseOrder(payload);
+                showToast('Pedido de compra adicionado');
+            }
+
+            setModalOpen(false);
+            fetchPurchaseOrders();
+        } catch (error) {
+            console.error('Save purchase order error:', error);
+            showToast(error.message || 'Erro ao salvar');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Receive purchase order today
+    const handleReceive = async (id) => {
+        try {
+            const receivePurchaseOrder = callFunction('receivePurchaseOrder');
+            await receivePurchaseOrder({ id });
+            showToast('Pedido recebido');
+            fetchPurchaseOrders();
+        } catch (error) {
+            console.error('Receive purchase order error:', error);
+            showToast('Erro ao receber pedido');
+        }
+    };
+
+    // Delete purchase order
+    const handleDelete = async (id) => {
+        try {
+            const deletePurchaseOrder = callFunction('deletePurchaseOrder');
+            await deletePurchaseOrder({ id });
+            showToast('Pedido de compra removido');
+            fetchPurchaseOrders();
+        } catch (error) {
+            console.error('Delete purchase order error:', error);
+            showToast('Erro ao remover');
+        }
+    };
+
+    const variantOptions = [
+        { label: 'Selecione um produto', value: '' },
+        ...variants.map((variant) => ({
+            label: `${getVariantLabel(variant)}${variant.sku ? ` (${variant.sku})` : ''}`,
+            value: variant.variantId.toString(),
+        })),
+    ];
+
+    return (
+        <Frame>
+            <Page
+                title="Pedidos de Compra"
+                subtitle="Registre os lotes comprados para calcular o custo real de cada venda"
+                primaryAction={{
+                    content: 'Adicionar Pedido',
+                    onAction: handleAdd,
+                }}
+            >
+                <Layout>
+                    {/* Costing mode */}
+                    <Layout.Section>
+                        <Card>
+                            <BlockStack gap="300">
+                                <Text variant="headingMd" as="h2">Método de custeio</Text>
+                                <Text variant="bodySm" tone="subdued">
+                                    Com custo médio ou PEPS, o custo das variantes com pedidos recebidos é calculado a partir dos lotes e substitui o custo cadastrado.
+                                </Text>
+                                <Select
+                                    label="Custo das vendas"
+                                    options={COSTING_OPTIONS}
+                                    value={costingMode}
+                                    onChange={handleModeChange}
+                                    disabled={savingMode}
+                                />
+                            </BlockStack>
+                        </Card>
+                    </Layout.Section>
+
+                    {/* Purchase orders list */}
+                    <Layout.Section>
+                        <Card>
+                            {loading ? (
+                                <InlineStack align="center">
+                                    <Spinner />
+                                </InlineStack>
+                            ) : purchaseOrders.length === 0 ? (
+                                <EmptyState
+                                    heading="Nenhum pedido de compra"
+                                    image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                                    action={{
+                                        content: 'Adicionar Pedido',
+                                        onAction: handleAdd,
+                                    }}
+                                >
+                                    <p>Registre as compras de estoque com quantidade e custo unitário de cada item.</p>
+                                </EmptyState>
+                            ) : (
+                                <ResourceList
+                                    resourceName={{ singular: 'pedido', plural: 'pedidos' }}
+                                    items={purchaseOrders}
+                                    renderItem={(order) => (
+                                        <ResourceItem
+                                            id={order.id}
+                                            name={order.supplier}
+                                            shortcutActions={[
+                                                ...(order.status !== 'received'
+                                                    ? [{ content: 'Receber', onAction: () => handleReceive(order.id) }]
+                                                    : []),
+                                                { content: 'Editar', onAction: () => handleEdit(order) },
+                                                { content: 'Remover', onAction: () => handleDelete(order.id) },
+                                            ]}
+                                        >
+                                            <InlineStack align="space-between" blockAlign="center">
+                                                <BlockStack gap="100">
+                                                    <InlineStack gap="200" blockAlign="center">
+                                                        <Text variant="bodyMd" fontWeight="semibold">
+                                                            {order.supplier}
+                                                            {order.reference ? ` • ${order.reference}` : ''}
+                                                        </Text>
+                                                        {order.status === 'received' ? (
+                                                            <Badge tone="success">Recebido</Badge>
+                                                        ) : (
+                                                            <Badge tone="attention">Em aberto</Badge>
+                                                        )}
+                                                    </InlineStack>
+                                                    <Text variant="bodySm" tone="subdued">
+                                                        Pedido em {formatDate(order.orderDate)}
+                                                        {order.receivedDate ? ` • Recebido em ${formatDate(order.receivedDate)}` : ''}
+                                                        {` • ${order.totalUnits} unidades`}
+                                                    </Text>
+                                                </BlockStack>
+                                                <Badge>{formatCurrency(order.totalCost)}</Badge>
+                                            </InlineStack>
+                                        </ResourceItem>
+                                    )}
+                                />
+                            )}
+                        </Card>
+                    </Layout.Section>
+                </Layout>
+
+                {/* Add/Edit Modal */}
+                <Modal
+                    open={modalOpen}
+                    onClose={() => setModalOpen(false)}
+                    title={editingOrder ? 'Editar Pedido de Compra' : 'Adicionar Pedido de Compra'}
+                    size="large"
+                    primaryAction={{
+                        content: 'Salvar',
+                        onAction: handleSave,
+                        loading: saving,
+                    }}
+                    secondaryActions={[
+                        { content: 'Cancelar', onAction: () => setModalOpen(false) },
+                    ]}
+                >
+                    <Modal.Section>
+                        <BlockStack gap="400">
+                            <InlineStack gap="400" wrap={false}>
+                                <div style={{ flex: 1 }}>
+                                    <TextField
+                                        label="Fornecedor"
+                                        value={formData.supplier}
+                                        onChange={(value) => setFormData({ ...formData, supplier: value })}
+                                        autoComplete="off"
+                                    />
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <TextField
+                                        label="Referência"
+                                        value={formData.reference}
+                                        onChange={(value) => setFormData({ ...formData, reference: value })}
+                                        placeholder="Ex: número da nota"
+                                        autoComplete="off"
+                                    />
+                                </div>
+                            </InlineStack>
+                            <InlineStack gap="400" wrap={false}>
+                                <div style={{ flex: 1 }}>
+                                    <TextField
+                                        label="Data do pedido"
+                                        type="date"
+                                        value={formData.orderDate}
+                                        onChange={(value) => setFormData({ ...formData, orderDate: value })}
+                                        autoComplete="off"
+                                    />
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <TextField
+                                        label="Data de recebimento"
+                                        type="date"
+                                        value={formData.receivedDate}
+                                        onChange={(value) => setFormData({ ...formData, receivedDate: value })}
+                                        helpText="Em branco enquanto o pedido não chegou. Só lotes recebidos entram no custo."
+                                        autoComplete="off"
+                                    />
+                                </div>
+                            </InlineStack>
+                        </BlockStack>
+                    </Modal.Section>
+
+                    <Modal.Section>
+                        <BlockStack gap="300">
+                            <Text variant="headingSm" as="h3">Itens</Text>
+                            {lines.map((line, index) => (
+                                <InlineStack gap="200" blockAlign="end" wrap={false} key={index}>
+                                    <div style={{ flex: 1 }}>
+                                        <Select
+                                            label="Produto"
+                                            labelHidden={index > 0}
+                                            options={variantOptions}
+                                            value={line.variantId}
+                                            onChange={(value) => updateLine(index, { variantId: value })}
+                                        />
+                                    </div>
+                                    <div style={{ width: '100px' }}>
+                                        <TextField
+                                            label="Quantidade"
+                                            labelHidden={index > 0}
+                                            type="number"
+                                            value={line.quantity}
+                                            onChange={(value) => updateLine(index, { quantity: value })}
+                                            autoComplete="off"
+                                        />
+                                    </div>
+                                    <div style={{ width: '120px' }}>
+                                        <TextField
+                                            label="Custo unitário"
+                                            labelHidden={index > 0}
+                                            type="number"
+                                            prefix="R$"
+                                            value={line.unitCost}
+                                            onChange={(value) => updateLine(index, { unitCost: value })}
+                                            autoComplete="off"
+                                        />
+                                    </div>
+                                    <Button
+                                        variant="plain"
+                                        tone="critical"
+                                        onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                                        disabled={lines.length === 1}
+                                    >
+                                        Remover
+                                    </Button>
+                                </InlineStack>
+                            ))}
+                            <InlineStack>
+                                <Button onClick={() => setLines([...lines, EMPTY_LINE])}>
+                                    Adicionar item
+                                </Button>
+                            </InlineStack>
+                        </BlockStack>
+                    </Modal.Section>
+                </Modal>
+
+                {/* Toast */}
+                {toastActive && (
+                    <Toast content={toastMessage} onDismiss={() => setToastActive(false)} />
+                )}
+            </Page>
+        </Frame>
+    );
+}
@@ -0,0 +1,130 @@
+/**
+ * Revenue Settings Component
+ * Choose which order amounts count as revenue
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Page,
+    Layout,
+    Card,
+    Text,
+    Select,
+    Checkbox,
+    BlockStack,
+    InlineStack,
+    Spinner,
+    Toast,
+    Frame,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { clearProfitCache } from '../hooks/useProfit';
+
+const BASIS_OPTIONS = [
+    { label: 'Vendas brutas (antes de descontos, com impostos)', value: 'gross_sales' },
+    { label: 'Líquido de descontos (com impostos)', value: 'net_of_discounts' },
+    { label: 'Líquido de descontos e impostos', value: 'net_of_tax' },
+];
+
+export default function RevenueSettings() {
+    const [basis, setBasis] = useState('net_of_tax');
+    const [includeShipping, setIncludeShipping] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    // Toast
+    const [toastActive, setToastActive] = useState(false);
+    const [toastMessage, setToastMessage] = useState('');
+
+    const showToast = (message) => {
+        setToastMessage(message);
+        setToastActive(true);
+    };
+
+    // Fetch settings
+    const fetchSettings = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getRevenueSettings = callFunction('getRevenueSettings');
+            const result = await getRevenueSettings({});
+            setBasis(result.data.definition.basis);
+            setIncludeShipping(result.data.definition.includeShipping);
+        } catch (error) {
+            console.error('Fetch revenue settings error:', error);
+            showToast('Erro ao carregar configurações');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSettings();
+    }, [fetchSettings]);
+
+    // Save settings
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const updateRevenueSettings = callFunction('updateRevenueSettings');
+            await updateRevenueSettings({ basis, includeShipping });
+            clearProfitCache();
+            showToast('Configurações salvas');
+        } catch (error) {
+            console.error('Save revenue settings error:', error);
+            showToast('Erro ao salvar');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Frame>
+            <Page
+                title="Definição de Receita"
+                subtitle="Escolha quais valores dos pedidos contam como receita"
+                primaryAction={{
+                    content: 'Salvar',
+                    onAction: handleSave,
+                    loading: saving,
+                    disabled: loading,
+                }}
+            >
+                <Layout>
+                    <Layout.Section>
+                        <Card>
+                            {loading ? (
+                                <InlineStack align="center">
+                                    <Spinner />
+                                </InlineStack>
+                            ) : (
+                                <BlockStack gap="400">
+                                    <Select
+                                        label="Base da receita"
+                                        options={BASIS_OPTIONS}
+                                        value={basis}
+                                        onChange={setBasis}
+                                    />
+
+                                    <Checkbox
+                                        label="Incluir frete cobrado na receita"
+                                        checked={includeShipping}
+                                        onChange={setIncludeShipping}
+                                    />
+
+                                    <Text variant="bodySm" tone="subdued">
+                                        Gorjetas nunca contam como receita. A mudança vale também para os dias já calculados.
+                                    </Text>
+                                </BlockStack>
+                            )}
+                        </Card>
+                    </Layout.Section>
+                </Layout>
+
+                {/* Toast */}
+                {toastActive && (
+                    <Toast content={toastMessage} onDismiss={() => setToastActive(false)} />
+                )}
+            </Page>
+        </Frame>
+    );
+}
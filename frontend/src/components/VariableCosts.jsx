@@ -0,0 +1,306 @@
+/**
+ * Variable Costs Component
+ * Costs that follow sales: a percentage of revenue, an amount per order or
+ * an amount per item, optionally limited to a sales channel or product tag
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Card,
+    ResourceList,
+    ResourceItem,
+    Text,
+    TextField,
+    Button,
+    Modal,
+    Select,
+    Badge,
+    BlockStack,
+    InlineStack,
+    EmptyState,
+    Spinner,
+} from '@shopify/polaris';
+import { callFunction } from '../firebase';
+import { formatCurrency } from '../utils/formatters';
+
+const TYPE_OPTIONS = [
+    { label: 'Percentual da receita', value: 'percent_of_revenue' },
+    { label: 'Valor por pedido', value: 'per_order' },
+    { label: 'Valor por item', value: 'per_item' },
+];
+
+const SCOPE_OPTIONS = [
+    { label: 'Todas as vendas', value: 'all' },
+    { label: 'Canal de venda', value: 'channel' },
+    { label: 'Produtos com a tag', value: 'product_tag' },
+];
+
+const SCOPE_LABELS = {
+    all: 'Todas as vendas',
+    channel: 'Canal',
+    product_tag: 'Tag',
+};
+
+const EMPTY_FORM = {
+    name: '',
+    type: 'percent_of_revenue',
+    value: '',
+    scope: 'all',
+    scopeValue: '',
+};
+
+export default function VariableCosts({ showToast }) {
+    const [costs, setCosts] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    // Modal states
+    const [modalOpen, setModalOpen] = useState(false);
+    const [editingCost, setEditingCost] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+
+    // Fetch variable costs
+    const fetchCosts = useCallback(async () => {
+        setLoading(true);
+        try {
+            const getVariableCosts = callFunction('getVariableCosts');
+            const result = await getVariableCosts({});
+            setCosts(result.data.costs || []);
+        } catch (error) {
+            console.error('Fetch variable costs error:', error);
+            showToast('Erro ao carregar custos variáveis');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCosts();
+    }, [fetchCosts]);
+
+    const toCost = () => ({
+        ...(editingCost ? { id: editingCost.id } : {}),
+        name: formData.name,
+        type: formData.type,
+        value: parseFloat(formData.value),
+        scope: formData.scope,
+        scopeValue: formData.scope === 'all' ? null : formData.scopeValue,
+    });
+
+    // Open add modal
+    const handleAdd = () => {
+        setEditingCost(null);
+        setFormData(EMPTY_FORM);
+        setModalOpen(true);
+    };
+
+    // Open edit modal
+    const handleEdit = (cost) => {
+        setEditingCost(cost);
+        setFormData({
+            name: cost.name,
+            type: cost.type,
+            value: cost.value.toString(),
+            scope: cost.scope,
+            scopeValue: cost.scopeValue || '',
+        });
+        setModalOpen(true);
+    };
+
+    // Save variable cost
+    const handleSave = async () => {
+        if (!formData.name || !formData.value || (formData.scope !== 'all' && !formData.scopeValue)) {
+            showToast('Preencha todos os campos');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            if (editingCost) {
+                const updateVariableCost = callFunction('updateVariableCost');
+                await updateVariableCost(toCost());
+                showToast('Custo variável atualizado');
+            } else {
+                const addVariableCost = callFunction('addVariableCost');
+                await addVariableCost(toCost());
+                showToast('Custo variável adicionado');
+            }
+
+            setModalOpen(false);
+            fetchCosts();
+        } catch (error) {
+            console.error('Save variable cost error:', error);
+            showToast(error.message || 'Erro ao salvar');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Pause or resume a variable cost
+    const handleToggle = async (cost) => {
+        try {
+            const updateVariableCost = callFunction('updateVariableCost');
+            await updateVariableCost({ ...cost, active: !cost.active });
+            showToast(cost.active ? 'Custo variável pausado' : 'Custo variável ativado');
+            fetchCosts();
+        } catch (error) {
+            console.error('Toggle variable cost error:', error);
+            showToast('Erro ao atualizar');
+        }
+    };
+
+    // Delete variable cost
+    const handleDelete = async (id) => {
+        try {
+            const deleteVariableCost = callFunction('deleteVariableCost');
+            await deleteVariableCost({ id });
+            showToast('Custo variável removido');
+            fetchCosts();
+        } catch (error) {
+            console.error('Delete variable cost error:', error);
+            showToast('Erro ao remover');
+        }
+    };
+
+    const describeCost = (cost) => {
+        const amount = cost.type === 'percent_of_revenue'
+            ? `${cost.value}% da receita`
+            : `${formatCurrency(cost.value)} por ${cost.type === 'per_order' ? 'pedido' : 'item'}`;
+        const scope = cost.scope === 'all'
+            ? SCOPE_LABELS.all
+            : `${SCOPE_LABELS[cost.scope]}: ${cost.scopeValue}`;
+
+        return `${amount} • ${scope}`;
+    };
+
+    return (
+        <Card>
+            <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                        <Text variant="headingMd" as="h2">Custos variáveis</Text>
+                        <Text variant="bodySm" tone="subdued">
+                            Cobrados sobre cada venda, como comissões de marketplace, impostos sobre o faturamento e embalagens.
+                        </Text>
+                    </BlockStack>
+                    <Button onClick={handleAdd}>Adicionar custo variável</Button>
+                </InlineStack>
+
+                {loading ? (
+                    <InlineStack align="center">
+                        <Spinner />
+                    </InlineStack>
+                ) : costs.length === 0 ? (
+                    <EmptyState
+                        heading="Nenhum custo variável cadastrado"
+                        image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                        action={{ content: 'Adicionar custo variável', onAction: handleAdd }}
+                    >
+                        <p>Ex: 6% de imposto sobre a receita ou R$ 2,50 de embalagem por pedido.</p>
+                    </EmptyState>
+                ) : (
+                    <ResourceList
+                        resourceName={{ singular: 'custo variável', plural: 'custos variáveis' }}
+                        items={costs}
+                        renderItem={(cost) => (
+                            <ResourceItem
+                                id={cost.id}
+                                name={cost.name}
+                                shortcutActions={[
+                                    { content: 'Editar', onAction: () => handleEdit(cost) },
+                                    { content: cost.active ? 'Pausar' : 'Ativar', onAction: () => handleToggle(cost) },
+                                    { content: 'Remover', onAction: () => handleDelete(cost.id) },
+                                ]}
+                            >
+                                <InlineStack align="space-between" blockAlign="center">
+                                    <BlockStack gap="100">
+                                        <Text variant="bodyMd" fontWeight="semibold">{cost.name}</Text>
+                                        <Text variant="bodySm" tone="subdued">{describeCost(cost)}</Text>
+                                    </BlockStack>
+                                    {!cost.active && <Badge>Pausado</Badge>}
+                                </InlineStack>
+                            </ResourceItem>
+                        )}
+                    />
+                )}
+            </BlockStack>
+
+            {/* Add/Edit Modal */}
+            <Modal
+                open={modalOpen}
+                onClose={() => setModalOpen(false)}
+                title={editingCost ? 'Editar Custo Variável' : 'Adicionar Custo Variável'}
+                primaryAction={{
+                    content: 'Salvar',
+                    onAction: handleSave,
+                    loading: saving,
+                }}
+                secondaryActions={[
+                    { content: 'Cancelar', onAction: () => setModalOpen(false) },
+                ]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        <TextField
+                            label="Nome"
+                            value={formData.name}
+                            onChange={(value) => setFormData({ ...formData, name: value })}
+                            placeholder="Ex: Comissão Mercado Livre, Simples Nacional"
+                            autoComplete="off"
+                        />
+                        <InlineStack gap="400" wrap={false}>
+                            <div style={{ flex: 1 }}>
+                                <Select
+                                    label="Tipo"
+                                    options={TYPE_OPTIONS}
+                                    value={formData.type}
+                                    onChange={(value) => setFormData({ ...formData, type: value })}
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                <TextField
+                                    label="Valor"
+                                    type="number"
+                                    value={formData.value}
+                                    onChange={(value) => setFormData({ ...formData, value })}
+                                    prefix={formData.type !== 'percent_of_revenue' ? 'R$' : undefined}
+                                    suffix={formData.type === 'percent_of_revenue' ? '%' : undefined}
+                                    autoComplete="off"
+                                />
+                            </div>
+                        </InlineStack>
+                        <InlineStack gap="400" wrap={false}>
+                            <div style={{ flex: 1 }}>
+                                <Select
+                                    label="Aplicar a"
+                                    options={SCOPE_OPTIONS}
+                                    value={formData.scope}
+                                    onChange={(value) => setFormData({ ...formData, scope: value, scopeValue: '' })}
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                <TextField
+                                    label={SCOPE_LABELS[formData.scope]}
+                                    value={formData.scopeValue}
+                                    onChange={(value) => setFormData({ ...formData, scopeValue: value })}
+                                    disabled={formData.scope === 'all'}
+                                    helpText={formData.scope === 'channel'
+                                        ? 'Origem do pedido na Shopify, ex: web, pos'
+                                        : undefined}
+                                    autoComplete="off"
+                                />
+                            </div>
+                        </InlineStack>
+                        {formData.scope === 'product_tag' && formData.type !== 'per_item' && (
+                            <Text variant="bodySm" tone="subdued">
+                                {formData.type === 'per_order'
+                                    ? 'Cobrado uma vez em cada pedido com algum produto da tag.'
+                                    : 'Calculado só sobre o valor dos produtos da tag.'}
+                            </Text>
+                        )}
+                    </BlockStack>
+                </Modal.Section>
+            </Modal>
+        </Card>
+    );
+}
@@ -37,13 +37,30 @@ export const formatPercent = (value, decimals = 1) => {
     return `${num.toFixed(decimals)}%`;
 };
 
+/**
+ * Parse a date string, treating YYYY-MM-DD as a local calendar day
+ * (new Date('YYYY-MM-DD') is UTC midnight, which is the previous day west of UTC)
+ * @param {string|Date} date - Date to parse
+ * @returns {Date} - Date object
+ */
+const parseDate = (date) => {
+    if (typeof date !== 'string') return date;
+
+    const match = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    }
+
+    return new Date(date);
+};
+
 /**
  * Format date to locale string
  * @param {string|Date} date - Date to format
  * @returns {string} - Formatted date string
  */
 export const formatDate = (date) => {
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
 
     return d.toLocaleDateString('pt-BR', {
         day: '2-digit',
@@ -58,7 +75,7 @@ export const formatDate = (date) => {
  * @returns {string} - Short date string (DD/MM)
  */
 export const formatDateShort = (date) => {
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
 
     return d.toLocaleDateString('pt-BR', {
         day: '2-digit',
@@ -66,14 +83,49 @@ export const formatDateShort = (date) => {
     });
 };
 
+/**
+ * Get the calendar day of an instant in a timezone
+ * @param {Date} instant - Instant to convert
+ * @param {string} timezone - IANA timezone (default: browser timezone)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const toDateString = (instant, timezone) => {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    });
+
+    for (const { type, value } of formatter.formatToParts(instant)) {
+        parts[type] = value;
+    }
+
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
 /**
  * Get date range labels
+ * Dates are the shop's local days when its timezone is known
  * @param {string} range - Range type (today, week, month)
+ * @param {string} timezone - Shop IANA timezone (default: browser timezone)
  * @returns {Object} - { label, startDate, endDate }
  */
-export const getDateRange = (range) => {
-    const today = new Date();
-    const todayStr = today.toISOString().split('T')[0];
+export const getDateRange = (range, timezone) => {
+    const todayStr = toDateString(new Date(), timezone);
 
     switch (range) {
         case 'today':
@@ -84,33 +136,27 @@ export const getDateRange = (range) => {
             };
 
         case 'week': {
-            const weekStart = new Date(today);
-            weekStart.setDate(today.getDate() - today.getDay() + 1);
+            const weekday = new Date(`${todayStr}T00:00:00Z`).getUTCDay();
             return {
                 label: 'Esta Semana',
-                startDate: weekStart.toISOString().split('T')[0],
+                startDate: addDays(todayStr, weekday === 0 ? -6 : 1 - weekday),
                 endDate: todayStr,
             };
         }
 
-        case 'month': {
-            const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+        case 'month':
             return {
                 label: 'Este Mês',
-                startDate: monthStart.toISOString().split('T')[0],
+                startDate: `${todayStr.slice(0, 7)}-01`,
                 endDate: todayStr,
             };
-        }
 
-        case 'last30': {
-            const thirtyDaysAgo = new Date(today);
-            thirtyDaysAgo.setDate(today.getDate() - 30);
+        case 'last30':
             return {
                 label: 'Últimos 30 Dias',
-                startDate: thirtyDaysAgo.toISOString().split('T')[0],
+                startDate: addDays(todayStr, -30),
                 endDate: todayStr,
             };
-        }
 
         default:
             return {
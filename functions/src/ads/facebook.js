@@ -8,6 +8,7 @@ const admin = require('firebase-admin');
 const axios = require('axios');
 const { getConfig } = require('../config');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -205,15 +206,16 @@ async function syncFacebookSpend(shopDomain, tokenData, config) {
 
     const decryptedToken = decrypt(accessToken, config.adPlatforms.facebook.appSecret);
 
-    // Get today's spend
-    const today = new Date().toISOString().split('T')[0];
+    // Get today's spend ("today" is the shop's local day)
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const today = getTodayInTimezone(getShopTimezone(shopDoc.data()));
 
     const response = await axios.get(
         `https://graph.facebook.com/v18.0/act_${adAccountId}/insights`,
         {
             params: {
                 access_token: decryptedToken,
-                date_preset: 'today',
+                time_range: JSON.stringify({ since: today, until: today }),
                 fields: 'spend,impressions,clicks,cpc,cpm,ctr',
                 time_increment: 1,
             },
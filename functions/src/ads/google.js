@@ -8,6 +8,7 @@ const admin = require('firebase-admin');
 const axios = require('axios');
 const { getConfig } = require('../config');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -204,7 +205,8 @@ async function syncGoogleSpend(shopDomain, tokenData, config) {
     }
 
     const decryptedToken = decrypt(accessToken, config.adPlatforms.google.clientSecret);
-    const today = new Date().toISOString().split('T')[0];
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const today = getTodayInTimezone(getShopTimezone(shopDoc.data()));
 
     // Query for today's spend using Google Ads Query Language
     const query = `
@@ -8,6 +8,7 @@ const admin = require('firebase-admin');
 const axios = require('axios');
 const { getConfig } = require('../config');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -180,7 +181,8 @@ async function syncTikTokSpend(shopDomain, tokenData, config) {
     const { accessToken, advertiserId } = tokenData;
     const decryptedToken = decrypt(accessToken, config.adPlatforms.tiktok.appSecret);
 
-    const today = new Date().toISOString().split('T')[0];
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const today = getTodayInTimezone(getShopTimezone(shopDoc.data()));
 
     try {
         const response = await axios.get(`${TIKTOK_API_BASE}/report/integrated/get/`, {
@@ -280,6 +280,26 @@ const getPlans = functions.https.onCall(async (data, context) => {
     };
 });
 
+/**
+ * Get the plan features available to a shop
+ * Active trials get the full feature set
+ * @param {Object} shopData - Shop document data
+ * @returns {Object} - Plan features
+ */
+const getShopFeatures = (shopData) => {
+    const status = shopData?.subscriptionStatus || 'trial';
+
+    if (status === 'trial') {
+        const trialEndsAt = shopData?.trialEndsAt?.toDate() || new Date();
+        if (trialEndsAt > new Date()) {
+            return PLANS.enterprise.features;
+        }
+    }
+
+    const plan = PLANS[shopData?.subscriptionPlan || 'free'] || PLANS.free;
+    return plan.features;
+};
+
 /**
  * Check if shop can use a feature based on plan
  */
@@ -324,5 +344,6 @@ module.exports = {
     getSubscriptionStatus,
     getPlans,
     checkFeatureAccess,
+    getShopFeatures,
     PLANS,
 };
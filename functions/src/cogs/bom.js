@@ -0,0 +1,201 @@
+/**
+ * Bills of Materials
+ * Kits and bundles whose cost is the sum of their component variants
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { markVariantDaysStale } = require('../profit/stale');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+const MAX_COMPONENTS = 50;
+
+/**
+ * Validate a kit's components
+ * @param {string} variantId - Kit variant ID
+ * @param {Array} components - [{ variantId, quantity }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateBom = (variantId, components) => {
+    if (!variantId) {
+        return 'Kit variant ID is required';
+    }
+
+    if (!Array.isArray(components) || components.length === 0) {
+        return 'At least one component is required';
+    }
+
+    if (components.length > MAX_COMPONENTS) {
+        return `Maximum ${MAX_COMPONENTS} components per kit`;
+    }
+
+    for (const component of components) {
+        if (!component.variantId) {
+            return 'Component variant ID is required';
+        }
+
+        if (String(component.variantId) === String(variantId)) {
+            return 'A kit cannot contain itself';
+        }
+
+        if (typeof component.quantity !== 'number' || !(component.quantity > 0)) {
+            return 'Component quantity must be a positive number';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Save bills of materials (internal use)
+ * Repeated components are merged by adding their quantities
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} kits - [{ variantId, productId, sku, productTitle, components }]
+ * @returns {Object} - { saved, errors: [{ variantId, error }] }
+ */
+const saveBoms = async (shopDomain, kits) => {
+    const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+    const errors = [];
+    const savedIds = [];
+
+    for (let i = 0; i < kits.length; i += 500) {
+        const batch = db.batch();
+        let batchCount = 0;
+
+        for (const kit of kits.slice(i, i + 500)) {
+            const error = validateBom(kit.variantId, kit.components);
+            if (error) {
+                errors.push({ variantId: kit.variantId || null, error });
+                continue;
+            }
+
+            const quantities = {};
+            for (const component of kit.components) {
+                const id = String(component.variantId);
+                quantities[id] = (quantities[id] || 0) + component.quantity;
+            }
+            const bom = Object.entries(quantities).map(([variantId, quantity]) => ({ variantId, quantity }));
+
+            batch.set(productsRef.doc(String(kit.variantId)), {
+                variantId: kit.variantId,
+                productId: kit.productId || null,
+                sku: kit.sku || '',
+                productTitle: kit.productTitle || '',
+                bom,
+                componentIds: bom.map(component => component.variantId),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }, { merge: true });
+
+            savedIds.push(kit.variantId);
+            batchCount++;
+        }
+
+        if (batchCount > 0) {
+            await batch.commit();
+        }
+    }
+
+    await markVariantDaysStale(shopDomain, savedIds, 'cogs');
+
+    return { saved: savedIds.length, errors };
+};
+
+/**
+ * Set the bill of materials of a kit variant
+ * Callable function from frontend
+ */
+const setBom = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { variantId, productId, sku, productTitle, components } = data;
+
+    const error = validateBom(variantId, components);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        await saveBoms(shopDomain, [{ variantId, productId, sku, productTitle, components }]);
+
+        return {
+            success: true,
+            message: 'Bill of materials saved successfully',
+            variantId,
+        };
+
+    } catch (error) {
+        console.error('Set BOM error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Remove the bill of materials of a kit variant
+ * The variant falls back to its own cost history, if it has one
+ */
+const deleteBom = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { variantId } = data;
+
+    if (!variantId) {
+        throw new functions.https.HttpsError('invalid-argument', 'Variant ID is required');
+    }
+
+    try {
+        const docRef = db
+            .collection('productCosts')
+            .doc(shopDomain)
+            .collection('products')
+            .doc(variantId.toString());
+
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Bill of materials not found');
+        }
+
+        const { costHistory, cogs } = doc.data();
+        if (costHistory?.length || cogs != null) {
+            await docRef.update({
+                bom: admin.firestore.FieldValue.delete(),
+                componentIds: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        } else {
+            await docRef.delete();
+        }
+
+        await markVariantDaysStale(shopDomain, [variantId], 'cogs');
+
+        return {
+            success: true,
+            message: 'Bill of materials deleted successfully',
+            variantId,
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Delete BOM error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+module.exports = {
+    validateBom,
+    saveBoms,
+    setBom,
+    deleteBom,
+};
@@ -0,0 +1,106 @@
+/**
+ * Landed Cost Components
+ * A unit cost broken into named parts (supplier price, freight, duties,
+ * packaging...), each optionally in a supplier currency
+ */
+
+const { isValidCurrency } = require('../utils/validators');
+
+const MAX_COMPONENTS = 20;
+
+/**
+ * Validate cost components
+ * @param {Array} components - [{ name, amount, currency, exchangeRate }]
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateCostComponents = (components) => {
+    if (!Array.isArray(components) || components.length === 0) {
+        return 'At least one cost component is required';
+    }
+
+    if (components.length > MAX_COMPONENTS) {
+        return `Maximum ${MAX_COMPONENTS} cost components`;
+    }
+
+    const names = new Set();
+    for (const component of components) {
+        const name = component.name?.toString().trim();
+        if (!name) {
+            return 'Cost component name is required';
+        }
+
+        if (names.has(name.toLowerCase())) {
+            return `Duplicate cost component: ${name}`;
+        }
+        names.add(name.toLowerCase());
+
+        if (typeof component.amount !== 'number' || isNaN(component.amount) || component.amount < 0) {
+            return `Amount of ${name} must be a positive number`;
+        }
+
+        if (component.currency && !isValidCurrency(component.currency)) {
+            return `Invalid currency for ${name}`;
+        }
+
+        if (component.currency && !(component.exchangeRate > 0)) {
+            return `Exchange rate for ${name} must be greater than zero`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Normalize validated cost components, converting each to the shop currency
+ * Components without a currency are already in the shop currency.
+ * @param {Array} components - [{ name, amount, currency, exchangeRate }]
+ * @returns {Object} - { components: [{ name, amount, currency, exchangeRate, cost }], cogs }
+ */
+const buildCostComponents = (components) => {
+    const normalized = components.map(component => {
+        const currency = component.currency ? component.currency.toUpperCase() : null;
+        const exchangeRate = currency ? component.exchangeRate : 1;
+
+        return {
+            name: component.name.toString().trim(),
+            amount: component.amount,
+            currency,
+            exchangeRate,
+            cost: roundCost(component.amount * exchangeRate),
+        };
+    });
+
+    return {
+        components: normalized,
+        cogs: roundCost(normalized.reduce((sum, component) => sum + component.cost, 0)),
+    };
+};
+
+/**
+ * Add a breakdown to another, scaled by a quantity
+ * @param {Object} target - { componentName: cost }, updated in place
+ * @param {Object} breakdown - { componentName: cost }
+ * @param {number} quantity - Multiplier
+ * @returns {Object} - The target breakdown
+ */
+const addBreakdown = (target, breakdown, quantity = 1) => {
+    for (const [name, cost] of Object.entries(breakdown || {})) {
+        target[name] = (target[name] || 0) + cost * quantity;
+    }
+
+    return target;
+};
+
+/**
+ * Round to 4 decimal places, enough for converted unit costs
+ */
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    MAX_COMPONENTS,
+    validateCostComponents,
+    buildCostComponents,
+    addBreakdown,
+};
@@ -5,8 +5,12 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { parse } = require('csv-parse/sync');
-const { isPositiveNumber } = require('../utils/validators');
+const { isPositiveNumber, isValidDate } = require('../utils/validators');
+const { readSpreadsheet, detectDecimalSeparator, parseNumber } = require('../utils/spreadsheet');
+const { addCostEntry, getCostHistory, resolveCost, getShopToday } = require('./manual');
+const { saveBoms } = require('./bom');
+const { getCatalogVariants } = require('../shopify/catalog');
+const { markVariantDaysStale, markAllDaysStale } = require('../profit/stale');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -15,10 +19,26 @@ if (!admin.apps.length) {
 const db = admin.firestore();
 
 /**
+ * Files may be CSV (comma, semicolon or tab separated, UTF-8 or Latin-1)
+ * or XLSX, sent base64-encoded as fileContent. Costs may use a decimal
+ * comma ("1.234,56"); the separator is detected per file.
+ *
  * Expected CSV format:
  * sku,cogs,product_title (optional)
  * OR
  * variant_id,cogs,product_title (optional)
+ *
+ * An optional effective_from column (YYYY-MM-DD) back-dates the cost;
+ * without it the cost starts today (or covers all history for new products)
+ *
+ * Bills of materials use one row per kit component:
+ * kit_variant_id (or kit_sku),component_variant_id (or component_sku),quantity
+ * Each kit in the file has its whole bill of materials replaced.
+ *
+ * With dryRun the whole file is checked and each row reported as create,
+ * update, unchanged or error, with its old and new cost, and nothing is
+ * written. Cost imports are recorded in cogsImports so they can be rolled
+ * back; bill of materials imports are not.
  */
 
 /**
@@ -31,20 +51,14 @@ const importFromCsv = functions.https.onCall(async (data, context) => {
     }
 
     const shopDomain = context.auth.token.shop;
-    const { csvContent, mapping } = data;
+    const { csvContent, fileContent, mapping, dryRun = false, fileName } = data;
 
-    if (!csvContent) {
-        throw new functions.https.HttpsError('invalid-argument', 'CSV content is required');
+    if (!csvContent && !fileContent) {
+        throw new functions.https.HttpsError('invalid-argument', 'File content is required');
     }
 
     try {
-        // Parse CSV
-        const records = parse(csvContent, {
-            columns: true,
-            skip_empty_lines: true,
-            trim: true,
-            relax_column_count: true,
-        });
+        const { records, format } = await readSpreadsheet({ csvContent, fileContent, fileName });
 
         if (records.length === 0) {
             throw new functions.https.HttpsError('invalid-argument', 'CSV is empty');
@@ -57,91 +71,53 @@ const importFromCsv = functions.https.onCall(async (data, context) => {
         // Detect column mapping
         const columnMapping = mapping || detectColumnMapping(Object.keys(records[0]));
 
-        const results = {
-            total: records.length,
-            success: 0,
-            skipped: 0,
-            errors: [],
-        };
+        // Numbers are read the way the whole file writes them
+        const numberColumn = columnMapping.format === 'bom' ? columnMapping.quantity : columnMapping.cogs;
+        format.decimalSeparator = detectDecimalSeparator(
+            records.map(record => record[numberColumn]),
+            format.delimiter === ';' ? ',' : '.'
+        );
 
-        // Process in batches of 500
-        const batches = [];
-        for (let i = 0; i < records.length; i += 500) {
-            batches.push(records.slice(i, i + 500));
+        if (columnMapping.format === 'bom') {
+            return importBoms(shopDomain, records, columnMapping, dryRun, format);
         }
 
-        for (const batch of batches) {
-            const firestoreBatch = db.batch();
-            let batchCount = 0;
-
-            for (let i = 0; i < batch.length; i++) {
-                const record = batch[i];
-                const rowIndex = i + 1;
-
-                try {
-                    const identifier = getIdentifier(record, columnMapping);
-                    const cogs = getCogs(record, columnMapping);
-                    const productTitle = record[columnMapping.productTitle] || '';
-
-                    if (!identifier) {
-                        results.skipped++;
-                        results.errors.push({
-                            row: rowIndex,
-                            error: 'Missing SKU or Variant ID',
-                        });
-                        continue;
-                    }
-
-                    if (!isPositiveNumber(cogs)) {
-                        results.skipped++;
-                        results.errors.push({
-                            row: rowIndex,
-                            error: 'Invalid COGS value',
-                        });
-                        continue;
-                    }
-
-                    // Use variant_id if available, otherwise use sku as identifier
-                    const docId = columnMapping.variantId && record[columnMapping.variantId]
-                        ? record[columnMapping.variantId].toString()
-                        : `sku:${record[columnMapping.sku]}`;
-
-                    const docRef = db
-                        .collection('productCosts')
-                        .doc(shopDomain)
-                        .collection('products')
-                        .doc(docId);
-
-                    firestoreBatch.set(docRef, {
-                        sku: record[columnMapping.sku] || '',
-                        variantId: record[columnMapping.variantId] || null,
-                        cogs,
-                        productTitle,
-                        importedAt: admin.firestore.FieldValue.serverTimestamp(),
-                        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                    }, { merge: true });
-
-                    batchCount++;
-
-                } catch (error) {
-                    results.skipped++;
-                    results.errors.push({
-                        row: rowIndex,
-                        error: error.message,
-                    });
-                }
-            }
+        const today = await getShopToday(shopDomain);
+        const plan = await planCostImport(shopDomain, records, columnMapping, today, format.decimalSeparator);
+        const { summary } = plan;
+
+        if (dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                fileFormat: format,
+                message: `${summary.created} to create, ${summary.updated} to update, ${summary.unchanged} unchanged, ${summary.errors} with errors`,
+                summary,
+                rows: plan.rows,
+            };
+        }
+
+        const importId = await applyCostImport(shopDomain, plan, fileName);
 
-            if (batchCount > 0) {
-                await firestoreBatch.commit();
-                results.success += batchCount;
-            }
+        // Days do not index SKUs, so SKU-keyed costs refresh every day in range
+        if (plan.writes.length > 0) {
+            await markImportDaysStale(shopDomain, plan);
         }
 
         return {
             success: true,
-            message: `Imported ${results.success} of ${results.total} products`,
-            results,
+            importId,
+            fileFormat: format,
+            message: `Imported ${summary.created + summary.updated} of ${summary.total} products`,
+            summary,
+            results: {
+                total: summary.total,
+                success: summary.created + summary.updated,
+                unchanged: summary.unchanged,
+                skipped: summary.errors,
+                errors: plan.rows.filter(row => row.action === 'error')
+                    .map(({ row, error }) => ({ row, error })),
+            },
         };
 
     } catch (error) {
@@ -155,31 +131,479 @@ const importFromCsv = functions.https.onCall(async (data, context) => {
     }
 });
 
+/**
+ * List past CSV imports, newest first
+ */
+const getCsvImports = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const snapshot = await getImportsRef(shopDomain)
+            .orderBy('createdAt', 'desc')
+            .limit(50)
+            .get();
+
+        // Changed IDs can be long; the list only needs the counts
+        const imports = snapshot.docs.map(doc => {
+            const { variantIds, ...importData } = doc.data();
+            return {
+                id: doc.id,
+                ...importData,
+                createdAt: importData.createdAt?.toDate?.()?.toISOString() || null,
+                rolledBackAt: importData.rolledBackAt?.toDate?.()?.toISOString() || null,
+                variantCount: (variantIds || []).length,
+            };
+        });
+
+        return {
+            success: true,
+            imports,
+        };
+
+    } catch (error) {
+        console.error('Get CSV imports error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Undo a CSV import, restoring every product it changed
+ * Products edited again after the import are left as they are and
+ * reported as conflicts, so later changes are never lost.
+ */
+const rollbackCsvImport = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Import ID is required');
+    }
+
+    try {
+        const importRef = getImportsRef(shopDomain).doc(id);
+        const importDoc = await importRef.get();
+        if (!importDoc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Import not found');
+        }
+
+        if (importDoc.data().status === 'rolled_back') {
+            throw new functions.https.HttpsError('invalid-argument', 'Import was already rolled back');
+        }
+
+        const changesSnapshot = await importRef.collection('changes').get();
+        const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+        const conflicts = [];
+        let restored = 0;
+
+        for (let i = 0; i < changesSnapshot.docs.length; i += 500) {
+            const changes = changesSnapshot.docs.slice(i, i + 500).map(doc => doc.data());
+            const docRefs = changes.map(change => productsRef.doc(change.docId));
+            const currentDocs = await db.getAll(...docRefs);
+            const batch = db.batch();
+
+            changes.forEach((change, j) => {
+                const currentHistory = currentDocs[j].exists ? currentDocs[j].data().costHistory : null;
+                if (JSON.stringify(currentHistory) !== JSON.stringify(change.costHistory)) {
+                    conflicts.push(change.docId);
+                    return;
+                }
+
+                if (change.before) {
+                    batch.set(docRefs[j], change.before);
+                } else {
+                    batch.delete(docRefs[j]);
+                }
+                restored++;
+            });
+
+            await batch.commit();
+        }
+
+        await importRef.update({
+            status: 'rolled_back',
+            rolledBackAt: admin.firestore.FieldValue.serverTimestamp(),
+            restored,
+            conflicts,
+        });
+
+        if (restored > 0) {
+            await markImportDaysStale(shopDomain, importDoc.data());
+        }
+
+        return {
+            success: true,
+            restored,
+            conflicts,
+            message: `Restored ${restored} products${conflicts.length ? `, ${conflicts.length} changed since the import were kept` : ''}`,
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Rollback CSV import error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Work out what importing cost rows would change, without writing
+ * Every row is checked against the stored cost history. A product may
+ * repeat within the file; later rows build on earlier ones.
+ * @returns {Object} - { rows, writes, summary, variantIds, hasSkuRows, startDate }
+ */
+async function planCostImport(shopDomain, records, mapping, today, decimalSeparator) {
+    const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+    const rows = [];
+    const valid = [];
+
+    records.forEach((record, i) => {
+        const row = {
+            row: i + 1,
+            sku: mapping.sku ? String(record[mapping.sku] ?? '') : '',
+            variantId: mapping.variantId && record[mapping.variantId] ? String(record[mapping.variantId]) : null,
+            productTitle: record[mapping.productTitle] || '',
+            action: 'error',
+            oldCogs: null,
+            newCogs: null,
+            effectiveFrom: null,
+            error: null,
+        };
+        rows.push(row);
+
+        const cogs = getCogs(record, mapping, decimalSeparator);
+        const effectiveFrom = mapping.effectiveFrom ? record[mapping.effectiveFrom] || null : null;
+
+        if (!getIdentifier(record, mapping)) {
+            row.error = 'Missing SKU or Variant ID';
+        } else if (!isPositiveNumber(cogs)) {
+            row.error = 'Invalid COGS value';
+        } else if (effectiveFrom && !isValidDate(effectiveFrom)) {
+            row.error = 'Invalid effective date (use YYYY-MM-DD)';
+        } else {
+            row.newCogs = cogs;
+            row.effectiveFrom = effectiveFrom;
+
+            // Use variant_id if available, otherwise use sku as identifier
+            const docId = row.variantId ? row.variantId.toString() : `sku:${row.sku}`;
+            valid.push({ row, docId, cogs, effectiveFrom });
+        }
+    });
+
+    // Stored cost documents, read once per product
+    const docIds = [...new Set(valid.map(item => item.docId))];
+    const stored = {};
+    for (let i = 0; i < docIds.length; i += 500) {
+        const docs = await db.getAll(...docIds.slice(i, i + 500).map(docId => productsRef.doc(docId)));
+        docs.forEach(doc => {
+            stored[doc.id] = doc.exists ? doc.data() : null;
+        });
+    }
+
+    const current = {};
+    const writes = {};
+    const variantIds = new Set();
+    let hasSkuRows = false;
+    let startDate = today;
+
+    for (const { row, docId, cogs, effectiveFrom } of valid) {
+        const data = docId in current ? current[docId] : stored[docId];
+        const history = getCostHistory(data || {});
+        const date = effectiveFrom || today;
+
+        row.oldCogs = history.length > 0 ? resolveCost(history, date) : null;
+
+        if (row.oldCogs === cogs) {
+            row.action = 'unchanged';
+            continue;
+        }
+        row.action = history.length > 0 ? 'update' : 'create';
+
+        const costs = addCostEntry(data || {}, cogs, effectiveFrom, today, 'csv');
+        current[docId] = { ...data, costHistory: costs.costHistory };
+
+        writes[docId] = {
+            docRef: productsRef.doc(docId),
+            before: stored[docId],
+            data: {
+                sku: row.sku,
+                variantId: row.variantId,
+                cogs: costs.cogs,
+                source: costs.source,
+                components: costs.components,
+                costHistory: costs.costHistory,
+                productTitle: row.productTitle,
+            },
+        };
+
+        if (row.variantId) {
+            variantIds.add(row.variantId.toString());
+        } else {
+            hasSkuRows = true;
+        }
+        if (startDate && (!costs.effectiveFrom || costs.effectiveFrom < startDate)) {
+            startDate = costs.effectiveFrom;
+        }
+    }
+
+    const count = action => rows.filter(row => row.action === action).length;
+
+    return {
+        rows,
+        writes: Object.values(writes),
+        summary: {
+            total: rows.length,
+            created: count('create'),
+            updated: count('update'),
+            unchanged: count('unchanged'),
+            errors: count('error'),
+        },
+        variantIds: [...variantIds],
+        hasSkuRows,
+        startDate,
+    };
+}
+
+/**
+ * Write a planned cost import and record it as an import batch
+ * Each changed product keeps its previous document so the batch can be
+ * rolled back. The batch is recorded first, so even a partly applied
+ * import can be undone.
+ * @returns {string} - Import ID
+ */
+async function applyCostImport(shopDomain, plan, fileName) {
+    const importRef = getImportsRef(shopDomain).doc();
+    const { summary } = plan;
+
+    await importRef.set({
+        fileName: fileName || '',
+        status: 'applied',
+        total: summary.total,
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        skipped: summary.errors,
+        variantIds: plan.variantIds,
+        hasSkuRows: plan.hasSkuRows,
+        startDate: plan.startDate,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Two writes per product: the cost and its change record
+    for (let i = 0; i < plan.writes.length; i += 250) {
+        const batch = db.batch();
+
+        for (const { docRef, before, data } of plan.writes.slice(i, i + 250)) {
+            batch.set(docRef, {
+                ...data,
+                importedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }, { merge: true });
+
+            batch.set(importRef.collection('changes').doc(), {
+                docId: docRef.id,
+                before,
+                costHistory: data.costHistory,
+            });
+        }
+
+        await batch.commit();
+    }
+
+    return importRef.id;
+}
+
+/**
+ * Mark the days a cost import touched as stale
+ * @param {Object} changes - { variantIds, hasSkuRows, startDate }
+ */
+async function markImportDaysStale(shopDomain, { variantIds, hasSkuRows, startDate }) {
+    if (hasSkuRows) {
+        await markAllDaysStale(shopDomain, 'cogs', { startDate });
+    } else {
+        await markVariantDaysStale(shopDomain, variantIds, 'cogs', { startDate });
+    }
+}
+
+function getImportsRef(shopDomain) {
+    return db.collection('cogsImports').doc(shopDomain).collection('imports');
+}
+
+/**
+ * Import bills of materials from parsed CSV records
+ * SKUs are resolved to variant IDs through the product catalog
+ */
+async function importBoms(shopDomain, records, mapping, dryRun, format) {
+    const variants = mapping.kitSku || mapping.componentSku
+        ? await getCatalogVariants(shopDomain)
+        : [];
+
+    const byId = {};
+    const bySku = {};
+    for (const variant of variants) {
+        byId[String(variant.variantId)] = variant;
+        if (variant.sku) {
+            bySku[variant.sku.toLowerCase()] = variant;
+        }
+    }
+
+    const resolveVariant = (variantId, sku) => {
+        if (variantId) return byId[String(variantId)] || { variantId };
+        if (sku) return bySku[String(sku).toLowerCase()] || null;
+        return null;
+    };
+
+    const results = {
+        total: records.length,
+        success: 0,
+        skipped: 0,
+        errors: [],
+    };
+    const kits = {};
+
+    records.forEach((record, i) => {
+        const rowIndex = i + 1;
+        const kit = resolveVariant(record[mapping.kitVariantId], record[mapping.kitSku]);
+        const component = resolveVariant(record[mapping.componentVariantId], record[mapping.componentSku]);
+        const quantity = mapping.quantity ? parseNumber(record[mapping.quantity], format.decimalSeparator) : 1;
+
+        let error = null;
+        if (!kit) {
+            error = 'Kit not found (check the variant ID or SKU)';
+        } else if (!component) {
+            error = 'Component not found (check the variant ID or SKU)';
+        } else if (!(quantity > 0)) {
+            error = 'Invalid quantity';
+        }
+
+        if (error) {
+            results.skipped++;
+            results.errors.push({ row: rowIndex, error });
+            return;
+        }
+
+        const key = String(kit.variantId);
+        if (!kits[key]) {
+            kits[key] = {
+                variantId: kit.variantId,
+                productId: kit.productId || null,
+                sku: kit.sku || '',
+                productTitle: kit.productTitle || '',
+                components: [],
+            };
+        }
+
+        kits[key].components.push({ variantId: component.variantId, quantity });
+        results.success++;
+    });
+
+    if (dryRun) {
+        return {
+            success: true,
+            dryRun: true,
+            fileFormat: format,
+            message: `Bills of materials for ${Object.keys(kits).length} kits would be replaced`,
+            format: 'bom',
+            kits: Object.keys(kits).length,
+            results,
+        };
+    }
+
+    const { saved, errors } = await saveBoms(shopDomain, Object.values(kits));
+    for (const { variantId, error } of errors) {
+        results.errors.push({ variantId, error });
+    }
+
+    return {
+        success: true,
+        message: `Imported bills of materials for ${saved} kits`,
+        format: 'bom',
+        kits: saved,
+        results,
+    };
+}
+
+/**
+ * Detect bill of materials columns, or null for a cost CSV
+ */
+function detectBomMapping(headers) {
+    const mapping = {
+        format: 'bom',
+        kitVariantId: null,
+        kitSku: null,
+        componentVariantId: null,
+        componentSku: null,
+        quantity: null,
+    };
+
+    for (const original of headers) {
+        const lower = original.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+        if (['kitvariantid', 'bundlevariantid'].includes(lower)) {
+            mapping.kitVariantId = original;
+        } else if (['kitsku', 'bundlesku'].includes(lower)) {
+            mapping.kitSku = original;
+        } else if (['componentvariantid'].includes(lower)) {
+            mapping.componentVariantId = original;
+        } else if (['componentsku'].includes(lower)) {
+            mapping.componentSku = original;
+        } else if (['quantity', 'qty', 'componentquantity'].includes(lower)) {
+            mapping.quantity = original;
+        }
+    }
+
+    const hasKit = mapping.kitVariantId || mapping.kitSku;
+    const hasComponent = mapping.componentVariantId || mapping.componentSku;
+
+    return hasKit && hasComponent ? mapping : null;
+}
+
 /**
  * Detect column mapping from CSV headers
  */
 function detectColumnMapping(headers) {
+    const bomMapping = detectBomMapping(headers);
+    if (bomMapping) {
+        return bomMapping;
+    }
+
     const mapping = {
         sku: null,
         variantId: null,
         cogs: null,
         productTitle: null,
+        effectiveFrom: null,
     };
 
-    const lowerHeaders = headers.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    // Accents are dropped so Portuguese headers ("Custo unitário") match
+    const lowerHeaders = headers.map(h => h
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, ''));
 
     for (let i = 0; i < headers.length; i++) {
         const lower = lowerHeaders[i];
         const original = headers[i];
 
-        if (['sku', 'productsku', 'variantsku'].includes(lower)) {
+        if (['sku', 'productsku', 'variantsku', 'codigo', 'codigosku'].includes(lower)) {
             mapping.sku = original;
-        } else if (['variantid', 'variant_id', 'id'].includes(lower)) {
+        } else if (['variantid', 'variant_id', 'id', 'idvariante'].includes(lower)) {
             mapping.variantId = original;
-        } else if (['cogs', 'cost', 'costprice', 'productcost', 'unitcost'].includes(lower)) {
+        } else if (['cogs', 'cost', 'costprice', 'productcost', 'unitcost', 'custo', 'custounitario', 'precodecusto', 'custoporitem'].includes(lower)) {
             mapping.cogs = original;
-        } else if (['title', 'producttitle', 'name', 'productname'].includes(lower)) {
+        } else if (['title', 'producttitle', 'name', 'productname', 'produto', 'nome', 'titulo', 'descricao'].includes(lower)) {
             mapping.productTitle = original;
+        } else if (['effectivefrom', 'effectivedate', 'validfrom', 'startdate', 'vigencia', 'apartirde', 'datainicio'].includes(lower)) {
+            mapping.effectiveFrom = original;
         }
     }
 
@@ -202,17 +626,12 @@ function getIdentifier(record, mapping) {
 /**
  * Get COGS value from record
  */
-function getCogs(record, mapping) {
-    if (!mapping.cogs || !record[mapping.cogs]) {
+function getCogs(record, mapping, decimalSeparator) {
+    if (!mapping.cogs || record[mapping.cogs] == null || record[mapping.cogs] === '') {
         return null;
     }
 
-    const value = record[mapping.cogs]
-        .replace(/[^0-9.,]/g, '')
-        .replace(',', '.');
-
-    const parsed = parseFloat(value);
-    return isNaN(parsed) ? null : parsed;
+    return parseNumber(record[mapping.cogs], decimalSeparator);
 }
 
 /**
@@ -223,29 +642,40 @@ const validateCsv = functions.https.onCall(async (data, context) => {
         throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
     }
 
-    const { csvContent } = data;
+    const { csvContent, fileContent, fileName } = data;
 
-    if (!csvContent) {
-        throw new functions.https.HttpsError('invalid-argument', 'CSV content is required');
+    if (!csvContent && !fileContent) {
+        throw new functions.https.HttpsError('invalid-argument', 'File content is required');
     }
 
     try {
-        const records = parse(csvContent, {
-            columns: true,
-            skip_empty_lines: true,
-            trim: true,
-            to: 5, // Parse only first 5 rows for validation
-        });
+        // Read only the first 5 rows for validation
+        const { records, format } = await readSpreadsheet({ csvContent, fileContent, fileName }, { limit: 5 });
 
         if (records.length === 0) {
             return {
                 valid: false,
-                message: 'CSV is empty or has no valid rows',
+                message: 'File is empty or has no valid rows',
             };
         }
 
         const headers = Object.keys(records[0]);
         const mapping = detectColumnMapping(headers);
+        format.decimalSeparator = detectDecimalSeparator(
+            records.map(record => record[mapping.format === 'bom' ? mapping.quantity : mapping.cogs]),
+            format.delimiter === ';' ? ',' : '.'
+        );
+
+        if (mapping.format === 'bom') {
+            return {
+                valid: true,
+                message: 'Bill of materials CSV structure is valid',
+                headers,
+                mapping,
+                fileFormat: format,
+                preview: records.slice(0, 3),
+            };
+        }
 
         const hasIdentifier = mapping.sku || mapping.variantId;
         const hasCogs = mapping.cogs;
@@ -271,6 +701,7 @@ const validateCsv = functions.https.onCall(async (data, context) => {
             message: 'CSV structure is valid',
             headers,
             mapping,
+            fileFormat: format,
             preview: records.slice(0, 3),
         };
 
@@ -285,4 +716,6 @@ const validateCsv = functions.https.onCall(async (data, context) => {
 module.exports = {
     importFromCsv,
     validateCsv,
+    getCsvImports,
+    rollbackCsvImport,
 };
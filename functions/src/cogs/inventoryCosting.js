@@ -0,0 +1,474 @@
+/**
+ * Inventory Costing
+ * Unit costs computed from received purchase order lots, by weighted
+ * average or FIFO, replacing manual costs for shops that opt in
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { filterOrdersForDate, extractLineItems } = require('../shopify/orders');
+const { getLedgerOrdersInRange } = require('../shopify/ledger');
+const { markVariantDaysStale } = require('../profit/stale');
+const { getShopTimezone, addDays } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Costing modes:
+ * - standard: the cost entered per variant (manual, CSV, Shopify)
+ * - weighted_average: running average cost of the units on hand
+ * - fifo: each sold unit costs what its lot cost, oldest lots first
+ */
+const COSTING_MODES = ['standard', 'weighted_average', 'fifo'];
+
+const DEFAULT_COSTING_MODE = 'standard';
+
+/**
+ * Get the costing mode of a shop
+ * @param {Object} shopData - Shop document data
+ * @returns {string} - One of COSTING_MODES
+ */
+const getCostingMode = (shopData) => {
+    return COSTING_MODES.includes(shopData?.costingMode)
+        ? shopData.costingMode
+        : DEFAULT_COSTING_MODE;
+};
+
+/**
+ * Build a variant's cost history from its lots and sales
+ * On each date lots are received before units are sold, and sales are
+ * taken in the order they were placed. A day's entry is the cost the next
+ * unit would have. Under FIFO a sold line that used other lots (e.g. it
+ * emptied the oldest one) gets its own cost in lineCosts, keyed by line
+ * item ID. Units sold beyond what was received cost the last known lot
+ * cost. Restocked returns are not put back into lots.
+ * @param {Array} lots - [{ date, quantity, unitCost }]
+ * @param {Array} sales - [{ date, quantity, lineItemId, createdAt }]
+ * @param {string} mode - 'weighted_average' or 'fifo'
+ * @returns {Object} - { costHistory, lineCosts: { lineItemId: { cogs, date } }, onHand }
+ */
+const buildInventoryCostHistory = (lots, sales, mode) => {
+    const receivedByDate = groupByDate(lots);
+    const soldByDate = groupByDate(sales);
+    const dates = [...new Set([...Object.keys(receivedByDate), ...Object.keys(soldByDate)])].sort();
+
+    const costByDate = {};
+    const lineCosts = {};
+    const queue = [];
+    let onHand = 0;
+    let average = 0;
+    let lastCost = 0;
+
+    for (const date of dates) {
+        for (const lot of receivedByDate[date] || []) {
+            if (mode === 'fifo') {
+                queue.push({ quantity: lot.quantity, unitCost: lot.unitCost });
+            } else {
+                const stock = Math.max(onHand, 0);
+                average = (stock * average + lot.quantity * lot.unitCost) / (stock + lot.quantity);
+            }
+            onHand += lot.quantity;
+            lastCost = lot.unitCost;
+        }
+
+        const daySales = [...(soldByDate[date] || [])]
+            .sort((a, b) => (Date.parse(a.createdAt) || 0) - (Date.parse(b.createdAt) || 0));
+        const sold = daySales.reduce((sum, sale) => sum + sale.quantity, 0);
+
+        if (mode === 'fifo') {
+            const dayCost = queue[0]?.unitCost ?? lastCost;
+            costByDate[date] = dayCost;
+
+            for (const sale of daySales) {
+                if (sale.quantity <= 0) continue;
+
+                const cogs = roundCost(consumeLots(queue, sale.quantity, lastCost) / sale.quantity);
+                if (cogs !== dayCost && sale.lineItemId != null) {
+                    lineCosts[sale.lineItemId] = { cogs, date };
+                }
+            }
+
+            if (sold > 0) {
+                costByDate[addDays(date, 1)] = queue[0]?.unitCost ?? lastCost;
+            }
+        } else {
+            costByDate[date] = roundCost(average || lastCost);
+        }
+
+        onHand -= sold;
+    }
+
+    // Keep only the dates on which the cost changes
+    const costHistory = [];
+    for (const date of Object.keys(costByDate).sort()) {
+        const cogs = costByDate[date];
+        if (costHistory.length > 0 && costHistory[costHistory.length - 1].cogs === cogs) continue;
+
+        costHistory.push({
+            cogs,
+            effectiveFrom: costHistory.length === 0 ? null : date,
+            source: 'purchase_orders',
+        });
+    }
+
+    return { costHistory, lineCosts, onHand };
+};
+
+/**
+ * Recompute inventory costs from purchase orders and sales (internal use)
+ * Days whose cost changed are marked stale from the first changed date.
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} variantIds - Variants to recompute (default: all)
+ * @returns {Object} - { mode, variants, updated }
+ */
+const recalculateInventoryCosts = async (shopDomain, variantIds = null) => {
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const shopData = shopDoc.data() || {};
+    const mode = getCostingMode(shopData);
+    const results = { mode, variants: 0, updated: 0 };
+
+    if (mode === 'standard') {
+        return results;
+    }
+
+    const wanted = variantIds ? new Set(variantIds.map(String)) : null;
+    const timezone = getShopTimezone(shopData);
+
+    // Received lots per variant
+    const poSnapshot = await db
+        .collection('purchaseOrders')
+        .doc(shopDomain)
+        .collection('orders')
+        .where('status', '==', 'received')
+        .get();
+
+    const lotsByVariant = {};
+    for (const doc of poSnapshot.docs) {
+        const po = doc.data();
+        for (const line of po.lines || []) {
+            const id = String(line.variantId);
+            if (wanted && !wanted.has(id)) continue;
+
+            (lotsByVariant[id] = lotsByVariant[id] || []).push({
+                date: po.receivedDate,
+                quantity: line.quantity,
+                unitCost: line.unitCost,
+            });
+        }
+    }
+
+    // Units sold per variant from the first lot on
+    const firstDate = Object.values(lotsByVariant).flat().reduce(
+        (min, lot) => (!min || lot.date < min ? lot.date : min), null
+    );
+    const salesByVariant = {};
+    if (firstDate) {
+        const orders = (await getLedgerOrdersInRange(shopDomain, firstDate, '9999-12-31'))
+            .filter(order => filterOrdersForDate([order], order.localDate, timezone).length > 0);
+
+        for (const order of orders) {
+            for (const item of extractLineItems([order])) {
+                const id = item.variantId != null ? String(item.variantId) : null;
+                if (!id || !lotsByVariant[id]) continue;
+
+                (salesByVariant[id] = salesByVariant[id] || []).push({
+                    date: order.localDate,
+                    quantity: item.quantity || 0,
+                    lineItemId: item.lineItemId,
+                    createdAt: order.created_at,
+                });
+            }
+        }
+    }
+
+    const costsRef = db.collection('inventoryCosts').doc(shopDomain).collection('variants');
+    const existingSnapshot = await costsRef.get();
+    const existing = {};
+    for (const doc of existingSnapshot.docs) {
+        if (!wanted || wanted.has(doc.id)) {
+            existing[doc.id] = doc.data();
+        }
+    }
+
+    const operations = [];
+    const changedIds = [];
+    let earliestChange = '9999-12-31';
+
+    for (const [id, lots] of Object.entries(lotsByVariant)) {
+        const { costHistory, lineCosts, onHand } = buildInventoryCostHistory(lots, salesByVariant[id] || [], mode);
+        const changedFrom = getEarliestDate(
+            getFirstDifference(existing[id]?.costHistory || [], costHistory),
+            getFirstLineDifference(existing[id]?.lineCosts || {}, lineCosts)
+        );
+        results.variants++;
+
+        if (changedFrom === undefined && existing[id]?.mode === mode) continue;
+
+        operations.push(batch => batch.set(costsRef.doc(id), {
+            variantId: id,
+            mode,
+            costHistory,
+            lineCosts,
+            onHand,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }));
+        changedIds.push(id);
+        results.updated++;
+
+        if (changedFrom !== undefined && (changedFrom === null || changedFrom < earliestChange)) {
+            earliestChange = changedFrom;
+        }
+    }
+
+    // Variants whose lots were all removed go back to their standard cost
+    for (const id of Object.keys(existing)) {
+        if (lotsByVariant[id]) continue;
+
+        operations.push(batch => batch.delete(costsRef.doc(id)));
+        changedIds.push(id);
+        earliestChange = null;
+    }
+
+    for (let i = 0; i < operations.length; i += 500) {
+        const batch = db.batch();
+        for (const operation of operations.slice(i, i + 500)) {
+            operation(batch);
+        }
+        await batch.commit();
+    }
+
+    await markVariantDaysStale(shopDomain, changedIds, 'cogs', {
+        startDate: earliestChange,
+    });
+
+    return results;
+};
+
+/**
+ * Get inventory costing settings
+ */
+const getCostingSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const shopDoc = await db.collection('shops').doc(shopDomain).get();
+
+        return {
+            success: true,
+            mode: getCostingMode(shopDoc.data()),
+            modes: COSTING_MODES,
+        };
+
+    } catch (error) {
+        console.error('Get costing settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Update inventory costing settings
+ * Costs are recomputed right away under the new mode
+ */
+const updateCostingSettings = functions
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+        }
+
+        const shopDomain = context.auth.token.shop;
+        const { mode } = data;
+
+        if (!COSTING_MODES.includes(mode)) {
+            throw new functions.https.HttpsError('invalid-argument', 'Invalid costing mode');
+        }
+
+        try {
+            await db.collection('shops').doc(shopDomain).update({
+                costingMode: mode,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            const results = await recalculateInventoryCosts(shopDomain);
+
+            // Back on standard costing, every lot-costed variant changes cost
+            if (mode === 'standard') {
+                const refs = await db
+                    .collection('inventoryCosts')
+                    .doc(shopDomain)
+                    .collection('variants')
+                    .listDocuments();
+
+                await markVariantDaysStale(shopDomain, refs.map(ref => ref.id), 'cogs');
+            }
+
+            return {
+                success: true,
+                message: 'Costing settings updated successfully',
+                mode,
+                results,
+            };
+
+        } catch (error) {
+            console.error('Update costing settings error:', error);
+            throw new functions.https.HttpsError('internal', error.message);
+        }
+    });
+
+/**
+ * Recompute inventory costs of every shop using weighted average or FIFO
+ * FIFO costs depend on sales, so they are refreshed with each day's orders
+ * Called by cron job every day
+ */
+const runInventoryCosting = functions
+    .runWith({ timeoutSeconds: 540 })
+    .https.onRequest(async (req, res) => {
+        const config = getConfig();
+
+        // Verify cron secret
+        const secret = req.headers['x-secret-key'];
+        if (secret !== config.cron.secret) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        try {
+            const shopsSnapshot = await db.collection('shops')
+                .where('costingMode', 'in', ['weighted_average', 'fifo'])
+                .get();
+
+            const results = {
+                total: shopsSnapshot.size,
+                success: 0,
+                failed: 0,
+                updated: 0,
+            };
+
+            for (const doc of shopsSnapshot.docs) {
+                if (doc.data().subscriptionStatus === 'uninstalled') continue;
+
+                try {
+                    results.updated += (await recalculateInventoryCosts(doc.id)).updated;
+                    results.success++;
+                } catch (error) {
+                    console.error(`Inventory costing failed for ${doc.id}:`, error.message);
+                    results.failed++;
+                }
+            }
+
+            console.log('Inventory costing completed:', results);
+            res.status(200).json({ success: true, results });
+
+        } catch (error) {
+            console.error('Inventory costing error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+/**
+ * Group dated records by date
+ */
+function groupByDate(records) {
+    const byDate = {};
+    for (const record of records) {
+        (byDate[record.date] = byDate[record.date] || []).push(record);
+    }
+    return byDate;
+}
+
+/**
+ * Take units from the oldest lots, returning their total cost
+ */
+function consumeLots(queue, quantity, fallbackCost) {
+    let remaining = quantity;
+    let cost = 0;
+    let unitCost = fallbackCost;
+
+    while (remaining > 0 && queue.length > 0) {
+        const lot = queue[0];
+        const taken = Math.min(lot.quantity, remaining);
+
+        cost += taken * lot.unitCost;
+        unitCost = lot.unitCost;
+        lot.quantity -= taken;
+        remaining -= taken;
+
+        if (lot.quantity === 0) {
+            queue.shift();
+        }
+    }
+
+    return cost + remaining * unitCost;
+}
+
+/**
+ * First effectiveFrom at which two histories differ
+ * @returns {string|null|undefined} - Date, null for all history, undefined when equal
+ */
+function getFirstDifference(before, after) {
+    const length = Math.max(before.length, after.length);
+
+    for (let i = 0; i < length; i++) {
+        const a = before[i];
+        const b = after[i];
+        if (a && b && a.cogs === b.cogs && a.effectiveFrom === b.effectiveFrom) continue;
+
+        const dates = [a?.effectiveFrom, b?.effectiveFrom].filter(date => date !== undefined);
+        return dates.includes(null) ? null : dates.sort()[0];
+    }
+
+    return undefined;
+}
+
+/**
+ * Earliest date of the sold lines whose cost differs
+ * @returns {string|undefined} - Date, undefined when equal
+ */
+function getFirstLineDifference(before, after) {
+    const dates = [];
+
+    for (const lineItemId of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const a = before[lineItemId];
+        const b = after[lineItemId];
+        if (a && b && a.cogs === b.cogs && a.date === b.date) continue;
+
+        dates.push(...[a?.date, b?.date].filter(Boolean));
+    }
+
+    return dates.sort()[0];
+}
+
+/**
+ * Earliest of two change dates from getFirstDifference and getFirstLineDifference
+ */
+function getEarliestDate(a, b) {
+    if (a === null || b === null) return null;
+    if (a === undefined) return b;
+    if (b === undefined) return a;
+    return a < b ? a : b;
+}
+
+/**
+ * Round to 4 decimal places
+ */
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    COSTING_MODES,
+    getCostingMode,
+    buildInventoryCostHistory,
+    recalculateInventoryCosts,
+    getCostingSettings,
+    updateCostingSettings,
+    runInventoryCosting,
+};
@@ -5,7 +5,12 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { isPositiveNumber } = require('../utils/validators');
+const { isPositiveNumber, isValidDate } = require('../utils/validators');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
+const { markVariantDaysStale } = require('../profit/stale');
+const { validateCostComponents, buildCostComponents, addBreakdown } = require('./components');
+const { getCostingMode } = require('./inventoryCosting');
+const { getActiveRules, findRule, getRuleCost } = require('./rules');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -13,8 +18,18 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+// Prefix of cost documents imported without a variant ID
+const SKU_PREFIX = 'sku:';
+
+// Prefix of FIFO costs of single sold lines in cost maps
+const LINE_PREFIX = 'line:';
+
+// Deepest nesting of kits inside kits
+const MAX_BOM_DEPTH = 3;
+
 /**
  * Set COGS for a product variant
+ * Either a single cogs value or cost components, whose total becomes the cogs
  * Callable function from frontend
  */
 const setCogs = functions.https.onCall(async (data, context) => {
@@ -34,7 +49,7 @@ const setCogs = functions.https.onCall(async (data, context) => {
         );
     }
 
-    const { variantId, productId, sku, cogs, productTitle } = data;
+    const { variantId, productId, sku, productTitle, effectiveFrom, components } = data;
 
     // Validate inputs
     if (!variantId) {
@@ -44,6 +59,14 @@ const setCogs = functions.https.onCall(async (data, context) => {
         );
     }
 
+    const componentsError = components != null ? validateCostComponents(components) : null;
+    if (componentsError) {
+        throw new functions.https.HttpsError('invalid-argument', componentsError);
+    }
+
+    const breakdown = components != null ? buildCostComponents(components) : null;
+    const cogs = breakdown ? breakdown.cogs : data.cogs;
+
     if (!isPositiveNumber(cogs)) {
         throw new functions.https.HttpsError(
             'invalid-argument',
@@ -51,26 +74,58 @@ const setCogs = functions.https.onCall(async (data, context) => {
         );
     }
 
+    if (effectiveFrom && !isValidDate(effectiveFrom)) {
+        throw new functions.https.HttpsError(
+            'invalid-argument',
+            'effectiveFrom must be in YYYY-MM-DD format'
+        );
+    }
+
     try {
-        await db
+        const today = await getShopToday(shopDomain);
+        const docRef = db
             .collection('productCosts')
             .doc(shopDomain)
             .collection('products')
-            .doc(variantId.toString())
-            .set({
+            .doc(variantId.toString());
+
+        const entry = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            const costs = addCostEntry(
+                doc.data(),
+                parseFloat(cogs),
+                effectiveFrom,
+                today,
+                'manual',
+                breakdown?.components
+            );
+
+            transaction.set(docRef, {
                 variantId,
                 productId: productId || null,
                 sku: sku || '',
-                cogs: parseFloat(cogs),
+                cogs: costs.cogs,
+                source: costs.source,
+                components: costs.components,
+                costHistory: costs.costHistory,
                 productTitle: productTitle || '',
                 updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             }, { merge: true });
 
+            return costs;
+        });
+
+        await markVariantDaysStale(shopDomain, [variantId], 'cogs', {
+            startDate: entry.effectiveFrom,
+        });
+
         return {
             success: true,
             message: 'COGS updated successfully',
             variantId,
-            cogs: parseFloat(cogs),
+            cogs: entry.cogs,
+            components: entry.components,
+            effectiveFrom: entry.effectiveFrom,
         };
 
     } catch (error) {
@@ -135,9 +190,14 @@ const getAllCogs = functions.https.onCall(async (data, context) => {
             .orderBy('updatedAt', 'desc')
             .get();
 
+        // Kit costs follow their components, so they are derived on read
+        const today = await getShopToday(shopDomain);
+        const cogsMap = resolveCogsMap(addCostDocs({ costs: {}, boms: {} }, snapshot.docs), today);
+
         const products = snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data(),
+            ...(doc.data().bom?.length ? { cogs: cogsMap[doc.id], source: 'bom' } : {}),
         }));
 
         return {
@@ -172,38 +232,72 @@ const setBulkCogs = functions.https.onCall(async (data, context) => {
     }
 
     try {
-        const batch = db.batch();
-        let validCount = 0;
+        const today = await getShopToday(shopDomain);
+        const valid = products
+            .filter(product =>
+                !product.components || !validateCostComponents(product.components)
+            )
+            .map(product => {
+                if (!product.components) return product;
+                const breakdown = buildCostComponents(product.components);
+                return { ...product, cogs: breakdown.cogs, components: breakdown.components };
+            })
+            .filter(product =>
+                product.variantId &&
+                isPositiveNumber(product.cogs) &&
+                (!product.effectiveFrom || isValidDate(product.effectiveFrom))
+            );
+
+        const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+        const docRefs = valid.map(product => productsRef.doc(product.variantId.toString()));
+        const docs = docRefs.length > 0 ? await db.getAll(...docRefs) : [];
 
-        for (const product of products) {
-            if (!product.variantId || !isPositiveNumber(product.cogs)) {
-                continue;
-            }
-
-            const docRef = db
-                .collection('productCosts')
-                .doc(shopDomain)
-                .collection('products')
-                .doc(product.variantId.toString());
-
-            batch.set(docRef, {
+        const batch = db.batch();
+        const updatedVariantIds = [];
+        const existing = {};
+        let earliestChange = today;
+
+        valid.forEach((product, i) => {
+            const id = product.variantId.toString();
+
+            // The same variant may appear more than once in a batch
+            const costs = addCostEntry(
+                existing[id] || docs[i].data(),
+                parseFloat(product.cogs),
+                product.effectiveFrom,
+                today,
+                'manual',
+                product.components
+            );
+            existing[id] = costs;
+
+            batch.set(docRefs[i], {
                 variantId: product.variantId,
                 productId: product.productId || null,
                 sku: product.sku || '',
-                cogs: parseFloat(product.cogs),
+                cogs: costs.cogs,
+                source: costs.source,
+                components: costs.components,
+                costHistory: costs.costHistory,
                 productTitle: product.productTitle || '',
                 updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             }, { merge: true });
 
-            validCount++;
-        }
+            updatedVariantIds.push(product.variantId);
+            if (earliestChange && (!costs.effectiveFrom || costs.effectiveFrom < earliestChange)) {
+                earliestChange = costs.effectiveFrom;
+            }
+        });
 
         await batch.commit();
+        await markVariantDaysStale(shopDomain, updatedVariantIds, 'cogs', {
+            startDate: earliestChange,
+        });
 
         return {
             success: true,
-            message: `Updated ${validCount} products`,
-            count: validCount,
+            message: `Updated ${updatedVariantIds.length} products`,
+            count: updatedVariantIds.length,
         };
 
     } catch (error) {
@@ -235,6 +329,8 @@ const deleteCogs = functions.https.onCall(async (data, context) => {
             .doc(variantId.toString())
             .delete();
 
+        await markVariantDaysStale(shopDomain, [variantId], 'cogs');
+
         return {
             success: true,
             message: 'COGS deleted successfully',
@@ -248,38 +344,521 @@ const deleteCogs = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Get COGS map for batch lookup (internal use)
+ * Delete one entry from a variant's cost history
+ * Removing the last entry removes the variant's cost altogether
  */
-const getCogsMap = async (shopDomain, variantIds) => {
-    const cogsMap = {};
+const deleteCogsEntry = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
 
-    // Firestore 'in' query supports max 10 items, so we batch
-    const batches = [];
-    for (let i = 0; i < variantIds.length; i += 10) {
-        batches.push(variantIds.slice(i, i + 10));
+    const shopDomain = context.auth.token.shop;
+    const { variantId, effectiveFrom = null } = data;
+
+    if (!variantId) {
+        throw new functions.https.HttpsError('invalid-argument', 'Variant ID is required');
     }
 
-    for (const batch of batches) {
-        const snapshot = await db
+    try {
+        const today = await getShopToday(shopDomain);
+        const docRef = db
             .collection('productCosts')
             .doc(shopDomain)
             .collection('products')
-            .where(admin.firestore.FieldPath.documentId(), 'in', batch.map(String))
-            .get();
+            .doc(variantId.toString());
+
+        const remaining = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                return null;
+            }
+
+            const costHistory = getCostHistory(doc.data())
+                .filter(entry => entry.effectiveFrom !== effectiveFrom);
+
+            if (costHistory.length === 0) {
+                transaction.delete(docRef);
+            } else {
+                const current = resolveCostEntry(costHistory, today);
+                transaction.update(docRef, {
+                    cogs: resolveCost(costHistory, today),
+                    source: getCostSource(current),
+                    components: current?.components || null,
+                    costHistory,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            }
+
+            return costHistory;
+        });
 
-        for (const doc of snapshot.docs) {
-            cogsMap[doc.id] = doc.data().cogs || 0;
+        if (remaining === null) {
+            throw new functions.https.HttpsError('not-found', 'COGS not found');
         }
+
+        await markVariantDaysStale(shopDomain, [variantId], 'cogs', { startDate: effectiveFrom });
+
+        return {
+            success: true,
+            message: 'COGS entry deleted successfully',
+            variantId,
+            costHistory: remaining,
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Delete COGS entry error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Get a variant's cost history, oldest first
+ * Costs saved before histories existed become a single undated entry
+ * @param {Object} data - productCosts document data
+ * @returns {Array} - [{ cogs, effectiveFrom, recordedAt }]
+ */
+const getCostHistory = (data = {}) => {
+    if (Array.isArray(data.costHistory) && data.costHistory.length > 0) {
+        return data.costHistory;
+    }
+
+    return data.cogs != null ? [{ cogs: data.cogs, effectiveFrom: null }] : [];
+};
+
+/**
+ * History entry valid on a date
+ * Each entry applies from its effectiveFrom date until the next one.
+ * Dates before the first entry use the earliest known cost.
+ * @param {Array} history - Cost history, oldest first
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} - { cogs, effectiveFrom, source, components }
+ */
+const resolveCostEntry = (history, date) => {
+    let current = history[0] || null;
+
+    for (const entry of history) {
+        if (entry.effectiveFrom && entry.effectiveFrom > date) break;
+        current = entry;
+    }
+
+    return current;
+};
+
+/**
+ * Cost valid on a date
+ * @param {Array} history - Cost history, oldest first
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} - Unit cost
+ */
+const resolveCost = (history, date) => {
+    return resolveCostEntry(history, date)?.cogs || 0;
+};
+
+/**
+ * Where a history entry came from: 'manual', 'csv' or 'shopify'
+ * Entries saved before sources were recorded were all typed in
+ */
+const getCostSource = (entry) => entry?.source || 'manual';
+
+/**
+ * Add (or replace) a history entry
+ * Without an explicit date, a variant's first cost covers all history and
+ * later costs start today, so past days keep the cost they were sold at.
+ * @param {Object} data - Existing productCosts document data (may be undefined)
+ * @param {number} cogs - Unit cost
+ * @param {string} effectiveFrom - Date in YYYY-MM-DD format (optional)
+ * @param {string} today - Shop-local date in YYYY-MM-DD format
+ * @param {string} source - 'manual', 'csv' or 'shopify'
+ * @param {Array} components - Cost components making up cogs (optional)
+ * @returns {Object} - { cogs, source, components (current), costHistory, effectiveFrom }
+ */
+const addCostEntry = (data, cogs, effectiveFrom, today, source = 'manual', components = null) => {
+    const history = getCostHistory(data);
+    const from = effectiveFrom || (history.length > 0 ? today : null);
+    const entry = { cogs, effectiveFrom: from, source, recordedAt: new Date().toISOString() };
+    if (components?.length) {
+        entry.components = components;
+    }
+
+    const costHistory = history
+        .filter(existing => existing.effectiveFrom !== from)
+        .concat(entry)
+        .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+    const current = resolveCostEntry(costHistory, today);
+
+    return {
+        cogs: resolveCost(costHistory, today),
+        source: getCostSource(current),
+        components: current?.components || null,
+        costHistory,
+        effectiveFrom: from,
+    };
+};
+
+/**
+ * Get cost histories for batch lookup (internal use)
+ * Variants without a cost of their own fall back to costs imported by SKU
+ * (documents keyed sku:<SKU>), matched case-insensitively. Kits are loaded
+ * with their components, down to MAX_BOM_DEPTH levels. Shops costing by
+ * weighted average or FIFO use the costs computed from purchase orders for
+ * variants that have received lots, along with the FIFO costs of sold lines
+ * that used other lots. Variants left without any cost are costed by the
+ * shop's COGS rules.
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} variantIds - Variant IDs
+ * @param {Array} skus - SKUs of the same items (optional)
+ * @returns {Object} - { costs: { variantId|'sku:<sku>': history }, boms: { variantId: bom }, lineCosts: { lineItemId: unit cost } }
+ */
+const getCostHistories = async (shopDomain, variantIds, skus = []) => {
+    const histories = { costs: {}, boms: {}, lineCosts: {} };
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const inventoryCosting = getCostingMode(shopDoc.data()) !== 'standard';
+    let pending = [...new Set(variantIds.map(String))];
+    const loaded = new Set();
+
+    for (let depth = 0; depth <= MAX_BOM_DEPTH && pending.length > 0; depth++) {
+        pending.forEach(id => loaded.add(id));
+
+        const docs = await loadCostDocs(shopDomain, pending);
+        addCostDocs(histories, docs);
+
+        if (inventoryCosting) {
+            addInventoryDocs(histories, await loadCostDocs(shopDomain, pending, 'inventoryCosts', 'variants'));
+        }
+
+        // Components of kits found at this level
+        pending = [...new Set(docs.flatMap(doc => (doc.data().bom || []).map(c => String(c.variantId))))]
+            .filter(id => !histories.costs[id] && !histories.boms[id]);
+    }
+
+    const hasUnmatched = variantIds.some(id => !histories.costs[String(id)] && !histories.boms[String(id)]);
+    const wantedSkus = new Set(skus.filter(Boolean).map(getSkuKey));
+
+    if ((hasUnmatched || variantIds.length === 0) && wantedSkus.size > 0) {
+        for (const doc of await getSkuCostDocs(shopDomain)) {
+            const key = getSkuKey(doc.data().sku || doc.id.slice(SKU_PREFIX.length));
+            if (wantedSkus.has(key)) {
+                histories.costs[key] = getCostHistory(doc.data());
+            }
+        }
+    }
+
+    const uncosted = [...loaded].filter(id => !histories.costs[id] && !histories.boms[id]);
+    if (uncosted.length > 0) {
+        await addRuleCosts(shopDomain, histories, uncosted);
+    }
+
+    return histories;
+};
+
+/**
+ * Cost variants by the first COGS rule that applies to them
+ * Rules need the variant's catalog attributes; a SKU-keyed cost still wins.
+ */
+async function addRuleCosts(shopDomain, histories, variantIds) {
+    const rules = await getActiveRules(shopDomain);
+    if (rules.length === 0) {
+        return;
+    }
+
+    for (const doc of await loadCostDocs(shopDomain, variantIds, 'productCatalog', 'variants')) {
+        const variant = doc.data();
+        if (variant.sku && histories.costs[getSkuKey(variant.sku)]) continue;
+
+        const rule = findRule(rules, variant);
+        if (rule) {
+            histories.costs[doc.id] = [{
+                cogs: getRuleCost(rule, variant),
+                effectiveFrom: null,
+                source: 'rule',
+                ruleId: rule.id,
+            }];
+        }
+    }
+}
+
+/**
+ * Add productCosts documents to a histories object (internal use)
+ * A variant with a bill of materials is costed from its components only
+ * @param {Object} histories - { costs, boms }
+ * @param {Array} docs - Document snapshots
+ * @returns {Object} - The same histories object
+ */
+const addCostDocs = (histories, docs) => {
+    for (const doc of docs) {
+        const data = doc.data();
+
+        if (Array.isArray(data.bom) && data.bom.length > 0) {
+            histories.boms[doc.id] = data.bom;
+        } else {
+            histories.costs[doc.id] = getCostHistory(data);
+        }
+    }
+
+    return histories;
+};
+
+/**
+ * Add inventoryCosts documents to a histories object (internal use)
+ * Costs from received lots replace both entered costs and bills of materials
+ * @param {Object} histories - { costs, boms, lineCosts }
+ * @param {Array} docs - Document snapshots
+ * @returns {Object} - The same histories object
+ */
+const addInventoryDocs = (histories, docs) => {
+    for (const doc of docs) {
+        const { costHistory = [], lineCosts = {} } = doc.data();
+        if (costHistory.length === 0) continue;
+
+        histories.costs[doc.id] = costHistory;
+        delete histories.boms[doc.id];
+
+        for (const [lineItemId, lineCost] of Object.entries(lineCosts)) {
+            histories.lineCosts[lineItemId] = lineCost.cogs;
+        }
+    }
+
+    return histories;
+};
+
+/**
+ * Unit cost of a line item, by its own FIFO cost, then by variant ID, then by SKU
+ * @param {Object} cogsMap - From resolveCogsMap
+ * @param {Object} item - { lineItemId, variantId, sku }
+ * @returns {number} - Unit cost (0 when unknown)
+ */
+const getUnitCost = (cogsMap, item) => {
+    const byLine = item.lineItemId != null ? cogsMap[`${LINE_PREFIX}${item.lineItemId}`] : null;
+    if (byLine != null) {
+        return byLine;
+    }
+
+    const byVariant = item.variantId != null ? cogsMap[item.variantId.toString()] : null;
+    if (byVariant != null) {
+        return byVariant;
+    }
+
+    return item.sku ? cogsMap[getSkuKey(item.sku)] || 0 : 0;
+};
+
+/**
+ * Lookup key of a SKU-keyed cost
+ */
+const getSkuKey = (sku) => `${SKU_PREFIX}${sku.toString().trim().toLowerCase()}`;
+
+/**
+ * All cost documents imported by SKU (internal use)
+ * @param {string} shopDomain - Shop domain
+ * @returns {Array} - Document snapshots
+ */
+const getSkuCostDocs = async (shopDomain) => {
+    const snapshot = await db
+        .collection('productCosts')
+        .doc(shopDomain)
+        .collection('products')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .startAt(SKU_PREFIX)
+        .endAt(`${SKU_PREFIX}\uf8ff`)
+        .get();
+
+    return snapshot.docs;
+};
+
+/**
+ * Resolve cost histories to the unit costs valid on a date
+ * @param {Object} histories - From getCostHistories
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} - { variantId: unit cost }
+ */
+const resolveCogsMap = (histories, date) => {
+    const cogsMap = {};
+
+    for (const [variantId, history] of Object.entries(histories.costs)) {
+        cogsMap[variantId] = resolveCost(history, date);
+    }
+
+    for (const variantId of Object.keys(histories.boms)) {
+        cogsMap[variantId] = resolveKitCost(variantId, histories, date, new Set());
+    }
+
+    // Sold lines keep the cost of their lots whatever the date
+    for (const [lineItemId, cogs] of Object.entries(histories.lineCosts || {})) {
+        cogsMap[`${LINE_PREFIX}${lineItemId}`] = cogs;
     }
 
     return cogsMap;
 };
 
+/**
+ * Resolve cost histories to the cost breakdowns valid on a date
+ * Only costs entered as components have a breakdown; a kit adds up the
+ * breakdowns of its components.
+ * @param {Object} histories - From getCostHistories
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} - { variantId: { componentName: unit cost } }
+ */
+const resolveBreakdownMap = (histories, date) => {
+    const breakdownMap = {};
+
+    for (const [variantId, history] of Object.entries(histories.costs)) {
+        const breakdown = getEntryBreakdown(resolveCostEntry(history, date));
+        if (breakdown) {
+            breakdownMap[variantId] = breakdown;
+        }
+    }
+
+    for (const variantId of Object.keys(histories.boms)) {
+        const breakdown = resolveKitBreakdown(variantId, histories, date, new Set());
+        if (Object.keys(breakdown).length > 0) {
+            breakdownMap[variantId] = breakdown;
+        }
+    }
+
+    return breakdownMap;
+};
+
+/**
+ * Unit cost breakdown of a line item, by variant ID then by SKU
+ * @param {Object} breakdownMap - From resolveBreakdownMap
+ * @param {Object} item - { variantId, sku }
+ * @returns {Object|null} - { componentName: unit cost }
+ */
+const getUnitBreakdown = (breakdownMap, item) => {
+    const byVariant = item.variantId != null ? breakdownMap[item.variantId.toString()] : null;
+    if (byVariant) {
+        return byVariant;
+    }
+
+    return item.sku ? breakdownMap[getSkuKey(item.sku)] || null : null;
+};
+
+/**
+ * { componentName: cost } of a history entry, or null without components
+ */
+function getEntryBreakdown(entry) {
+    if (!entry?.components?.length) {
+        return null;
+    }
+
+    const breakdown = {};
+    for (const component of entry.components) {
+        breakdown[component.name] = component.cost;
+    }
+    return breakdown;
+}
+
+/**
+ * Breakdown of a kit on a date, from its components' breakdowns
+ */
+function resolveKitBreakdown(variantId, histories, date, visiting) {
+    const breakdown = {};
+    if (visiting.has(variantId) || visiting.size > MAX_BOM_DEPTH) {
+        return breakdown;
+    }
+    visiting.add(variantId);
+
+    for (const component of histories.boms[variantId]) {
+        const id = String(component.variantId);
+        const componentBreakdown = histories.boms[id]
+            ? resolveKitBreakdown(id, histories, date, visiting)
+            : getEntryBreakdown(resolveCostEntry(histories.costs[id] || [], date));
+
+        addBreakdown(breakdown, componentBreakdown, component.quantity);
+    }
+
+    visiting.delete(variantId);
+    return breakdown;
+}
+
+/**
+ * Cost of a kit on a date: the sum of its components' costs
+ * A component that is itself a kit is expanded; cycles count as zero
+ */
+function resolveKitCost(variantId, histories, date, visiting) {
+    if (visiting.has(variantId) || visiting.size > MAX_BOM_DEPTH) {
+        return 0;
+    }
+    visiting.add(variantId);
+
+    let cost = 0;
+    for (const component of histories.boms[variantId]) {
+        const id = String(component.variantId);
+        const unitCost = histories.boms[id]
+            ? resolveKitCost(id, histories, date, visiting)
+            : resolveCost(histories.costs[id] || [], date);
+
+        cost += unitCost * component.quantity;
+    }
+
+    visiting.delete(variantId);
+    return cost;
+}
+
+/**
+ * Load productCosts (or inventoryCosts, productCatalog) documents by ID
+ */
+async function loadCostDocs(shopDomain, ids, collection = 'productCosts', subcollection = 'products') {
+    const docs = [];
+
+    // Firestore 'in' query supports max 10 items, so we batch
+    for (let i = 0; i < ids.length; i += 10) {
+        const snapshot = await db
+            .collection(collection)
+            .doc(shopDomain)
+            .collection(subcollection)
+            .where(admin.firestore.FieldPath.documentId(), 'in', ids.slice(i, i + 10))
+            .get();
+
+        docs.push(...snapshot.docs);
+    }
+
+    return docs;
+}
+
+/**
+ * Get COGS map for batch lookup (internal use)
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} variantIds - Variant IDs
+ * @param {string} date - Date the costs must be valid on (default: latest cost)
+ * @returns {Object} - { variantId: unit cost }
+ */
+const getCogsMap = async (shopDomain, variantIds, date = '9999-12-31') => {
+    return resolveCogsMap(await getCostHistories(shopDomain, variantIds), date);
+};
+
+/**
+ * Today's date in the shop's timezone (internal use)
+ */
+const getShopToday = async (shopDomain) => {
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    return getTodayInTimezone(getShopTimezone(shopDoc.data() || {}));
+};
+
 module.exports = {
     setCogs,
     getCogs,
     getAllCogs,
     setBulkCogs,
     deleteCogs,
+    deleteCogsEntry,
+    getCostHistory,
+    resolveCostEntry,
+    resolveCost,
+    getCostSource,
+    addCostEntry,
+    getCostHistories,
+    addCostDocs,
+    addInventoryDocs,
+    getUnitCost,
+    getSkuKey,
+    getSkuCostDocs,
+    resolveCogsMap,
+    resolveBreakdownMap,
+    getUnitBreakdown,
     getCogsMap,
+    getShopToday,
+    MAX_BOM_DEPTH,
 };
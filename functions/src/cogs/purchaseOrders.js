@@ -0,0 +1,330 @@
+/**
+ * Purchase Orders
+ * Stock bought from suppliers in lots; received lots feed inventory costing
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isPositiveNumber, isValidDate } = require('../utils/validators');
+const { recalculateInventoryCosts } = require('./inventoryCosting');
+const { getShopToday } = require('./manual');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+const MAX_LINES = 200;
+
+/**
+ * Validate purchase order fields
+ * @param {Object} data - { supplier, orderDate, receivedDate, lines }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validatePurchaseOrder = ({ supplier, orderDate, receivedDate, lines }) => {
+    if (!supplier || typeof supplier !== 'string') {
+        return 'Supplier is required';
+    }
+
+    if (!isValidDate(orderDate)) {
+        return 'orderDate must be in YYYY-MM-DD format';
+    }
+
+    if (receivedDate && !isValidDate(receivedDate)) {
+        return 'receivedDate must be in YYYY-MM-DD format';
+    }
+
+    if (receivedDate && receivedDate < orderDate) {
+        return 'receivedDate cannot be before orderDate';
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return 'At least one line is required';
+    }
+
+    if (lines.length > MAX_LINES) {
+        return `Maximum ${MAX_LINES} lines per purchase order`;
+    }
+
+    for (const line of lines) {
+        if (!line.variantId) {
+            return 'Line variant ID is required';
+        }
+
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+            return 'Line quantity must be a positive whole number';
+        }
+
+        if (!isPositiveNumber(line.unitCost)) {
+            return 'Line unit cost must be a positive number';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Create a purchase order
+ * Callable function from frontend
+ */
+const createPurchaseOrder = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    const error = validatePurchaseOrder(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const purchaseOrder = buildPurchaseOrder(data);
+        const docRef = await getOrdersRef(shopDomain).add({
+            ...purchaseOrder,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        if (purchaseOrder.status === 'received') {
+            await recalculateInventoryCosts(shopDomain, purchaseOrder.variantIds);
+        }
+
+        return {
+            success: true,
+            id: docRef.id,
+            message: 'Purchase order created successfully',
+        };
+
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Get all purchase orders for a shop, newest first
+ */
+const getPurchaseOrders = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const snapshot = await getOrdersRef(shopDomain)
+            .orderBy('orderDate', 'desc')
+            .get();
+
+        const purchaseOrders = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+        }));
+
+        return {
+            success: true,
+            count: purchaseOrders.length,
+            purchaseOrders,
+        };
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Replace a purchase order's fields
+ * Costs are recomputed for the variants it had and the variants it has
+ */
+const updatePurchaseOrder = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Purchase order ID is required');
+    }
+
+    const error = validatePurchaseOrder(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const docRef = getOrdersRef(shopDomain).doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Purchase order not found');
+        }
+
+        const purchaseOrder = buildPurchaseOrder(data);
+        await docRef.update({
+            ...purchaseOrder,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        const previous = doc.data();
+        if (previous.status === 'received' || purchaseOrder.status === 'received') {
+            await recalculateInventoryCosts(shopDomain, [
+                ...(previous.variantIds || []),
+                ...purchaseOrder.variantIds,
+            ]);
+        }
+
+        return {
+            success: true,
+            id,
+            message: 'Purchase order updated successfully',
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Update purchase order error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Mark a purchase order as received, adding its lots to inventory
+ */
+const receivePurchaseOrder = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id, receivedDate } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Purchase order ID is required');
+    }
+
+    if (receivedDate && !isValidDate(receivedDate)) {
+        throw new functions.https.HttpsError('invalid-argument', 'receivedDate must be in YYYY-MM-DD format');
+    }
+
+    try {
+        const docRef = getOrdersRef(shopDomain).doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Purchase order not found');
+        }
+
+        const date = receivedDate || await getShopToday(shopDomain);
+        if (date < doc.data().orderDate) {
+            throw new functions.https.HttpsError('invalid-argument', 'receivedDate cannot be before orderDate');
+        }
+
+        await docRef.update({
+            receivedDate: date,
+            status: 'received',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await recalculateInventoryCosts(shopDomain, doc.data().variantIds || []);
+
+        return {
+            success: true,
+            id,
+            receivedDate: date,
+            message: 'Purchase order received successfully',
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Receive purchase order error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Delete a purchase order
+ */
+const deletePurchaseOrder = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Purchase order ID is required');
+    }
+
+    try {
+        const docRef = getOrdersRef(shopDomain).doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Purchase order not found');
+        }
+
+        await docRef.delete();
+
+        if (doc.data().status === 'received') {
+            await recalculateInventoryCosts(shopDomain, doc.data().variantIds || []);
+        }
+
+        return {
+            success: true,
+            message: 'Purchase order deleted successfully',
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Delete purchase order error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+function getOrdersRef(shopDomain) {
+    return db.collection('purchaseOrders').doc(shopDomain).collection('orders');
+}
+
+/**
+ * Purchase order document fields from validated input
+ */
+function buildPurchaseOrder({ supplier, reference, orderDate, receivedDate, notes, lines }) {
+    const normalizedLines = lines.map(line => ({
+        variantId: String(line.variantId),
+        sku: line.sku || '',
+        productTitle: line.productTitle || '',
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+    }));
+
+    return {
+        supplier: supplier.trim(),
+        reference: reference || '',
+        orderDate,
+        receivedDate: receivedDate || null,
+        status: receivedDate ? 'received' : 'open',
+        notes: notes || '',
+        lines: normalizedLines,
+        variantIds: [...new Set(normalizedLines.map(line => line.variantId))],
+        totalUnits: normalizedLines.reduce((sum, line) => sum + line.quantity, 0),
+        totalCost: normalizedLines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0),
+    };
+}
+
+module.exports = {
+    validatePurchaseOrder,
+    createPurchaseOrder,
+    getPurchaseOrders,
+    updatePurchaseOrder,
+    receivePurchaseOrder,
+    deletePurchaseOrder,
+};
@@ -0,0 +1,403 @@
+/**
+ * COGS Rules
+ * Costs assigned in bulk by vendor, product type, tag, collection or SKU
+ * prefix, used for variants that have no cost of their own
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isPositiveNumber } = require('../utils/validators');
+const { markAllDaysStale } = require('../profit/stale');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Rule types:
+ * - percentage: a percentage of the variant's price
+ * - fixed: the same amount for every matching variant
+ */
+const RULE_TYPES = ['percentage', 'fixed'];
+
+const RULE_SCOPES = ['all', 'vendor', 'product_type', 'tag', 'collection', 'sku_prefix'];
+
+// Variants listed per rule in a preview
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Validate a COGS rule
+ * @param {Object} rule - { type, value, scope, scopeValue, priority }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateCogsRule = ({ type, value, scope, scopeValue, priority }) => {
+    if (!RULE_TYPES.includes(type)) {
+        return 'Invalid rule type';
+    }
+
+    if (!isPositiveNumber(value)) {
+        return 'Value must be a positive number';
+    }
+
+    if (type === 'percentage' && value > 100) {
+        return 'Percentage cannot exceed 100';
+    }
+
+    if (!RULE_SCOPES.includes(scope)) {
+        return 'Invalid rule scope';
+    }
+
+    if (scope !== 'all' && (scopeValue == null || !scopeValue.toString().trim())) {
+        return 'Scope value is required';
+    }
+
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+        return 'Priority must be a positive whole number';
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a rule applies to a catalog variant
+ * Text comparisons ignore case; collections match by ID
+ * @param {Object} rule - COGS rule
+ * @param {Object} variant - Catalog variant
+ * @returns {boolean} - True if the rule applies
+ */
+const matchesRule = (rule, variant) => {
+    const expected = (rule.scopeValue || '').toString().trim().toLowerCase();
+
+    switch (rule.scope) {
+        case 'all':
+            return true;
+        case 'vendor':
+            return (variant.vendor || '').toLowerCase() === expected;
+        case 'product_type':
+            return (variant.productType || '').toLowerCase() === expected;
+        case 'tag':
+            return (variant.tags || []).some(tag => tag.toLowerCase() === expected);
+        case 'collection':
+            return (variant.collectionIds || []).some(id => id.toString() === expected);
+        case 'sku_prefix':
+            return !!variant.sku && variant.sku.toLowerCase().startsWith(expected);
+        default:
+            return false;
+    }
+};
+
+/**
+ * First rule, by priority, that applies to a variant
+ * @param {Array} rules - Rules sorted by priority (from getActiveRules)
+ * @param {Object} variant - Catalog variant
+ * @returns {Object|null} - Matching rule
+ */
+const findRule = (rules, variant) => {
+    return rules.find(rule => matchesRule(rule, variant)) || null;
+};
+
+/**
+ * Unit cost a rule gives a variant
+ * @param {Object} rule - COGS rule
+ * @param {Object} variant - Catalog variant (with price)
+ * @returns {number} - Unit cost
+ */
+const getRuleCost = (rule, variant) => {
+    const cost = rule.type === 'percentage'
+        ? (variant.price || 0) * rule.value / 100
+        : rule.value;
+
+    return Math.round(cost * 10000) / 10000;
+};
+
+/**
+ * Active rules of a shop, lowest priority number first (internal use)
+ * @param {string} shopDomain - Shop domain
+ * @returns {Array} - Rules
+ */
+const getActiveRules = async (shopDomain) => {
+    const snapshot = await getRulesRef(shopDomain)
+        .where('active', '==', true)
+        .get();
+
+    return sortRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+};
+
+/**
+ * Add a COGS rule
+ * Callable function from frontend
+ */
+const createCogsRule = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    const error = validateCogsRule(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const docRef = await getRulesRef(shopDomain).add({
+            ...buildRule(data),
+            active: true,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Any uncosted variant may now have a cost
+        await markAllDaysStale(shopDomain, 'cogs_rules');
+
+        return {
+            success: true,
+            id: docRef.id,
+            message: 'COGS rule added successfully',
+        };
+
+    } catch (error) {
+        console.error('Create COGS rule error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Get all COGS rules for a shop, in evaluation order
+ */
+const getCogsRules = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const [snapshot, catalogDoc] = await Promise.all([
+            getRulesRef(shopDomain).get(),
+            db.collection('productCatalog').doc(shopDomain).get(),
+        ]);
+
+        return {
+            success: true,
+            rules: sortRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+            collections: catalogDoc.data()?.collections || [],
+        };
+
+    } catch (error) {
+        console.error('Get COGS rules error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Update a COGS rule
+ */
+const updateCogsRule = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id, active } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Rule ID is required');
+    }
+
+    const error = validateCogsRule(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        await getRulesRef(shopDomain).doc(id).update({
+            ...buildRule(data),
+            ...(active !== undefined ? { active: !!active } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await markAllDaysStale(shopDomain, 'cogs_rules');
+
+        return {
+            success: true,
+            message: 'COGS rule updated successfully',
+        };
+
+    } catch (error) {
+        console.error('Update COGS rule error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Delete a COGS rule
+ */
+const deleteCogsRule = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Rule ID is required');
+    }
+
+    try {
+        await getRulesRef(shopDomain).doc(id).delete();
+        await markAllDaysStale(shopDomain, 'cogs_rules');
+
+        return {
+            success: true,
+            message: 'COGS rule deleted successfully',
+        };
+
+    } catch (error) {
+        console.error('Delete COGS rule error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Preview which catalog variants each rule costs
+ * An optional draft rule (new, or replacing the rule with its id) is
+ * evaluated with the saved ones. Variants with a cost of their own are
+ * left out, as rules never override them.
+ */
+const previewCogsRules = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { rule: draft } = data || {};
+
+    if (draft) {
+        const error = validateCogsRule(draft);
+        if (error) {
+            throw new functions.https.HttpsError('invalid-argument', error);
+        }
+    }
+
+    try {
+        const [rules, variantsSnapshot, costsSnapshot] = await Promise.all([
+            getActiveRules(shopDomain),
+            db.collection('productCatalog').doc(shopDomain).collection('variants').get(),
+            db.collection('productCosts').doc(shopDomain).collection('products').get(),
+        ]);
+
+        const evaluated = draft
+            ? sortRules([
+                ...rules.filter(rule => rule.id !== draft.id),
+                { ...buildRule(draft), id: draft.id || 'draft', createdAt: null },
+            ])
+            : rules;
+
+        // Explicit costs, by variant ID and by SKU
+        const costed = new Set();
+        for (const doc of costsSnapshot.docs) {
+            costed.add(doc.id);
+            if (doc.data().sku) {
+                costed.add(`sku:${doc.data().sku.toString().trim().toLowerCase()}`);
+            }
+        }
+
+        const previews = evaluated.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            count: 0,
+            variants: [],
+        }));
+        let uncovered = 0;
+        let explicit = 0;
+
+        for (const doc of variantsSnapshot.docs) {
+            const variant = doc.data();
+            if (costed.has(doc.id) || (variant.sku && costed.has(`sku:${variant.sku.trim().toLowerCase()}`))) {
+                explicit++;
+                continue;
+            }
+
+            const index = evaluated.findIndex(rule => matchesRule(rule, variant));
+            if (index === -1) {
+                uncovered++;
+                continue;
+            }
+
+            const preview = previews[index];
+            preview.count++;
+            if (preview.variants.length < PREVIEW_LIMIT) {
+                preview.variants.push({
+                    variantId: variant.variantId,
+                    productTitle: variant.productTitle,
+                    variantTitle: variant.variantTitle,
+                    sku: variant.sku,
+                    price: variant.price,
+                    cogs: getRuleCost(evaluated[index], variant),
+                });
+            }
+        }
+
+        return {
+            success: true,
+            rules: previews,
+            summary: {
+                total: variantsSnapshot.size,
+                explicit,
+                byRules: variantsSnapshot.size - explicit - uncovered,
+                uncovered,
+            },
+        };
+
+    } catch (error) {
+        console.error('Preview COGS rules error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+function getRulesRef(shopDomain) {
+    return db.collection('cogsRules').doc(shopDomain).collection('rules');
+}
+
+/**
+ * Rule document fields from validated input
+ */
+function buildRule({ name, type, value, scope, scopeValue, priority = 100 }) {
+    return {
+        name: name || '',
+        type,
+        value,
+        scope,
+        scopeValue: scope === 'all' ? null : scopeValue.toString().trim(),
+        priority,
+    };
+}
+
+/**
+ * Lowest priority number first; ties go to the oldest rule
+ */
+function sortRules(rules) {
+    return rules.sort((a, b) =>
+        a.priority - b.priority ||
+        (a.createdAt?.toMillis?.() ?? Infinity) - (b.createdAt?.toMillis?.() ?? Infinity)
+    );
+}
+
+module.exports = {
+    RULE_TYPES,
+    RULE_SCOPES,
+    validateCogsRule,
+    matchesRule,
+    findRule,
+    getRuleCost,
+    getActiveRules,
+    createCogsRule,
+    getCogsRules,
+    updateCogsRule,
+    deleteCogsRule,
+    previewCogsRules,
+};
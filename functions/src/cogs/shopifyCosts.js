@@ -0,0 +1,322 @@
+/**
+ * Shopify Cost Import
+ * Pulls "Cost per item" (InventoryItem.cost) from Shopify into product costs
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { verifyShop } = require('../shopify/auth');
+const { fetchInventoryItems } = require('../shopify/products');
+const { syncCatalog, getCatalogVariants } = require('../shopify/catalog');
+const {
+    getCostHistory,
+    resolveCostEntry,
+    getCostSource,
+    addCostEntry,
+    getSkuKey,
+} = require('./manual');
+const { markVariantDaysStale } = require('../profit/stale');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Cost source policies:
+ * - shopify_default: Shopify's cost is used unless the variant has a manual or CSV cost
+ * - shopify_always: Shopify's cost replaces any other cost on every refresh
+ * - manual_only: Shopify costs are never imported
+ */
+const COST_SOURCE_POLICIES = ['shopify_default', 'shopify_always', 'manual_only'];
+
+const DEFAULT_COST_SOURCE_POLICY = 'shopify_default';
+
+/**
+ * Get the cost source policy of a shop
+ * @param {Object} shopData - Shop document data
+ * @returns {string} - One of COST_SOURCE_POLICIES
+ */
+const getCostSourcePolicy = (shopData) => {
+    return COST_SOURCE_POLICIES.includes(shopData?.costSourcePolicy)
+        ? shopData.costSourcePolicy
+        : DEFAULT_COST_SOURCE_POLICY;
+};
+
+/**
+ * Import Shopify unit costs according to the shop's policy (internal use)
+ * A variant's first cost covers all history; later changes start today.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Verified shop data (with decrypted access token)
+ * @returns {Object} - { policy, imported, unchanged, overridden, withoutCost }
+ */
+const importShopifyCosts = async (shopDomain, shopData) => {
+    const policy = getCostSourcePolicy(shopData);
+    const results = { policy, imported: 0, unchanged: 0, overridden: 0, withoutCost: 0 };
+
+    if (policy === 'manual_only') {
+        return results;
+    }
+
+    let variants = await getCatalogVariants(shopDomain);
+    if (variants.length === 0) {
+        await syncCatalog(shopDomain, shopData);
+        variants = await getCatalogVariants(shopDomain);
+    }
+
+    const inventoryItemIds = variants.map(variant => variant.inventoryItemId).filter(Boolean);
+    const items = await fetchInventoryItems(shopDomain, shopData.accessToken, inventoryItemIds);
+
+    const costByItem = {};
+    for (const item of items) {
+        if (item.cost != null && item.cost !== '') {
+            costByItem[item.id] = parseFloat(item.cost);
+        }
+    }
+
+    const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+    const snapshot = await productsRef.get();
+    const existing = {};
+    const existingBySku = {};
+    for (const doc of snapshot.docs) {
+        existing[doc.id] = doc.data();
+        if (doc.id.startsWith('sku:')) {
+            existingBySku[getSkuKey(doc.data().sku || doc.id.slice('sku:'.length))] = doc.data();
+        }
+    }
+
+    const today = getTodayInTimezone(getShopTimezone(shopData));
+    const updatedVariantIds = [];
+    let batch = db.batch();
+    let batchCount = 0;
+
+    for (const variant of variants) {
+        const cost = costByItem[variant.inventoryItemId];
+        if (cost == null || isNaN(cost)) {
+            results.withoutCost++;
+            continue;
+        }
+
+        const id = variant.variantId.toString();
+        const history = getCostHistory(existing[id]);
+        const skuHistory = variant.sku ? getCostHistory(existingBySku[getSkuKey(variant.sku)]) : [];
+
+        // Manual and CSV costs, by variant or by SKU, override Shopify unless Shopify always wins
+        if (policy === 'shopify_default' &&
+            [...history, ...skuHistory].some(entry => getCostSource(entry) !== 'shopify')) {
+            results.overridden++;
+            continue;
+        }
+
+        if (resolveCostEntry(history, today)?.cogs === cost) {
+            results.unchanged++;
+            continue;
+        }
+
+        const costs = addCostEntry(existing[id], cost, null, today, 'shopify');
+
+        batch.set(productsRef.doc(id), {
+            variantId: variant.variantId,
+            productId: variant.productId,
+            sku: variant.sku || '',
+            productTitle: variant.productTitle || '',
+            cogs: costs.cogs,
+            source: costs.source,
+            components: costs.components,
+            costHistory: costs.costHistory,
+            shopifyCost: cost,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+
+        updatedVariantIds.push(variant.variantId);
+        results.imported++;
+
+        if (++batchCount === 500) {
+            await batch.commit();
+            batch = db.batch();
+            batchCount = 0;
+        }
+    }
+
+    if (batchCount > 0) {
+        await batch.commit();
+    }
+
+    await markVariantDaysStale(shopDomain, updatedVariantIds, 'cogs');
+
+    await db.collection('shops').doc(shopDomain).update({
+        shopifyCostSync: {
+            lastSyncAt: new Date().toISOString(),
+            ...results,
+        },
+    });
+
+    return results;
+};
+
+/**
+ * Import Shopify costs now
+ * Callable function from frontend
+ */
+const syncShopifyCosts = functions
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+        }
+
+        const shopDomain = context.auth.token.shop;
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData) {
+                throw new Error('Shop not found or not authenticated');
+            }
+
+            const results = await importShopifyCosts(shopDomain, shopData);
+
+            return {
+                success: true,
+                message: `Imported ${results.imported} costs from Shopify`,
+                results,
+            };
+
+        } catch (error) {
+            console.error('Sync Shopify costs error:', error);
+            throw new functions.https.HttpsError('internal', error.message);
+        }
+    });
+
+/**
+ * Get cost source settings
+ */
+const getCostSourceSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const shopDoc = await db.collection('shops').doc(shopDomain).get();
+        const shopData = shopDoc.data() || {};
+
+        return {
+            success: true,
+            policy: getCostSourcePolicy(shopData),
+            policies: COST_SOURCE_POLICIES,
+            lastSync: shopData.shopifyCostSync || null,
+        };
+
+    } catch (error) {
+        console.error('Get cost source settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Update cost source settings
+ * Costs are imported right away under the new policy
+ */
+const updateCostSourceSettings = functions
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+        }
+
+        const shopDomain = context.auth.token.shop;
+        const { policy } = data;
+
+        if (!COST_SOURCE_POLICIES.includes(policy)) {
+            throw new functions.https.HttpsError('invalid-argument', 'Invalid cost source policy');
+        }
+
+        try {
+            await db.collection('shops').doc(shopDomain).update({
+                costSourcePolicy: policy,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            const shopData = await verifyShop(shopDomain);
+            const results = shopData ? await importShopifyCosts(shopDomain, shopData) : null;
+
+            return {
+                success: true,
+                message: 'Cost source settings updated successfully',
+                policy,
+                results,
+            };
+
+        } catch (error) {
+            console.error('Update cost source settings error:', error);
+            throw new functions.https.HttpsError('internal', error.message);
+        }
+    });
+
+/**
+ * Refresh Shopify costs of every installed shop
+ * Called by cron job every day
+ */
+const runShopifyCostSync = functions
+    .runWith({ timeoutSeconds: 540 })
+    .https.onRequest(async (req, res) => {
+        const config = getConfig();
+
+        // Verify cron secret
+        const secret = req.headers['x-secret-key'];
+        if (secret !== config.cron.secret) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        try {
+            const shopsSnapshot = await db.collection('shops').get();
+
+            const results = {
+                total: shopsSnapshot.size,
+                success: 0,
+                failed: 0,
+                imported: 0,
+            };
+
+            for (const doc of shopsSnapshot.docs) {
+                const shop = doc.data();
+                if (shop.subscriptionStatus === 'uninstalled' || getCostSourcePolicy(shop) === 'manual_only') {
+                    continue;
+                }
+
+                try {
+                    const shopData = await verifyShop(doc.id);
+                    if (!shopData) {
+                        throw new Error('Shop not found or not authenticated');
+                    }
+
+                    results.imported += (await importShopifyCosts(doc.id, shopData)).imported;
+                    results.success++;
+                } catch (error) {
+                    console.error(`Shopify cost sync failed for ${doc.id}:`, error.message);
+                    results.failed++;
+                }
+            }
+
+            console.log('Shopify cost sync completed:', results);
+            res.status(200).json({ success: true, results });
+
+        } catch (error) {
+            console.error('Shopify cost sync error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+module.exports = {
+    COST_SOURCE_POLICIES,
+    getCostSourcePolicy,
+    importShopifyCosts,
+    syncShopifyCosts,
+    getCostSourceSettings,
+    updateCostSourceSettings,
+    runShopifyCostSync,
+};
@@ -0,0 +1,142 @@
+/**
+ * SKU Resolution for COGS
+ * Converts costs imported by SKU into variant-keyed costs using the Shopify catalog
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { verifyShop } = require('../shopify/auth');
+const { fetchProducts, createVariantLookup } = require('../shopify/products');
+const {
+    getCostHistory,
+    resolveCost,
+    resolveCostEntry,
+    getCostSource,
+    getSkuKey,
+    getSkuCostDocs,
+    getShopToday,
+} = require('./manual');
+const { markVariantDaysStale } = require('../profit/stale');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Each resolved SKU takes two writes (set variant, delete SKU document)
+const RESOLVE_BATCH_SIZE = 200;
+
+/**
+ * Resolve SKU-keyed costs to variant IDs
+ * Callable function from frontend. SKUs that match no variant are kept
+ * (the profit engine still falls back to them) and reported back.
+ */
+const resolveSkuCosts = functions
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+        }
+
+        const shopDomain = context.auth.token.shop;
+
+        try {
+            const skuDocs = await getSkuCostDocs(shopDomain);
+            if (skuDocs.length === 0) {
+                return {
+                    success: true,
+                    message: 'No SKU-keyed costs to resolve',
+                    resolved: 0,
+                    unmatched: [],
+                };
+            }
+
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData) {
+                throw new functions.https.HttpsError('not-found', 'Shop not found or not authenticated');
+            }
+
+            const products = await fetchProducts(shopDomain, shopData.accessToken);
+            const lookup = createVariantLookup(products);
+            const today = await getShopToday(shopDomain);
+
+            const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+            const matches = [];
+            const unmatched = [];
+
+            for (const doc of skuDocs) {
+                const sku = doc.data().sku || doc.id.slice('sku:'.length);
+                const variant = lookup[getSkuKey(sku)];
+
+                if (variant) {
+                    matches.push({ doc, variant });
+                } else {
+                    unmatched.push(sku);
+                }
+            }
+
+            for (let i = 0; i < matches.length; i += RESOLVE_BATCH_SIZE) {
+                const chunk = matches.slice(i, i + RESOLVE_BATCH_SIZE);
+                const variantRefs = chunk.map(({ variant }) => productsRef.doc(variant.variantId.toString()));
+                const variantDocs = await db.getAll(...variantRefs);
+                const batch = db.batch();
+
+                chunk.forEach(({ doc, variant }, j) => {
+                    const costHistory = mergeHistories(
+                        getCostHistory(variantDocs[j].data()),
+                        getCostHistory(doc.data())
+                    );
+                    const current = resolveCostEntry(costHistory, today);
+
+                    batch.set(variantRefs[j], {
+                        variantId: variant.variantId,
+                        productId: variant.productId,
+                        sku: variant.sku,
+                        productTitle: variant.productTitle,
+                        cogs: resolveCost(costHistory, today),
+                        source: getCostSource(current),
+                        components: current?.components || null,
+                        costHistory,
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    }, { merge: true });
+                    batch.delete(doc.ref);
+                });
+
+                await batch.commit();
+            }
+
+            await markVariantDaysStale(shopDomain, matches.map(({ variant }) => variant.variantId), 'cogs');
+
+            return {
+                success: true,
+                message: `Resolved ${matches.length} of ${skuDocs.length} SKUs`,
+                resolved: matches.length,
+                unmatched,
+            };
+
+        } catch (error) {
+            if (error instanceof functions.https.HttpsError) {
+                throw error;
+            }
+            console.error('Resolve SKU costs error:', error);
+            throw new functions.https.HttpsError('internal', error.message);
+        }
+    });
+
+/**
+ * Merge a SKU cost history into a variant's own history
+ * Entries the variant already has for a date take precedence
+ */
+function mergeHistories(variantHistory, skuHistory) {
+    const dates = new Set(variantHistory.map(entry => entry.effectiveFrom));
+
+    return [
+        ...variantHistory,
+        ...skuHistory.filter(entry => !dates.has(entry.effectiveFrom)),
+    ].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+}
+
+module.exports = {
+    resolveSkuCosts,
+};
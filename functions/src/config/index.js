@@ -30,7 +30,7 @@ const getConfig = () => {
       secret: functionsConfig.cron?.secret || process.env.CRON_SECRET,
     },
     
-    // Gateway Fee Rates
+    // Default Gateway Fee Rates (used until a shop enters its own)
     gatewayFees: {
       shopify_payments: { percentage: 0.029, fixed: 0.30 },
       stripe: { percentage: 0.029, fixed: 0.30 },
@@ -1,11 +1,33 @@
 /**
  * Fixed Costs Management
- * Monthly recurring costs for profit calculation
+ * Recurring and one-time costs for profit calculation
+ *
+ * Each cost applies from its startDate to its endDate (inclusive, open
+ * when null) and is spread over the calendar: a monthly cost is split over
+ * the days of each month and a yearly cost over the days of each year, so
+ * every month absorbs exactly one month of rent.
+ *
+ * One-time expenses either hit a single date (one_off) or are amortized
+ * over a number of months from their start date (amortized), each month
+ * absorbing an equal share. Their endDate is derived and stored.
+ *
+ * Deleting a cost ends it yesterday and hides it from the list, so the
+ * days it already covered keep their numbers.
  */
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const { isPositiveNumber } = require('../utils/validators');
+const { isPositiveNumber, isValidDate } = require('../utils/validators');
+const {
+    getShopTimezone,
+    getTodayInTimezone,
+    toLocalDate,
+    getMonthStart,
+    listDates,
+    addDays,
+    addMonths,
+} = require('../utils/dates');
+const { markAllDaysStale } = require('../profit/stale');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -13,8 +35,16 @@ if (!admin.apps.length) {
 }
 const db = admin.firestore();
 
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'one_off', 'amortized'];
+
+// Frequencies whose endDate is derived rather than chosen
+const ONE_TIME_FREQUENCIES = ['one_off', 'amortized'];
+
+const MAX_AMORTIZATION_MONTHS = 120;
+
 /**
  * Add a fixed cost
+ * Without a startDate the cost starts today
  */
 const addFixedCost = functions.https.onCall(async (data, context) => {
     if (!context.auth) {
@@ -22,7 +52,7 @@ const addFixedCost = functions.https.onCall(async (data, context) => {
     }
 
     const shopDomain = context.auth.token.shop;
-    const { description, amount, frequency = 'monthly', category } = data;
+    const { description, amount, frequency = 'monthly', category, endDate = null, months } = data;
 
     if (!description || typeof description !== 'string') {
         throw new functions.https.HttpsError('invalid-argument', 'Description is required');
@@ -32,12 +62,24 @@ const addFixedCost = functions.https.onCall(async (data, context) => {
         throw new functions.https.HttpsError('invalid-argument', 'Amount must be a positive number');
     }
 
-    const validFrequencies = ['daily', 'weekly', 'monthly', 'yearly'];
-    if (!validFrequencies.includes(frequency)) {
+    if (!FREQUENCIES.includes(frequency)) {
         throw new functions.https.HttpsError('invalid-argument', 'Invalid frequency');
     }
 
+    if (frequency === 'amortized' && !isValidMonths(months)) {
+        throw new functions.https.HttpsError('invalid-argument', `Months must be a whole number from 1 to ${MAX_AMORTIZATION_MONTHS}`);
+    }
+
     try {
+        const shopDoc = await db.collection('shops').doc(shopDomain).get();
+        const startDate = data.startDate || getTodayInTimezone(getShopTimezone(shopDoc.data()));
+        const schedule = isValidDate(startDate) ? getSchedule({ frequency, startDate, endDate, months }) : {};
+
+        const error = validateDates(startDate, schedule.endDate);
+        if (error) {
+            throw new functions.https.HttpsError('invalid-argument', error);
+        }
+
         const docRef = await db
             .collection('fixedCosts')
             .doc(shopDomain)
@@ -47,11 +89,16 @@ const addFixedCost = functions.https.onCall(async (data, context) => {
                 amount: parseFloat(amount),
                 frequency,
                 category: category || 'other',
+                startDate,
+                ...schedule,
                 active: true,
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             });
 
+        // Only the days the cost covers change
+        await markAllDaysStale(shopDomain, 'fixed_costs', { startDate, endDate: schedule.endDate });
+
         return {
             success: true,
             id: docRef.id,
@@ -59,6 +106,9 @@ const addFixedCost = functions.https.onCall(async (data, context) => {
         };
 
     } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
         console.error('Add fixed cost error:', error);
         throw new functions.https.HttpsError('internal', error.message);
     }
@@ -75,26 +125,34 @@ const getFixedCosts = functions.https.onCall(async (data, context) => {
     const shopDomain = context.auth.token.shop;
 
     try {
-        const snapshot = await db
-            .collection('fixedCosts')
-            .doc(shopDomain)
-            .collection('costs')
-            .where('active', '==', true)
-            .orderBy('createdAt', 'desc')
-            .get();
-
-        const costs = snapshot.docs.map(doc => ({
+        const [snapshot, shopDoc] = await Promise.all([
+            db
+                .collection('fixedCosts')
+                .doc(shopDomain)
+                .collection('costs')
+                .where('active', '==', true)
+                .orderBy('createdAt', 'desc')
+                .get(),
+            db.collection('shops').doc(shopDomain).get(),
+        ]);
+
+        const timezone = getShopTimezone(shopDoc.data());
+        const today = getTodayInTimezone(timezone);
+
+        const costs = snapshot.docs.filter(doc => !doc.data().deletedAt).map(doc => ({
             id: doc.id,
             ...doc.data(),
+            startDate: getStartDate(doc.data(), timezone),
         }));
 
         // Calculate totals
-        const totals = calculateTotals(costs);
+        const totals = calculateTotals(costs, today);
 
         return {
             success: true,
             costs,
             totals,
+            today,
         };
 
     } catch (error) {
@@ -112,12 +170,20 @@ const updateFixedCost = functions.https.onCall(async (data, context) => {
     }
 
     const shopDomain = context.auth.token.shop;
-    const { id, description, amount, frequency, category, active } = data;
+    const { id, description, amount, frequency, category, active, startDate, endDate, months } = data;
 
     if (!id) {
         throw new functions.https.HttpsError('invalid-argument', 'Cost ID is required');
     }
 
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid frequency');
+    }
+
+    if (amount !== undefined && !isPositiveNumber(amount)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Amount must be a positive number');
+    }
+
     const updates = {
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
@@ -127,14 +193,54 @@ const updateFixedCost = functions.https.onCall(async (data, context) => {
     if (frequency !== undefined) updates.frequency = frequency;
     if (category !== undefined) updates.category = category;
     if (active !== undefined) updates.active = active;
+    if (startDate !== undefined) updates.startDate = startDate;
+    if (endDate !== undefined) updates.endDate = endDate || null;
+    if (months !== undefined) updates.months = months;
 
     try {
-        await db
+        const docRef = db
             .collection('fixedCosts')
             .doc(shopDomain)
             .collection('costs')
-            .doc(id)
-            .update(updates);
+            .doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Fixed cost not found');
+        }
+
+        const previous = doc.data();
+
+        // A one-time cost turned recurring does not keep its derived end date
+        const becameRecurring = ONE_TIME_FREQUENCIES.includes(previous.frequency) &&
+            !ONE_TIME_FREQUENCIES.includes(updates.frequency || previous.frequency);
+        if (becameRecurring && (endDate === undefined || endDate === previous.endDate)) {
+            updates.endDate = null;
+        }
+
+        let updated = { ...previous, ...updates };
+
+        if ([frequency, startDate, endDate, months].some(value => value !== undefined)) {
+            if (updated.frequency === 'amortized' && !isValidMonths(updated.months)) {
+                throw new functions.https.HttpsError('invalid-argument', `Months must be a whole number from 1 to ${MAX_AMORTIZATION_MONTHS}`);
+            }
+
+            if (isValidDate(updated.startDate)) {
+                Object.assign(updates, getSchedule(updated));
+                updated = { ...previous, ...updates };
+            }
+
+            const error = validateDates(updated.startDate, updated.endDate);
+            if (error) {
+                throw new functions.https.HttpsError('invalid-argument', error);
+            }
+        }
+
+        await docRef.update(updates);
+
+        // Renaming or recategorizing does not change any day's numbers
+        if ([amount, frequency, active, startDate, endDate, months].some(value => value !== undefined)) {
+            await markAllDaysStale(shopDomain, 'fixed_costs', mergeRanges(previous, updated));
+        }
 
         return {
             success: true,
@@ -142,13 +248,18 @@ const updateFixedCost = functions.https.onCall(async (data, context) => {
         };
 
     } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
         console.error('Update fixed cost error:', error);
         throw new functions.https.HttpsError('internal', error.message);
     }
 });
 
 /**
- * Delete (deactivate) a fixed cost
+ * Delete a fixed cost
+ * Ends it yesterday (shop-local) so past days keep it; costs that had not
+ * started yet are deactivated. permanent removes it from every day.
  */
 const deleteFixedCost = functions.https.onCall(async (data, context) => {
     if (!context.auth) {
@@ -168,14 +279,39 @@ const deleteFixedCost = functions.https.onCall(async (data, context) => {
             .doc(shopDomain)
             .collection('costs')
             .doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Fixed cost not found');
+        }
+
+        const cost = doc.data();
 
         if (permanent) {
             await docRef.delete();
+            await markAllDaysStale(shopDomain, 'fixed_costs', mergeRanges(cost, cost));
         } else {
+            const shopDoc = await db.collection('shops').doc(shopDomain).get();
+            const timezone = getShopTimezone(shopDoc.data());
+            const today = getTodayInTimezone(timezone);
+            const yesterday = addDays(today, -1);
+            const startDate = getStartDate(cost, timezone);
+            const started = !startDate || startDate <= yesterday;
+
             await docRef.update({
-                active: false,
+                ...(started
+                    ? { startDate, endDate: cost.endDate && cost.endDate < yesterday ? cost.endDate : yesterday }
+                    : { active: false }),
                 deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             });
+
+            // Only the days from today on lose the cost
+            if (cost.active && (!cost.endDate || cost.endDate >= today)) {
+                await markAllDaysStale(shopDomain, 'fixed_costs', {
+                    startDate: startDate && startDate > today ? startDate : today,
+                    endDate: cost.endDate || undefined,
+                });
+            }
         }
 
         return {
@@ -184,78 +320,186 @@ const deleteFixedCost = functions.https.onCall(async (data, context) => {
         };
 
     } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
         console.error('Delete fixed cost error:', error);
         throw new functions.https.HttpsError('internal', error.message);
     }
 });
 
 /**
- * Calculate totals from costs array
+ * Amount of a fixed cost charged to one day (internal use)
+ * Monthly and yearly costs are split over the actual days of the month or
+ * year, so a month of rent costs more per day in February than in July.
+ * @param {Object} cost - Fixed cost (startDate already resolved)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} - Amount for the day
+ */
+const getFixedCostForDate = (cost, date) => {
+    if (!cost.active) return 0;
+    if (cost.startDate && date < cost.startDate) return 0;
+    if (cost.endDate && date > cost.endDate) return 0;
+
+    const amount = cost.amount || 0;
+    const [year, month] = date.split('-').map(Number);
+
+    switch (cost.frequency) {
+        case 'daily':
+            return amount;
+        case 'weekly':
+            return amount / 7;
+        case 'monthly':
+            return amount / getDaysInMonth(year, month);
+        case 'yearly':
+            return amount / (isLeapYear(year) ? 366 : 365);
+        case 'one_off':
+            return date === cost.startDate ? amount : 0;
+        case 'amortized':
+            return getAmortizedAmount(cost, date);
+        default:
+            return 0;
+    }
+};
+
+/**
+ * Get the fixed costs charged to a day (for profit calculation)
+ * @param {string} shopDomain - Shop domain
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} - Total for the day
  */
-function calculateTotals(costs) {
-    const totals = {
-        daily: 0,
-        monthly: 0,
-        yearly: 0,
+const getDailyFixedCost = async (shopDomain, date) => {
+    const [snapshot, shopDoc] = await Promise.all([
+        db
+            .collection('fixedCosts')
+            .doc(shopDomain)
+            .collection('costs')
+            .where('active', '==', true)
+            .get(),
+        db.collection('shops').doc(shopDomain).get(),
+    ]);
+
+    const timezone = getShopTimezone(shopDoc.data());
+
+    return snapshot.docs.reduce((total, doc) => total + getFixedCostForDate({
+        ...doc.data(),
+        startDate: getStartDate(doc.data(), timezone),
+    }, date), 0);
+};
+
+/**
+ * Totals charged today, this calendar month and this calendar year
+ */
+function calculateTotals(costs, today) {
+    const [year, month] = today.split('-').map(Number);
+    const monthEnd = `${today.slice(0, 7)}-${String(getDaysInMonth(year, month)).padStart(2, '0')}`;
+
+    const sumOver = (dates) => dates.reduce((total, date) =>
+        total + costs.reduce((sum, cost) => sum + getFixedCostForDate(cost, date), 0), 0);
+
+    return {
+        daily: parseFloat(sumOver([today]).toFixed(2)),
+        monthly: parseFloat(sumOver(listDates(getMonthStart(today), monthEnd)).toFixed(2)),
+        yearly: parseFloat(sumOver(listDates(`${year}-01-01`, `${year}-12-31`)).toFixed(2)),
     };
+}
+
+/**
+ * First day a cost applies
+ * Costs saved before start dates existed start on the day they were added
+ */
+function getStartDate(cost, timezone) {
+    if (cost.startDate) return cost.startDate;
+    if (cost.createdAt?.toDate) return toLocalDate(cost.createdAt.toDate(), timezone);
+    return null;
+}
 
-    for (const cost of costs) {
-        if (!cost.active) continue;
-
-        const amount = cost.amount || 0;
-
-        switch (cost.frequency) {
-            case 'daily':
-                totals.daily += amount;
-                totals.monthly += amount * 30;
-                totals.yearly += amount * 365;
-                break;
-            case 'weekly':
-                totals.daily += amount / 7;
-                totals.monthly += amount * 4.33;
-                totals.yearly += amount * 52;
-                break;
-            case 'monthly':
-                totals.daily += amount / 30;
-                totals.monthly += amount;
-                totals.yearly += amount * 12;
-                break;
-            case 'yearly':
-                totals.daily += amount / 365;
-                totals.monthly += amount / 12;
-                totals.yearly += amount;
-                break;
+/**
+ * Share of an amortized cost for a day
+ * Each month from the start date (Jan 15 - Feb 14, Feb 15 - Mar 14, ...)
+ * takes an equal share, split over the days of that month.
+ */
+function getAmortizedAmount(cost, date) {
+    const months = cost.months || 1;
+
+    for (let month = 0; month < months; month++) {
+        const periodEnd = addMonths(cost.startDate, month + 1);
+        if (date < periodEnd) {
+            const periodStart = addMonths(cost.startDate, month);
+            const days = listDates(periodStart, addDays(periodEnd, -1)).length;
+            return (cost.amount || 0) / months / days;
         }
     }
 
+    return 0;
+}
+
+/**
+ * End date and months stored for a cost's frequency
+ * One-time costs end on their date; amortized ones after their last month
+ */
+function getSchedule({ frequency, startDate, endDate, months }) {
+    if (frequency === 'one_off') {
+        return { endDate: startDate, months: null };
+    }
+
+    if (frequency === 'amortized') {
+        return { endDate: addDays(addMonths(startDate, months), -1), months };
+    }
+
+    return { endDate: endDate || null, months: null };
+}
+
+function isValidMonths(months) {
+    return Number.isInteger(months) && months >= 1 && months <= MAX_AMORTIZATION_MONTHS;
+}
+
+function validateDates(startDate, endDate) {
+    if (!isValidDate(startDate)) {
+        return 'startDate must be in YYYY-MM-DD format';
+    }
+
+    if (endDate && !isValidDate(endDate)) {
+        return 'endDate must be in YYYY-MM-DD format';
+    }
+
+    if (endDate && endDate < startDate) {
+        return 'endDate cannot be before startDate';
+    }
+
+    return null;
+}
+
+/**
+ * Date range covering a cost before and after a change
+ * Open ends (and costs without a stored start) widen it to all days
+ */
+function mergeRanges(before, after) {
+    const starts = [before.startDate, after.startDate];
+    const ends = [before.endDate, after.endDate];
+
     return {
-        daily: parseFloat(totals.daily.toFixed(2)),
-        monthly: parseFloat(totals.monthly.toFixed(2)),
-        yearly: parseFloat(totals.yearly.toFixed(2)),
+        startDate: starts.every(Boolean) ? starts.sort()[0] : undefined,
+        endDate: ends.every(Boolean) ? ends.sort()[1] : undefined,
     };
 }
 
 /**
- * Get daily fixed cost amount (for profit calculation)
+ * Days in a month (month is 1-12)
  */
-const getDailyFixedCost = async (shopDomain) => {
-    const snapshot = await db
-        .collection('fixedCosts')
-        .doc(shopDomain)
-        .collection('costs')
-        .where('active', '==', true)
-        .get();
-
-    const costs = snapshot.docs.map(doc => doc.data());
-    const totals = calculateTotals(costs);
-
-    return totals.daily;
-};
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
 
 module.exports = {
     addFixedCost,
     getFixedCosts,
     updateFixedCost,
     deleteFixedCost,
+    getFixedCostForDate,
     getDailyFixedCost,
 };
@@ -1,24 +1,117 @@
 /**
  * Gateway Fee Calculations
  * Calculate payment processor fees for orders
+ *
+ * Each shop keeps its own rate table (shops/{shop}.gatewayFeeRates), keyed
+ * by normalized gateway name. Gateways missing from it fall back to the
+ * global defaults in config, or to no fee at all, and are flagged so the
+ * merchant can enter their negotiated rate.
+ *
+ * Card payments split into installments usually cost more, as the gateway
+ * anticipates the money. A rate may list a percentage per number of
+ * installments; each entry applies from its count up to the next one, and
+ * single payments (or orders whose installments are unknown) use the base
+ * percentage.
  */
 
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
 const { getConfig } = require('../config');
+const { isPositiveNumber, isValidCurrency } = require('../utils/validators');
+const { MAX_INSTALLMENTS } = require('../shopify/orders');
+const { markAllDaysStale } = require('../profit/stale');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+const MAX_GATEWAYS = 50;
+
+// Recent days scanned for the gateways a shop actually uses
+const SEEN_GATEWAY_DAYS = 90;
 
 /**
  * Get fee configuration for a gateway
  * @param {string} gateway - Gateway name
- * @returns {Object} - { percentage, fixed }
+ * @param {Object} rates - Shop rate table (shopData.gatewayFeeRates)
+ * @param {number} installments - Installments the payment was split into (optional)
+ * @returns {Object} - { percentage, fixed, configured }
  */
-const getGatewayFees = (gateway) => {
+const getGatewayFees = (gateway, rates = {}, installments = null) => {
     const config = getConfig();
     const normalizedGateway = normalizeGatewayName(gateway);
+    const rate = (rates || {})[normalizedGateway];
+
+    if (rate) {
+        return {
+            percentage: getInstallmentPercentage(rate, installments),
+            fixed: (rate.fixed || 0) * (rate.fixedCurrency ? rate.exchangeRate : 1),
+            configured: true,
+        };
+    }
+
+    const fallback = config.gatewayFees[normalizedGateway] || { percentage: 0, fixed: 0 };
+    return {
+        percentage: getInstallmentPercentage(fallback, installments),
+        fixed: fallback.fixed,
+        configured: false,
+    };
+};
+
+/**
+ * Whether a gateway's fee depends on the number of installments (internal use)
+ * Orders paid through other gateways do not need their transactions read.
+ * @param {string} gateway - Gateway name
+ * @param {Object} rates - Shop rate table
+ * @returns {boolean} - True if the gateway has an installment schedule
+ */
+const hasInstallmentRates = (gateway, rates = {}) => {
+    const normalizedGateway = normalizeGatewayName(gateway);
+    const rate = (rates || {})[normalizedGateway] || getConfig().gatewayFees[normalizedGateway];
 
-    return config.gatewayFees[normalizedGateway] || { percentage: 0.029, fixed: 0.30 };
+    return (rate?.installmentRates || []).length > 0;
+};
+
+/**
+ * Gateways whose installment schedule was added or changed (internal use)
+ * @param {Object} previousRates - Rate table before the update
+ * @param {Object} rates - Rate table after the update
+ * @returns {Array} - Normalized gateway names with a new schedule
+ */
+const getRescheduledGateways = (previousRates, rates) => {
+    const defaults = getConfig().gatewayFees;
+    const getSchedule = (table, gateway) => ((table || {})[gateway] || defaults[gateway])?.installmentRates || [];
+    const gateways = new Set([...Object.keys(previousRates || {}), ...Object.keys(rates || {})]);
+
+    return [...gateways].filter(gateway => {
+        const schedule = getSchedule(rates, gateway);
+        return schedule.length > 0 &&
+            JSON.stringify(schedule) !== JSON.stringify(getSchedule(previousRates, gateway));
+    });
+};
+
+/**
+ * Whether a ledger order must be looked up after its gateway's installment
+ * schedule changed (internal use)
+ * Orders whose installments were already read for their current payment
+ * keep them, as the count does not depend on the rates.
+ * @param {Object} order - Ledger order
+ * @param {Array} gateways - From getRescheduledGateways
+ * @returns {boolean} - True if the order needs a lookup
+ */
+const needsInstallmentLookup = (order, gateways) => {
+    if (order.installmentsCheckedStatus || order.installmentsPending) {
+        return false;
+    }
+
+    return gateways.includes(normalizeGatewayName(getOrderGateway(order)));
 };
 
 /**
  * Normalize gateway name from Shopify
+ * Unknown gateways keep their own name (e.g. "Pagar.me" -> "pagar_me")
  */
 const normalizeGatewayName = (gateway) => {
     if (!gateway) return 'unknown';
@@ -37,17 +130,21 @@ const normalizeGatewayName = (gateway) => {
         'mercadopagobasic': 'mercadopago',
     };
 
-    return mappings[lower] || 'shopify_payments';
+    return mappings[lower] ||
+        gateway.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') ||
+        'unknown';
 };
 
 /**
  * Calculate fee for a single order
  * @param {number} orderTotal - Order total amount
  * @param {string} gateway - Payment gateway used
+ * @param {Object} rates - Shop rate table
+ * @param {number} installments - Installments the payment was split into (optional)
  * @returns {number} - Calculated fee
  */
-const calculateOrderFee = (orderTotal, gateway) => {
-    const { percentage, fixed } = getGatewayFees(gateway);
+const calculateOrderFee = (orderTotal, gateway, rates = {}, installments = null) => {
+    const { percentage, fixed } = getGatewayFees(gateway, rates, installments);
     const fee = (orderTotal * percentage) + fixed;
     return parseFloat(fee.toFixed(2));
 };
@@ -55,16 +152,19 @@ const calculateOrderFee = (orderTotal, gateway) => {
 /**
  * Calculate total fees for an array of orders
  * @param {Array} orders - Array of orders
- * @returns {Object} - { totalFees, breakdown }
+ * @param {Object} rates - Shop rate table (shopData.gatewayFeeRates)
+ * @returns {Object} - { totalFees, breakdown, unconfiguredOrders }
  */
-const calculateTotalFees = (orders) => {
+const calculateTotalFees = (orders, rates = {}) => {
     const breakdown = {};
     let totalFees = 0;
+    let unconfiguredOrders = 0;
 
     for (const order of orders) {
-        const gateway = order.gateway || order.payment_gateway_names?.[0] || 'shopify_payments';
+        const gateway = getOrderGateway(order);
         const orderTotal = parseFloat(order.total_price) || 0;
-        const fee = calculateOrderFee(orderTotal, gateway);
+        const fee = calculateOrderFee(orderTotal, gateway, rates, order.installments);
+        const { configured } = getGatewayFees(gateway, rates);
 
         const normalizedGateway = normalizeGatewayName(gateway);
 
@@ -73,6 +173,7 @@ const calculateTotalFees = (orders) => {
                 count: 0,
                 orderTotal: 0,
                 fees: 0,
+                configured,
             };
         }
 
@@ -81,6 +182,7 @@ const calculateTotalFees = (orders) => {
         breakdown[normalizedGateway].fees += fee;
 
         totalFees += fee;
+        if (!configured) unconfiguredOrders++;
     }
 
     // Round breakdown values
@@ -92,17 +194,27 @@ const calculateTotalFees = (orders) => {
     return {
         totalFees: parseFloat(totalFees.toFixed(2)),
         breakdown,
+        unconfiguredOrders,
     };
 };
 
+/**
+ * Gateway an order was paid through
+ */
+const getOrderGateway = (order) => {
+    return order.gateway || order.payment_gateway_names?.[0] || 'shopify_payments';
+};
+
 /**
  * Estimate fees for a given amount
  * @param {number} amount - Amount to calculate fees for
  * @param {string} gateway - Payment gateway
+ * @param {Object} rates - Shop rate table
+ * @param {number} installments - Installments the payment is split into (optional)
  * @returns {Object} - { amount, fee, net }
  */
-const estimateFees = (amount, gateway = 'shopify_payments') => {
-    const fee = calculateOrderFee(amount, gateway);
+const estimateFees = (amount, gateway = 'shopify_payments', rates = {}, installments = null) => {
+    const fee = calculateOrderFee(amount, gateway, rates, installments);
     return {
         amount: parseFloat(amount.toFixed(2)),
         fee,
@@ -112,28 +224,307 @@ const estimateFees = (amount, gateway = 'shopify_payments') => {
 
 /**
  * Get fee rates for display
+ * @param {Object} rates - Shop rate table, shown over the defaults
  * @returns {Object} - Gateway fee rates
  */
-const getFeeRates = () => {
+const getFeeRates = (rates = {}) => {
     const config = getConfig();
 
-    const rates = {};
-    for (const [gateway, fees] of Object.entries(config.gatewayFees)) {
-        rates[gateway] = {
-            percentage: `${(fees.percentage * 100).toFixed(1)}%`,
-            fixed: `$${fees.fixed.toFixed(2)}`,
-            formula: `${(fees.percentage * 100).toFixed(1)}% + $${fees.fixed.toFixed(2)}`,
+    const formatted = {};
+    for (const gateway of new Set([...Object.keys(config.gatewayFees), ...Object.keys(rates || {})])) {
+        const fees = getGatewayFees(gateway, rates);
+        formatted[gateway] = {
+            percentage: `${(fees.percentage * 100).toFixed(2)}%`,
+            fixed: fees.fixed.toFixed(2),
+            formula: `${(fees.percentage * 100).toFixed(2)}% + ${fees.fixed.toFixed(2)}`,
+            configured: fees.configured,
         };
     }
 
-    return rates;
+    return formatted;
+};
+
+/**
+ * Validate a shop rate table
+ * Percentages are fractions, as in config (0.0399 = 3.99%). A fixed fee
+ * in another currency needs the rate that converts it to the shop currency.
+ * @param {Object} rates - { gateway: { percentage, fixed, fixedCurrency, exchangeRate, installmentRates } }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateFeeRates = (rates) => {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        return 'Rates must be an object keyed by gateway';
+    }
+
+    const gateways = Object.keys(rates);
+    if (gateways.length > MAX_GATEWAYS) {
+        return `Maximum ${MAX_GATEWAYS} gateways`;
+    }
+
+    const normalized = new Set();
+    for (const gateway of gateways) {
+        const rate = rates[gateway] || {};
+        const key = normalizeGatewayName(gateway);
+
+        if (!gateway.trim() || key === 'unknown') {
+            return 'Gateway name is required';
+        }
+
+        if (normalized.has(key)) {
+            return `Duplicate gateway: ${gateway}`;
+        }
+        normalized.add(key);
+
+        if (!isPositiveNumber(rate.percentage) || rate.percentage > 1) {
+            return `Percentage of ${gateway} must be between 0 and 1`;
+        }
+
+        if (!isPositiveNumber(rate.fixed)) {
+            return `Fixed fee of ${gateway} must be a positive number`;
+        }
+
+        if (rate.fixedCurrency && !isValidCurrency(rate.fixedCurrency)) {
+            return `Invalid currency for ${gateway}`;
+        }
+
+        if (rate.fixedCurrency && !(rate.exchangeRate > 0)) {
+            return `Exchange rate for ${gateway} must be greater than zero`;
+        }
+
+        const error = validateInstallmentRates(rate.installmentRates);
+        if (error) {
+            return `${error} (${gateway})`;
+        }
+    }
+
+    return null;
 };
 
+/**
+ * Get the shop's gateway fee table
+ * Also lists the gateways seen in recent orders, so the ones still
+ * without a rate can be filled in.
+ */
+const getGatewayFeeSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const [shopDoc, daysSnapshot] = await Promise.all([
+            db.collection('shops').doc(shopDomain).get(),
+            db
+                .collection('dailyMetrics')
+                .doc(shopDomain)
+                .collection('days')
+                .orderBy('date', 'desc')
+                .limit(SEEN_GATEWAY_DAYS)
+                .get(),
+        ]);
+
+        const shopData = shopDoc.data() || {};
+        const rates = shopData.gatewayFeeRates || {};
+
+        const seen = {};
+        for (const doc of daysSnapshot.docs) {
+            for (const [gateway, entry] of Object.entries(doc.data().feeBreakdown || {})) {
+                seen[gateway] = (seen[gateway] || 0) + (entry.count || 0);
+            }
+        }
+
+        return {
+            success: true,
+            currency: shopData.currency || 'USD',
+            rates,
+            defaults: getConfig().gatewayFees,
+            seenGateways: Object.entries(seen)
+                .map(([gateway, orderCount]) => ({
+                    gateway,
+                    orderCount,
+                    configured: !!rates[gateway],
+                }))
+                .sort((a, b) => b.orderCount - a.orderCount),
+        };
+
+    } catch (error) {
+        console.error('Get gateway fee settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Replace the shop's gateway fee table
+ */
+const updateGatewayFeeSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { rates } = data;
+
+    const error = validateFeeRates(rates);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const gatewayFeeRates = buildFeeRates(rates);
+        const shopRef = db.collection('shops').doc(shopDomain);
+        const shopDoc = await shopRef.get();
+
+        await shopRef.update({
+            gatewayFeeRates,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Orders saved before their gateway had an installment schedule
+        // were never looked up; queue them for the next order sync
+        const rescheduled = getRescheduledGateways(shopDoc.data()?.gatewayFeeRates, gatewayFeeRates);
+        await flagInstallmentLookups(shopDomain, rescheduled);
+
+        // Fees of every cached day follow the new table
+        await markAllDaysStale(shopDomain, 'gateway_fees');
+
+        return {
+            success: true,
+            message: 'Gateway fees updated successfully',
+            rates: gatewayFeeRates,
+        };
+
+    } catch (error) {
+        console.error('Update gateway fee settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Flag the ledger orders of the gateways for an installment lookup
+ */
+async function flagInstallmentLookups(shopDomain, gateways) {
+    if (gateways.length === 0) {
+        return 0;
+    }
+
+    const ordersRef = db.collection('orderLedger').doc(shopDomain).collection('orders');
+    let flagged = 0;
+    let last = null;
+
+    // Firestore batches support max 500 writes
+    do {
+        let query = ordersRef
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('gateway', 'payment_gateway_names', 'installmentsCheckedStatus', 'installmentsPending')
+            .limit(500);
+        if (last) {
+            query = query.startAfter(last);
+        }
+
+        const snapshot = await query.get();
+        const batch = db.batch();
+        let writes = 0;
+
+        for (const doc of snapshot.docs) {
+            if (!needsInstallmentLookup(doc.data(), gateways)) continue;
+
+            batch.update(doc.ref, { installmentsPending: true, installmentsAttempts: 0 });
+            writes++;
+        }
+
+        if (writes > 0) {
+            await batch.commit();
+            flagged += writes;
+        }
+
+        last = snapshot.size === 500 ? snapshot.docs[snapshot.size - 1] : null;
+    } while (last);
+
+    return flagged;
+}
+
+/**
+ * Rate table keyed by normalized gateway name, from validated input
+ */
+function buildFeeRates(rates) {
+    const table = {};
+
+    for (const [gateway, rate] of Object.entries(rates)) {
+        const fixedCurrency = rate.fixedCurrency ? rate.fixedCurrency.toUpperCase() : null;
+
+        table[normalizeGatewayName(gateway)] = {
+            percentage: rate.percentage,
+            fixed: rate.fixed,
+            fixedCurrency,
+            exchangeRate: fixedCurrency ? rate.exchangeRate : 1,
+            installmentRates: (rate.installmentRates || [])
+                .map(({ installments, percentage }) => ({ installments, percentage }))
+                .sort((a, b) => a.installments - b.installments),
+        };
+    }
+
+    return table;
+}
+
+/**
+ * Percentage charged for a number of installments
+ * The entry with the highest count not above the installments applies
+ */
+function getInstallmentPercentage(rate, installments) {
+    let percentage = rate.percentage || 0;
+    let matched = 0;
+
+    for (const entry of rate.installmentRates || []) {
+        if (installments >= entry.installments && entry.installments > matched) {
+            percentage = entry.percentage;
+            matched = entry.installments;
+        }
+    }
+
+    return percentage;
+}
+
+function validateInstallmentRates(installmentRates) {
+    if (installmentRates == null) {
+        return null;
+    }
+
+    if (!Array.isArray(installmentRates) || installmentRates.length > MAX_INSTALLMENTS) {
+        return `Installment rates must be a list of up to ${MAX_INSTALLMENTS} entries`;
+    }
+
+    const counts = new Set();
+    for (const { installments, percentage } of installmentRates) {
+        if (!Number.isInteger(installments) || installments < 2 || installments > MAX_INSTALLMENTS) {
+            return `Installments must be a whole number from 2 to ${MAX_INSTALLMENTS}`;
+        }
+
+        if (counts.has(installments)) {
+            return `Duplicate rate for ${installments} installments`;
+        }
+        counts.add(installments);
+
+        if (!isPositiveNumber(percentage) || percentage > 1) {
+            return `Percentage for ${installments} installments must be between 0 and 1`;
+        }
+    }
+
+    return null;
+}
+
 module.exports = {
     getGatewayFees,
+    hasInstallmentRates,
+    getRescheduledGateways,
+    needsInstallmentLookup,
     normalizeGatewayName,
     calculateOrderFee,
     calculateTotalFees,
+    getOrderGateway,
     estimateFees,
     getFeeRates,
+    validateFeeRates,
+    getGatewayFeeSettings,
+    updateGatewayFeeSettings,
 };
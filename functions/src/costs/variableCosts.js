@@ -0,0 +1,405 @@
+/**
+ * Variable Costs
+ * Costs that grow with sales: marketplace commissions, sales taxes on
+ * revenue, packaging per order, handling per item...
+ *
+ * Each rule charges a percentage of order revenue (the order total, the
+ * same base gateway fees use), an amount per order or an amount per item.
+ * A rule may be limited to one sales channel (the order's source name,
+ * e.g. "web" or "pos") or to products with a given tag, in which case only
+ * the tagged items count towards its revenue and items, and only orders
+ * containing them towards its orders.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { isPositiveNumber } = require('../utils/validators');
+const { markAllDaysStale } = require('../profit/stale');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Rule types:
+ * - percent_of_revenue: a percentage of the order total
+ * - per_order: the same amount for every order
+ * - per_item: the same amount for every unit sold
+ */
+const VARIABLE_COST_TYPES = ['percent_of_revenue', 'per_order', 'per_item'];
+
+const VARIABLE_COST_SCOPES = ['all', 'channel', 'product_tag'];
+
+/**
+ * Validate a variable cost rule
+ * @param {Object} rule - { name, type, value, scope, scopeValue }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateVariableCost = ({ name, type, value, scope = 'all', scopeValue }) => {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return 'Name is required';
+    }
+
+    if (!VARIABLE_COST_TYPES.includes(type)) {
+        return 'Invalid variable cost type';
+    }
+
+    if (!isPositiveNumber(value)) {
+        return 'Value must be a positive number';
+    }
+
+    if (type === 'percent_of_revenue' && value > 100) {
+        return 'Percentage cannot exceed 100';
+    }
+
+    if (!VARIABLE_COST_SCOPES.includes(scope)) {
+        return 'Invalid variable cost scope';
+    }
+
+    if (scope !== 'all' && (scopeValue == null || !scopeValue.toString().trim())) {
+        return 'Scope value is required';
+    }
+
+    return null;
+};
+
+/**
+ * Add a variable cost rule
+ */
+const addVariableCost = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    const error = validateVariableCost(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const docRef = await getVariableCostsRef(shopDomain).add({
+            ...buildVariableCost(data),
+            active: true,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Every day with sales may now cost more
+        await markAllDaysStale(shopDomain, 'variable_costs');
+
+        return {
+            success: true,
+            id: docRef.id,
+            message: 'Variable cost added successfully',
+        };
+
+    } catch (error) {
+        console.error('Add variable cost error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Get all variable cost rules for a shop
+ */
+const getVariableCosts = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const snapshot = await getVariableCostsRef(shopDomain)
+            .orderBy('createdAt', 'asc')
+            .get();
+
+        return {
+            success: true,
+            costs: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        };
+
+    } catch (error) {
+        console.error('Get variable costs error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Update a variable cost rule
+ */
+const updateVariableCost = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id, active } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Variable cost ID is required');
+    }
+
+    const error = validateVariableCost(data);
+    if (error) {
+        throw new functions.https.HttpsError('invalid-argument', error);
+    }
+
+    try {
+        const docRef = getVariableCostsRef(shopDomain).doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            throw new functions.https.HttpsError('not-found', 'Variable cost not found');
+        }
+
+        await docRef.update({
+            ...buildVariableCost(data),
+            ...(active !== undefined ? { active: !!active } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await markAllDaysStale(shopDomain, 'variable_costs');
+
+        return {
+            success: true,
+            message: 'Variable cost updated successfully',
+        };
+
+    } catch (error) {
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+        console.error('Update variable cost error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Delete a variable cost rule
+ */
+const deleteVariableCost = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { id } = data;
+
+    if (!id) {
+        throw new functions.https.HttpsError('invalid-argument', 'Variable cost ID is required');
+    }
+
+    try {
+        await getVariableCostsRef(shopDomain).doc(id).delete();
+        await markAllDaysStale(shopDomain, 'variable_costs');
+
+        return {
+            success: true,
+            message: 'Variable cost deleted successfully',
+        };
+
+    } catch (error) {
+        console.error('Delete variable cost error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Load what variable costs need for a set of orders (internal use)
+ * Variant tags come from the product catalog and are only read when a
+ * rule is limited to a tag.
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} variantIds - Variant IDs sold in the orders
+ * @returns {Object} - { rules, tagsByVariant }
+ */
+const getVariableCostContext = async (shopDomain, variantIds) => {
+    const snapshot = await getVariableCostsRef(shopDomain)
+        .where('active', '==', true)
+        .get();
+
+    const rules = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const tagsByVariant = {};
+
+    const ids = [...new Set(variantIds.filter(Boolean).map(String))];
+    if (ids.length > 0 && rules.some(rule => rule.scope === 'product_tag')) {
+        const variantsRef = db.collection('productCatalog').doc(shopDomain).collection('variants');
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const docs = await db.getAll(...ids.slice(i, i + 500).map(id => variantsRef.doc(id)));
+            for (const doc of docs) {
+                if (doc.exists) {
+                    tagsByVariant[doc.id] = (doc.data().tags || []).map(tag => tag.toLowerCase());
+                }
+            }
+        }
+    }
+
+    return { rules, tagsByVariant };
+};
+
+/**
+ * Split the variable costs of an order over its line items (internal use)
+ * Each rule's amount goes to the lines it applies to, by their share of
+ * the lines' sales (or of their units for per-item rules).
+ * @param {Object} order - Order
+ * @param {Object} variableCostContext - From getVariableCostContext
+ * @returns {Array} - Amount per line, in order.line_items order
+ */
+const allocateVariableCosts = (order, { rules, tagsByVariant }) => {
+    const lineItems = order.line_items || [];
+    const allocated = lineItems.map(() => 0);
+
+    for (const rule of rules) {
+        const matched = getMatchedSales(rule, order, tagsByVariant);
+        if (!matched) continue;
+
+        const amount = getRuleAmount(rule, matched);
+        const weights = lineItems.map(item => {
+            if (rule.scope === 'product_tag' && !hasTag(item, rule, tagsByVariant)) return 0;
+            return rule.type === 'per_item'
+                ? item.quantity || 0
+                : (parseFloat(item.price) || 0) * (item.quantity || 0);
+        });
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight <= 0) continue;
+
+        weights.forEach((weight, index) => {
+            allocated[index] += amount * weight / totalWeight;
+        });
+    }
+
+    return allocated;
+};
+
+/**
+ * Calculate variable costs for an array of orders
+ * @param {Array} orders - Array of orders
+ * @param {Object} variableCostContext - From getVariableCostContext
+ * @returns {Object} - { totalVariableCosts, breakdown } with the breakdown keyed by rule ID
+ */
+const calculateVariableCosts = (orders, { rules, tagsByVariant }) => {
+    const breakdown = {};
+    let totalVariableCosts = 0;
+
+    for (const rule of rules) {
+        const entry = { name: rule.name, type: rule.type, count: 0, base: 0, amount: 0 };
+
+        for (const order of orders) {
+            const matched = getMatchedSales(rule, order, tagsByVariant);
+            if (!matched) continue;
+
+            const amount = getRuleAmount(rule, matched);
+            entry.count++;
+            entry.base += matched.revenue;
+            entry.amount += amount;
+            totalVariableCosts += amount;
+        }
+
+        if (entry.count > 0) {
+            breakdown[rule.id] = {
+                ...entry,
+                base: parseFloat(entry.base.toFixed(2)),
+                amount: parseFloat(entry.amount.toFixed(2)),
+            };
+        }
+    }
+
+    return {
+        totalVariableCosts: parseFloat(totalVariableCosts.toFixed(2)),
+        breakdown,
+    };
+};
+
+function getVariableCostsRef(shopDomain) {
+    return db.collection('variableCosts').doc(shopDomain).collection('costs');
+}
+
+/**
+ * Rule document fields from validated input
+ */
+function buildVariableCost({ name, type, value, scope = 'all', scopeValue }) {
+    return {
+        name: name.trim(),
+        type,
+        value,
+        scope,
+        scopeValue: scope === 'all' ? null : scopeValue.toString().trim(),
+    };
+}
+
+/**
+ * Revenue and items of an order a rule applies to
+ * Channels compare the order's source name, ignoring case
+ * @returns {Object|null} - { revenue, items }, or null when the rule does not apply
+ */
+function getMatchedSales(rule, order, tagsByVariant) {
+    const expected = (rule.scopeValue || '').toLowerCase();
+    const lineItems = order.line_items || [];
+
+    if (rule.scope === 'product_tag') {
+        const tagged = lineItems.filter(item => hasTag(item, rule, tagsByVariant));
+        if (tagged.length === 0) return null;
+
+        return {
+            revenue: tagged.reduce((sum, item) =>
+                sum + (parseFloat(item.price) || 0) * (item.quantity || 0), 0),
+            items: tagged.reduce((sum, item) => sum + (item.quantity || 0), 0),
+        };
+    }
+
+    if (rule.scope === 'channel' && (order.source_name || '').toLowerCase() !== expected) {
+        return null;
+    }
+
+    return {
+        revenue: parseFloat(order.total_price) || 0,
+        items: lineItems.reduce((sum, item) => sum + (item.quantity || 0), 0),
+    };
+}
+
+/**
+ * Whether a line item's variant carries a product_tag rule's tag
+ */
+function hasTag(item, rule, tagsByVariant) {
+    return (tagsByVariant[String(item.variant_id)] || []).includes((rule.scopeValue || '').toLowerCase());
+}
+
+/**
+ * Amount a rule charges an order, rounded to cents like gateway fees
+ */
+function getRuleAmount(rule, { revenue, items }) {
+    let amount;
+
+    switch (rule.type) {
+        case 'percent_of_revenue':
+            amount = revenue * rule.value / 100;
+            break;
+        case 'per_order':
+            amount = rule.value;
+            break;
+        case 'per_item':
+            amount = items * rule.value;
+            break;
+        default:
+            amount = 0;
+    }
+
+    return parseFloat(amount.toFixed(2));
+}
+
+module.exports = {
+    VARIABLE_COST_TYPES,
+    VARIABLE_COST_SCOPES,
+    validateVariableCost,
+    addVariableCost,
+    getVariableCosts,
+    updateVariableCost,
+    deleteVariableCost,
+    getVariableCostContext,
+    calculateVariableCosts,
+    allocateVariableCosts,
+};
@@ -16,7 +16,7 @@ exports.install = shopifyAuth.install;
 exports.callback = shopifyAuth.callback;
 
 // ============================================
-// SHOPIFY WEBHOOKS (GDPR)
+// SHOPIFY WEBHOOKS (GDPR + ORDERS)
 // ============================================
 const shopifyWebhooks = require('./shopify/webhooks');
 exports.webhooksCustomersDataRequest = shopifyWebhooks.customersDataRequest;
@@ -24,6 +24,29 @@ exports.webhooksCustomersRedact = shopifyWebhooks.customersRedact;
 exports.webhooksShopRedact = shopifyWebhooks.shopRedact;
 exports.webhooksAppUninstalled = shopifyWebhooks.appUninstalled;
 
+const orderWebhooks = require('./shopify/orderWebhooks');
+exports.webhooksOrdersCreate = orderWebhooks.ordersCreate;
+exports.webhooksOrdersUpdated = orderWebhooks.ordersUpdated;
+exports.webhooksRefundsCreate = orderWebhooks.refundsCreate;
+
+const productWebhooks = require('./shopify/productWebhooks');
+exports.webhooksProductsCreate = productWebhooks.productsCreate;
+exports.webhooksProductsUpdate = productWebhooks.productsUpdate;
+exports.webhooksProductsDelete = productWebhooks.productsDelete;
+
+// ============================================
+// ORDER LEDGER
+// ============================================
+const orderLedger = require('./shopify/ledger');
+exports.runOrderSync = orderLedger.runOrderSync;
+
+// ============================================
+// PRODUCT CATALOG
+// ============================================
+const productCatalog = require('./shopify/catalog');
+exports.syncProductCatalog = productCatalog.syncProductCatalog;
+exports.getCatalogCosts = productCatalog.getCatalogCosts;
+
 // ============================================
 // COGS MANAGEMENT
 // ============================================
@@ -33,13 +56,48 @@ exports.getCogs = cogsManual.getCogs;
 exports.getAllCogs = cogsManual.getAllCogs;
 exports.setBulkCogs = cogsManual.setBulkCogs;
 exports.deleteCogs = cogsManual.deleteCogs;
+exports.deleteCogsEntry = cogsManual.deleteCogsEntry;
 
 const cogsCsv = require('./cogs/csvImport');
 exports.importCogsFromCsv = cogsCsv.importFromCsv;
 exports.validateCogsCsv = cogsCsv.validateCsv;
+exports.getCogsCsvImports = cogsCsv.getCsvImports;
+exports.rollbackCogsCsvImport = cogsCsv.rollbackCsvImport;
+
+const cogsSku = require('./cogs/skuResolution');
+exports.resolveSkuCosts = cogsSku.resolveSkuCosts;
+
+const cogsShopify = require('./cogs/shopifyCosts');
+exports.syncShopifyCosts = cogsShopify.syncShopifyCosts;
+exports.getCostSourceSettings = cogsShopify.getCostSourceSettings;
+exports.updateCostSourceSettings = cogsShopify.updateCostSourceSettings;
+exports.runShopifyCostSync = cogsShopify.runShopifyCostSync;
+
+const cogsBom = require('./cogs/bom');
+exports.setBom = cogsBom.setBom;
+exports.deleteBom = cogsBom.deleteBom;
+
+const cogsRules = require('./cogs/rules');
+exports.createCogsRule = cogsRules.createCogsRule;
+exports.getCogsRules = cogsRules.getCogsRules;
+exports.updateCogsRule = cogsRules.updateCogsRule;
+exports.deleteCogsRule = cogsRules.deleteCogsRule;
+exports.previewCogsRules = cogsRules.previewCogsRules;
+
+const purchaseOrders = require('./cogs/purchaseOrders');
+exports.createPurchaseOrder = purchaseOrders.createPurchaseOrder;
+exports.getPurchaseOrders = purchaseOrders.getPurchaseOrders;
+exports.updatePurchaseOrder = purchaseOrders.updatePurchaseOrder;
+exports.receivePurchaseOrder = purchaseOrders.receivePurchaseOrder;
+exports.deletePurchaseOrder = purchaseOrders.deletePurchaseOrder;
+
+const inventoryCosting = require('./cogs/inventoryCosting');
+exports.getCostingSettings = inventoryCosting.getCostingSettings;
+exports.updateCostingSettings = inventoryCosting.updateCostingSettings;
+exports.runInventoryCosting = inventoryCosting.runInventoryCosting;
 
 // ============================================
-// FIXED COSTS
+// FIXED AND VARIABLE COSTS
 // ============================================
 const fixedCosts = require('./costs/fixedCosts');
 exports.addFixedCost = fixedCosts.addFixedCost;
@@ -47,6 +105,16 @@ exports.getFixedCosts = fixedCosts.getFixedCosts;
 exports.updateFixedCost = fixedCosts.updateFixedCost;
 exports.deleteFixedCost = fixedCosts.deleteFixedCost;
 
+const variableCosts = require('./costs/variableCosts');
+exports.addVariableCost = variableCosts.addVariableCost;
+exports.getVariableCosts = variableCosts.getVariableCosts;
+exports.updateVariableCost = variableCosts.updateVariableCost;
+exports.deleteVariableCost = variableCosts.deleteVariableCost;
+
+const gatewayFees = require('./costs/gatewayFees');
+exports.getGatewayFeeSettings = gatewayFees.getGatewayFeeSettings;
+exports.updateGatewayFeeSettings = gatewayFees.updateGatewayFeeSettings;
+
 // ============================================
 // PROFIT CALCULATION
 // ============================================
@@ -55,9 +123,31 @@ exports.calculateProfit = profitCalculator.calculateProfit;
 exports.calculateProfitRange = profitCalculator.calculateProfitRange;
 exports.getDashboardSummary = profitCalculator.getDashboardSummary;
 
+const profitScheduled = require('./profit/scheduled');
+exports.runNightlyProfit = profitScheduled.runNightlyProfit;
+
+const profitBackfill = require('./profit/backfill');
+exports.processBackfillJob = profitBackfill.processBackfillJob;
+exports.startBackfill = profitBackfill.startBackfill;
+exports.getBackfillStatus = profitBackfill.getBackfillStatus;
+
+const profitRecalculation = require('./profit/recalculation');
+exports.processRecalculation = profitRecalculation.processRecalculation;
+
+const revenueSettings = require('./profit/revenue');
+exports.getRevenueSettings = revenueSettings.getRevenueSettings;
+exports.updateRevenueSettings = revenueSettings.updateRevenueSettings;
+
+const orderProfits = require('./profit/orderProfits');
+exports.getOrderProfits = orderProfits.getOrderProfits;
+
+const productProfits = require('./profit/productProfits');
+exports.getProductProfits = productProfits.getProductProfits;
+
 const profitExports = require('./profit/exports');
 exports.exportProfitReport = profitExports.exportProfitReport;
 exports.exportCogs = profitExports.exportCogs;
+exports.exportProductReport = profitExports.exportProductReport;
 
 // ============================================
 // AD PLATFORMS
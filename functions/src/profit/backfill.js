@@ -0,0 +1,269 @@
+/**
+ * Historical Backfill
+ * Computes past days into dailyMetrics after install or on demand
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { verifyShop } = require('../shopify/auth');
+const { fetchOrders } = require('../shopify/orders');
+const { saveOrders, attachStoredInstallments } = require('../shopify/ledger');
+const { syncCatalog } = require('../shopify/catalog');
+const { getShopFeatures } = require('../billing/subscription');
+const { calculateDailyProfit } = require('./calculator');
+const {
+    getShopTimezone,
+    getTodayInTimezone,
+    addDays,
+    listDates,
+} = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Days computed per function invocation
+const CHUNK_DAYS = 15;
+
+// Per-day errors kept on the job document
+const MAX_JOB_ERRORS = 50;
+
+// Financial statuses of orders with at least one refund
+const REFUND_FINANCIAL_STATUSES = ['partially_refunded', 'refunded'];
+
+/**
+ * Job document lifecycle:
+ * queued -> running (one chunk per write) -> completed | failed
+ * Each chunk updates the cursor (nextDate), which triggers the next chunk.
+ */
+
+/**
+ * Process backfill job chunks
+ * Triggered whenever the shop's job document is written
+ */
+const processBackfillJob = functions
+    .runWith({ timeoutSeconds: 540 })
+    .firestore.document('backfillJobs/{shopDomain}')
+    .onWrite(async (change, context) => {
+        if (!change.after.exists) return null;
+
+        const job = change.after.data();
+        if (!['queued', 'running'].includes(job.status)) return null;
+
+        // Ignore writes that did not move the job forward (duplicate deliveries)
+        const previous = change.before.exists ? change.before.data() : null;
+        if (previous && previous.status === job.status && previous.nextDate === job.nextDate) {
+            return null;
+        }
+
+        const { shopDomain } = context.params;
+        const jobRef = change.after.ref;
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData) {
+                throw new Error('Shop not found or not authenticated');
+            }
+
+            if (job.status === 'queued') {
+                return await initializeJob(jobRef, shopData);
+            }
+
+            return await processChunk(jobRef, job, shopDomain, shopData);
+
+        } catch (error) {
+            console.error(`Backfill failed for ${shopDomain}:`, error.message);
+
+            return jobRef.update({
+                status: 'failed',
+                error: error.message,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    });
+
+/**
+ * Set the date window allowed by the shop's plan
+ */
+async function initializeJob(jobRef, shopData) {
+    const { historyDays } = getShopFeatures(shopData);
+    const timezone = getShopTimezone(shopData);
+    const today = getTodayInTimezone(timezone);
+    const startDate = addDays(today, -(historyDays - 1));
+
+    // The chunks fill the order ledger up to now; incremental sync takes over from here
+    if (!shopData.orderSync?.cursor) {
+        await db.collection('shops').doc(shopData.shop).update({
+            'orderSync.cursor': new Date().toISOString(),
+        });
+    }
+
+    // Orders refunded within the window may predate it; load them into the
+    // ledger once so each day reads its refunds from there. Only refunded
+    // orders are requested, so this stays small next to the chunks.
+    const refundedOrders = [];
+    for (const financialStatus of REFUND_FINANCIAL_STATUSES) {
+        const orders = await fetchOrders(shopData.shop, shopData.accessToken, {
+            updatedSince: startDate,
+            financialStatus,
+            timezone,
+        });
+        refundedOrders.push(...orders.filter(order => (order.refunds || []).length > 0));
+    }
+
+    await attachStoredInstallments(shopData.shop, shopData, refundedOrders);
+    await saveOrders(shopData.shop, refundedOrders, timezone);
+
+    // Import the catalog so every variant can be costed; webhooks keep it current
+    try {
+        await syncCatalog(shopData.shop, shopData);
+    } catch (error) {
+        console.error(`Catalog sync failed for ${shopData.shop}:`, error.message);
+    }
+
+    return jobRef.update({
+        status: 'running',
+        startDate,
+        endDate: today,
+        nextDate: startDate,
+        daysTotal: historyDays,
+        daysDone: 0,
+        errors: [],
+        error: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+/**
+ * Compute the next chunk of days and advance the cursor
+ */
+async function processChunk(jobRef, job, shopDomain, shopData) {
+    const timezone = getShopTimezone(shopData);
+    const today = getTodayInTimezone(timezone);
+
+    const chunkStart = job.nextDate;
+    const lastChunkDate = addDays(chunkStart, CHUNK_DAYS - 1);
+    const chunkEnd = lastChunkDate < job.endDate ? lastChunkDate : job.endDate;
+
+    // Load the chunk's orders once instead of once per day. Refunds are
+    // read from the ledger, which holds every order refunded in the window
+    // once this and the earlier chunks are saved.
+    const orders = await fetchOrders(shopDomain, shopData.accessToken, {
+        startDate: chunkStart,
+        endDate: chunkEnd,
+        financialStatus: 'any',
+        timezone,
+    });
+
+    await attachStoredInstallments(shopDomain, shopData, orders);
+    await saveOrders(shopDomain, orders, timezone);
+
+    const errors = [...(job.errors || [])];
+    let daysDone = job.daysDone || 0;
+
+    for (const date of listDates(chunkStart, chunkEnd)) {
+        try {
+            await calculateDailyProfit(shopDomain, shopData, date, {
+                orders,
+                finalized: date < today,
+            });
+        } catch (error) {
+            console.error(`Backfill day ${date} failed for ${shopDomain}:`, error.message);
+            errors.push({ date, error: error.message });
+        }
+        daysDone++;
+    }
+
+    const nextDate = addDays(chunkEnd, 1);
+    const completed = nextDate > job.endDate;
+
+    return jobRef.update({
+        status: completed ? 'completed' : 'running',
+        nextDate,
+        daysDone,
+        errors: errors.slice(-MAX_JOB_ERRORS),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(completed ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+    });
+}
+
+/**
+ * Start a backfill on demand
+ */
+const startBackfill = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const jobRef = db.collection('backfillJobs').doc(shopDomain);
+
+    try {
+        const existing = await jobRef.get();
+        if (existing.exists && ['queued', 'running'].includes(existing.data().status)) {
+            return {
+                success: false,
+                message: 'A backfill is already in progress',
+            };
+        }
+
+        await jobRef.set({
+            status: 'queued',
+            source: 'manual',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+            success: true,
+            message: 'Backfill started',
+        };
+
+    } catch (error) {
+        console.error('Start backfill error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Get backfill progress
+ */
+const getBackfillStatus = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const doc = await db.collection('backfillJobs').doc(shopDomain).get();
+
+        if (!doc.exists) {
+            return { exists: false };
+        }
+
+        const job = doc.data();
+        return {
+            exists: true,
+            status: job.status,
+            startDate: job.startDate || null,
+            endDate: job.endDate || null,
+            daysTotal: job.daysTotal || 0,
+            daysDone: job.daysDone || 0,
+            errors: job.errors || [],
+            error: job.error || null,
+        };
+
+    } catch (error) {
+        console.error('Get backfill status error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+module.exports = {
+    processBackfillJob,
+    startBackfill,
+    getBackfillStatus,
+};
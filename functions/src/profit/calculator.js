@@ -6,11 +6,35 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const { verifyShop } = require('../shopify/auth');
-const { fetchOrdersForDate, extractLineItems, calculateOrderMetrics } = require('../shopify/orders');
-const { getCogsMap } = require('../cogs/manual');
+const {
+    filterOrdersForDate,
+    extractLineItems,
+    extractRefunds,
+    calculateOrderMetrics,
+} = require('../shopify/orders');
+const {
+    syncOrders,
+    getLedgerOrdersForDate,
+    getLedgerRefundedOrdersForDate,
+} = require('../shopify/ledger');
+const { getCostHistories, resolveCogsMap, getUnitCost } = require('../cogs/manual');
 const { getDailyFixedCost } = require('../costs/fixedCosts');
 const { calculateTotalFees } = require('../costs/gatewayFees');
+const { getVariableCostContext, calculateVariableCosts } = require('../costs/variableCosts');
+const {
+    getRevenueDefinition,
+    getShopRevenueDefinition,
+    resolveRevenue,
+    resolveRefunds,
+    applyRevenueDefinition,
+} = require('./revenue');
 const { isValidDate } = require('../utils/validators');
+const {
+    getShopTimezone,
+    getTodayInTimezone,
+    getWeekStart,
+    getMonthStart,
+} = require('../utils/dates');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -30,10 +54,7 @@ const calculateProfit = functions.https.onCall(async (data, context) => {
     const shopDomain = context.auth.token.shop;
     const { date } = data;
 
-    // Default to today if no date provided
-    const targetDate = date || new Date().toISOString().split('T')[0];
-
-    if (!isValidDate(targetDate)) {
+    if (date && !isValidDate(date)) {
         throw new functions.https.HttpsError('invalid-argument', 'Invalid date format. Use YYYY-MM-DD');
     }
 
@@ -44,111 +65,12 @@ const calculateProfit = functions.https.onCall(async (data, context) => {
             throw new functions.https.HttpsError('not-found', 'Shop not found or not authenticated');
         }
 
-        // 1. Fetch orders for the date
-        const orders = await fetchOrdersForDate(shopDomain, shopData.accessToken, targetDate);
-        const orderMetrics = calculateOrderMetrics(orders);
-
-        // 2. Calculate COGS
-        const lineItems = extractLineItems(orders);
-        const variantIds = [...new Set(lineItems.map(i => i.variantId).filter(Boolean))];
-        const cogsMap = await getCogsMap(shopDomain, variantIds);
-
-        let totalCogs = 0;
-        let cogsMatchedItems = 0;
-        let cogsMissingItems = 0;
-
-        for (const item of lineItems) {
-            const itemCogs = cogsMap[item.variantId?.toString()] || 0;
-            if (itemCogs > 0) {
-                totalCogs += itemCogs * item.quantity;
-                cogsMatchedItems++;
-            } else {
-                cogsMissingItems++;
-            }
-        }
-
-        // 3. Get ad spend
-        const adSpendSnapshot = await db
-            .collection('adSpend')
-            .doc(shopDomain)
-            .collection('daily')
-            .where('date', '==', targetDate)
-            .get();
+        const targetDate = date || getTodayInTimezone(getShopTimezone(shopData));
 
-        const adSpendByPlatform = {};
-        let totalAdSpend = 0;
+        // Bring the order ledger up to date before reading it
+        await syncOrders(shopDomain, shopData);
 
-        for (const doc of adSpendSnapshot.docs) {
-            const data = doc.data();
-            adSpendByPlatform[data.platform] = data.spend;
-            totalAdSpend += data.spend || 0;
-        }
-
-        // 4. Calculate gateway fees
-        const { totalFees, breakdown: feeBreakdown } = calculateTotalFees(orders);
-
-        // 5. Get daily fixed costs
-        const dailyFixedCosts = await getDailyFixedCost(shopDomain);
-
-        // 6. Calculate profit
-        const revenue = parseFloat(orderMetrics.totalRevenue);
-        const grossProfit = revenue - totalCogs;
-        const netProfit = grossProfit - totalAdSpend - totalFees - dailyFixedCosts;
-        const profitMargin = revenue > 0 ? (netProfit / revenue) * 100 : 0;
-        const grossMargin = revenue > 0 ? (grossProfit / revenue) * 100 : 0;
-
-        // 7. Prepare result
-        const result = {
-            date: targetDate,
-            currency: shopData.currency || 'USD',
-
-            // Revenue
-            revenue: revenue.toFixed(2),
-            orderCount: orders.length,
-            itemsSold: orderMetrics.itemsSold,
-            averageOrderValue: orderMetrics.averageOrderValue,
-
-            // Costs
-            cogs: totalCogs.toFixed(2),
-            cogsMatchRate: lineItems.length > 0
-                ? ((cogsMatchedItems / lineItems.length) * 100).toFixed(1)
-                : '100',
-            adSpend: totalAdSpend.toFixed(2),
-            adSpendByPlatform,
-            fees: totalFees.toFixed(2),
-            feeBreakdown,
-            fixedCosts: dailyFixedCosts.toFixed(2),
-
-            // Profit
-            grossProfit: grossProfit.toFixed(2),
-            grossMargin: grossMargin.toFixed(1),
-            netProfit: netProfit.toFixed(2),
-            profitMargin: profitMargin.toFixed(1),
-
-            // Status
-            isProfitable: netProfit >= 0,
-            alerts: generateAlerts({
-                cogsMissingItems,
-                cogsMatchedItems,
-                lineItems: lineItems.length,
-                profitMargin,
-                adSpend: totalAdSpend,
-                revenue,
-            }),
-        };
-
-        // 8. Cache the result in dailyMetrics
-        await db
-            .collection('dailyMetrics')
-            .doc(shopDomain)
-            .collection('days')
-            .doc(targetDate)
-            .set({
-                ...result,
-                calculatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            }, { merge: true });
-
-        return result;
+        return await calculateDailyProfit(shopDomain, shopData, targetDate);
 
     } catch (error) {
         console.error('Profit calculation error:', error);
@@ -156,6 +78,236 @@ const calculateProfit = functions.https.onCall(async (data, context) => {
     }
 });
 
+/**
+ * Calculate and cache profit for one shop-local day
+ * Shared engine behind the callable, scheduled and background jobs
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Verified shop data (with decrypted access token)
+ * @param {string} targetDate - Date in YYYY-MM-DD format (shop-local)
+ * @param {Object} options - Calculation options
+ * @param {boolean} options.finalized - Marks a day that is over
+ * @param {Array} options.orders - Preloaded orders covering the date (skips the ledger read)
+ * @param {Array} options.refundedOrders - Preloaded orders refunded on or after the date
+ * @returns {Object} - Profit result
+ */
+const calculateDailyProfit = async (shopDomain, shopData, targetDate, options = {}) => {
+    const timezone = getShopTimezone(shopData);
+
+    // 1. Read orders for the date from the ledger (or preloaded orders)
+    const orders = filterOrdersForDate(
+        options.orders || await getLedgerOrdersForDate(shopDomain, targetDate),
+        targetDate,
+        timezone
+    );
+    const orderMetrics = calculateOrderMetrics(orders);
+
+    // 2. Read refunds issued on the date (may belong to older orders)
+    const refundedOrders = options.refundedOrders ||
+        await getLedgerRefundedOrdersForDate(shopDomain, targetDate);
+    const refunds = extractRefunds(refundedOrders, targetDate, timezone);
+    const refundedItems = refunds.flatMap(r => r.lineItems);
+
+    // 3. Calculate COGS
+    const lineItems = extractLineItems(orders);
+    const variantIds = [...new Set(
+        [...lineItems, ...refundedItems].map(i => i.variantId).filter(Boolean)
+    )];
+    const skus = [...new Set([...lineItems, ...refundedItems].map(i => i.sku).filter(Boolean))];
+    const costHistories = await getCostHistories(shopDomain, variantIds, skus);
+    const cogsMap = resolveCogsMap(costHistories, targetDate);
+
+    const { totalCogs, cogsMatchedItems, cogsMissingItems } = calculateItemCogs(lineItems, cogsMap);
+    const {
+        grossRefunds,
+        refundedTaxes,
+        refundedShipping,
+        refundedCogs,
+    } = summarizeRefunds(refunds, orderDate => resolveCogsMap(costHistories, orderDate));
+
+    // 4. Get ad spend
+    const adSpendSnapshot = await db
+        .collection('adSpend')
+        .doc(shopDomain)
+        .collection('daily')
+        .where('date', '==', targetDate)
+        .get();
+
+    const adSpendByPlatform = {};
+    let totalAdSpend = 0;
+
+    for (const doc of adSpendSnapshot.docs) {
+        const data = doc.data();
+        adSpendByPlatform[data.platform] = data.spend;
+        totalAdSpend += data.spend || 0;
+    }
+
+    // 5. Calculate gateway fees
+    const {
+        totalFees,
+        breakdown: feeBreakdown,
+        unconfiguredOrders: unconfiguredFeeOrders,
+    } = calculateTotalFees(orders, shopData.gatewayFeeRates);
+
+    // 6. Calculate variable costs
+    const variableCostContext = await getVariableCostContext(
+        shopDomain,
+        lineItems.map(i => i.variantId)
+    );
+    const {
+        totalVariableCosts,
+        breakdown: variableCostBreakdown,
+    } = calculateVariableCosts(orders, variableCostContext);
+
+    // 7. Get daily fixed costs
+    const dailyFixedCosts = await getDailyFixedCost(shopDomain, targetDate);
+
+    // 8. Calculate profit using the shop's revenue definition
+    const revenueDefinition = getRevenueDefinition(shopData);
+    const revenueComponents = {
+        grossSales: orderMetrics.grossSales,
+        discounts: orderMetrics.totalDiscounts,
+        taxes: orderMetrics.totalTax,
+        includedTaxes: orderMetrics.includedTax,
+        shipping: orderMetrics.totalShipping,
+        tips: orderMetrics.totalTips,
+        grossRefunds: grossRefunds.toFixed(2),
+        refundedTaxes: refundedTaxes.toFixed(2),
+        refundedShipping: refundedShipping.toFixed(2),
+    };
+    const revenue = resolveRevenue(revenueComponents, revenueDefinition);
+    const totalRefunds = resolveRefunds(revenueComponents, revenueDefinition);
+    const netRevenue = revenue - totalRefunds;
+    const grossProfit = netRevenue - (totalCogs - refundedCogs);
+    const netProfit = grossProfit - totalAdSpend - totalFees - totalVariableCosts - dailyFixedCosts;
+    const profitMargin = netRevenue > 0 ? (netProfit / netRevenue) * 100 : 0;
+    const grossMargin = netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0;
+
+    // 9. Prepare result
+    const result = {
+        date: targetDate,
+        timezone,
+        currency: shopData.currency || 'USD',
+
+        // Revenue
+        revenue: revenue.toFixed(2),
+        revenueDefinition,
+        ...revenueComponents,
+        orderCount: orders.length,
+        itemsSold: orderMetrics.itemsSold,
+        averageOrderValue: orderMetrics.averageOrderValue,
+        refunds: totalRefunds.toFixed(2),
+        refundCount: refunds.length,
+        netRevenue: netRevenue.toFixed(2),
+
+        // Costs
+        cogs: totalCogs.toFixed(2),
+        refundedCogs: refundedCogs.toFixed(2),
+        cogsMatchRate: lineItems.length > 0
+            ? ((cogsMatchedItems / lineItems.length) * 100).toFixed(1)
+            : '100',
+        lineItemCount: lineItems.length,
+        cogsMatchedItems,
+        adSpend: totalAdSpend.toFixed(2),
+        adSpendByPlatform,
+        fees: totalFees.toFixed(2),
+        feeBreakdown,
+        unconfiguredFeeOrders,
+        variableCosts: totalVariableCosts.toFixed(2),
+        variableCostBreakdown,
+        fixedCosts: dailyFixedCosts.toFixed(2),
+
+        // Profit
+        grossProfit: grossProfit.toFixed(2),
+        grossMargin: grossMargin.toFixed(1),
+        netProfit: netProfit.toFixed(2),
+        profitMargin: profitMargin.toFixed(1),
+
+        // Status
+        isProfitable: netProfit >= 0,
+        alerts: generateAlerts({
+            cogsMissingItems,
+            cogsMatchedItems,
+            lineItems: lineItems.length,
+            profitMargin,
+            adSpend: totalAdSpend,
+            revenue: netRevenue,
+            unconfiguredFeeOrders,
+        }),
+    };
+
+    // 10. Cache the result in dailyMetrics
+    await db
+        .collection('dailyMetrics')
+        .doc(shopDomain)
+        .collection('days')
+        .doc(targetDate)
+        .set({
+            ...result,
+            // Lets cost changes find the days they affect
+            variantIds: variantIds.map(String),
+            stale: false,
+            ...(options.finalized ? { finalized: true } : {}),
+            calculatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+
+    return result;
+};
+
+/**
+ * Calculate COGS of sold line items
+ * @param {Array} lineItems - Line items from extractLineItems
+ * @param {Object} cogsMap - From resolveCogsMap (variant and SKU keys)
+ * @returns {Object} - { totalCogs, cogsMatchedItems, cogsMissingItems }
+ */
+const calculateItemCogs = (lineItems, cogsMap) => {
+    let totalCogs = 0;
+    let cogsMatchedItems = 0;
+    let cogsMissingItems = 0;
+
+    for (const item of lineItems) {
+        const itemCogs = getUnitCost(cogsMap, item);
+        if (itemCogs > 0) {
+            totalCogs += itemCogs * item.quantity;
+            cogsMatchedItems++;
+        } else {
+            cogsMissingItems++;
+        }
+    }
+
+    return { totalCogs, cogsMatchedItems, cogsMissingItems };
+};
+
+/**
+ * Sum refunded money and reversed COGS
+ * Restocked units return to inventory, so their COGS is reversed;
+ * units refunded without restock keep their cost. The reversal uses the
+ * cost valid when the order was placed, which is what the sale booked.
+ * @param {Array} refunds - Refunds from extractRefunds
+ * @param {Function} cogsMapForDate - (orderDate) => { variantId: unit cost }
+ * @returns {Object} - { grossRefunds, refundedTaxes, refundedShipping, refundedCogs }
+ */
+const summarizeRefunds = (refunds, cogsMapForDate) => {
+    let grossRefunds = 0;
+    let refundedTaxes = 0;
+    let refundedShipping = 0;
+    let refundedCogs = 0;
+
+    for (const refund of refunds) {
+        grossRefunds += refund.amount;
+        refundedTaxes += refund.tax;
+        refundedShipping += refund.shipping;
+
+        const cogsMap = cogsMapForDate(refund.orderDate);
+        for (const item of refund.lineItems) {
+            if (item.restocked) {
+                refundedCogs += getUnitCost(cogsMap, item) * item.quantity;
+            }
+        }
+    }
+
+    return { grossRefunds, refundedTaxes, refundedShipping, refundedCogs };
+};
+
 /**
  * Calculate profit for a date range
  */
@@ -182,14 +334,22 @@ const calculateProfitRange = functions.https.onCall(async (data, context) => {
             .orderBy('date', 'asc')
             .get();
 
-        const days = snapshot.docs.map(doc => doc.data());
+        // Restate cached days under the shop's current revenue definition
+        const revenueDefinition = await getShopRevenueDefinition(shopDomain);
+        const days = snapshot.docs.map(doc => applyRevenueDefinition(doc.data(), revenueDefinition));
 
         // Calculate aggregates
         const totals = {
             revenue: 0,
+            refunds: 0,
+            netRevenue: 0,
             cogs: 0,
+            refundedCogs: 0,
+            taxes: 0,
+            shipping: 0,
             adSpend: 0,
             fees: 0,
+            variableCosts: 0,
             fixedCosts: 0,
             netProfit: 0,
             orderCount: 0,
@@ -197,28 +357,41 @@ const calculateProfitRange = functions.https.onCall(async (data, context) => {
 
         for (const day of days) {
             totals.revenue += parseFloat(day.revenue) || 0;
+            totals.refunds += parseFloat(day.refunds) || 0;
+            totals.netRevenue += getNetRevenue(day);
             totals.cogs += parseFloat(day.cogs) || 0;
+            totals.refundedCogs += parseFloat(day.refundedCogs) || 0;
+            totals.taxes += parseFloat(day.taxes) || 0;
+            totals.shipping += parseFloat(day.shipping) || 0;
             totals.adSpend += parseFloat(day.adSpend) || 0;
             totals.fees += parseFloat(day.fees) || 0;
+            totals.variableCosts += parseFloat(day.variableCosts) || 0;
             totals.fixedCosts += parseFloat(day.fixedCosts) || 0;
             totals.netProfit += parseFloat(day.netProfit) || 0;
             totals.orderCount += day.orderCount || 0;
         }
 
-        const profitMargin = totals.revenue > 0
-            ? (totals.netProfit / totals.revenue) * 100
+        const profitMargin = totals.netRevenue > 0
+            ? (totals.netProfit / totals.netRevenue) * 100
             : 0;
 
         return {
             startDate,
             endDate,
+            revenueDefinition,
             daysCount: days.length,
             days,
             totals: {
                 revenue: totals.revenue.toFixed(2),
+                refunds: totals.refunds.toFixed(2),
+                netRevenue: totals.netRevenue.toFixed(2),
                 cogs: totals.cogs.toFixed(2),
+                refundedCogs: totals.refundedCogs.toFixed(2),
+                taxes: totals.taxes.toFixed(2),
+                shipping: totals.shipping.toFixed(2),
                 adSpend: totals.adSpend.toFixed(2),
                 fees: totals.fees.toFixed(2),
+                variableCosts: totals.variableCosts.toFixed(2),
                 fixedCosts: totals.fixedCosts.toFixed(2),
                 netProfit: totals.netProfit.toFixed(2),
                 profitMargin: profitMargin.toFixed(1),
@@ -234,9 +407,11 @@ const calculateProfitRange = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Generate alerts based on metrics
+ * Generate alerts based on metrics (internal use)
+ * @param {Object} metrics - Day metrics (numbers)
+ * @returns {Array} - Alerts
  */
-function generateAlerts(metrics) {
+const generateAlerts = (metrics) => {
     const alerts = [];
 
     // COGS coverage alert
@@ -251,6 +426,15 @@ function generateAlerts(metrics) {
         }
     }
 
+    // Gateway rate alert
+    if (metrics.unconfiguredFeeOrders > 0) {
+        alerts.push({
+            type: 'warning',
+            message: `${metrics.unconfiguredFeeOrders} orders used a gateway without a configured fee rate`,
+            action: 'Add your negotiated gateway rates in settings',
+        });
+    }
+
     // Negative profit alert
     if (metrics.profitMargin < 0) {
         alerts.push({
@@ -282,7 +466,7 @@ function generateAlerts(metrics) {
     }
 
     return alerts;
-}
+};
 
 /**
  * Get dashboard summary (today + this week + this month)
@@ -295,13 +479,21 @@ const getDashboardSummary = functions.https.onCall(async (data, context) => {
     const shopDomain = context.auth.token.shop;
 
     try {
-        const today = new Date().toISOString().split('T')[0];
+        const shopDoc = await db.collection('shops').doc(shopDomain).get();
+        const shopData = shopDoc.data() || {};
+        const timezone = getShopTimezone(shopData);
+        const today = getTodayInTimezone(timezone);
+        const revenueDefinition = getRevenueDefinition(shopData);
+        const restate = (docs) => docs.map(d => applyRevenueDefinition(d.data(), revenueDefinition));
 
         // Get today's metrics (calculate fresh)
-        const todayResult = await calculateProfitInternal(shopDomain, today);
+        const todayResult = applyRevenueDefinition(
+            await calculateProfitInternal(shopDomain, today),
+            revenueDefinition
+        );
 
         // Get week dates
-        const weekStart = getWeekStart(new Date());
+        const weekStart = getWeekStart(today);
         const weekSnapshot = await db
             .collection('dailyMetrics')
             .doc(shopDomain)
@@ -310,10 +502,10 @@ const getDashboardSummary = functions.https.onCall(async (data, context) => {
             .where('date', '<=', today)
             .get();
 
-        const weekData = aggregateDays(weekSnapshot.docs.map(d => d.data()));
+        const weekData = aggregateDays(restate(weekSnapshot.docs));
 
         // Get month dates
-        const monthStart = getMonthStart(new Date());
+        const monthStart = getMonthStart(today);
         const monthSnapshot = await db
             .collection('dailyMetrics')
             .doc(shopDomain)
@@ -322,12 +514,18 @@ const getDashboardSummary = functions.https.onCall(async (data, context) => {
             .where('date', '<=', today)
             .get();
 
-        const monthData = aggregateDays(monthSnapshot.docs.map(d => d.data()));
+        const monthData = aggregateDays(restate(monthSnapshot.docs));
+
+        // Cached days may still be catching up with a cost change
+        const recalcJob = await db.collection('recalcJobs').doc(shopDomain).get();
 
         return {
+            date: today,
+            timezone,
             today: todayResult,
             thisWeek: weekData,
             thisMonth: monthData,
+            recalculating: recalcJob.exists && recalcJob.data().status === 'running',
         };
 
     } catch (error) {
@@ -368,9 +566,15 @@ async function calculateProfitInternal(shopDomain, date) {
 function aggregateDays(days) {
     const totals = {
         revenue: 0,
+        refunds: 0,
+        netRevenue: 0,
         cogs: 0,
+        refundedCogs: 0,
+        taxes: 0,
+        shipping: 0,
         adSpend: 0,
         fees: 0,
+        variableCosts: 0,
         fixedCosts: 0,
         netProfit: 0,
         orderCount: 0,
@@ -378,24 +582,36 @@ function aggregateDays(days) {
 
     for (const day of days) {
         totals.revenue += parseFloat(day.revenue) || 0;
+        totals.refunds += parseFloat(day.refunds) || 0;
+        totals.netRevenue += getNetRevenue(day);
         totals.cogs += parseFloat(day.cogs) || 0;
+        totals.refundedCogs += parseFloat(day.refundedCogs) || 0;
+        totals.taxes += parseFloat(day.taxes) || 0;
+        totals.shipping += parseFloat(day.shipping) || 0;
         totals.adSpend += parseFloat(day.adSpend) || 0;
         totals.fees += parseFloat(day.fees) || 0;
+        totals.variableCosts += parseFloat(day.variableCosts) || 0;
         totals.fixedCosts += parseFloat(day.fixedCosts) || 0;
         totals.netProfit += parseFloat(day.netProfit) || 0;
         totals.orderCount += day.orderCount || 0;
     }
 
-    const profitMargin = totals.revenue > 0
-        ? (totals.netProfit / totals.revenue) * 100
+    const profitMargin = totals.netRevenue > 0
+        ? (totals.netProfit / totals.netRevenue) * 100
         : 0;
 
     return {
         daysCount: days.length,
         revenue: totals.revenue.toFixed(2),
+        refunds: totals.refunds.toFixed(2),
+        netRevenue: totals.netRevenue.toFixed(2),
         cogs: totals.cogs.toFixed(2),
+        refundedCogs: totals.refundedCogs.toFixed(2),
+        taxes: totals.taxes.toFixed(2),
+        shipping: totals.shipping.toFixed(2),
         adSpend: totals.adSpend.toFixed(2),
         fees: totals.fees.toFixed(2),
+        variableCosts: totals.variableCosts.toFixed(2),
         fixedCosts: totals.fixedCosts.toFixed(2),
         netProfit: totals.netProfit.toFixed(2),
         profitMargin: profitMargin.toFixed(1),
@@ -405,23 +621,21 @@ function aggregateDays(days) {
 }
 
 /**
- * Date helpers
+ * Net revenue of a cached day
+ * Days cached before refunds were tracked have no netRevenue field
  */
-function getWeekStart(date) {
-    const d = new Date(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-    d.setDate(diff);
-    return d.toISOString().split('T')[0];
-}
-
-function getMonthStart(date) {
-    const d = new Date(date);
-    d.setDate(1);
-    return d.toISOString().split('T')[0];
+function getNetRevenue(day) {
+    if (day.netRevenue !== undefined) {
+        return parseFloat(day.netRevenue) || 0;
+    }
+    return (parseFloat(day.revenue) || 0) - (parseFloat(day.refunds) || 0);
 }
 
 module.exports = {
+    calculateDailyProfit,
+    calculateItemCogs,
+    summarizeRefunds,
+    generateAlerts,
     calculateProfit,
     calculateProfitRange,
     getDashboardSummary,
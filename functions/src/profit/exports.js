@@ -5,6 +5,8 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { getShopRevenueDefinition, applyRevenueDefinition } = require('./revenue');
+const { buildProductReport, validateReportParams } = require('./productProfits');
 
 // Initialize Firestore if not already initialized
 if (!admin.apps.length) {
@@ -33,7 +35,8 @@ const exportProfitReport = functions.https.onCall(async (data, context) => {
             .orderBy('date', 'asc')
             .get();
 
-        const days = snapshot.docs.map(doc => doc.data());
+        const revenueDefinition = await getShopRevenueDefinition(shopDomain);
+        const days = snapshot.docs.map(doc => applyRevenueDefinition(doc.data(), revenueDefinition));
 
         if (format === 'csv') {
             const csv = generateCsv(days);
@@ -65,10 +68,16 @@ function generateCsv(days) {
     const headers = [
         'Date',
         'Revenue',
+        'Refunds',
+        'Net Revenue',
         'COGS',
+        'Refunded COGS',
+        'Taxes',
+        'Shipping',
         'Gross Profit',
         'Ad Spend',
         'Gateway Fees',
+        'Variable Costs',
         'Fixed Costs',
         'Net Profit',
         'Profit Margin %',
@@ -78,10 +87,16 @@ function generateCsv(days) {
     const rows = days.map(day => [
         day.date,
         day.revenue,
+        day.refunds || '0.00',
+        day.netRevenue || day.revenue,
         day.cogs,
+        day.refundedCogs || '0.00',
+        day.taxes || '0.00',
+        day.shipping || '0.00',
         day.grossProfit,
         day.adSpend,
         day.fees,
+        day.variableCosts || '0.00',
         day.fixedCosts,
         day.netProfit,
         day.profitMargin,
@@ -93,10 +108,16 @@ function generateCsv(days) {
     rows.push([
         'TOTAL',
         totals.revenue,
+        totals.refunds,
+        totals.netRevenue,
         totals.cogs,
+        totals.refundedCogs,
+        totals.taxes,
+        totals.shipping,
         totals.grossProfit,
         totals.adSpend,
         totals.fees,
+        totals.variableCosts,
         totals.fixedCosts,
         totals.netProfit,
         totals.profitMargin,
@@ -118,10 +139,16 @@ function generateCsv(days) {
 function calculateTotals(days) {
     const totals = {
         revenue: 0,
+        refunds: 0,
+        netRevenue: 0,
         cogs: 0,
+        refundedCogs: 0,
+        taxes: 0,
+        shipping: 0,
         grossProfit: 0,
         adSpend: 0,
         fees: 0,
+        variableCosts: 0,
         fixedCosts: 0,
         netProfit: 0,
         orderCount: 0,
@@ -129,25 +156,37 @@ function calculateTotals(days) {
 
     for (const day of days) {
         totals.revenue += parseFloat(day.revenue) || 0;
+        totals.refunds += parseFloat(day.refunds) || 0;
+        totals.netRevenue += parseFloat(day.netRevenue || day.revenue) || 0;
         totals.cogs += parseFloat(day.cogs) || 0;
+        totals.refundedCogs += parseFloat(day.refundedCogs) || 0;
+        totals.taxes += parseFloat(day.taxes) || 0;
+        totals.shipping += parseFloat(day.shipping) || 0;
         totals.grossProfit += parseFloat(day.grossProfit) || 0;
         totals.adSpend += parseFloat(day.adSpend) || 0;
         totals.fees += parseFloat(day.fees) || 0;
+        totals.variableCosts += parseFloat(day.variableCosts) || 0;
         totals.fixedCosts += parseFloat(day.fixedCosts) || 0;
         totals.netProfit += parseFloat(day.netProfit) || 0;
         totals.orderCount += day.orderCount || 0;
     }
 
-    const profitMargin = totals.revenue > 0
-        ? (totals.netProfit / totals.revenue) * 100
+    const profitMargin = totals.netRevenue > 0
+        ? (totals.netProfit / totals.netRevenue) * 100
         : 0;
 
     return {
         revenue: totals.revenue.toFixed(2),
+        refunds: totals.refunds.toFixed(2),
+        netRevenue: totals.netRevenue.toFixed(2),
         cogs: totals.cogs.toFixed(2),
+        refundedCogs: totals.refundedCogs.toFixed(2),
+        taxes: totals.taxes.toFixed(2),
+        shipping: totals.shipping.toFixed(2),
         grossProfit: totals.grossProfit.toFixed(2),
         adSpend: totals.adSpend.toFixed(2),
         fees: totals.fees.toFixed(2),
+        variableCosts: totals.variableCosts.toFixed(2),
         fixedCosts: totals.fixedCosts.toFixed(2),
         netProfit: totals.netProfit.toFixed(2),
         profitMargin: profitMargin.toFixed(1),
@@ -167,6 +206,19 @@ function escapeCSV(value) {
     return str;
 }
 
+/**
+ * Distinct cost component names, in first-seen order
+ */
+function getComponentNames(componentLists) {
+    const names = new Set();
+    for (const components of componentLists) {
+        for (const component of components || []) {
+            names.add(component.name);
+        }
+    }
+    return [...names];
+}
+
 /**
  * Export COGS as CSV
  */
@@ -187,13 +239,35 @@ const exportCogs = functions.https.onCall(async (data, context) => {
 
         const products = snapshot.docs.map(doc => doc.data());
 
-        const headers = ['SKU', 'Variant ID', 'Product Title', 'COGS'];
-        const rows = products.map(p => [
-            p.sku || '',
-            p.variantId || '',
-            p.productTitle || '',
-            p.cogs || 0,
-        ]);
+        // One column per cost component name, in shop currency
+        const componentNames = getComponentNames(products.map(p => p.components));
+
+        const headers = [
+            'SKU',
+            'Variant ID',
+            'Product Title',
+            'COGS',
+            'Source',
+            ...componentNames,
+            'Exchange Rates',
+        ];
+        const rows = products.map(p => {
+            const components = p.components || [];
+            const byName = Object.fromEntries(components.map(c => [c.name, c.cost]));
+
+            return [
+                p.sku || '',
+                p.variantId || '',
+                p.productTitle || '',
+                p.cogs || 0,
+                p.source || 'manual',
+                ...componentNames.map(name => byName[name] ?? ''),
+                components
+                    .filter(c => c.currency)
+                    .map(c => `${c.name}: ${c.amount} ${c.currency} x ${c.exchangeRate}`)
+                    .join('; '),
+            ];
+        });
 
         const csvRows = [headers.join(',')];
         for (const row of rows) {
@@ -214,7 +288,82 @@ const exportCogs = functions.https.onCall(async (data, context) => {
     }
 });
 
+/**
+ * Export product profitability report as CSV
+ */
+const exportProductReport = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { startDate, endDate, groupBy = 'variant' } = data;
+
+    validateReportParams({ startDate, endDate, groupBy });
+
+    try {
+        const { rows } = await buildProductReport(shopDomain, startDate, endDate, groupBy);
+        const breakdownNames = [...new Set(rows.flatMap(row => Object.keys(row.cogsBreakdown)))];
+
+        const headers = [
+            groupBy === 'product' ? 'Product ID' : 'Variant ID',
+            'SKU',
+            'Title',
+            'Orders',
+            'Units Sold',
+            'Refunded Units',
+            'Refund Rate %',
+            'Revenue',
+            'Refunds',
+            'Net Revenue',
+            'COGS',
+            ...breakdownNames.map(name => `COGS - ${name}`),
+            'Gross Profit',
+            'Gross Margin %',
+            'Gateway Fees',
+            'Variable Costs',
+            'Profit After Fees',
+        ];
+        const csvRows = [headers.join(',')];
+
+        for (const row of rows) {
+            csvRows.push([
+                groupBy === 'product' ? row.productId : row.variantId,
+                row.sku,
+                row.title,
+                row.orderCount,
+                row.unitsSold,
+                row.refundedUnits,
+                row.refundRate,
+                row.revenue,
+                row.refunds,
+                row.netRevenue,
+                row.cogs,
+                ...breakdownNames.map(name => row.cogsBreakdown[name] ?? ''),
+                row.grossProfit,
+                row.grossMargin,
+                row.fees,
+                row.variableCosts,
+                row.profit,
+            ].map(escapeCSV).join(','));
+        }
+
+        return {
+            success: true,
+            format: 'csv',
+            content: csvRows.join('\n'),
+            filename: `product-report-${groupBy}-${startDate}-to-${endDate}.csv`,
+            count: rows.length,
+        };
+
+    } catch (error) {
+        console.error('Export product report error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
 module.exports = {
     exportProfitReport,
     exportCogs,
+    exportProductReport,
 };
@@ -0,0 +1,347 @@
+/**
+ * Incremental Profit Updates
+ * Applies a single order change to cached dailyMetrics days
+ */
+
+const admin = require('firebase-admin');
+const {
+    filterOrdersForDate,
+    extractLineItems,
+    extractRefunds,
+    calculateOrderMetrics,
+} = require('../shopify/orders');
+const { normalizeOrder, carryOverInstallments } = require('../shopify/ledger');
+const { getCostHistories, resolveCogsMap } = require('../cogs/manual');
+const { calculateTotalFees } = require('../costs/gatewayFees');
+const { getVariableCostContext, calculateVariableCosts } = require('../costs/variableCosts');
+const { getRevenueDefinition, applyRevenueDefinition } = require('./revenue');
+const {
+    calculateDailyProfit,
+    calculateItemCogs,
+    summarizeRefunds,
+    generateAlerts,
+} = require('./calculator');
+const { getShopTimezone } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Additive day fields an order contributes to
+const SUMMED_FIELDS = [
+    'grossSales',
+    'discounts',
+    'taxes',
+    'includedTaxes',
+    'shipping',
+    'tips',
+    'grossRefunds',
+    'refundedTaxes',
+    'refundedShipping',
+    'orderCount',
+    'itemsSold',
+    'refundCount',
+    'cogs',
+    'refundedCogs',
+    'fees',
+    'variableCosts',
+];
+
+// Day fields that are moved by a delta but may be missing on older days
+const COUNTED_FIELDS = ['orderTotal', 'unconfiguredFeeOrders', 'lineItemCount', 'cogsMatchedItems'];
+
+// Fields stored as whole numbers; every other moved field is money
+const INTEGER_FIELDS = [
+    'orderCount',
+    'itemsSold',
+    'refundCount',
+    'unconfiguredFeeOrders',
+    'lineItemCount',
+    'cogsMatchedItems',
+];
+
+/**
+ * Apply a new version of an order to the ledger and the cached days
+ * The day totals move by the difference between the order's previous
+ * ledger version and this one, so repeated deliveries are harmless.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Shop document data
+ * @param {Object} order - Shopify order
+ * @returns {Array} - Dates whose metrics changed
+ */
+const applyOrderUpdate = async (shopDomain, shopData, order) => {
+    const timezone = getShopTimezone(shopData);
+    const ledgerRef = db
+        .collection('orderLedger')
+        .doc(shopDomain)
+        .collection('orders')
+        .doc(order.id.toString());
+
+    // Swap the ledger version atomically so concurrent deliveries of the
+    // same order each see the version the other wrote
+    const swap = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ledgerRef);
+        const stored = doc.exists ? doc.data() : null;
+
+        // Deliveries may arrive out of order; never go back to an older version
+        if (stored && new Date(stored.updated_at) > new Date(order.updated_at)) {
+            return { outdated: true };
+        }
+
+        const current = normalizeOrder(carryOverInstallments(order, stored, shopData.gatewayFeeRates), timezone);
+        transaction.set(ledgerRef, {
+            ...current,
+            syncedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return { order: stored, current };
+    });
+
+    if (swap.outdated) {
+        return [];
+    }
+    const previous = swap.order;
+    const current = swap.current;
+
+    const variantIds = [...new Set([current, previous].filter(Boolean).flatMap(getVariantIds))];
+    const skus = [...new Set([current, previous].filter(Boolean).flatMap(getSkus))];
+    const costHistories = await getCostHistories(shopDomain, variantIds, skus);
+    const variableCostContext = await getVariableCostContext(shopDomain, variantIds);
+
+    const costs = { costHistories, variableCostContext, feeRates: shopData.gatewayFeeRates };
+    const before = previous ? getOrderContributions(previous, timezone, costs) : {};
+    const after = getOrderContributions(current, timezone, costs);
+
+    const changedDates = [];
+    for (const date of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const delta = subtractContributions(after[date], before[date]);
+        if (!delta) continue;
+
+        await applyDayDelta(shopDomain, shopData, date, delta, variantIds);
+        changedDates.push(date);
+    }
+
+    return changedDates;
+};
+
+/**
+ * Contribution of one order to each day it affects
+ * The sale counts on the order date, each refund on its own date
+ * @returns {Object} - { date: contribution }
+ */
+function getOrderContributions(order, timezone, { costHistories, variableCostContext, feeRates }) {
+    const contributions = {};
+    const cogsMap = resolveCogsMap(costHistories, order.localDate);
+
+    if (filterOrdersForDate([order], order.localDate, timezone).length > 0) {
+        const metrics = calculateOrderMetrics([order]);
+        const lineItems = extractLineItems([order]);
+        const { totalCogs, cogsMatchedItems } = calculateItemCogs(lineItems, cogsMap);
+        const { totalFees, breakdown, unconfiguredOrders } = calculateTotalFees([order], feeRates);
+        const variableCosts = calculateVariableCosts([order], variableCostContext);
+
+        contributions[order.localDate] = {
+            ...emptyContribution(),
+            grossSales: parseFloat(metrics.grossSales),
+            discounts: parseFloat(metrics.totalDiscounts),
+            taxes: parseFloat(metrics.totalTax),
+            includedTaxes: parseFloat(metrics.includedTax),
+            shipping: parseFloat(metrics.totalShipping),
+            tips: parseFloat(metrics.totalTips),
+            orderCount: 1,
+            itemsSold: metrics.itemsSold,
+            orderTotal: parseFloat(metrics.totalRevenue),
+            lineItemCount: lineItems.length,
+            cogsMatchedItems,
+            cogs: totalCogs,
+            fees: totalFees,
+            feeBreakdown: breakdown,
+            unconfiguredFeeOrders: unconfiguredOrders,
+            variableCosts: variableCosts.totalVariableCosts,
+            variableCostBreakdown: variableCosts.breakdown,
+        };
+    }
+
+    for (const date of order.refundDates) {
+        const refunds = extractRefunds([order], date, timezone);
+        const summary = summarizeRefunds(refunds, () => cogsMap);
+        const contribution = contributions[date] || emptyContribution();
+
+        contributions[date] = {
+            ...contribution,
+            ...summary,
+            refundCount: refunds.length,
+        };
+    }
+
+    return contributions;
+}
+
+function emptyContribution() {
+    const contribution = { feeBreakdown: {}, variableCostBreakdown: {} };
+    for (const field of [...SUMMED_FIELDS, ...COUNTED_FIELDS]) {
+        contribution[field] = 0;
+    }
+    return contribution;
+}
+
+/**
+ * Difference between two contributions, or null when nothing changed
+ */
+function subtractContributions(after = emptyContribution(), before = emptyContribution()) {
+    const delta = { feeBreakdown: {}, variableCostBreakdown: {} };
+    let changed = false;
+
+    for (const field of [...SUMMED_FIELDS, ...COUNTED_FIELDS]) {
+        delta[field] = (after[field] || 0) - (before[field] || 0);
+        if (Math.abs(delta[field]) >= 0.005) changed = true;
+    }
+
+    for (const gateway of new Set([
+        ...Object.keys(after.feeBreakdown),
+        ...Object.keys(before.feeBreakdown),
+    ])) {
+        const a = after.feeBreakdown[gateway] || { count: 0, orderTotal: 0, fees: 0 };
+        const b = before.feeBreakdown[gateway] || { count: 0, orderTotal: 0, fees: 0 };
+        delta.feeBreakdown[gateway] = {
+            configured: after.feeBreakdown[gateway]?.configured ?? b.configured,
+            count: a.count - b.count,
+            orderTotal: a.orderTotal - b.orderTotal,
+            fees: a.fees - b.fees,
+        };
+    }
+
+    for (const ruleId of new Set([
+        ...Object.keys(after.variableCostBreakdown),
+        ...Object.keys(before.variableCostBreakdown),
+    ])) {
+        const empty = { count: 0, base: 0, amount: 0 };
+        const a = after.variableCostBreakdown[ruleId] || empty;
+        const b = before.variableCostBreakdown[ruleId] || empty;
+        delta.variableCostBreakdown[ruleId] = {
+            name: a.name || b.name,
+            type: a.type || b.type,
+            count: a.count - b.count,
+            base: a.base - b.base,
+            amount: a.amount - b.amount,
+        };
+    }
+
+    return changed ? delta : null;
+}
+
+/**
+ * Move a cached day by a contribution delta
+ * Days that are not cached yet (or predate revenue components or COGS
+ * coverage counts) are calculated in full from the ledger instead.
+ */
+async function applyDayDelta(shopDomain, shopData, date, delta, variantIds) {
+    const dayRef = db
+        .collection('dailyMetrics')
+        .doc(shopDomain)
+        .collection('days')
+        .doc(date);
+    const revenueDefinition = getRevenueDefinition(shopData);
+
+    const applied = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(dayRef);
+        if (!doc.exists || doc.data().grossSales === undefined || doc.data().lineItemCount === undefined) {
+            return false;
+        }
+
+        const day = doc.data();
+        const updated = { ...day };
+
+        for (const field of SUMMED_FIELDS) {
+            const value = (parseFloat(day[field]) || 0) + delta[field];
+            updated[field] = INTEGER_FIELDS.includes(field) ? Math.round(value) : value.toFixed(2);
+        }
+
+        for (const field of COUNTED_FIELDS.filter(field => INTEGER_FIELDS.includes(field))) {
+            updated[field] = Math.max(Math.round((day[field] || 0) + delta[field]), 0);
+        }
+
+        const feeBreakdown = { ...(day.feeBreakdown || {}) };
+        for (const [gateway, change] of Object.entries(delta.feeBreakdown)) {
+            const entry = feeBreakdown[gateway] || { count: 0, orderTotal: 0, fees: 0 };
+            feeBreakdown[gateway] = {
+                configured: change.configured ?? entry.configured,
+                count: entry.count + change.count,
+                orderTotal: parseFloat((entry.orderTotal + change.orderTotal).toFixed(2)),
+                fees: parseFloat((entry.fees + change.fees).toFixed(2)),
+            };
+        }
+        updated.feeBreakdown = feeBreakdown;
+
+        const variableCostBreakdown = { ...(day.variableCostBreakdown || {}) };
+        for (const [ruleId, change] of Object.entries(delta.variableCostBreakdown)) {
+            const entry = variableCostBreakdown[ruleId] || { count: 0, base: 0, amount: 0 };
+            variableCostBreakdown[ruleId] = {
+                name: change.name,
+                type: change.type,
+                count: entry.count + change.count,
+                base: parseFloat((entry.base + change.base).toFixed(2)),
+                amount: parseFloat((entry.amount + change.amount).toFixed(2)),
+            };
+        }
+        updated.variableCostBreakdown = variableCostBreakdown;
+        updated.variantIds = [...new Set([...(day.variantIds || []), ...variantIds])];
+
+        const previousOrderTotal = (parseFloat(day.averageOrderValue) || 0) * (day.orderCount || 0);
+        updated.averageOrderValue = updated.orderCount > 0
+            ? ((previousOrderTotal + delta.orderTotal) / updated.orderCount).toFixed(2)
+            : '0.00';
+
+        // Costs move profit directly; revenue is restated below
+        const costDelta = (delta.cogs - delta.refundedCogs) + delta.fees + delta.variableCosts;
+        updated.grossProfit = ((parseFloat(day.grossProfit) || 0) - (delta.cogs - delta.refundedCogs)).toFixed(2);
+        updated.netProfit = ((parseFloat(day.netProfit) || 0) - costDelta).toFixed(2);
+
+        const restated = applyRevenueDefinition(updated, revenueDefinition);
+        restated.cogsMatchRate = restated.lineItemCount > 0
+            ? ((restated.cogsMatchedItems / restated.lineItemCount) * 100).toFixed(1)
+            : '100';
+        restated.alerts = generateAlerts({
+            cogsMissingItems: restated.lineItemCount - restated.cogsMatchedItems,
+            cogsMatchedItems: restated.cogsMatchedItems,
+            lineItems: restated.lineItemCount,
+            profitMargin: parseFloat(restated.profitMargin),
+            adSpend: parseFloat(restated.adSpend) || 0,
+            revenue: parseFloat(restated.netRevenue),
+            unconfiguredFeeOrders: restated.unconfiguredFeeOrders,
+        });
+
+        transaction.set(dayRef, {
+            ...restated,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return true;
+    });
+
+    if (!applied) {
+        await calculateDailyProfit(shopDomain, shopData, date);
+    }
+}
+
+/**
+ * Variant IDs sold or refunded in a ledger order
+ */
+function getVariantIds(order) {
+    const sold = order.line_items.map(item => item.variant_id);
+    const refunded = order.refunds.flatMap(refund =>
+        refund.refund_line_items.map(item => item.line_item.variant_id)
+    );
+
+    return [...sold, ...refunded].filter(Boolean).map(String);
+}
+
+function getSkus(order) {
+    return order.line_items.map(item => item.sku).filter(Boolean);
+}
+
+module.exports = {
+    applyOrderUpdate,
+};
@@ -0,0 +1,241 @@
+/**
+ * Per-Order Profit
+ * Breaks profit down to individual orders to spot loss-making ones
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const {
+    filterOrdersForDate,
+    extractLineItems,
+    extractRefunds,
+    calculateOrderMetrics,
+} = require('../shopify/orders');
+const { getLedgerOrdersInRange } = require('../shopify/ledger');
+const { getCostHistories, resolveCogsMap } = require('../cogs/manual');
+const { calculateTotalFees } = require('../costs/gatewayFees');
+const { getVariableCostContext, calculateVariableCosts } = require('../costs/variableCosts');
+const {
+    getRevenueDefinition,
+    resolveRevenue,
+    resolveRefunds,
+} = require('./revenue');
+const { calculateItemCogs, summarizeRefunds } = require('./calculator');
+const { isValidDate } = require('../utils/validators');
+const { getShopTimezone, addDays } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Longest range served in one call
+const MAX_RANGE_DAYS = 93;
+
+const SORT_FIELDS = ['createdAt', 'revenue', 'cogs', 'fees', 'variableCosts', 'adSpend', 'netProfit', 'margin'];
+const FILTERS = ['all', 'unprofitable', 'missing_cogs', 'missing_fee_rate'];
+
+/**
+ * Get per-order profit for a date range
+ * Ad spend is allocated to orders by their share of the day's revenue.
+ * Variable costs apply per order; fixed costs are not allocated to orders.
+ */
+const getOrderProfits = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const {
+        startDate,
+        endDate,
+        sortBy = 'createdAt',
+        sortDirection = 'desc',
+        filter = 'all',
+        page = 1,
+        pageSize = 50,
+    } = data;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate) || startDate > endDate) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid date range');
+    }
+
+    if (addDays(startDate, MAX_RANGE_DAYS - 1) < endDate) {
+        throw new functions.https.HttpsError('invalid-argument', `Maximum range is ${MAX_RANGE_DAYS} days`);
+    }
+
+    if (!SORT_FIELDS.includes(sortBy) || !['asc', 'desc'].includes(sortDirection)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid sort');
+    }
+
+    if (!FILTERS.includes(filter)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid filter');
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(pageSize) || 50, 1), 250);
+
+    try {
+        const shopDoc = await db.collection('shops').doc(shopDomain).get();
+        const shopData = shopDoc.data() || {};
+        const timezone = getShopTimezone(shopData);
+        const revenueDefinition = getRevenueDefinition(shopData);
+
+        // Revenue orders created in the range, from the ledger
+        const orders = (await getLedgerOrdersInRange(shopDomain, startDate, endDate))
+            .filter(order => filterOrdersForDate([order], order.localDate, timezone).length > 0);
+
+        const lineItems = extractLineItems(orders);
+        const variantIds = [...new Set(lineItems.map(i => i.variantId).filter(Boolean))];
+        const skus = [...new Set(lineItems.map(i => i.sku).filter(Boolean))];
+        const costHistories = await getCostHistories(shopDomain, variantIds, skus);
+        const variableCostContext = await getVariableCostContext(shopDomain, variantIds);
+
+        const rows = orders.map(order => getOrderProfit(
+            order,
+            timezone,
+            resolveCogsMap(costHistories, order.localDate),
+            revenueDefinition,
+            shopData.gatewayFeeRates,
+            variableCostContext
+        ));
+
+        // Allocate each day's ad spend by revenue share
+        const adSpendByDate = await getAdSpendByDate(shopDomain, startDate, endDate);
+        const revenueByDate = {};
+        for (const row of rows) {
+            revenueByDate[row.date] = (revenueByDate[row.date] || 0) + Math.max(row.revenue, 0);
+        }
+        for (const row of rows) {
+            const dayRevenue = revenueByDate[row.date];
+            row.adSpend = dayRevenue > 0
+                ? (adSpendByDate[row.date] || 0) * (Math.max(row.revenue, 0) / dayRevenue)
+                : 0;
+            row.netProfit = row.grossProfit - row.fees - row.variableCosts - row.adSpend;
+            row.margin = row.netRevenue > 0 ? (row.netProfit / row.netRevenue) * 100 : 0;
+        }
+
+        const filtered = rows.filter(row => {
+            if (filter === 'unprofitable') return row.netProfit < 0;
+            if (filter === 'missing_cogs') return row.missingCogs;
+            if (filter === 'missing_fee_rate') return !row.feeConfigured;
+            return true;
+        });
+
+        const direction = sortDirection === 'asc' ? 1 : -1;
+        filtered.sort((a, b) => (a[sortBy] > b[sortBy] ? 1 : a[sortBy] < b[sortBy] ? -1 : 0) * direction);
+
+        const pageRows = filtered.slice((pageNumber - 1) * size, pageNumber * size);
+
+        return {
+            startDate,
+            endDate,
+            revenueDefinition,
+            total: filtered.length,
+            page: pageNumber,
+            pageSize: size,
+            hasNext: pageNumber * size < filtered.length,
+            summary: {
+                orders: rows.length,
+                unprofitable: rows.filter(row => row.netProfit < 0).length,
+                missingCogs: rows.filter(row => row.missingCogs).length,
+                unconfiguredFees: rows.filter(row => !row.feeConfigured).length,
+            },
+            orders: pageRows.map(formatRow),
+        };
+
+    } catch (error) {
+        console.error('Get order profits error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Profit of a single ledger order (before ad spend allocation)
+ * Refunds count against the order whatever date they were issued
+ * @param {Object} cogsMap - Unit costs valid on the order date
+ */
+function getOrderProfit(order, timezone, cogsMap, revenueDefinition, feeRates, variableCostContext) {
+    const metrics = calculateOrderMetrics([order]);
+    const lineItems = extractLineItems([order]);
+    const { totalCogs, cogsMissingItems } = calculateItemCogs(lineItems, cogsMap);
+    const { totalFees, unconfiguredOrders } = calculateTotalFees([order], feeRates);
+    const { totalVariableCosts } = calculateVariableCosts([order], variableCostContext);
+
+    const refunds = order.refundDates.flatMap(date => extractRefunds([order], date, timezone));
+    const refundSummary = summarizeRefunds(refunds, () => cogsMap);
+
+    const revenue = resolveRevenue({
+        grossSales: metrics.grossSales,
+        discounts: metrics.totalDiscounts,
+        taxes: metrics.totalTax,
+        includedTaxes: metrics.includedTax,
+        shipping: metrics.totalShipping,
+    }, revenueDefinition);
+    const refundAmount = resolveRefunds(refundSummary, revenueDefinition);
+    const netRevenue = revenue - refundAmount;
+    const cogs = totalCogs - refundSummary.refundedCogs;
+
+    return {
+        orderId: order.id,
+        name: order.name,
+        date: order.localDate,
+        createdAt: order.created_at,
+        financialStatus: order.financial_status,
+        gateway: order.gateway || order.payment_gateway_names?.[0] || 'unknown',
+        feeConfigured: unconfiguredOrders === 0,
+        installments: order.installments || null,
+        itemsSold: metrics.itemsSold,
+        revenue,
+        refunds: refundAmount,
+        netRevenue,
+        cogs,
+        missingCogs: cogsMissingItems > 0,
+        fees: totalFees,
+        variableCosts: totalVariableCosts,
+        grossProfit: netRevenue - cogs,
+    };
+}
+
+/**
+ * Total ad spend per date
+ */
+async function getAdSpendByDate(shopDomain, startDate, endDate) {
+    const snapshot = await db
+        .collection('adSpend')
+        .doc(shopDomain)
+        .collection('daily')
+        .where('date', '>=', startDate)
+        .where('date', '<=', endDate)
+        .get();
+
+    const byDate = {};
+    for (const doc of snapshot.docs) {
+        const { date, spend } = doc.data();
+        byDate[date] = (byDate[date] || 0) + (spend || 0);
+    }
+
+    return byDate;
+}
+
+function formatRow(row) {
+    return {
+        ...row,
+        revenue: row.revenue.toFixed(2),
+        refunds: row.refunds.toFixed(2),
+        netRevenue: row.netRevenue.toFixed(2),
+        cogs: row.cogs.toFixed(2),
+        fees: row.fees.toFixed(2),
+        variableCosts: row.variableCosts.toFixed(2),
+        adSpend: row.adSpend.toFixed(2),
+        grossProfit: row.grossProfit.toFixed(2),
+        netProfit: row.netProfit.toFixed(2),
+        margin: row.margin.toFixed(1),
+        isProfitable: row.netProfit >= 0,
+    };
+}
+
+module.exports = {
+    getOrderProfits,
+};
@@ -0,0 +1,244 @@
+/**
+ * Product Profitability
+ * Profit and loss per variant or product over a date range
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const {
+    filterOrdersForDate,
+    extractLineItems,
+    extractRefunds,
+    calculateOrderMetrics,
+} = require('../shopify/orders');
+const { getLedgerOrdersInRange } = require('../shopify/ledger');
+const {
+    getCostHistories,
+    resolveCogsMap,
+    getUnitCost,
+    resolveBreakdownMap,
+    getUnitBreakdown,
+} = require('../cogs/manual');
+const { addBreakdown } = require('../cogs/components');
+const { calculateTotalFees } = require('../costs/gatewayFees');
+const { getVariableCostContext, allocateVariableCosts } = require('../costs/variableCosts');
+const { getRevenueDefinition, resolveRevenue } = require('./revenue');
+const { isValidDate } = require('../utils/validators');
+const { getShopTimezone, addDays } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Longest range served in one call
+const MAX_RANGE_DAYS = 366;
+
+const GROUP_BY = ['variant', 'product'];
+
+/**
+ * Build the product P&L for a date range (internal use)
+ * Order-level amounts (discounts, included taxes, gateway fees) are
+ * allocated to lines by their share of the order's gross sales. Shipping
+ * is left out, as it is not product revenue. Variable costs go to the lines
+ * each rule applies to. COGS entered as cost components are also broken
+ * down by component.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @param {string} groupBy - 'variant' or 'product'
+ * @returns {Object} - { revenueDefinition, rows }
+ */
+const buildProductReport = async (shopDomain, startDate, endDate, groupBy = 'variant') => {
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    const shopData = shopDoc.data() || {};
+    const timezone = getShopTimezone(shopData);
+    const revenueDefinition = getRevenueDefinition(shopData);
+    const productDefinition = { ...revenueDefinition, includeShipping: false };
+
+    const orders = (await getLedgerOrdersInRange(shopDomain, startDate, endDate))
+        .filter(order => filterOrdersForDate([order], order.localDate, timezone).length > 0);
+
+    const allItems = extractLineItems(orders);
+    const variantIds = [...new Set(allItems.map(i => i.variantId).filter(Boolean))];
+    const skus = [...new Set(allItems.map(i => i.sku).filter(Boolean))];
+    const costHistories = await getCostHistories(shopDomain, variantIds, skus);
+    const variableCostContext = await getVariableCostContext(shopDomain, variantIds);
+
+    const groups = {};
+    const getGroup = (item) => {
+        const key = groupBy === 'product'
+            ? `${item.productId || item.sku || item.title}`
+            : `${item.variantId || item.sku || item.title}`;
+
+        if (!groups[key]) {
+            groups[key] = {
+                key,
+                productId: item.productId || null,
+                variantId: groupBy === 'variant' ? item.variantId || null : null,
+                sku: groupBy === 'variant' ? item.sku || '' : '',
+                title: groupBy === 'variant' && item.variantTitle
+                    ? `${item.title} - ${item.variantTitle}`
+                    : item.title || '',
+                unitsSold: 0,
+                refundedUnits: 0,
+                revenue: 0,
+                refunds: 0,
+                cogs: 0,
+                cogsBreakdown: {},
+                fees: 0,
+                variableCosts: 0,
+                missingCogs: false,
+                orderIds: new Set(),
+            };
+        }
+
+        return groups[key];
+    };
+
+    for (const order of orders) {
+        const metrics = calculateOrderMetrics([order]);
+        const orderGross = parseFloat(metrics.grossSales) || 0;
+        const orderRevenue = resolveRevenue({
+            grossSales: metrics.grossSales,
+            discounts: metrics.totalDiscounts,
+            taxes: metrics.totalTax,
+            includedTaxes: metrics.includedTax,
+        }, productDefinition);
+        const { totalFees } = calculateTotalFees([order], shopData.gatewayFeeRates);
+        const cogsMap = resolveCogsMap(costHistories, order.localDate);
+        const breakdownMap = resolveBreakdownMap(costHistories, order.localDate);
+
+        const lineItems = extractLineItems([order]);
+        const variableCosts = allocateVariableCosts(order, variableCostContext);
+        const itemsByVariant = {};
+
+        lineItems.forEach((item, index) => {
+            const share = orderGross > 0 ? item.totalPrice / orderGross : 0;
+            const unitCogs = getUnitCost(cogsMap, item);
+            const group = getGroup(item);
+
+            group.unitsSold += item.quantity;
+            group.revenue += orderRevenue * share;
+            group.fees += totalFees * share;
+            group.variableCosts += variableCosts[index];
+            group.cogs += unitCogs * item.quantity;
+            addBreakdown(group.cogsBreakdown, getUnitBreakdown(breakdownMap, item), item.quantity);
+            group.missingCogs = group.missingCogs || unitCogs === 0;
+            group.orderIds.add(order.id);
+
+            itemsByVariant[item.variantId?.toString()] = item;
+        });
+
+        // Refunds count against the product whatever date they were issued
+        const refunds = order.refundDates.flatMap(date => extractRefunds([order], date, timezone));
+        for (const refund of refunds) {
+            for (const refundItem of refund.lineItems) {
+                const item = itemsByVariant[refundItem.variantId?.toString()];
+                if (!item) continue;
+
+                const group = getGroup(item);
+                group.refundedUnits += refundItem.quantity;
+                group.refunds += refundItem.subtotal +
+                    (revenueDefinition.basis === 'net_of_tax' ? 0 : refundItem.tax);
+
+                if (refundItem.restocked) {
+                    group.cogs -= getUnitCost(cogsMap, item) * refundItem.quantity;
+                    addBreakdown(group.cogsBreakdown, getUnitBreakdown(breakdownMap, item), -refundItem.quantity);
+                }
+            }
+        }
+    }
+
+    const rows = Object.values(groups).map(group => {
+        const netRevenue = group.revenue - group.refunds;
+        const grossProfit = netRevenue - group.cogs;
+        const profit = grossProfit - group.fees - group.variableCosts;
+
+        return {
+            key: group.key,
+            productId: group.productId,
+            variantId: group.variantId,
+            sku: group.sku,
+            title: group.title,
+            orderCount: group.orderIds.size,
+            unitsSold: group.unitsSold,
+            refundedUnits: group.refundedUnits,
+            refundRate: (group.unitsSold > 0 ? (group.refundedUnits / group.unitsSold) * 100 : 0).toFixed(1),
+            revenue: group.revenue.toFixed(2),
+            refunds: group.refunds.toFixed(2),
+            netRevenue: netRevenue.toFixed(2),
+            cogs: group.cogs.toFixed(2),
+            cogsBreakdown: Object.fromEntries(
+                Object.entries(group.cogsBreakdown).map(([name, cost]) => [name, cost.toFixed(2)])
+            ),
+            grossProfit: grossProfit.toFixed(2),
+            grossMargin: (netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0).toFixed(1),
+            fees: group.fees.toFixed(2),
+            variableCosts: group.variableCosts.toFixed(2),
+            profit: profit.toFixed(2),
+            missingCogs: group.missingCogs,
+            isProfitable: profit >= 0,
+        };
+    });
+
+    rows.sort((a, b) => parseFloat(b.profit) - parseFloat(a.profit));
+
+    return { revenueDefinition, rows };
+};
+
+/**
+ * Validate report parameters
+ */
+function validateReportParams({ startDate, endDate, groupBy }) {
+    if (!isValidDate(startDate) || !isValidDate(endDate) || startDate > endDate) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid date range');
+    }
+
+    if (addDays(startDate, MAX_RANGE_DAYS - 1) < endDate) {
+        throw new functions.https.HttpsError('invalid-argument', `Maximum range is ${MAX_RANGE_DAYS} days`);
+    }
+
+    if (!GROUP_BY.includes(groupBy)) {
+        throw new functions.https.HttpsError('invalid-argument', 'groupBy must be variant or product');
+    }
+}
+
+/**
+ * Get product profitability report
+ */
+const getProductProfits = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { startDate, endDate, groupBy = 'variant' } = data;
+
+    validateReportParams({ startDate, endDate, groupBy });
+
+    try {
+        const { revenueDefinition, rows } = await buildProductReport(shopDomain, startDate, endDate, groupBy);
+
+        return {
+            success: true,
+            startDate,
+            endDate,
+            groupBy,
+            revenueDefinition,
+            count: rows.length,
+            rows,
+        };
+
+    } catch (error) {
+        console.error('Get product profits error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+module.exports = {
+    buildProductReport,
+    validateReportParams,
+    getProductProfits,
+};
@@ -0,0 +1,101 @@
+/**
+ * Background Recalculation
+ * Recomputes cached days flagged as stale after a cost change
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { verifyShop } = require('../shopify/auth');
+const { calculateDailyProfit } = require('./calculator');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Days recalculated per function invocation
+const RECALC_CHUNK_DAYS = 10;
+
+// Per-day errors kept on the job document
+const MAX_JOB_ERRORS = 50;
+
+/**
+ * Process recalculation job passes
+ * Each pass recalculates a chunk of stale days and bumps `pass`, which
+ * triggers the next one until no stale day is left.
+ */
+const processRecalculation = functions
+    .runWith({ timeoutSeconds: 540 })
+    .firestore.document('recalcJobs/{shopDomain}')
+    .onWrite(async (change, context) => {
+        if (!change.after.exists) return null;
+
+        const job = change.after.data();
+        if (job.status !== 'running') return null;
+
+        // Only start a pass when a new one was requested
+        const previous = change.before.exists ? change.before.data() : null;
+        if (previous && previous.status === 'running' && previous.pass === job.pass) {
+            return null;
+        }
+
+        const { shopDomain } = context.params;
+        const jobRef = change.after.ref;
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData) {
+                throw new Error('Shop not found or not authenticated');
+            }
+
+            const snapshot = await db
+                .collection('dailyMetrics')
+                .doc(shopDomain)
+                .collection('days')
+                .where('stale', '==', true)
+                .limit(RECALC_CHUNK_DAYS)
+                .get();
+
+            const errors = [];
+            for (const doc of snapshot.docs) {
+                try {
+                    await calculateDailyProfit(shopDomain, shopData, doc.id);
+                } catch (error) {
+                    console.error(`Recalculation of ${doc.id} failed for ${shopDomain}:`, error.message);
+                    errors.push({ date: doc.id, error: error.message });
+
+                    // Clear the flag so a failing day cannot stall the job
+                    await doc.ref.update({ stale: false });
+                }
+            }
+
+            // Finish only if no day was marked stale since this pass started
+            return db.runTransaction(async (transaction) => {
+                const current = (await transaction.get(jobRef)).data();
+                const done = snapshot.size < RECALC_CHUNK_DAYS && current.requests === job.requests;
+
+                transaction.update(jobRef, {
+                    status: done ? 'idle' : 'running',
+                    pass: done ? current.pass : current.pass + 1,
+                    daysRecalculated: (current.daysRecalculated || 0) + snapshot.size,
+                    errors: [...(current.errors || []), ...errors].slice(-MAX_JOB_ERRORS),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    ...(done ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+                });
+            });
+
+        } catch (error) {
+            console.error(`Recalculation failed for ${shopDomain}:`, error.message);
+
+            return jobRef.update({
+                status: 'failed',
+                error: error.message,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+    });
+
+module.exports = {
+    processRecalculation,
+};
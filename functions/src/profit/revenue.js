@@ -0,0 +1,208 @@
+/**
+ * Revenue Definition
+ * Per-shop rules for which order amounts count as revenue
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Revenue bases, from broadest to narrowest:
+ * - gross_sales: product sales before discounts, taxes included
+ * - net_of_discounts: gross sales minus discounts
+ * - net_of_tax: net of discounts minus collected sales tax/VAT
+ * Tips are never revenue (they are passed on to staff).
+ */
+const REVENUE_BASES = ['gross_sales', 'net_of_discounts', 'net_of_tax'];
+
+const DEFAULT_REVENUE_DEFINITION = {
+    basis: 'net_of_tax',
+    includeShipping: true,
+};
+
+/**
+ * Get the revenue definition of a shop
+ * @param {Object} shopData - Shop document data
+ * @returns {Object} - { basis, includeShipping }
+ */
+const getRevenueDefinition = (shopData) => {
+    const definition = shopData?.revenueDefinition || {};
+
+    return {
+        basis: REVENUE_BASES.includes(definition.basis)
+            ? definition.basis
+            : DEFAULT_REVENUE_DEFINITION.basis,
+        includeShipping: typeof definition.includeShipping === 'boolean'
+            ? definition.includeShipping
+            : DEFAULT_REVENUE_DEFINITION.includeShipping,
+    };
+};
+
+/**
+ * Resolve revenue from its components
+ * @param {Object} components - { grossSales, discounts, taxes, includedTaxes, shipping }
+ * @param {Object} definition - Revenue definition
+ * @returns {number} - Revenue
+ */
+const resolveRevenue = (components, definition) => {
+    const taxes = parseFloat(components.taxes) || 0;
+    const includedTaxes = parseFloat(components.includedTaxes) || 0;
+
+    // Line prices only contain the tax when the shop prices include it
+    let revenue = (parseFloat(components.grossSales) || 0) + (taxes - includedTaxes);
+
+    if (definition.basis !== 'gross_sales') {
+        revenue -= parseFloat(components.discounts) || 0;
+    }
+    if (definition.basis === 'net_of_tax') {
+        revenue -= taxes;
+    }
+    if (definition.includeShipping) {
+        revenue += parseFloat(components.shipping) || 0;
+    }
+
+    return revenue;
+};
+
+/**
+ * Resolve the part of refunded money that reverses revenue
+ * @param {Object} components - { grossRefunds, refundedTaxes, refundedShipping }
+ * @param {Object} definition - Revenue definition
+ * @returns {number} - Refunds to subtract from revenue
+ */
+const resolveRefunds = (components, definition) => {
+    let refunds = parseFloat(components.grossRefunds) || 0;
+
+    if (definition.basis === 'net_of_tax') {
+        refunds -= parseFloat(components.refundedTaxes) || 0;
+    }
+    if (!definition.includeShipping) {
+        refunds -= parseFloat(components.refundedShipping) || 0;
+    }
+
+    return Math.max(refunds, 0);
+};
+
+/**
+ * Restate a cached day under another revenue definition
+ * Costs do not depend on the definition, so profit moves by the same amount
+ * as net revenue. Days cached before revenue components were stored are
+ * returned unchanged.
+ * @param {Object} day - dailyMetrics document data
+ * @param {Object} definition - Revenue definition
+ * @returns {Object} - Day with revenue, refunds, profit and margins restated
+ */
+const applyRevenueDefinition = (day, definition) => {
+    if (day.grossSales === undefined) {
+        return day;
+    }
+
+    const revenue = resolveRevenue(day, definition);
+    const refunds = resolveRefunds(day, definition);
+    const netRevenue = revenue - refunds;
+    const delta = netRevenue - (parseFloat(day.netRevenue) || 0);
+
+    const grossProfit = (parseFloat(day.grossProfit) || 0) + delta;
+    const netProfit = (parseFloat(day.netProfit) || 0) + delta;
+
+    return {
+        ...day,
+        revenue: revenue.toFixed(2),
+        refunds: refunds.toFixed(2),
+        netRevenue: netRevenue.toFixed(2),
+        grossProfit: grossProfit.toFixed(2),
+        grossMargin: (netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0).toFixed(1),
+        netProfit: netProfit.toFixed(2),
+        profitMargin: (netRevenue > 0 ? (netProfit / netRevenue) * 100 : 0).toFixed(1),
+        isProfitable: netProfit >= 0,
+        revenueDefinition: definition,
+    };
+};
+
+/**
+ * Load the revenue definition for a shop (internal use)
+ */
+const getShopRevenueDefinition = async (shopDomain) => {
+    const shopDoc = await db.collection('shops').doc(shopDomain).get();
+    return getRevenueDefinition(shopDoc.data());
+};
+
+/**
+ * Get revenue settings
+ */
+const getRevenueSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+
+    try {
+        const definition = await getShopRevenueDefinition(shopDomain);
+
+        return {
+            success: true,
+            definition,
+            bases: REVENUE_BASES,
+        };
+
+    } catch (error) {
+        console.error('Get revenue settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+/**
+ * Update revenue settings
+ */
+const updateRevenueSettings = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { basis, includeShipping } = data;
+
+    if (!REVENUE_BASES.includes(basis)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid revenue basis');
+    }
+
+    if (typeof includeShipping !== 'boolean') {
+        throw new functions.https.HttpsError('invalid-argument', 'includeShipping must be a boolean');
+    }
+
+    try {
+        await db.collection('shops').doc(shopDomain).update({
+            revenueDefinition: { basis, includeShipping },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+            success: true,
+            message: 'Revenue settings updated successfully',
+            definition: { basis, includeShipping },
+        };
+
+    } catch (error) {
+        console.error('Update revenue settings error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+module.exports = {
+    REVENUE_BASES,
+    DEFAULT_REVENUE_DEFINITION,
+    getRevenueDefinition,
+    getShopRevenueDefinition,
+    resolveRevenue,
+    resolveRefunds,
+    applyRevenueDefinition,
+    getRevenueSettings,
+    updateRevenueSettings,
+};
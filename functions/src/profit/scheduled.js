@@ -0,0 +1,159 @@
+/**
+ * Scheduled Profit Calculation
+ * Finalizes past days and refreshes today for every installed shop
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { verifyShop } = require('../shopify/auth');
+const { calculateDailyProfit } = require('./calculator');
+const { syncOrders } = require('../shopify/ledger');
+const {
+    getShopTimezone,
+    getTodayInTimezone,
+    getLocalHour,
+    addDays,
+    listDates,
+} = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Shop-local hour after which yesterday is considered over
+const NIGHTLY_LOCAL_HOUR = 2;
+
+// Maximum past days finalized in one run when catching up on missed nights
+const MAX_CATCH_UP_DAYS = 7;
+
+/**
+ * Run nightly profit calculation
+ * Called by cron job every hour; each shop is processed once per local night
+ */
+const runNightlyProfit = functions
+    .runWith({ timeoutSeconds: 540 })
+    .https.onRequest(async (req, res) => {
+        const config = getConfig();
+
+        // Verify cron secret
+        const secret = req.headers['x-secret-key'];
+        if (secret !== config.cron.secret) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        try {
+            const shopsSnapshot = await db.collection('shops').get();
+
+            const results = {
+                total: shopsSnapshot.size,
+                success: 0,
+                failed: 0,
+                skipped: 0,
+            };
+
+            for (const doc of shopsSnapshot.docs) {
+                const shopData = doc.data();
+
+                if (!isDue(shopData)) {
+                    results.skipped++;
+                    continue;
+                }
+
+                const succeeded = await runShopNightly(doc.id);
+                if (succeeded) {
+                    results.success++;
+                } else {
+                    results.failed++;
+                }
+            }
+
+            console.log('Nightly profit run completed:', results);
+            res.status(200).json({ success: true, results });
+
+        } catch (error) {
+            console.error('Nightly profit run error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+/**
+ * Check if a shop still needs tonight's run
+ */
+function isDue(shopData) {
+    if (shopData.subscriptionStatus === 'uninstalled') {
+        return false;
+    }
+
+    const timezone = getShopTimezone(shopData);
+    const yesterday = addDays(getTodayInTimezone(timezone), -1);
+
+    return getLocalHour(timezone) >= NIGHTLY_LOCAL_HOUR &&
+        shopData.nightlyProfit?.lastFinalizedDate !== yesterday;
+}
+
+/**
+ * Finalize past days and refresh today for a single shop
+ * Records the outcome on the shop document
+ * @returns {boolean} - True if every day was calculated
+ */
+async function runShopNightly(shopDomain) {
+    const shopRef = db.collection('shops').doc(shopDomain);
+
+    try {
+        const shopData = await verifyShop(shopDomain);
+        if (!shopData) {
+            throw new Error('Shop not found or not authenticated');
+        }
+
+        await syncOrders(shopDomain, shopData);
+
+        const timezone = getShopTimezone(shopData);
+        const today = getTodayInTimezone(timezone);
+        const yesterday = addDays(today, -1);
+
+        // Catch up on nights missed since the last successful run
+        const lastFinalized = shopData.nightlyProfit?.lastFinalizedDate;
+        const earliest = addDays(yesterday, -(MAX_CATCH_UP_DAYS - 1));
+        const firstDate = lastFinalized && addDays(lastFinalized, 1) > earliest
+            ? addDays(lastFinalized, 1)
+            : earliest;
+
+        const finalizedDates = [];
+        for (const date of listDates(firstDate, yesterday)) {
+            await calculateDailyProfit(shopDomain, shopData, date, { finalized: true });
+            finalizedDates.push(date);
+        }
+
+        await calculateDailyProfit(shopDomain, shopData, today);
+
+        await shopRef.update({
+            nightlyProfit: {
+                status: 'success',
+                lastFinalizedDate: yesterday,
+                finalizedDates,
+                error: null,
+                lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+            },
+        });
+
+        return true;
+
+    } catch (error) {
+        console.error(`Nightly profit failed for ${shopDomain}:`, error.message);
+
+        await shopRef.update({
+            'nightlyProfit.status': 'failed',
+            'nightlyProfit.error': error.message,
+            'nightlyProfit.lastRunAt': admin.firestore.FieldValue.serverTimestamp(),
+        }).catch(() => null);
+
+        return false;
+    }
+}
+
+module.exports = {
+    runNightlyProfit,
+};
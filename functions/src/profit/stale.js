@@ -0,0 +1,175 @@
+/**
+ * Stale Day Tracking
+ * Flags cached dailyMetrics days whose inputs changed and queues their recalculation
+ */
+
+const admin = require('firebase-admin');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Mark the days on which any of the given variants sold or were refunded
+ * Kits built from the variants are included, as their cost follows their components
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} variantIds - Variant IDs whose cost changed
+ * @param {string} reason - Why the days are stale (e.g. 'cogs')
+ * @param {Object} range - { startDate } in YYYY-MM-DD format (optional)
+ * @returns {number} - Number of days marked
+ */
+const markVariantDaysStale = async (shopDomain, variantIds, reason, range = {}) => {
+    const ids = await withKits(shopDomain, [...new Set(variantIds.filter(Boolean).map(String))]);
+    const daysRef = db.collection('dailyMetrics').doc(shopDomain).collection('days');
+    const dayRefs = new Map();
+
+    // Firestore 'array-contains-any' supports max 10 items, so we batch
+    for (let i = 0; i < ids.length; i += 10) {
+        const snapshot = await daysRef
+            .where('variantIds', 'array-contains-any', ids.slice(i, i + 10))
+            .get();
+
+        // Day documents are keyed by date
+        for (const doc of snapshot.docs) {
+            if (range.startDate && doc.id < range.startDate) continue;
+            dayRefs.set(doc.id, doc.ref);
+        }
+    }
+
+    return markStale(shopDomain, [...dayRefs.values()], reason);
+};
+
+/**
+ * Add the kits whose bill of materials contains any of the variants
+ * (and the kits containing those kits)
+ */
+async function withKits(shopDomain, variantIds) {
+    const productsRef = db.collection('productCosts').doc(shopDomain).collection('products');
+    const ids = new Set(variantIds);
+    let pending = variantIds;
+
+    while (pending.length > 0) {
+        const found = [];
+
+        // Firestore 'array-contains-any' supports max 10 items, so we batch
+        for (let i = 0; i < pending.length; i += 10) {
+            const snapshot = await productsRef
+                .where('componentIds', 'array-contains-any', pending.slice(i, i + 10))
+                .get();
+
+            for (const doc of snapshot.docs) {
+                if (!ids.has(doc.id)) {
+                    ids.add(doc.id);
+                    found.push(doc.id);
+                }
+            }
+        }
+
+        pending = found;
+    }
+
+    return [...ids];
+}
+
+/**
+ * Mark every cached day, optionally limited to a date range
+ * @param {string} shopDomain - Shop domain
+ * @param {string} reason - Why the days are stale (e.g. 'fixed_costs')
+ * @param {Object} range - { startDate, endDate } in YYYY-MM-DD format (optional)
+ * @returns {number} - Number of days marked
+ */
+const markAllDaysStale = async (shopDomain, reason, range = {}) => {
+    let query = db.collection('dailyMetrics').doc(shopDomain).collection('days');
+
+    if (range.startDate) {
+        query = query.where('date', '>=', range.startDate);
+    }
+    if (range.endDate) {
+        query = query.where('date', '<=', range.endDate);
+    }
+
+    const snapshot = await query.get();
+
+    return markStale(shopDomain, snapshot.docs.map(doc => doc.ref), reason);
+};
+
+/**
+ * Mark specific dates (only days already cached are affected)
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} dates - Dates in YYYY-MM-DD format
+ * @param {string} reason - Why the days are stale (e.g. 'orders')
+ * @returns {number} - Number of days marked
+ */
+const markDatesStale = async (shopDomain, dates, reason) => {
+    const daysRef = db.collection('dailyMetrics').doc(shopDomain).collection('days');
+    const refs = [...new Set(dates)].map(date => daysRef.doc(date));
+
+    if (refs.length === 0) {
+        return 0;
+    }
+
+    const docs = await db.getAll(...refs);
+
+    return markStale(shopDomain, docs.filter(doc => doc.exists).map(doc => doc.ref), reason);
+};
+
+/**
+ * Flag day documents and make sure a recalculation job is running
+ */
+async function markStale(shopDomain, dayRefs, reason) {
+    if (dayRefs.length === 0) {
+        return 0;
+    }
+
+    // Firestore batches support max 500 writes
+    for (let i = 0; i < dayRefs.length; i += 500) {
+        const batch = db.batch();
+
+        for (const ref of dayRefs.slice(i, i + 500)) {
+            batch.update(ref, {
+                stale: true,
+                staleReason: reason,
+                staleAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        await batch.commit();
+    }
+
+    await requestRecalculation(shopDomain);
+
+    return dayRefs.length;
+}
+
+/**
+ * Start the shop's recalculation job, or tell a running one there is more work
+ * The job is processed by processRecalculation.
+ */
+async function requestRecalculation(shopDomain) {
+    const jobRef = db.collection('recalcJobs').doc(shopDomain);
+
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(jobRef);
+        const job = doc.exists ? doc.data() : {};
+
+        transaction.set(jobRef, {
+            requests: (job.requests || 0) + 1,
+            ...(job.status === 'running' ? {} : {
+                status: 'running',
+                pass: (job.pass || 0) + 1,
+                daysRecalculated: 0,
+                errors: [],
+                startedAt: admin.firestore.FieldValue.serverTimestamp(),
+            }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    });
+}
+
+module.exports = {
+    markVariantDaysStale,
+    markAllDaysStale,
+    markDatesStale,
+};
@@ -141,8 +141,16 @@ const callback = functions.https.onRequest(async (req, res) => {
 
         console.log(`Shop installed successfully: ${sanitizedShop}`);
 
-        // Register GDPR webhooks (mandatory)
-        await registerGDPRWebhooks(sanitizedShop, access_token, config);
+        // Register GDPR (mandatory) and order webhooks
+        await registerWebhooks(sanitizedShop, access_token, config);
+
+        // Queue historical backfill (processed by processBackfillJob)
+        await db.collection('backfillJobs').doc(sanitizedShop).set({
+            status: 'queued',
+            source: 'install',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
 
         // Redirect to the app in Shopify admin
         res.redirect(`https://${sanitizedShop}/admin/apps/${config.shopify.apiKey}`);
@@ -158,13 +166,20 @@ const callback = functions.https.onRequest(async (req, res) => {
 });
 
 /**
- * Register mandatory GDPR webhooks
+ * Register mandatory GDPR webhooks, the order webhooks that keep profit live
+ * and the product webhooks that keep the catalog in sync
  */
-async function registerGDPRWebhooks(shop, accessToken, config) {
+async function registerWebhooks(shop, accessToken, config) {
     const webhooks = [
         { topic: 'customers/data_request', address: `${config.app.url}/webhooks/customers/data_request` },
         { topic: 'customers/redact', address: `${config.app.url}/webhooks/customers/redact` },
         { topic: 'shop/redact', address: `${config.app.url}/webhooks/shop/redact` },
+        { topic: 'orders/create', address: `${config.app.url}/webhooks/orders/create` },
+        { topic: 'orders/updated', address: `${config.app.url}/webhooks/orders/updated` },
+        { topic: 'refunds/create', address: `${config.app.url}/webhooks/refunds/create` },
+        { topic: 'products/create', address: `${config.app.url}/webhooks/products/create` },
+        { topic: 'products/update', address: `${config.app.url}/webhooks/products/update` },
+        { topic: 'products/delete', address: `${config.app.url}/webhooks/products/delete` },
     ];
 
     for (const webhook of webhooks) {
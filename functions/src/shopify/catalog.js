@@ -0,0 +1,300 @@
+/**
+ * Product Catalog
+ * Local copy of each shop's variants, so every variant can be costed,
+ * not only those that already have a COGS entry
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { verifyShop } = require('./auth');
+const { fetchProducts, fetchCollections, extractVariants } = require('./products');
+const {
+    getSkuKey,
+    getCostSource,
+    addCostDocs,
+    addInventoryDocs,
+    resolveCogsMap,
+} = require('../cogs/manual');
+const { getCostingMode } = require('../cogs/inventoryCosting');
+const { getActiveRules, findRule, getRuleCost } = require('../cogs/rules');
+const { getShopTimezone, getTodayInTimezone } = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+const FILTERS = ['all', 'missing_cogs'];
+
+/**
+ * Replace the stored catalog with the shop's current products (internal use)
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Verified shop data (with decrypted access token)
+ * @returns {number} - Number of variants stored
+ */
+const syncCatalog = async (shopDomain, shopData) => {
+    const products = await fetchProducts(shopDomain, shopData.accessToken);
+    const collections = await fetchCollections(shopDomain, shopData.accessToken);
+    const variantsRef = getVariantsRef(shopDomain);
+
+    const collectionIds = {};
+    for (const collection of collections) {
+        for (const productId of collection.productIds) {
+            (collectionIds[productId] = collectionIds[productId] || []).push(collection.id);
+        }
+    }
+
+    const variants = extractVariants(products).map(variant => ({
+        ...variant,
+        collectionIds: collectionIds[variant.productId] || [],
+    }));
+
+    const current = new Set(variants.map(variant => variant.variantId.toString()));
+    const stored = await variantsRef.listDocuments();
+    const removed = stored.filter(ref => !current.has(ref.id));
+
+    await writeVariants(variantsRef, variants, removed);
+
+    await db.collection('productCatalog').doc(shopDomain).set({
+        collections: collections.map(({ id, title }) => ({ id, title })),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await db.collection('shops').doc(shopDomain).update({
+        catalogSync: {
+            lastSyncAt: new Date().toISOString(),
+            variantCount: variants.length,
+        },
+    });
+
+    console.log(`Catalog synced for ${shopDomain}: ${variants.length} variants, ${removed.length} removed`);
+
+    return variants.length;
+};
+
+/**
+ * Store a created or updated product, dropping variants it no longer has (internal use)
+ * Product webhooks carry no collections, so the stored ones are kept until the next sync
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} product - Shopify product (webhook payload)
+ * @returns {number} - Number of variants stored
+ */
+const applyProductUpdate = async (shopDomain, product) => {
+    const variantsRef = getVariantsRef(shopDomain);
+    const snapshot = await variantsRef.where('productId', '==', product.id).get();
+    const collectionIds = snapshot.docs[0]?.data().collectionIds || [];
+
+    const variants = extractVariants([product]).map(variant => ({ ...variant, collectionIds }));
+    const current = new Set(variants.map(variant => variant.variantId.toString()));
+    const removed = snapshot.docs.map(doc => doc.ref).filter(ref => !current.has(ref.id));
+
+    await writeVariants(variantsRef, variants, removed);
+
+    return variants.length;
+};
+
+/**
+ * Remove a deleted product's variants (internal use)
+ * Their costs are kept, as past orders still reference them
+ * @param {string} shopDomain - Shop domain
+ * @param {number} productId - Shopify product ID
+ * @returns {number} - Number of variants removed
+ */
+const applyProductDelete = async (shopDomain, productId) => {
+    const variantsRef = getVariantsRef(shopDomain);
+    const snapshot = await variantsRef.where('productId', '==', productId).get();
+
+    await writeVariants(variantsRef, [], snapshot.docs.map(doc => doc.ref));
+
+    return snapshot.size;
+};
+
+/**
+ * Get every stored variant of a shop (internal use)
+ * @param {string} shopDomain - Shop domain
+ * @returns {Array} - Catalog variants
+ */
+const getCatalogVariants = async (shopDomain) => {
+    const snapshot = await getVariantsRef(shopDomain).get();
+    return snapshot.docs.map(doc => doc.data());
+};
+
+/**
+ * Sync the product catalog now
+ * Callable function from frontend
+ */
+const syncProductCatalog = functions
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+        }
+
+        const shopDomain = context.auth.token.shop;
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData) {
+                throw new Error('Shop not found or not authenticated');
+            }
+
+            const count = await syncCatalog(shopDomain, shopData);
+
+            return {
+                success: true,
+                message: `Synced ${count} variants`,
+                count,
+            };
+
+        } catch (error) {
+            console.error('Sync catalog error:', error);
+            throw new functions.https.HttpsError('internal', error.message);
+        }
+    });
+
+/**
+ * List every catalog variant with its cost status and margin
+ * Variants without a cost of their own use a cost imported for their SKU,
+ * then the first COGS rule that applies to them
+ */
+const getCatalogCosts = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'Must be authenticated');
+    }
+
+    const shopDomain = context.auth.token.shop;
+    const { filter = 'all' } = data || {};
+
+    if (!FILTERS.includes(filter)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Invalid filter');
+    }
+
+    try {
+        const [shopDoc, variantsSnapshot, costsSnapshot, rules] = await Promise.all([
+            db.collection('shops').doc(shopDomain).get(),
+            getVariantsRef(shopDomain).get(),
+            db.collection('productCosts').doc(shopDomain).collection('products').get(),
+            getActiveRules(shopDomain),
+        ]);
+
+        // Costs computed from purchase orders, when the shop costs by lots
+        const inventorySnapshot = getCostingMode(shopDoc.data()) !== 'standard'
+            ? await db.collection('inventoryCosts').doc(shopDomain).collection('variants').get()
+            : { docs: [] };
+        const inventoryIds = new Set(inventorySnapshot.docs.map(doc => doc.id));
+
+        const costs = {};
+        for (const doc of costsSnapshot.docs) {
+            costs[doc.id] = doc.data();
+        }
+
+        // Kit costs follow their components, so they are derived on read
+        const today = getTodayInTimezone(getShopTimezone(shopDoc.data()));
+        const histories = addInventoryDocs(
+            addCostDocs({ costs: {}, boms: {}, lineCosts: {} }, costsSnapshot.docs),
+            inventorySnapshot.docs
+        );
+
+        // Rule costs, which also cost kit components
+        const ruleByVariant = {};
+        for (const doc of variantsSnapshot.docs) {
+            const variant = doc.data();
+            if (histories.costs[doc.id] || histories.boms[doc.id]) continue;
+            if (variant.sku && costs[getSkuKey(variant.sku)]) continue;
+
+            const rule = findRule(rules, variant);
+            if (rule) {
+                ruleByVariant[doc.id] = rule;
+                histories.costs[doc.id] = [{ cogs: getRuleCost(rule, variant), effectiveFrom: null }];
+            }
+        }
+
+        const cogsMap = resolveCogsMap(histories, today);
+
+        const variants = variantsSnapshot.docs.map(doc => {
+            const variant = doc.data();
+            const cost = costs[doc.id] || (variant.sku ? costs[getSkuKey(variant.sku)] : null);
+            const fromLots = inventoryIds.has(doc.id);
+            const isKit = !fromLots && !!cost?.bom?.length;
+            const rule = ruleByVariant[doc.id] || null;
+            const cogs = isKit || fromLots || rule ? cogsMap[doc.id] : cost?.cogs ?? null;
+            const hasCogs = cogs != null && cogs > 0;
+
+            return {
+                ...variant,
+                cogs,
+                hasCogs,
+                matchedBy: costs[doc.id] || fromLots ? 'variant' : cost ? 'sku' : null,
+                source: fromLots ? 'purchase_orders'
+                    : isKit ? 'bom'
+                    : rule ? 'rule'
+                    : cost ? cost.source || getCostSource(null) : null,
+                rule: rule ? { id: rule.id, name: rule.name } : null,
+                bom: isKit ? cost.bom : null,
+                costHistory: cost?.costHistory || [],
+                margin: hasCogs && variant.price > 0
+                    ? (((variant.price - cogs) / variant.price) * 100).toFixed(1)
+                    : null,
+            };
+        });
+
+        variants.sort((a, b) =>
+            (a.productTitle || '').localeCompare(b.productTitle || '') ||
+            (a.variantTitle || '').localeCompare(b.variantTitle || '')
+        );
+
+        const missingCogs = variants.filter(variant => !variant.hasCogs).length;
+
+        return {
+            success: true,
+            catalogSync: shopDoc.data()?.catalogSync || null,
+            summary: {
+                total: variants.length,
+                withCogs: variants.length - missingCogs,
+                missingCogs,
+            },
+            variants: filter === 'missing_cogs'
+                ? variants.filter(variant => !variant.hasCogs)
+                : variants,
+        };
+
+    } catch (error) {
+        console.error('Get catalog costs error:', error);
+        throw new functions.https.HttpsError('internal', error.message);
+    }
+});
+
+function getVariantsRef(shopDomain) {
+    return db.collection('productCatalog').doc(shopDomain).collection('variants');
+}
+
+/**
+ * Write variants and delete removed ones, 500 operations per batch
+ */
+async function writeVariants(variantsRef, variants, removedRefs) {
+    const operations = [
+        ...variants.map(variant => (batch) => batch.set(variantsRef.doc(variant.variantId.toString()), {
+            ...variant,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        })),
+        ...removedRefs.map(ref => (batch) => batch.delete(ref)),
+    ];
+
+    for (let i = 0; i < operations.length; i += 500) {
+        const batch = db.batch();
+        for (const operation of operations.slice(i, i + 500)) {
+            operation(batch);
+        }
+        await batch.commit();
+    }
+}
+
+module.exports = {
+    syncCatalog,
+    applyProductUpdate,
+    applyProductDelete,
+    getCatalogVariants,
+    syncProductCatalog,
+    getCatalogCosts,
+};
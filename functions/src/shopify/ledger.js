@@ -0,0 +1,420 @@
+/**
+ * Order Ledger
+ * Normalized copy of each shop's orders, kept up to date incrementally
+ * so profit can be computed without re-hitting the Shopify API
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getConfig } = require('../config');
+const { verifyShop } = require('./auth');
+const { fetchOrders, fetchOrderTransactions, extractInstallments } = require('./orders');
+const { hasInstallmentRates, getOrderGateway } = require('../costs/gatewayFees');
+const { getShopFeatures } = require('../billing/subscription');
+const { markDatesStale } = require('../profit/stale');
+const {
+    getShopTimezone,
+    getTodayInTimezone,
+    toLocalDate,
+    addDays,
+} = require('../utils/dates');
+
+// Initialize Firestore if not already initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+// Transactions requests made per shop on each order sync
+const INSTALLMENT_LOOKUPS_PER_SYNC = 50;
+
+// Failed lookups of an order before it is left at the base rate
+const MAX_INSTALLMENT_ATTEMPTS = 3;
+
+/**
+ * Normalize a Shopify order for the ledger
+ * Keeps Shopify's field names so the order helpers work on ledger orders
+ * unchanged, plus shop-local dates used to query the ledger
+ * @param {Object} order - Shopify order
+ * @param {string} timezone - Shop IANA timezone
+ * @returns {Object} - Ledger order
+ */
+const normalizeOrder = (order, timezone) => {
+    const refunds = (order.refunds || []).map(refund => ({
+        id: refund.id,
+        created_at: refund.created_at || null,
+        restock: !!refund.restock,
+        refund_line_items: (refund.refund_line_items || []).map(item => ({
+            line_item_id: item.line_item_id || item.line_item?.id || null,
+            quantity: item.quantity || 0,
+            subtotal: item.subtotal || '0',
+            total_tax: item.total_tax || '0',
+            restock_type: item.restock_type || null,
+            line_item: {
+                variant_id: item.line_item?.variant_id || null,
+                sku: item.line_item?.sku || '',
+            },
+        })),
+        order_adjustments: (refund.order_adjustments || []).map(adjustment => ({
+            kind: adjustment.kind || null,
+            amount: adjustment.amount || '0',
+            tax_amount: adjustment.tax_amount || '0',
+        })),
+        transactions: (refund.transactions || []).map(transaction => ({
+            kind: transaction.kind || null,
+            status: transaction.status || null,
+            gateway: transaction.gateway || null,
+            amount: transaction.amount || '0',
+        })),
+    }));
+
+    return {
+        id: order.id,
+        name: order.name || '',
+        created_at: order.created_at,
+        updated_at: order.updated_at,
+        cancelled_at: order.cancelled_at || null,
+        financial_status: order.financial_status || null,
+        currency: order.currency || null,
+        gateway: order.gateway || null,
+        payment_gateway_names: order.payment_gateway_names || [],
+        source_name: order.source_name || null,
+        installments: order.installments || null,
+        installmentsCheckedStatus: order.installmentsCheckedStatus || null,
+        installmentsPending: !!order.installmentsPending,
+        installmentsAttempts: order.installmentsAttempts || 0,
+        total_price: order.total_price || '0',
+        total_tax: order.total_tax || '0',
+        taxes_included: !!order.taxes_included,
+        total_discounts: order.total_discounts || '0',
+        total_tip_received: order.total_tip_received || '0',
+        total_shipping_price_set: {
+            shop_money: {
+                amount: order.total_shipping_price_set?.shop_money?.amount || '0',
+            },
+        },
+        line_items: (order.line_items || []).map(item => ({
+            id: item.id,
+            variant_id: item.variant_id || null,
+            product_id: item.product_id || null,
+            sku: item.sku || '',
+            title: item.title || '',
+            variant_title: item.variant_title || '',
+            quantity: item.quantity || 0,
+            price: item.price || '0',
+        })),
+        refunds,
+
+        // Shop-local dates the order affects
+        localDate: toLocalDate(order.created_at, timezone),
+        refundDates: [...new Set(refunds
+            .filter(refund => refund.created_at)
+            .map(refund => toLocalDate(refund.created_at, timezone)))],
+    };
+};
+
+/**
+ * Save orders to the ledger (overwrites previous versions)
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} orders - Shopify orders
+ * @param {string} timezone - Shop IANA timezone
+ * @returns {number} - Number of orders saved
+ */
+const saveOrders = async (shopDomain, orders, timezone) => {
+    const ordersRef = db.collection('orderLedger').doc(shopDomain).collection('orders');
+
+    // Firestore batches support max 500 writes
+    for (let i = 0; i < orders.length; i += 500) {
+        const batch = db.batch();
+
+        for (const order of orders.slice(i, i + 500)) {
+            batch.set(ordersRef.doc(order.id.toString()), {
+                ...normalizeOrder(order, timezone),
+                syncedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        await batch.commit();
+    }
+
+    return orders.length;
+};
+
+/**
+ * Carry the installment count of the stored ledger version over to a
+ * newer version of the order (internal use)
+ * The count is looked up again only when the payment changed, i.e. the
+ * financial status differs from the one it was read for. Orders paid
+ * through a gateway with an installment schedule that still need a
+ * lookup are flagged for lookupPendingInstallments.
+ * @param {Object} order - Shopify order (updated in place)
+ * @param {Object|null} stored - Stored ledger version of the order
+ * @param {Object} rates - Shop gateway fee rates
+ * @returns {Object} - The order
+ */
+const carryOverInstallments = (order, stored, rates) => {
+    if (stored && stored.installmentsCheckedStatus &&
+        stored.installmentsCheckedStatus === (order.financial_status || 'unknown')) {
+        order.installments = stored.installments || null;
+        order.installmentsCheckedStatus = stored.installmentsCheckedStatus;
+        order.installmentsPending = false;
+        return order;
+    }
+
+    // Keep the previous count until the new lookup replaces it
+    order.installments = stored?.installments || null;
+    order.installmentsCheckedStatus = null;
+    order.installmentsPending = hasInstallmentRates(getOrderGateway(order), rates);
+    return order;
+};
+
+/**
+ * Carry stored installment counts over to freshly fetched orders (internal use)
+ * Only orders paid through a gateway with an installment schedule are read.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Shop document data
+ * @param {Array} orders - Shopify orders (updated in place)
+ */
+const attachStoredInstallments = async (shopDomain, shopData, orders) => {
+    const rates = shopData.gatewayFeeRates;
+    const scheduled = orders.filter(order => hasInstallmentRates(getOrderGateway(order), rates));
+    const ordersRef = db.collection('orderLedger').doc(shopDomain).collection('orders');
+    const stored = new Map();
+
+    for (let i = 0; i < scheduled.length; i += 500) {
+        const refs = scheduled.slice(i, i + 500).map(order => ordersRef.doc(order.id.toString()));
+        const docs = await db.getAll(...refs);
+        for (const doc of docs) {
+            if (doc.exists) stored.set(doc.id, doc.data());
+        }
+    }
+
+    for (const order of orders) {
+        carryOverInstallments(order, stored.get(order.id.toString()) || null, rates);
+    }
+};
+
+/**
+ * Read the installments of ledger orders flagged for a lookup (internal use)
+ * One transactions request per order, a limited number per run so the
+ * backlog after a backfill is worked through over several syncs. Days
+ * whose fees change are marked stale.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Verified shop data (with decrypted access token)
+ * @returns {number} - Number of orders looked up
+ */
+const lookupPendingInstallments = async (shopDomain, shopData) => {
+    const snapshot = await db
+        .collection('orderLedger')
+        .doc(shopDomain)
+        .collection('orders')
+        .where('installmentsPending', '==', true)
+        .limit(INSTALLMENT_LOOKUPS_PER_SYNC)
+        .get();
+
+    const changedDates = [];
+    for (const doc of snapshot.docs) {
+        const order = doc.data();
+
+        try {
+            const transactions = await fetchOrderTransactions(shopDomain, shopData.accessToken, order.id);
+            const installments = extractInstallments(transactions);
+
+            // null marks the order as looked up with no installments found
+            await doc.ref.update({
+                installments,
+                installmentsCheckedStatus: order.financial_status || 'unknown',
+                installmentsPending: false,
+                installmentsAttempts: 0,
+            });
+
+            if (installments !== (order.installments || null)) {
+                changedDates.push(order.localDate);
+            }
+        } catch (error) {
+            const attempts = (order.installmentsAttempts || 0) + 1;
+            console.error(`Installments of order ${order.id} unavailable:`, error.message);
+
+            await doc.ref.update({
+                installmentsAttempts: attempts,
+                installmentsPending: attempts < MAX_INSTALLMENT_ATTEMPTS,
+            });
+        }
+    }
+
+    await markDatesStale(shopDomain, changedDates, 'installments');
+
+    return snapshot.size;
+};
+
+/**
+ * Pull orders created or changed since the last sync into the ledger
+ * The first sync covers the history window of the shop's plan.
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} shopData - Verified shop data (with decrypted access token)
+ * @returns {number} - Number of orders synced
+ */
+const syncOrders = async (shopDomain, shopData) => {
+    const timezone = getShopTimezone(shopData);
+    const cursor = shopData.orderSync?.cursor;
+
+    const query = { financialStatus: 'any', timezone };
+    if (cursor) {
+        query.updatedAtMin = cursor;
+    } else {
+        const { historyDays } = getShopFeatures(shopData);
+        query.updatedSince = addDays(getTodayInTimezone(timezone), -(historyDays - 1));
+    }
+
+    const startedAt = new Date().toISOString();
+    const orders = await fetchOrders(shopDomain, shopData.accessToken, query);
+    await attachStoredInstallments(shopDomain, shopData, orders);
+    await saveOrders(shopDomain, orders, timezone);
+
+    // Resume from the latest change seen (updated_at_min is inclusive,
+    // so that order is fetched again next time, which is harmless)
+    let latest = cursor || null;
+    for (const order of orders) {
+        if (!latest || new Date(order.updated_at) > new Date(latest)) {
+            latest = order.updated_at;
+        }
+    }
+
+    // Cached days do not include changes that arrived through polling
+    const affectedDates = orders.flatMap(order => {
+        const { localDate, refundDates } = normalizeOrder(order, timezone);
+        return [localDate, ...refundDates];
+    });
+    await markDatesStale(shopDomain, affectedDates, 'orders');
+
+    await db.collection('shops').doc(shopDomain).update({
+        orderSync: {
+            cursor: latest || startedAt,
+            lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
+            lastSyncCount: orders.length,
+        },
+    });
+
+    return orders.length;
+};
+
+/**
+ * Get ledger orders created on a shop-local date
+ * @param {string} shopDomain - Shop domain
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @returns {Array} - Ledger orders
+ */
+const getLedgerOrdersForDate = async (shopDomain, date) => {
+    const snapshot = await db
+        .collection('orderLedger')
+        .doc(shopDomain)
+        .collection('orders')
+        .where('localDate', '==', date)
+        .get();
+
+    return snapshot.docs.map(doc => doc.data());
+};
+
+/**
+ * Get ledger orders with a refund issued on a shop-local date
+ * @param {string} shopDomain - Shop domain
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @returns {Array} - Ledger orders
+ */
+const getLedgerRefundedOrdersForDate = async (shopDomain, date) => {
+    const snapshot = await db
+        .collection('orderLedger')
+        .doc(shopDomain)
+        .collection('orders')
+        .where('refundDates', 'array-contains', date)
+        .get();
+
+    return snapshot.docs.map(doc => doc.data());
+};
+
+/**
+ * Get ledger orders created between two shop-local dates (inclusive)
+ * @param {string} shopDomain - Shop domain
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Array} - Ledger orders
+ */
+const getLedgerOrdersInRange = async (shopDomain, startDate, endDate) => {
+    const snapshot = await db
+        .collection('orderLedger')
+        .doc(shopDomain)
+        .collection('orders')
+        .where('localDate', '>=', startDate)
+        .where('localDate', '<=', endDate)
+        .get();
+
+    return snapshot.docs.map(doc => doc.data());
+};
+
+/**
+ * Sync the order ledger of every installed shop
+ * Called by cron job every 15 minutes
+ */
+const runOrderSync = functions
+    .runWith({ timeoutSeconds: 540 })
+    .https.onRequest(async (req, res) => {
+        const config = getConfig();
+
+        // Verify cron secret
+        const secret = req.headers['x-secret-key'];
+        if (secret !== config.cron.secret) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        try {
+            const shopsSnapshot = await db.collection('shops').get();
+
+            const results = {
+                total: shopsSnapshot.size,
+                success: 0,
+                failed: 0,
+                orders: 0,
+                installments: 0,
+            };
+
+            for (const doc of shopsSnapshot.docs) {
+                if (doc.data().subscriptionStatus === 'uninstalled') {
+                    continue;
+                }
+
+                try {
+                    const shopData = await verifyShop(doc.id);
+                    if (!shopData) {
+                        throw new Error('Shop not found or not authenticated');
+                    }
+
+                    results.orders += await syncOrders(doc.id, shopData);
+                    results.installments += await lookupPendingInstallments(doc.id, shopData);
+                    results.success++;
+                } catch (error) {
+                    console.error(`Order sync failed for ${doc.id}:`, error.message);
+                    results.failed++;
+                }
+            }
+
+            console.log('Order sync completed:', results);
+            res.status(200).json({ success: true, results });
+
+        } catch (error) {
+            console.error('Order sync error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+module.exports = {
+    normalizeOrder,
+    saveOrders,
+    carryOverInstallments,
+    attachStoredInstallments,
+    lookupPendingInstallments,
+    syncOrders,
+    getLedgerOrdersForDate,
+    getLedgerRefundedOrdersForDate,
+    getLedgerOrdersInRange,
+    runOrderSync,
+};
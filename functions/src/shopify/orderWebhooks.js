@@ -0,0 +1,74 @@
+/**
+ * Shopify Order Webhooks
+ * Keep today's profit live as orders and refunds come in
+ */
+
+const functions = require('firebase-functions');
+const { verifyWebhook } = require('./webhooks');
+const { verifyShop } = require('./auth');
+const { fetchOrder } = require('./orders');
+const { applyOrderUpdate } = require('../profit/incremental');
+const { sanitizeShopDomain } = require('../utils/validators');
+
+/**
+ * Wrap an order webhook handler with method, signature and shop checks
+ * @param {string} topic - Webhook topic (for logs)
+ * @param {Function} getOrder - (payload, shopData) => Shopify order
+ */
+const createOrderWebhook = (topic, getOrder) => functions.https.onRequest(async (req, res) => {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    verifyWebhook(req, res, async () => {
+        const shopDomain = sanitizeShopDomain(req.headers['x-shopify-shop-domain']);
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData || shopData.subscriptionStatus === 'uninstalled') {
+                // Acknowledge so Shopify stops retrying for shops we no longer serve
+                return res.status(200).json({ message: 'Shop not active' });
+            }
+
+            const order = await getOrder(req.body, shopData);
+            const changedDates = await applyOrderUpdate(shopDomain, shopData, order);
+
+            console.log(`Webhook ${topic} applied for ${shopDomain}:`, {
+                orderId: order.id,
+                changedDates,
+            });
+
+            res.status(200).json({ message: 'Order processed' });
+
+        } catch (error) {
+            // A non-2xx response makes Shopify retry the delivery
+            console.error(`Webhook ${topic} error for ${shopDomain}:`, error.message);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+});
+
+/**
+ * POST /webhooks/orders/create
+ */
+const ordersCreate = createOrderWebhook('orders/create', (order) => order);
+
+/**
+ * POST /webhooks/orders/updated
+ * Also fires for payment status changes and refunds
+ */
+const ordersUpdated = createOrderWebhook('orders/updated', (order) => order);
+
+/**
+ * POST /webhooks/refunds/create
+ * The payload is the refund; the whole order is needed to diff against the ledger
+ */
+const refundsCreate = createOrderWebhook('refunds/create', (refund, shopData) =>
+    fetchOrder(shopData.shop, shopData.accessToken, refund.order_id)
+);
+
+module.exports = {
+    ordersCreate,
+    ordersUpdated,
+    refundsCreate,
+};
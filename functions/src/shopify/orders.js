@@ -6,6 +6,27 @@
 const axios = require('axios');
 const { getConfig } = require('../config');
 const { verifyShop, getShopifyHeaders } = require('./auth');
+const { getDayBounds, toLocalDate, DEFAULT_TIMEZONE } = require('../utils/dates');
+
+// Financial statuses of orders whose sale counts as revenue on the order date
+// (refunds are subtracted separately on the date they are issued)
+const REVENUE_FINANCIAL_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Refund restock types that return units to inventory
+const RESTOCK_TYPES = ['return', 'cancel', 'legacy_restock'];
+
+// Receipt fields Brazilian gateways use for the number of installments
+const INSTALLMENT_KEYS = [
+    'installments',
+    'installment_count',
+    'installments_count',
+    'installments_number',
+    'number_of_installments',
+    'parcelas',
+    'quantidade_parcelas',
+];
+
+const MAX_INSTALLMENTS = 24;
 
 /**
  * Fetch orders from Shopify for a specific date range
@@ -22,6 +43,9 @@ const fetchOrders = async (shopDomain, accessToken, options = {}) => {
         status = 'any',
         limit = 250,
         financialStatus = 'paid',
+        updatedSince,
+        updatedAtMin,
+        timezone = DEFAULT_TIMEZONE,
     } = options;
 
     const allOrders = [];
@@ -36,10 +60,16 @@ const fetchOrders = async (shopDomain, accessToken, options = {}) => {
             params.set('financial_status', financialStatus);
 
             if (startDate) {
-                params.set('created_at_min', new Date(startDate).toISOString());
+                params.set('created_at_min', getDayBounds(startDate, timezone).start.toISOString());
             }
             if (endDate) {
-                params.set('created_at_max', new Date(endDate + 'T23:59:59').toISOString());
+                params.set('created_at_max', getDayBounds(endDate, timezone).end.toISOString());
+            }
+            if (updatedSince) {
+                params.set('updated_at_min', getDayBounds(updatedSince, timezone).start.toISOString());
+            }
+            if (updatedAtMin) {
+                params.set('updated_at_min', updatedAtMin);
             }
             if (pageInfo) {
                 params.set('page_info', pageInfo);
@@ -73,18 +103,116 @@ const fetchOrders = async (shopDomain, accessToken, options = {}) => {
     }
 };
 
+/**
+ * Fetch a single order
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Decrypted access token
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Object} - Order
+ */
+const fetchOrder = async (shopDomain, accessToken, orderId) => {
+    const config = getConfig();
+
+    try {
+        const url = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}/orders/${orderId}.json`;
+
+        const response = await axios.get(url, {
+            headers: getShopifyHeaders(accessToken),
+        });
+
+        return response.data.order;
+
+    } catch (error) {
+        console.error('Fetch order error:', error.response?.data || error.message);
+        throw new Error(`Failed to fetch order: ${error.message}`);
+    }
+};
+
+/**
+ * Fetch the payment transactions of an order
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Decrypted access token
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Array} - Transactions (with gateway receipts)
+ */
+const fetchOrderTransactions = async (shopDomain, accessToken, orderId) => {
+    const config = getConfig();
+
+    try {
+        const url = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}/orders/${orderId}/transactions.json`;
+
+        const response = await axios.get(url, {
+            headers: getShopifyHeaders(accessToken),
+        });
+
+        return response.data.transactions || [];
+
+    } catch (error) {
+        console.error('Fetch order transactions error:', error.response?.data || error.message);
+        throw new Error(`Failed to fetch order transactions: ${error.message}`);
+    }
+};
+
 /**
  * Fetch orders for a specific date
+ * Includes orders refunded since, as their sale still belongs to this date
  * @param {string} shopDomain - Shop domain
  * @param {string} accessToken - Decrypted access token
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @param {string} timezone - Shop IANA timezone
  * @returns {Array} - Orders array
  */
-const fetchOrdersForDate = async (shopDomain, accessToken, date) => {
-    return fetchOrders(shopDomain, accessToken, {
+const fetchOrdersForDate = async (shopDomain, accessToken, date, timezone) => {
+    const orders = await fetchOrders(shopDomain, accessToken, {
         startDate: date,
         endDate: date,
+        financialStatus: 'any',
+        timezone,
+    });
+
+    return orders.filter(isRevenueOrder);
+};
+
+/**
+ * Check whether an order's sale counts as revenue
+ * @param {Object} order - Shopify order
+ * @returns {boolean} - True if the order was paid (even if refunded since)
+ */
+const isRevenueOrder = (order) => {
+    return REVENUE_FINANCIAL_STATUSES.includes(order.financial_status);
+};
+
+/**
+ * Select the revenue orders created on a shop-local date
+ * @param {Array} orders - Orders array (any dates)
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @param {string} timezone - Shop IANA timezone
+ * @returns {Array} - Orders created on the date
+ */
+const filterOrdersForDate = (orders, date, timezone = DEFAULT_TIMEZONE) => {
+    return orders.filter(order =>
+        isRevenueOrder(order) && toLocalDate(order.created_at, timezone) === date
+    );
+};
+
+/**
+ * Fetch orders that may carry refunds issued on a specific date
+ * A refund always bumps the order's updated_at, so every order refunded on
+ * the date was updated on or after its start
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Decrypted access token
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @param {string} timezone - Shop IANA timezone
+ * @returns {Array} - Orders with at least one refund
+ */
+const fetchRefundedOrdersForDate = async (shopDomain, accessToken, date, timezone) => {
+    const orders = await fetchOrders(shopDomain, accessToken, {
+        updatedSince: date,
+        financialStatus: 'any',
+        timezone,
     });
+
+    return orders.filter(order => (order.refunds || []).length > 0);
 };
 
 /**
@@ -96,17 +224,17 @@ const fetchOrdersForDate = async (shopDomain, accessToken, date) => {
  */
 const fetchOrdersCount = async (shopDomain, accessToken, options = {}) => {
     const config = getConfig();
-    const { startDate, endDate, status = 'any' } = options;
+    const { startDate, endDate, status = 'any', timezone = DEFAULT_TIMEZONE } = options;
 
     try {
         const params = new URLSearchParams();
         params.set('status', status);
 
         if (startDate) {
-            params.set('created_at_min', new Date(startDate).toISOString());
+            params.set('created_at_min', getDayBounds(startDate, timezone).start.toISOString());
         }
         if (endDate) {
-            params.set('created_at_max', new Date(endDate + 'T23:59:59').toISOString());
+            params.set('created_at_max', getDayBounds(endDate, timezone).end.toISOString());
         }
 
         const url = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}/orders/count.json?${params.toString()}`;
@@ -130,28 +258,43 @@ const fetchOrdersCount = async (shopDomain, accessToken, options = {}) => {
  */
 const calculateOrderMetrics = (orders) => {
     let totalRevenue = 0;
+    let grossSales = 0;
     let totalTax = 0;
+    let includedTax = 0;
     let totalShipping = 0;
     let totalDiscounts = 0;
+    let totalTips = 0;
     let itemsSold = 0;
 
     for (const order of orders) {
+        const orderTax = parseFloat(order.total_tax) || 0;
+
         totalRevenue += parseFloat(order.total_price) || 0;
-        totalTax += parseFloat(order.total_tax) || 0;
+        totalTax += orderTax;
         totalShipping += parseFloat(order.total_shipping_price_set?.shop_money?.amount) || 0;
         totalDiscounts += parseFloat(order.total_discounts) || 0;
+        totalTips += parseFloat(order.total_tip_received) || 0;
+
+        // Tax-inclusive shops already have the tax inside line prices
+        if (order.taxes_included) {
+            includedTax += orderTax;
+        }
 
         for (const item of order.line_items || []) {
             itemsSold += item.quantity || 0;
+            grossSales += (parseFloat(item.price) || 0) * (item.quantity || 0);
         }
     }
 
     return {
         orderCount: orders.length,
         totalRevenue: totalRevenue.toFixed(2),
+        grossSales: grossSales.toFixed(2),
         totalTax: totalTax.toFixed(2),
+        includedTax: includedTax.toFixed(2),
         totalShipping: totalShipping.toFixed(2),
         totalDiscounts: totalDiscounts.toFixed(2),
+        totalTips: totalTips.toFixed(2),
         itemsSold,
         averageOrderValue: orders.length > 0
             ? (totalRevenue / orders.length).toFixed(2)
@@ -171,10 +314,12 @@ const extractLineItems = (orders) => {
         for (const item of order.line_items || []) {
             items.push({
                 orderId: order.id,
+                lineItemId: item.id,
                 variantId: item.variant_id,
                 productId: item.product_id,
                 sku: item.sku,
                 title: item.title,
+                variantTitle: item.variant_title,
                 quantity: item.quantity,
                 price: parseFloat(item.price) || 0,
                 totalPrice: (parseFloat(item.price) || 0) * (item.quantity || 1),
@@ -185,6 +330,80 @@ const extractLineItems = (orders) => {
     return items;
 };
 
+/**
+ * Check whether a refund line item was restocked
+ * Restocked units go back to inventory, so their COGS is reversed
+ * @param {Object} refundLineItem - Shopify refund_line_item
+ * @param {Object} refund - Parent refund (legacy API exposes restock here)
+ * @returns {boolean} - True if the units were returned to stock
+ */
+const isRestocked = (refundLineItem, refund) => {
+    if (refundLineItem.restock_type) {
+        return RESTOCK_TYPES.includes(refundLineItem.restock_type);
+    }
+    return !!refund.restock;
+};
+
+/**
+ * Extract refunds issued on a specific date
+ * @param {Array} orders - Orders array (with refunds)
+ * @param {string} date - Date in YYYY-MM-DD format (shop-local)
+ * @param {string} timezone - Shop IANA timezone
+ * @returns {Array} - Refunds with amount, tax, shipping and refunded line items
+ */
+const extractRefunds = (orders, date, timezone = DEFAULT_TIMEZONE) => {
+    const refunds = [];
+
+    for (const order of orders) {
+        for (const refund of order.refunds || []) {
+            if (!refund.created_at || toLocalDate(refund.created_at, timezone) !== date) {
+                continue;
+            }
+
+            const lineItems = (refund.refund_line_items || []).map(item => ({
+                lineItemId: item.line_item_id ?? item.line_item?.id,
+                variantId: item.line_item?.variant_id,
+                sku: item.line_item?.sku,
+                quantity: item.quantity || 0,
+                subtotal: parseFloat(item.subtotal) || 0,
+                tax: parseFloat(item.total_tax) || 0,
+                restocked: isRestocked(item, refund),
+            }));
+
+            // Shipping refunds are recorded as negative order adjustments
+            const shippingAdjustments = (refund.order_adjustments || []).filter(a =>
+                a.kind === 'shipping_refund'
+            );
+            const shipping = -shippingAdjustments.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
+            const tax = lineItems.reduce((sum, item) => sum + item.tax, 0)
+                - shippingAdjustments.reduce((sum, a) => sum + (parseFloat(a.tax_amount) || 0), 0);
+
+            const refundTransactions = (refund.transactions || []).filter(t =>
+                t.kind === 'refund' && t.status === 'success'
+            );
+
+            // Transactions hold the money actually returned; fall back to the
+            // refunded line totals when Shopify omits them
+            const amount = refundTransactions.length > 0
+                ? refundTransactions.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0)
+                : lineItems.reduce((sum, item) => sum + item.subtotal + item.tax, 0) + shipping;
+
+            refunds.push({
+                orderId: order.id,
+                orderDate: toLocalDate(order.created_at, timezone),
+                refundId: refund.id,
+                createdAt: refund.created_at,
+                amount,
+                tax,
+                shipping,
+                lineItems,
+            });
+        }
+    }
+
+    return refunds;
+};
+
 /**
  * Extract payment gateway from orders
  * @param {Array} orders - Orders array
@@ -208,11 +427,67 @@ const extractGatewayBreakdown = (orders) => {
     return breakdown;
 };
 
+/**
+ * Number of installments a card payment was split into
+ * Read from the receipts of successful payment transactions; each gateway
+ * names the field differently and some nest it (e.g. receipt.payment).
+ * @param {Array} transactions - From fetchOrderTransactions
+ * @returns {number|null} - Installments, or null when no receipt has them
+ */
+const extractInstallments = (transactions) => {
+    let installments = null;
+
+    for (const transaction of transactions || []) {
+        if (!['sale', 'capture', 'authorization'].includes(transaction.kind)) continue;
+        if (transaction.status !== 'success') continue;
+
+        const found = findInstallments(transaction.receipt, 5);
+        if (found && (!installments || found > installments)) {
+            installments = found;
+        }
+    }
+
+    return installments;
+};
+
+/**
+ * Look for an installments field in a receipt, a few levels deep
+ */
+function findInstallments(receipt, depth) {
+    if (!receipt || typeof receipt !== 'object' || depth === 0) {
+        return null;
+    }
+
+    for (const [key, value] of Object.entries(receipt)) {
+        if (!INSTALLMENT_KEYS.includes(key.toLowerCase())) continue;
+        if (typeof value !== 'number' && typeof value !== 'string') continue;
+
+        const installments = parseInt(value, 10);
+        if (installments >= 1 && installments <= MAX_INSTALLMENTS) {
+            return installments;
+        }
+    }
+
+    for (const value of Object.values(receipt)) {
+        const installments = findInstallments(value, depth - 1);
+        if (installments) return installments;
+    }
+
+    return null;
+}
+
 module.exports = {
     fetchOrders,
+    fetchOrder,
+    fetchOrderTransactions,
     fetchOrdersForDate,
+    fetchRefundedOrdersForDate,
+    filterOrdersForDate,
     fetchOrdersCount,
     calculateOrderMetrics,
     extractLineItems,
+    extractRefunds,
     extractGatewayBreakdown,
+    extractInstallments,
+    MAX_INSTALLMENTS,
 };
@@ -0,0 +1,71 @@
+/**
+ * Shopify Product Webhooks
+ * Keep the product catalog in sync as products change
+ */
+
+const functions = require('firebase-functions');
+const { verifyWebhook } = require('./webhooks');
+const { verifyShop } = require('./auth');
+const { applyProductUpdate, applyProductDelete } = require('./catalog');
+const { sanitizeShopDomain } = require('../utils/validators');
+
+/**
+ * Wrap a product webhook handler with method, signature and shop checks
+ * @param {string} topic - Webhook topic (for logs)
+ * @param {Function} apply - (shopDomain, payload) => number of variants affected
+ */
+const createProductWebhook = (topic, apply) => functions.https.onRequest(async (req, res) => {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    verifyWebhook(req, res, async () => {
+        const shopDomain = sanitizeShopDomain(req.headers['x-shopify-shop-domain']);
+
+        try {
+            const shopData = await verifyShop(shopDomain);
+            if (!shopData || shopData.subscriptionStatus === 'uninstalled') {
+                // Acknowledge so Shopify stops retrying for shops we no longer serve
+                return res.status(200).json({ message: 'Shop not active' });
+            }
+
+            const variants = await apply(shopDomain, req.body);
+
+            console.log(`Webhook ${topic} applied for ${shopDomain}:`, {
+                productId: req.body.id,
+                variants,
+            });
+
+            res.status(200).json({ message: 'Product processed' });
+
+        } catch (error) {
+            // A non-2xx response makes Shopify retry the delivery
+            console.error(`Webhook ${topic} error for ${shopDomain}:`, error.message);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+});
+
+/**
+ * POST /webhooks/products/create
+ */
+const productsCreate = createProductWebhook('products/create', applyProductUpdate);
+
+/**
+ * POST /webhooks/products/update
+ */
+const productsUpdate = createProductWebhook('products/update', applyProductUpdate);
+
+/**
+ * POST /webhooks/products/delete
+ * The payload only carries the product ID
+ */
+const productsDelete = createProductWebhook('products/delete', (shopDomain, product) =>
+    applyProductDelete(shopDomain, product.id)
+);
+
+module.exports = {
+    productsCreate,
+    productsUpdate,
+    productsDelete,
+};
@@ -16,7 +16,7 @@ const { getShopifyHeaders } = require('./auth');
  */
 const fetchProducts = async (shopDomain, accessToken, options = {}) => {
     const config = getConfig();
-    const { limit = 250, fields = 'id,title,variants,images' } = options;
+    const { limit = 250, fields = 'id,title,status,vendor,product_type,tags,variants,images' } = options;
 
     const allProducts = [];
     let pageInfo = null;
@@ -109,6 +109,115 @@ const fetchProductCount = async (shopDomain, accessToken) => {
     }
 };
 
+/**
+ * Fetch inventory items (they hold the "Cost per item" of each variant)
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Decrypted access token
+ * @param {Array} inventoryItemIds - Inventory item IDs
+ * @returns {Array} - Inventory items
+ */
+const fetchInventoryItems = async (shopDomain, accessToken, inventoryItemIds) => {
+    const config = getConfig();
+    const items = [];
+
+    try {
+        // The endpoint accepts at most 100 IDs per request
+        for (let i = 0; i < inventoryItemIds.length; i += 100) {
+            const params = new URLSearchParams();
+            params.set('ids', inventoryItemIds.slice(i, i + 100).join(','));
+            params.set('limit', '100');
+
+            const url = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}/inventory_items.json?${params.toString()}`;
+
+            const response = await axios.get(url, {
+                headers: getShopifyHeaders(accessToken),
+            });
+
+            items.push(...(response.data.inventory_items || []));
+        }
+
+        return items;
+
+    } catch (error) {
+        console.error('Fetch inventory items error:', error.response?.data || error.message);
+        throw new Error(`Failed to fetch inventory items: ${error.message}`);
+    }
+};
+
+/**
+ * Fetch every collection (custom and smart) with the IDs of its products
+ * @param {string} shopDomain - Shop domain
+ * @param {string} accessToken - Decrypted access token
+ * @returns {Array} - [{ id, title, productIds }]
+ */
+const fetchCollections = async (shopDomain, accessToken) => {
+    const config = getConfig();
+    const baseUrl = `https://${shopDomain}/admin/api/${config.shopify.apiVersion}`;
+
+    try {
+        const collections = [
+            ...await fetchAllPages(accessToken, `${baseUrl}/custom_collections.json`, 'custom_collections', 'id,title'),
+            ...await fetchAllPages(accessToken, `${baseUrl}/smart_collections.json`, 'smart_collections', 'id,title'),
+        ];
+
+        // Smart collection membership is only available per collection
+        const result = [];
+        for (const collection of collections) {
+            const products = await fetchAllPages(
+                accessToken,
+                `${baseUrl}/collections/${collection.id}/products.json`,
+                'products',
+                'id'
+            );
+
+            result.push({
+                id: collection.id,
+                title: collection.title,
+                productIds: products.map(product => product.id),
+            });
+        }
+
+        return result;
+
+    } catch (error) {
+        console.error('Fetch collections error:', error.response?.data || error.message);
+        throw new Error(`Failed to fetch collections: ${error.message}`);
+    }
+};
+
+/**
+ * Follow Link header pagination of a REST list endpoint
+ */
+async function fetchAllPages(accessToken, url, key, fields) {
+    const items = [];
+    let pageInfo = null;
+
+    do {
+        const params = new URLSearchParams();
+        params.set('limit', '250');
+
+        // page_info requests only accept limit and fields
+        params.set('fields', fields);
+        if (pageInfo) {
+            params.set('page_info', pageInfo);
+        }
+
+        const response = await axios.get(`${url}?${params.toString()}`, {
+            headers: getShopifyHeaders(accessToken),
+        });
+
+        items.push(...(response.data[key] || []));
+
+        const linkHeader = response.headers['link'];
+        const match = linkHeader && linkHeader.includes('rel="next"')
+            ? linkHeader.match(/page_info=([^>&]*)>; rel="next"/)
+            : null;
+        pageInfo = match ? match[1] : null;
+    } while (pageInfo);
+
+    return items;
+}
+
 /**
  * Extract all variants from products with their details
  * @param {Array} products - Products array
@@ -119,16 +228,25 @@ const extractVariants = (products) => {
 
     for (const product of products) {
         for (const variant of product.variants || []) {
+            // Prefer the variant's own image over the product's main image
+            const image = (product.images || []).find(img => img.id === variant.image_id) ||
+                product.images?.[0];
+
             variants.push({
                 variantId: variant.id,
                 productId: product.id,
                 productTitle: product.title,
                 variantTitle: variant.title,
+                productStatus: product.status || null,
+                vendor: product.vendor || '',
+                productType: product.product_type || '',
+                tags: (product.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
                 sku: variant.sku || '',
                 price: parseFloat(variant.price) || 0,
                 compareAtPrice: parseFloat(variant.compare_at_price) || null,
+                inventoryItemId: variant.inventory_item_id || null,
                 inventoryQuantity: variant.inventory_quantity || 0,
-                imageUrl: product.images?.[0]?.src || null,
+                imageUrl: image?.src || null,
             });
         }
     }
@@ -196,6 +314,8 @@ module.exports = {
     fetchProducts,
     fetchProduct,
     fetchProductCount,
+    fetchInventoryItems,
+    fetchCollections,
     extractVariants,
     findVariantBySku,
     createVariantLookup,
@@ -133,15 +133,24 @@ const shopRedact = functions.https.onRequest(async (req, res) => {
             'adSpend',
             'oauthTokens',
             'fixedCosts',
+            'variableCosts',
             'shopStats',
             'dailyMetrics',
+            'backfillJobs',
+            'recalcJobs',
+            'orderLedger',
+            'productCatalog',
+            'purchaseOrders',
+            'inventoryCosts',
+            'cogsRules',
+            'cogsImports',
         ];
 
         for (const collection of collections) {
             const docRef = db.collection(collection).doc(sanitizedShop);
 
             // Check if it's a document with subcollections
-            if (['productCosts', 'adSpend', 'oauthTokens', 'fixedCosts', 'dailyMetrics'].includes(collection)) {
+            if (['productCosts', 'adSpend', 'oauthTokens', 'fixedCosts', 'variableCosts', 'dailyMetrics', 'orderLedger', 'productCatalog', 'purchaseOrders', 'inventoryCosts', 'cogsRules', 'cogsImports'].includes(collection)) {
                 // Delete subcollections recursively
                 await deleteCollection(docRef);
             }
@@ -210,6 +219,7 @@ const appUninstalled = functions.https.onRequest(async (req, res) => {
 });
 
 module.exports = {
+    verifyWebhook,
     customersDataRequest,
     customersRedact,
     shopRedact,
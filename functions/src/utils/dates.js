@@ -0,0 +1,213 @@
+/**
+ * Timezone-aware date utilities
+ * A "day" is always the merchant's local day in the shop's IANA timezone
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Validate IANA timezone name
+ * @param {string} timezone - Timezone to validate
+ * @returns {boolean} - True if valid
+ */
+const isValidTimezone = (timezone) => {
+    if (!timezone || typeof timezone !== 'string') return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the timezone of a shop
+ * @param {Object} shopData - Shop document data
+ * @returns {string} - IANA timezone (UTC if unknown)
+ */
+const getShopTimezone = (shopData) => {
+    return isValidTimezone(shopData?.timezone) ? shopData.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get calendar parts of an instant in a timezone
+ */
+function getZonedParts(instant, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    });
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(instant)) {
+        parts[type] = value;
+    }
+
+    return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(instant, timezone) {
+    const parts = getZonedParts(instant, timezone);
+    const asUtc = Date.UTC(
+        parseInt(parts.year),
+        parseInt(parts.month) - 1,
+        parseInt(parts.day),
+        parseInt(parts.hour),
+        parseInt(parts.minute),
+        parseInt(parts.second)
+    );
+
+    return asUtc - (Math.floor(instant.getTime() / 1000) * 1000);
+}
+
+/**
+ * Format an instant as the local date in a timezone
+ * @param {Date|string|number} instant - Instant to format
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const toLocalDate = (instant, timezone = DEFAULT_TIMEZONE) => {
+    const parts = getZonedParts(new Date(instant), timezone);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Get today's date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const getTodayInTimezone = (timezone = DEFAULT_TIMEZONE) => {
+    return toLocalDate(new Date(), timezone);
+};
+
+/**
+ * Get the local hour (0-23) in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} instant - Instant (default: now)
+ * @returns {number} - Hour of day
+ */
+const getLocalHour = (timezone = DEFAULT_TIMEZONE, instant = new Date()) => {
+    return parseInt(getZonedParts(instant, timezone).hour);
+};
+
+/**
+ * Add days to a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Add calendar months to a date
+ * Days past the end of the target month fall on its last day
+ * (Jan 31 + 1 month = Feb 28 or 29)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const addMonths = (date, months) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+};
+
+/**
+ * Get UTC instants bounding a local day
+ * Handles DST transitions (days of 23 or 25 hours)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { start, end } Date instants (end is inclusive)
+ */
+const getDayBounds = (date, timezone = DEFAULT_TIMEZONE) => {
+    const start = getLocalMidnight(date, timezone);
+    const nextStart = getLocalMidnight(addDays(date, 1), timezone);
+
+    return {
+        start,
+        end: new Date(nextStart.getTime() - 1000),
+    };
+};
+
+/**
+ * UTC instant of local midnight for a date
+ */
+function getLocalMidnight(date, timezone) {
+    const utcMidnight = new Date(`${date}T00:00:00Z`);
+    const offset = getTimezoneOffset(utcMidnight, timezone);
+    const guess = new Date(utcMidnight.getTime() - offset);
+
+    // Offset may differ across a DST change between the guess and midnight
+    const correctedOffset = getTimezoneOffset(guess, timezone);
+    if (correctedOffset !== offset) {
+        return new Date(utcMidnight.getTime() - correctedOffset);
+    }
+
+    return guess;
+}
+
+/**
+ * Get the Monday of the week containing a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const getWeekStart = (date) => {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, day === 0 ? -6 : 1 - day);
+};
+
+/**
+ * Get the first day of the month containing a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const getMonthStart = (date) => {
+    return `${date.slice(0, 7)}-01`;
+};
+
+/**
+ * List every date between two dates (inclusive)
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {Array} - Dates in YYYY-MM-DD format
+ */
+const listDates = (startDate, endDate) => {
+    const dates = [];
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+
+    return dates;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getShopTimezone,
+    toLocalDate,
+    getTodayInTimezone,
+    getLocalHour,
+    addDays,
+    addMonths,
+    getDayBounds,
+    getWeekStart,
+    getMonthStart,
+    listDates,
+};
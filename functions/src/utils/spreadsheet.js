@@ -0,0 +1,227 @@
+/**
+ * Spreadsheet reading utilities
+ * Turns uploaded CSV or XLSX files into rows keyed by header, coping with
+ * the formats Brazilian spreadsheets are usually saved in
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Read the rows of an uploaded spreadsheet
+ * Files arrive base64-encoded (fileContent) so their encoding can be
+ * detected; plain text (csvContent) is still accepted.
+ * @param {Object} file - { csvContent, fileContent, fileName }
+ * @param {Object} options - { limit } to read only the first rows
+ * @returns {Object} - { records, format: { type, delimiter, encoding } }
+ */
+const readSpreadsheet = async ({ csvContent, fileContent, fileName }, options = {}) => {
+    if (fileContent == null) {
+        return parseCsv(csvContent, null, options);
+    }
+
+    const buffer = Buffer.from(fileContent, 'base64');
+
+    if (isXlsx(buffer, fileName)) {
+        return { records: await parseXlsx(buffer, options), format: { type: 'xlsx' } };
+    }
+
+    const { text, encoding } = decodeText(buffer);
+    return parseCsv(text, encoding, options);
+};
+
+/**
+ * Decode file bytes as UTF-8, falling back to Latin-1 (Windows-1252)
+ * Excel on Windows saves CSV as Windows-1252 unless told otherwise
+ * @param {Buffer} buffer - File bytes
+ * @returns {Object} - { text, encoding }
+ */
+const decodeText = (buffer) => {
+    try {
+        return {
+            text: new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer),
+            encoding: 'utf-8',
+        };
+    } catch (error) {
+        return {
+            text: new TextDecoder('windows-1252').decode(buffer),
+            encoding: 'latin1',
+        };
+    }
+};
+
+/**
+ * Guess the delimiter of a CSV from its header line
+ * @param {string} text - CSV content
+ * @returns {string} - Delimiter, ',' when nothing else fits
+ */
+const detectDelimiter = (text) => {
+    const header = (text || '').split(/\r?\n/).find(line => line.trim()) || '';
+    const unquoted = header.replace(/"[^"]*"/g, '');
+
+    let best = ',';
+    let bestCount = 0;
+    for (const delimiter of DELIMITERS) {
+        const count = unquoted.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Guess the decimal separator used by a column of numbers
+ * "1.234,56" and "12,5" mean a decimal comma; "1,234.56" and "12.5" a
+ * decimal point. Ambiguous columns ("1.234" only) follow the fallback.
+ * @param {Array} values - Raw cell values
+ * @param {string} fallback - Separator to use when nothing decides it
+ * @returns {string} - ',' or '.'
+ */
+const detectDecimalSeparator = (values, fallback = '.') => {
+    let comma = 0;
+    let point = 0;
+
+    for (const value of values) {
+        if (typeof value !== 'string') continue;
+
+        const number = value.replace(/[^0-9.,]/g, '');
+        const lastComma = number.lastIndexOf(',');
+        const lastPoint = number.lastIndexOf('.');
+
+        // A separator that repeats, or is followed by anything but three
+        // digits, cannot be a thousands separator
+        if (lastComma !== -1 && lastPoint !== -1) {
+            if (lastComma > lastPoint) comma++;
+            else point++;
+        } else if (/^\d*,(\d{1,2}|\d{4,})$/.test(number) || /\.\d{3}\./.test(number)) {
+            comma++;
+        } else if (/^\d*\.(\d{1,2}|\d{4,})$/.test(number) || /,\d{3},/.test(number)) {
+            point++;
+        }
+    }
+
+    if (comma === point) return fallback;
+    return comma > point ? ',' : '.';
+};
+
+/**
+ * Parse a number written with the given decimal separator
+ * Currency symbols, spaces and thousands separators are ignored.
+ * @param {string|number} value - Raw cell value
+ * @param {string} decimalSeparator - ',' or '.'
+ * @returns {number|null} - Parsed number, or null if there is none
+ */
+const parseNumber = (value, decimalSeparator = '.') => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    if (value == null) return null;
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    const normalized = value.toString()
+        .replace(/[^0-9.,-]/g, '')
+        .split(thousandsSeparator).join('')
+        .replace(decimalSeparator, '.');
+
+    const parsed = parseFloat(normalized);
+    return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Parse CSV text with the delimiter it appears to use
+ */
+function parseCsv(text, encoding, { limit } = {}) {
+    const delimiter = detectDelimiter(text);
+
+    const records = parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        bom: true,
+        delimiter,
+        ...(limit ? { to: limit } : {}),
+    });
+
+    return {
+        records,
+        format: { type: 'csv', delimiter, encoding: encoding || 'utf-8' },
+    };
+}
+
+/**
+ * XLSX files are ZIP archives, which start with "PK"
+ */
+function isXlsx(buffer, fileName) {
+    if (fileName && /\.xlsx$/i.test(fileName)) return true;
+    return buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+}
+
+/**
+ * Rows of the first worksheet, keyed by the header row
+ * Numbers stay numbers; dates become YYYY-MM-DD strings
+ */
+async function parseXlsx(buffer, { limit } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const headers = [];
+    const records = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) {
+            row.eachCell((cell, column) => {
+                headers[column] = getCellValue(cell.value)?.toString().trim() || '';
+            });
+            return;
+        }
+
+        if (limit && records.length >= limit) return;
+
+        const record = {};
+        let hasValue = false;
+        headers.forEach((header, column) => {
+            if (!header) return;
+
+            const value = getCellValue(row.getCell(column).value);
+            record[header] = typeof value === 'string' ? value.trim() : value ?? '';
+            if (record[header] !== '') hasValue = true;
+        });
+
+        if (hasValue) {
+            records.push(record);
+        }
+    });
+
+    return records;
+}
+
+/**
+ * Plain value of an ExcelJS cell (formulas, rich text and links unwrapped)
+ */
+function getCellValue(value) {
+    if (value == null) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value !== 'object') return value;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return getCellValue(value.text);
+    if (value.result !== undefined) return getCellValue(value.result);
+    return null;
+}
+
+module.exports = {
+    readSpreadsheet,
+    decodeText,
+    detectDelimiter,
+    detectDecimalSeparator,
+    parseNumber,
+};
@@ -130,7 +130,7 @@ const isValidAdPlatform = (platform) => {
  * @returns {boolean} - True if valid
  */
 const isValidCurrency = (currency) => {
-    const validCurrencies = ['USD', 'EUR', 'BRL', 'GBP', 'CAD', 'AUD'];
+    const validCurrencies = ['USD', 'EUR', 'BRL', 'GBP', 'CAD', 'AUD', 'CNY'];
     return validCurrencies.includes(currency?.toUpperCase());
 };
 
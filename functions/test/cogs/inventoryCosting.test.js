@@ -0,0 +1,122 @@
+const { buildInventoryCostHistory } = require('../../src/cogs/inventoryCosting');
+const { resolveCogsMap, getUnitCost } = require('../../src/cogs/manual');
+
+const lots = [
+    { date: '2024-01-01', quantity: 10, unitCost: 5 },
+    { date: '2024-01-05', quantity: 10, unitCost: 7 },
+];
+const sales = [
+    { date: '2024-01-03', quantity: 4, lineItemId: 101 },
+    { date: '2024-01-06', quantity: 8, lineItemId: 102 },
+];
+
+const entry = (cogs, effectiveFrom) => ({ cogs, effectiveFrom, source: 'purchase_orders' });
+
+describe('buildInventoryCostHistory', () => {
+    describe('fifo', () => {
+        it('costs sales from the oldest lots first', () => {
+            const { costHistory, lineCosts, onHand } = buildInventoryCostHistory(lots, sales, 'fifo');
+
+            // 6 units at 5 and 2 at 7 sold on the 6th; the 7 lot is next after that
+            expect(costHistory).toEqual([
+                entry(5, null),
+                entry(7, '2024-01-07'),
+            ]);
+            expect(lineCosts).toEqual({ 102: { cogs: 5.5, date: '2024-01-06' } });
+            expect(onHand).toBe(8);
+        });
+
+        it('costs orders placed on the same day from the lots each one used', () => {
+            const { costHistory, lineCosts } = buildInventoryCostHistory(
+                [
+                    { date: '2024-01-01', quantity: 3, unitCost: 5 },
+                    { date: '2024-01-01', quantity: 10, unitCost: 8 },
+                ],
+                [
+                    { date: '2024-01-02', quantity: 1, lineItemId: 203, createdAt: '2024-01-02T18:00:00-03:00' },
+                    { date: '2024-01-02', quantity: 2, lineItemId: 201, createdAt: '2024-01-02T09:00:00-03:00' },
+                    { date: '2024-01-02', quantity: 2, lineItemId: 202, createdAt: '2024-01-02T10:30:00-03:00' },
+                ],
+                'fifo'
+            );
+
+            // The first order takes 2 units at 5, the second the last unit at 5
+            // and one at 8, the third a unit at 8
+            expect(costHistory).toEqual([
+                entry(5, null),
+                entry(8, '2024-01-03'),
+            ]);
+            expect(lineCosts).toEqual({
+                202: { cogs: 6.5, date: '2024-01-02' },
+                203: { cogs: 8, date: '2024-01-02' },
+            });
+
+            const cogsMap = resolveCogsMap({ costs: { 11: costHistory }, boms: {}, lineCosts: { 202: 6.5, 203: 8 } }, '2024-01-02');
+            expect(getUnitCost(cogsMap, { lineItemId: 201, variantId: 11 })).toBe(5);
+            expect(getUnitCost(cogsMap, { lineItemId: 202, variantId: 11 })).toBe(6.5);
+            expect(getUnitCost(cogsMap, { lineItemId: 203, variantId: 11 })).toBe(8);
+        });
+
+        it('receives lots before selling on the same day', () => {
+            const { costHistory, lineCosts } = buildInventoryCostHistory(
+                [{ date: '2024-01-01', quantity: 10, unitCost: 3 }],
+                [{ date: '2024-01-01', quantity: 2, lineItemId: 301 }],
+                'fifo'
+            );
+
+            expect(costHistory).toEqual([entry(3, null)]);
+            expect(lineCosts).toEqual({});
+        });
+
+        it('costs units sold beyond what was received at the last lot cost', () => {
+            const { costHistory, lineCosts, onHand } = buildInventoryCostHistory(
+                [
+                    { date: '2024-01-01', quantity: 1, unitCost: 4 },
+                    { date: '2024-01-01', quantity: 1, unitCost: 6 },
+                ],
+                [{ date: '2024-01-02', quantity: 3, lineItemId: 401 }],
+                'fifo'
+            );
+
+            expect(costHistory).toEqual([
+                entry(4, null),
+                entry(6, '2024-01-03'),
+            ]);
+            expect(lineCosts).toEqual({ 401: { cogs: 5.3333, date: '2024-01-02' } });
+            expect(onHand).toBe(-1);
+        });
+    });
+
+    describe('weighted_average', () => {
+        it('averages the units on hand with each lot received', () => {
+            const { costHistory, onHand } = buildInventoryCostHistory(lots, sales, 'weighted_average');
+
+            // 6 units left at 5 plus 10 at 7
+            expect(costHistory).toEqual([
+                entry(5, null),
+                entry(6.25, '2024-01-05'),
+            ]);
+            expect(onHand).toBe(8);
+        });
+
+        it('does not let an oversold stock weigh on the next lot', () => {
+            const { costHistory } = buildInventoryCostHistory(
+                [
+                    { date: '2024-01-01', quantity: 1, unitCost: 4 },
+                    { date: '2024-01-03', quantity: 2, unitCost: 10 },
+                ],
+                [{ date: '2024-01-02', quantity: 3 }],
+                'weighted_average'
+            );
+
+            expect(costHistory).toEqual([
+                entry(4, null),
+                entry(10, '2024-01-03'),
+            ]);
+        });
+    });
+
+    it('returns an empty history without lots or sales', () => {
+        expect(buildInventoryCostHistory([], [], 'fifo')).toEqual({ costHistory: [], lineCosts: {}, onHand: 0 });
+    });
+});
@@ -0,0 +1,94 @@
+const {
+    validateCogsRule,
+    matchesRule,
+    findRule,
+    getRuleCost,
+} = require('../../src/cogs/rules');
+
+const variant = {
+    variantId: 11,
+    sku: 'CAM-AZUL-M',
+    vendor: 'Malharia Sul',
+    productType: 'Camiseta',
+    tags: ['Verão', 'algodao'],
+    collectionIds: [301, 302],
+    price: 79.9,
+};
+
+describe('matchesRule', () => {
+    // Text scopes ignore case and surrounding spaces
+    it.each([
+        ['all', null],
+        ['vendor', 'malharia sul'],
+        ['product_type', ' CAMISETA '],
+        ['tag', 'verão'],
+        ['collection', '302'],
+        ['sku_prefix', 'cam-'],
+    ])('matches by %s', (scope, scopeValue) => {
+        expect(matchesRule({ scope, scopeValue }, variant)).toBe(true);
+    });
+
+    it.each([
+        ['vendor', 'Outra Malharia'],
+        ['product_type', 'Calça'],
+        ['tag', 'inverno'],
+        ['collection', '303'],
+        ['sku_prefix', 'CAL-'],
+        ['unknown', 'x'],
+    ])('does not match another %s', (scope, scopeValue) => {
+        expect(matchesRule({ scope, scopeValue }, variant)).toBe(false);
+    });
+
+    it('does not match SKU prefixes on variants without a SKU', () => {
+        expect(matchesRule({ scope: 'sku_prefix', scopeValue: 'cam' }, { ...variant, sku: '' })).toBe(false);
+    });
+});
+
+describe('findRule', () => {
+    it('returns the first rule that applies', () => {
+        const rules = [
+            { id: 'tag', scope: 'tag', scopeValue: 'inverno' },
+            { id: 'vendor', scope: 'vendor', scopeValue: 'Malharia Sul' },
+            { id: 'all', scope: 'all' },
+        ];
+
+        expect(findRule(rules, variant).id).toBe('vendor');
+        expect(findRule(rules.slice(0, 1), variant)).toBeNull();
+    });
+});
+
+describe('getRuleCost', () => {
+    it('takes a percentage of the variant price, to 4 decimals', () => {
+        expect(getRuleCost({ type: 'percentage', value: 35 }, variant)).toBe(27.965);
+        expect(getRuleCost({ type: 'percentage', value: 33.3333 }, { price: 10 })).toBe(3.3333);
+    });
+
+    it('uses the same amount for fixed rules', () => {
+        expect(getRuleCost({ type: 'fixed', value: 12.5 }, variant)).toBe(12.5);
+    });
+
+    it('costs nothing for a percentage of a variant without price', () => {
+        expect(getRuleCost({ type: 'percentage', value: 40 }, {})).toBe(0);
+    });
+});
+
+describe('validateCogsRule', () => {
+    const rule = { type: 'percentage', value: 40, scope: 'vendor', scopeValue: 'Malharia Sul' };
+
+    it('accepts a valid rule', () => {
+        expect(validateCogsRule(rule)).toBeNull();
+    });
+
+    it('rejects percentages above 100', () => {
+        expect(validateCogsRule({ ...rule, value: 120 })).toBe('Percentage cannot exceed 100');
+    });
+
+    it('requires a scope value unless the rule applies to all', () => {
+        expect(validateCogsRule({ ...rule, scopeValue: ' ' })).toBe('Scope value is required');
+        expect(validateCogsRule({ ...rule, scope: 'all', scopeValue: null })).toBeNull();
+    });
+
+    it('requires a whole positive priority', () => {
+        expect(validateCogsRule({ ...rule, priority: 1.5 })).toBe('Priority must be a positive whole number');
+    });
+});
@@ -0,0 +1,80 @@
+const { getFixedCostForDate } = require('../../src/costs/fixedCosts');
+const { listDates } = require('../../src/utils/dates');
+
+const cost = (fields) => ({
+    active: true,
+    startDate: '2024-01-01',
+    endDate: null,
+    ...fields,
+});
+
+describe('getFixedCostForDate', () => {
+    it('charges daily and weekly costs evenly', () => {
+        expect(getFixedCostForDate(cost({ frequency: 'daily', amount: 15 }), '2024-03-01')).toBe(15);
+        expect(getFixedCostForDate(cost({ frequency: 'weekly', amount: 70 }), '2024-03-01')).toBe(10);
+    });
+
+    it('splits a monthly cost over the days of each month', () => {
+        const rent = cost({ frequency: 'monthly', amount: 3100 });
+
+        expect(getFixedCostForDate(rent, '2024-01-20')).toBe(100);
+        expect(getFixedCostForDate(rent, '2024-02-20')).toBeCloseTo(3100 / 29);
+        expect(getFixedCostForDate(rent, '2025-02-20')).toBeCloseTo(3100 / 28);
+    });
+
+    it('splits a yearly cost over the days of each year', () => {
+        expect(getFixedCostForDate(cost({ frequency: 'yearly', amount: 36600 }), '2024-06-01')).toBe(100);
+        expect(getFixedCostForDate(cost({ frequency: 'yearly', amount: 36500, startDate: '2023-01-01' }), '2023-06-01')).toBe(100);
+    });
+
+    it('charges a month of a monthly cost to every calendar month', () => {
+        const rent = cost({ frequency: 'monthly', amount: 2500 });
+        const days = Array.from({ length: 29 }, (_, i) => `2024-02-${String(i + 1).padStart(2, '0')}`);
+
+        const total = days.reduce((sum, date) => sum + getFixedCostForDate(rent, date), 0);
+
+        expect(total).toBeCloseTo(2500);
+    });
+
+    it('applies only between the start and end dates, inclusive', () => {
+        const salary = cost({ frequency: 'daily', amount: 50, startDate: '2024-03-10', endDate: '2024-03-20' });
+
+        expect(getFixedCostForDate(salary, '2024-03-09')).toBe(0);
+        expect(getFixedCostForDate(salary, '2024-03-10')).toBe(50);
+        expect(getFixedCostForDate(salary, '2024-03-20')).toBe(50);
+        expect(getFixedCostForDate(salary, '2024-03-21')).toBe(0);
+    });
+
+    it('charges nothing for inactive costs or unknown frequencies', () => {
+        expect(getFixedCostForDate(cost({ frequency: 'daily', amount: 50, active: false }), '2024-03-01')).toBe(0);
+        expect(getFixedCostForDate(cost({ frequency: 'hourly', amount: 50 }), '2024-03-01')).toBe(0);
+    });
+
+    it('charges a one-off expense on its date only', () => {
+        const fair = cost({ frequency: 'one_off', amount: 500, startDate: '2024-03-10', endDate: '2024-03-10' });
+
+        expect(getFixedCostForDate(fair, '2024-03-09')).toBe(0);
+        expect(getFixedCostForDate(fair, '2024-03-10')).toBe(500);
+        expect(getFixedCostForDate(fair, '2024-03-11')).toBe(0);
+    });
+
+    it('gives each month of an amortized expense an equal share', () => {
+        const machine = cost({
+            frequency: 'amortized',
+            amount: 1200,
+            months: 12,
+            startDate: '2024-01-15',
+            endDate: '2025-01-14',
+        });
+
+        // Jan 15 - Feb 14 has 31 days, Feb 15 - Mar 14 has 29
+        expect(getFixedCostForDate(machine, '2024-01-15')).toBeCloseTo(100 / 31);
+        expect(getFixedCostForDate(machine, '2024-02-14')).toBeCloseTo(100 / 31);
+        expect(getFixedCostForDate(machine, '2024-02-15')).toBeCloseTo(100 / 29);
+        expect(getFixedCostForDate(machine, '2025-01-15')).toBe(0);
+
+        const total = listDates('2024-01-01', '2025-02-01')
+            .reduce((sum, date) => sum + getFixedCostForDate(machine, date), 0);
+        expect(total).toBeCloseTo(1200);
+    });
+});
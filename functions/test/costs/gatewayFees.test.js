@@ -0,0 +1,93 @@
+const {
+    calculateTotalFees,
+    hasInstallmentRates,
+    getRescheduledGateways,
+    validateFeeRates,
+} = require('../../src/costs/gatewayFees');
+
+const rates = {
+    pagar_me: {
+        percentage: 0.0299,
+        fixed: 0.5,
+        installmentRates: [
+            { installments: 2, percentage: 0.05 },
+            { installments: 7, percentage: 0.09 },
+        ],
+    },
+};
+
+const order = (installments) => ({
+    gateway: 'Pagar.me',
+    total_price: '100.00',
+    installments,
+});
+
+describe('calculateTotalFees', () => {
+    it('charges the rate of the highest installment count reached', () => {
+        // 12x falls in the 7+ rate, 3x in the 2+ rate and 1x in the base rate
+        const { totalFees, breakdown, unconfiguredOrders } = calculateTotalFees(
+            [order(12), order(1), order(3)],
+            rates
+        );
+
+        expect(totalFees).toBeCloseTo(9.5 + 3.49 + 5.5);
+        expect(breakdown.pagar_me).toEqual({ count: 3, orderTotal: 300, fees: 18.49, configured: true });
+        expect(unconfiguredOrders).toBe(0);
+    });
+
+    it('uses the base rate when the installments are unknown', () => {
+        expect(calculateTotalFees([order(null)], rates).totalFees).toBe(3.49);
+    });
+});
+
+describe('hasInstallmentRates', () => {
+    it('is true only for gateways with an installment schedule', () => {
+        expect(hasInstallmentRates('Pagar.me', rates)).toBe(true);
+        expect(hasInstallmentRates('pagar_me', { pagar_me: { percentage: 0.03, fixed: 0 } })).toBe(false);
+        expect(hasInstallmentRates('outro_gateway', rates)).toBe(false);
+    });
+});
+
+describe('getRescheduledGateways', () => {
+    const base = { percentage: 0.0299, fixed: 0.5, installmentRates: [] };
+
+    it('lists gateways that gained or changed an installment schedule', () => {
+        const changed = {
+            pagar_me: { ...base, installmentRates: [{ installments: 2, percentage: 0.06 }] },
+        };
+
+        expect(getRescheduledGateways({}, rates)).toEqual(['pagar_me']);
+        expect(getRescheduledGateways({ pagar_me: base }, rates)).toEqual(['pagar_me']);
+        expect(getRescheduledGateways(rates, changed)).toEqual(['pagar_me']);
+    });
+
+    it('ignores unchanged and removed schedules', () => {
+        expect(getRescheduledGateways(rates, rates)).toEqual([]);
+        expect(getRescheduledGateways(rates, { pagar_me: base })).toEqual([]);
+        expect(getRescheduledGateways({ pagar_me: base }, { pagar_me: { ...base, fixed: 1 } })).toEqual([]);
+    });
+});
+
+describe('validateFeeRates', () => {
+    const withSchedule = (installmentRates) => ({
+        pagar_me: { ...rates.pagar_me, installmentRates },
+    });
+
+    it('accepts an installment schedule', () => {
+        expect(validateFeeRates(rates)).toBeNull();
+    });
+
+    it('rejects installment counts outside 2 to 24', () => {
+        expect(validateFeeRates(withSchedule([{ installments: 1, percentage: 0.03 }])))
+            .toBe('Installments must be a whole number from 2 to 24 (pagar_me)');
+        expect(validateFeeRates(withSchedule([{ installments: 2.5, percentage: 0.03 }])))
+            .toBe('Installments must be a whole number from 2 to 24 (pagar_me)');
+    });
+
+    it('rejects two rates for the same installment count', () => {
+        expect(validateFeeRates(withSchedule([
+            { installments: 2, percentage: 0.05 },
+            { installments: 2, percentage: 0.06 },
+        ]))).toBe('Duplicate rate for 2 installments (pagar_me)');
+    });
+});
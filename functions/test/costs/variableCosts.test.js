@@ -0,0 +1,105 @@
+const {
+    validateVariableCost,
+    calculateVariableCosts,
+    allocateVariableCosts,
+} = require('../../src/costs/variableCosts');
+
+const webOrder = {
+    source_name: 'web',
+    total_price: '150.00',
+    line_items: [
+        { variant_id: 1, price: '100.00', quantity: 1 },
+        { variant_id: 2, price: '25.00', quantity: 2 },
+    ],
+};
+const marketplaceOrder = {
+    source_name: 'mercadolivre',
+    total_price: '80.00',
+    line_items: [
+        { variant_id: 2, price: '40.00', quantity: 2 },
+    ],
+};
+
+const rule = (id, type, value, scope = 'all', scopeValue = null) => ({
+    id,
+    name: id,
+    type,
+    value,
+    scope,
+    scopeValue,
+});
+
+const context = {
+    rules: [
+        rule('imposto', 'percent_of_revenue', 6),
+        rule('comissao', 'per_order', 2.5, 'channel', 'MercadoLivre'),
+        rule('embalagem', 'per_item', 1, 'product_tag', 'Kit'),
+        rule('royalties', 'percent_of_revenue', 10, 'product_tag', 'kit'),
+    ],
+    tagsByVariant: { 1: ['kit', 'presente'] },
+};
+
+describe('calculateVariableCosts', () => {
+    it('applies each rule to the orders and items in its scope', () => {
+        const { totalVariableCosts, breakdown } = calculateVariableCosts([webOrder, marketplaceOrder], context);
+
+        expect(breakdown).toEqual({
+            imposto: { name: 'imposto', type: 'percent_of_revenue', count: 2, base: 230, amount: 13.8 },
+            comissao: { name: 'comissao', type: 'per_order', count: 1, base: 80, amount: 2.5 },
+            embalagem: { name: 'embalagem', type: 'per_item', count: 1, base: 100, amount: 1 },
+            royalties: { name: 'royalties', type: 'percent_of_revenue', count: 1, base: 100, amount: 10 },
+        });
+        expect(totalVariableCosts).toBe(27.3);
+    });
+
+    it('rounds each order to cents', () => {
+        const order = { total_price: '10.01', line_items: [] };
+        const { totalVariableCosts } = calculateVariableCosts([order, order, order], {
+            rules: [rule('taxa', 'percent_of_revenue', 3.3333)],
+            tagsByVariant: {},
+        });
+
+        expect(totalVariableCosts).toBe(0.99);
+    });
+
+    it('costs nothing without rules', () => {
+        expect(calculateVariableCosts([webOrder], { rules: [], tagsByVariant: {} }))
+            .toEqual({ totalVariableCosts: 0, breakdown: {} });
+    });
+});
+
+describe('allocateVariableCosts', () => {
+    it('splits each rule over the lines it applies to', () => {
+        // Tax by line sales (6 and 3), packaging and royalties on the kit only
+        const allocated = allocateVariableCosts(webOrder, context);
+
+        expect(allocated[0]).toBeCloseTo(17);
+        expect(allocated[1]).toBeCloseTo(3);
+    });
+
+    it('adds up to the order total', () => {
+        for (const order of [webOrder, marketplaceOrder]) {
+            const allocated = allocateVariableCosts(order, context);
+            const sum = allocated.reduce((total, amount) => total + amount, 0);
+
+            expect(sum).toBeCloseTo(calculateVariableCosts([order], context).totalVariableCosts);
+        }
+    });
+});
+
+describe('validateVariableCost', () => {
+    const cost = { name: 'Comissão', type: 'percent_of_revenue', value: 12, scope: 'channel', scopeValue: 'mercadolivre' };
+
+    it('accepts a valid rule', () => {
+        expect(validateVariableCost(cost)).toBeNull();
+    });
+
+    it('rejects percentages above 100', () => {
+        expect(validateVariableCost({ ...cost, value: 101 })).toBe('Percentage cannot exceed 100');
+    });
+
+    it('requires a scope value unless the rule applies to all sales', () => {
+        expect(validateVariableCost({ ...cost, scopeValue: '' })).toBe('Scope value is required');
+        expect(validateVariableCost({ ...cost, scope: 'all', scopeValue: undefined })).toBeNull();
+    });
+});
@@ -0,0 +1,72 @@
+const {
+    getRevenueDefinition,
+    resolveRevenue,
+    resolveRefunds,
+} = require('../../src/profit/revenue');
+
+// 100 of products (10 of it tax included in prices), 5 discount, 8 shipping
+const components = {
+    grossSales: '100.00',
+    discounts: '5.00',
+    taxes: '10.00',
+    includedTaxes: '10.00',
+    shipping: '8.00',
+};
+
+describe('getRevenueDefinition', () => {
+    it('defaults to net of tax with shipping', () => {
+        expect(getRevenueDefinition({})).toEqual({ basis: 'net_of_tax', includeShipping: true });
+    });
+
+    it('ignores unknown bases', () => {
+        const definition = getRevenueDefinition({
+            revenueDefinition: { basis: 'everything', includeShipping: false },
+        });
+
+        expect(definition).toEqual({ basis: 'net_of_tax', includeShipping: false });
+    });
+});
+
+describe('resolveRevenue', () => {
+    it('keeps discounts and taxes in gross sales', () => {
+        expect(resolveRevenue(components, { basis: 'gross_sales', includeShipping: false })).toBeCloseTo(100);
+    });
+
+    it('subtracts discounts', () => {
+        expect(resolveRevenue(components, { basis: 'net_of_discounts', includeShipping: false })).toBeCloseTo(95);
+    });
+
+    it('subtracts tax included in prices', () => {
+        expect(resolveRevenue(components, { basis: 'net_of_tax', includeShipping: false })).toBeCloseTo(85);
+    });
+
+    it('does not subtract tax charged on top of prices from line sales', () => {
+        const taxOnTop = { ...components, includedTaxes: '0.00' };
+
+        expect(resolveRevenue(taxOnTop, { basis: 'gross_sales', includeShipping: false })).toBeCloseTo(110);
+        expect(resolveRevenue(taxOnTop, { basis: 'net_of_tax', includeShipping: false })).toBeCloseTo(95);
+    });
+
+    it('adds shipping when included', () => {
+        expect(resolveRevenue(components, { basis: 'net_of_tax', includeShipping: true })).toBeCloseTo(93);
+    });
+});
+
+describe('resolveRefunds', () => {
+    const refunds = { grossRefunds: '30.00', refundedTaxes: '3.00', refundedShipping: '8.00' };
+
+    it('removes refunded tax for net of tax revenue', () => {
+        expect(resolveRefunds(refunds, { basis: 'net_of_tax', includeShipping: true })).toBeCloseTo(27);
+        expect(resolveRefunds(refunds, { basis: 'gross_sales', includeShipping: true })).toBeCloseTo(30);
+    });
+
+    it('removes refunded shipping when shipping is not revenue', () => {
+        expect(resolveRefunds(refunds, { basis: 'net_of_tax', includeShipping: false })).toBeCloseTo(19);
+    });
+
+    it('never goes below zero', () => {
+        const shippingOnly = { grossRefunds: '5.00', refundedTaxes: '0', refundedShipping: '8.00' };
+
+        expect(resolveRefunds(shippingOnly, { basis: 'gross_sales', includeShipping: false })).toBe(0);
+    });
+});
@@ -0,0 +1,85 @@
+const { carryOverInstallments, normalizeOrder } = require('../../src/shopify/ledger');
+const {
+    calculateTotalFees,
+    getRescheduledGateways,
+    needsInstallmentLookup,
+} = require('../../src/costs/gatewayFees');
+
+const rates = {
+    pagar_me: {
+        percentage: 0.0299,
+        fixed: 0.5,
+        installmentRates: [{ installments: 2, percentage: 0.05 }],
+    },
+};
+
+const order = (fields = {}) => ({
+    id: 1001,
+    gateway: 'Pagar.me',
+    financial_status: 'paid',
+    ...fields,
+});
+
+describe('carryOverInstallments', () => {
+    it('keeps a count read for the same financial status', () => {
+        const stored = { installments: 6, installmentsCheckedStatus: 'paid' };
+
+        expect(carryOverInstallments(order(), stored, rates)).toMatchObject({
+            installments: 6,
+            installmentsCheckedStatus: 'paid',
+            installmentsPending: false,
+        });
+    });
+
+    it('does not look up again an order already found without installments', () => {
+        const stored = { installments: null, installmentsCheckedStatus: 'paid' };
+
+        expect(carryOverInstallments(order(), stored, rates)).toMatchObject({
+            installments: null,
+            installmentsPending: false,
+        });
+    });
+
+    it('flags the order again when its financial status changed', () => {
+        const stored = { installments: 6, installmentsCheckedStatus: 'authorized' };
+
+        expect(carryOverInstallments(order(), stored, rates)).toMatchObject({
+            installments: 6,
+            installmentsCheckedStatus: null,
+            installmentsPending: true,
+        });
+    });
+
+    it('flags new orders only when the gateway has an installment schedule', () => {
+        expect(carryOverInstallments(order(), null, rates).installmentsPending).toBe(true);
+        expect(carryOverInstallments(order({ gateway: 'manual' }), null, rates).installmentsPending).toBe(false);
+    });
+});
+
+describe('installment schedule set after orders were saved', () => {
+    it('queues the saved orders and charges the installment rate once looked up', () => {
+        const saved = normalizeOrder(carryOverInstallments(order({
+            created_at: '2024-03-10T15:00:00Z',
+            total_price: '100.00',
+        }), null, {}), 'America/Sao_Paulo');
+
+        // Saved at the base rate, with nothing to look up yet
+        expect(saved.installmentsPending).toBe(false);
+        expect(calculateTotalFees([saved], {}).totalFees).toBe(0);
+
+        // Saving the schedule flags the gateway's orders for a lookup,
+        // which finds the 12x payment
+        const gateways = getRescheduledGateways({}, rates);
+        expect(needsInstallmentLookup(saved, gateways)).toBe(true);
+        expect(needsInstallmentLookup({ ...saved, gateway: 'manual' }, gateways)).toBe(false);
+
+        const lookedUp = { ...saved, installments: 12, installmentsCheckedStatus: 'paid' };
+
+        expect(calculateTotalFees([saved], rates).totalFees).toBe(3.49);
+        expect(calculateTotalFees([lookedUp], rates).totalFees).toBe(5.5);
+
+        // Later schedule changes and versions of the order keep the count
+        expect(needsInstallmentLookup(lookedUp, gateways)).toBe(false);
+        expect(carryOverInstallments(order(), lookedUp, rates).installments).toBe(12);
+    });
+});
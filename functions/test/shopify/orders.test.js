@@ -0,0 +1,52 @@
+const { extractInstallments, extractLineItems, extractRefunds } = require('../../src/shopify/orders');
+
+const transaction = (receipt, fields = {}) => ({
+    kind: 'sale',
+    status: 'success',
+    receipt,
+    ...fields,
+});
+
+describe('extractInstallments', () => {
+    it('reads the installments of a successful payment', () => {
+        expect(extractInstallments([transaction({ installments: 3 })])).toBe(3);
+        expect(extractInstallments([transaction({ Parcelas: '4' })])).toBe(4);
+    });
+
+    it('finds installments nested in the receipt', () => {
+        const receipt = { charges: { data: [{ installments: 6 }] } };
+
+        expect(extractInstallments([transaction(receipt, { kind: 'capture' })])).toBe(6);
+    });
+
+    it('ignores failed payments and refunds', () => {
+        expect(extractInstallments([
+            transaction({ installments: 10 }, { status: 'failure' }),
+            transaction({ installments: 8 }, { kind: 'refund' }),
+            transaction({ installments: 2 }),
+        ])).toBe(2);
+    });
+
+    it('returns null when no receipt has installments', () => {
+        expect(extractInstallments([transaction({ authorization: 'abc' })])).toBeNull();
+        expect(extractInstallments(undefined)).toBeNull();
+    });
+});
+
+describe('line item IDs', () => {
+    it('are kept on sold and refunded lines, so each keeps its own cost', () => {
+        const order = {
+            id: 1001,
+            created_at: '2024-01-02T10:00:00-03:00',
+            line_items: [{ id: 501, variant_id: 11, price: '50.00', quantity: 2 }],
+            refunds: [{
+                id: 9,
+                created_at: '2024-01-05T10:00:00-03:00',
+                refund_line_items: [{ line_item_id: 501, quantity: 1, subtotal: '50.00', line_item: { variant_id: 11 } }],
+            }],
+        };
+
+        expect(extractLineItems([order])[0].lineItemId).toBe(501);
+        expect(extractRefunds([order], '2024-01-05', 'America/Sao_Paulo')[0].lineItems[0].lineItemId).toBe(501);
+    });
+});
@@ -0,0 +1,112 @@
+const {
+    readSpreadsheet,
+    decodeText,
+    detectDelimiter,
+    detectDecimalSeparator,
+    parseNumber,
+} = require('../../src/utils/spreadsheet');
+
+describe('detectDelimiter', () => {
+    it.each([
+        ['sku,custo,nome', ','],
+        ['sku;custo;nome', ';'],
+        ['sku\tcusto\tnome', '\t'],
+        ['sku|custo|nome', '|'],
+    ])('detects the delimiter of %j', (text, delimiter) => {
+        expect(detectDelimiter(`${text}\nA1;10,50;Camiseta`)).toBe(delimiter);
+    });
+
+    it('ignores delimiters inside quoted headers', () => {
+        expect(detectDelimiter('"Custo, em R$";"SKU"\n10,5;A1')).toBe(';');
+    });
+
+    it('falls back to a comma', () => {
+        expect(detectDelimiter('')).toBe(',');
+    });
+});
+
+describe('detectDecimalSeparator', () => {
+    it('detects a decimal comma', () => {
+        expect(detectDecimalSeparator(['1.234,56', '12,5', '3'])).toBe(',');
+        expect(detectDecimalSeparator(['1.234.567'])).toBe(',');
+    });
+
+    it('detects a decimal point', () => {
+        expect(detectDecimalSeparator(['1,234.56', '12.5'])).toBe('.');
+        expect(detectDecimalSeparator(['1,234,567'])).toBe('.');
+    });
+
+    it('follows the fallback when the column is ambiguous', () => {
+        expect(detectDecimalSeparator(['1.234', '10'], ',')).toBe(',');
+        expect(detectDecimalSeparator(['1,234'], '.')).toBe('.');
+    });
+
+    it('ignores values that are not text', () => {
+        expect(detectDecimalSeparator([12.5, null, '7,25'])).toBe(',');
+    });
+});
+
+describe('parseNumber', () => {
+    it('parses Brazilian amounts', () => {
+        expect(parseNumber('R$ 1.234,56', ',')).toBe(1234.56);
+        expect(parseNumber('12,5', ',')).toBe(12.5);
+    });
+
+    it('parses amounts with a decimal point', () => {
+        expect(parseNumber('$1,234.56', '.')).toBe(1234.56);
+        expect(parseNumber('-3.5')).toBe(-3.5);
+    });
+
+    it('keeps numbers read from XLSX cells', () => {
+        expect(parseNumber(9.9, ',')).toBe(9.9);
+        expect(parseNumber(Infinity)).toBeNull();
+    });
+
+    it('returns null when there is no number', () => {
+        expect(parseNumber('', ',')).toBeNull();
+        expect(parseNumber('sem custo')).toBeNull();
+        expect(parseNumber(null)).toBeNull();
+    });
+});
+
+describe('decodeText', () => {
+    it('reads UTF-8', () => {
+        expect(decodeText(Buffer.from('Custo unitário', 'utf-8'))).toEqual({
+            text: 'Custo unitário',
+            encoding: 'utf-8',
+        });
+    });
+
+    it('falls back to Windows-1252', () => {
+        expect(decodeText(Buffer.from('Custo unitário', 'latin1'))).toEqual({
+            text: 'Custo unitário',
+            encoding: 'latin1',
+        });
+    });
+});
+
+describe('readSpreadsheet', () => {
+    it('reads a semicolon CSV saved by Excel in Windows-1252', async () => {
+        const content = Buffer.from('SKU;Custo unitário\r\nA1;10,50\r\n\r\nB2;7\r\n', 'latin1');
+
+        const { records, format } = await readSpreadsheet({
+            fileContent: content.toString('base64'),
+            fileName: 'custos.csv',
+        });
+
+        expect(records).toEqual([
+            { 'SKU': 'A1', 'Custo unitário': '10,50' },
+            { 'SKU': 'B2', 'Custo unitário': '7' },
+        ]);
+        expect(format).toEqual({ type: 'csv', delimiter: ';', encoding: 'latin1' });
+    });
+
+    it('reads plain CSV text up to a row limit', async () => {
+        const { records } = await readSpreadsheet(
+            { csvContent: 'sku,cogs\nA1,1\nB2,2\nC3,3' },
+            { limit: 2 }
+        );
+
+        expect(records.map(record => record.sku)).toEqual(['A1', 'B2']);
+    });
+});